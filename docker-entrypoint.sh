@@ -36,6 +36,10 @@ window.__RUNTIME_CONFIG__ = {
   BACKEND_BASE_URL: "$BACKEND_BASE_URL",
   VITE_API_BASE_URL: "$VITE_API_BASE_URL",
   EMS_API_URL: "$EMS_API_URL",
+  API_TIMEOUT: "${API_TIMEOUT:-}",
+  EMS_TIMEOUT: "${EMS_TIMEOUT:-}",
+  FEATURE_API_LOGGING: "${FEATURE_API_LOGGING:-}",
+  FEATURE_PER_CELL_ANALYSIS: "${FEATURE_PER_CELL_ANALYSIS:-}",
   DB_HOST: "${DB_HOST:-}",
   DB_PORT: "${DB_PORT:-5432}",
   DB_USER: "${DB_USER:-postgres}",
@@ -1,17 +1,11 @@
 // 런타임 구성 파일
-// 개발 환경용 설정
-
-// 백엔드 API 기본 URL
+// 개발 환경용 설정 (Docker 이미지에서는 docker-entrypoint.sh 가 이 파일을 다시 생성합니다)
+//
+// 값이 비어 있으면 Vite 환경변수(.env) → 기본값 순서로 사용합니다. (src/lib/runtimeConfig.js)
+// 사용 가능한 키: VITE_API_BASE_URL, BACKEND_BASE_URL, EMS_API_URL, API_TIMEOUT, EMS_TIMEOUT,
+//               FEATURE_API_LOGGING, FEATURE_PER_CELL_ANALYSIS, ENVIRONMENT
 window.__RUNTIME_CONFIG__ = {
-  BACKEND_BASE_URL: 'http://165.213.69.30:8000',
-  VITE_API_BASE_URL: 'http://165.213.69.30:8000'
-};
-
-// 전역 설정
-window.RUNTIME_CONFIG = {
-  API_BASE_URL: 'http://165.213.69.30:8000',
-  APP_ENV: 'development',
-  APP_VERSION: '1.0.0'
+  ENVIRONMENT: 'development'
 };
 
 console.log('[Runtime Config] Loaded development configuration:', window.__RUNTIME_CONFIG__);
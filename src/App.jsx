@@ -4,18 +4,38 @@
 
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { Layout } from './components/layout/index.js';
-import { Dashboard, AnalysisResults, Preferences } from './pages/index.js';
+import { PreferenceProvider } from './contexts/PreferenceContext.jsx';
+import { AnalysisJobProvider } from './contexts/AnalysisJobContext.jsx';
+import {
+  Dashboard,
+  AnalysisResults,
+  ResultCompare,
+  ResultDetail,
+  AnalysisJobs,
+  TrendAnalysis,
+  SystemMonitoring,
+  Preferences,
+} from './pages/index.js';
 
 function App() {
   return (
     <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<Layout />}>
-          <Route index element={<Dashboard />} />
-          <Route path="results" element={<AnalysisResults />} />
-          <Route path="preferences" element={<Preferences />} />
-        </Route>
-      </Routes>
+      <PreferenceProvider>
+        <AnalysisJobProvider>
+          <Routes>
+            <Route path="/" element={<Layout />}>
+              <Route index element={<Dashboard />} />
+              <Route path="results" element={<AnalysisResults />} />
+              <Route path="results/compare" element={<ResultCompare />} />
+              <Route path="results/:id" element={<ResultDetail />} />
+              <Route path="jobs" element={<AnalysisJobs />} />
+              <Route path="trends" element={<TrendAnalysis />} />
+              <Route path="monitoring" element={<SystemMonitoring />} />
+              <Route path="preferences" element={<Preferences />} />
+            </Route>
+          </Routes>
+        </AnalysisJobProvider>
+      </PreferenceProvider>
     </BrowserRouter>
   );
 }
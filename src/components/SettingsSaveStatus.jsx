@@ -1,240 +1,71 @@
-/**
- * SettingsSaveStatus 컴포넌트
- * 
- * PreferenceContext와 연동하여 설정 저장 상태를 실시간으로 표시합니다.
- * toast 알림과 인라인 상태 표시를 모두 지원합니다.
- */
-
-import React, { useEffect } from 'react'
-import { usePreference } from '@/contexts/PreferenceContext'
-import { SaveStatusIndicator, SAVE_STATUS, useSaveStatusIndicator } from '@/components/ui/save-status-indicator'
-import { toast } from 'sonner'
-import { cn } from '@/lib/utils'
-
 /**
  * 설정 저장 상태 표시 컴포넌트
+ * 설정 저장소(PreferenceProvider)의 서버 동기화 상태를 헤더에 표시합니다.
+ * 저장 완료 표시는 잠시 뒤 사라지고, 실패하면 다시 시도, 충돌하면 충돌 해결 모달을 다시 열 수 있습니다.
  */
-export const SettingsSaveStatus = ({
-  className,
-  variant = 'compact',
-  showToast = true,
-  showInlineStatus = true,
-  position = 'top-right', // 'top-right', 'bottom-right', 'top-left', 'bottom-left', 'inline'
-  autoHide = true,
-  customMessages = {}
-}) => {
-  const { 
-    saving, 
-    error, 
-    lastSaved, 
-    hasUnsavedChanges,
-    localStorageAvailable,
-    syncStatus 
-  } = usePreference()
-
-  const {
-    status,
-    message,
-    error: statusError,
-    showSaving,
-    showSaved,
-    showError,
-    reset
-  } = useSaveStatusIndicator()
-
-  // PreferenceContext 상태 변화 감지 및 UI 업데이트
-  useEffect(() => {
-    if (saving) {
-      const savingMessage = customMessages.saving || 
-        (syncStatus === 'syncing' ? '서버와 동기화 중...' : '설정 저장 중...')
-      
-      showSaving(savingMessage)
-      
-      if (showToast) {
-        toast.loading(savingMessage, {
-          id: 'settings-save'
-        })
-      }
-    } else if (error) {
-      const errorMessage = customMessages.error || error
-      showError(errorMessage)
-      
-      if (showToast) {
-        toast.error(errorMessage, {
-          id: 'settings-save',
-          duration: 5000,
-          action: localStorageAvailable ? undefined : {
-            label: '새로고침',
-            onClick: () => window.location.reload()
-          }
-        })
-      }
-    } else if (lastSaved && !hasUnsavedChanges && !saving) {
-      const savedMessage = customMessages.saved || '설정이 저장되었습니다!'
-      showSaved(savedMessage)
-      
-      if (showToast) {
-        toast.success(savedMessage, {
-          id: 'settings-save',
-          duration: 3000
-        })
-      }
-    }
-  }, [
-    saving, 
-    error, 
-    lastSaved, 
-    hasUnsavedChanges, 
-    syncStatus,
-    localStorageAvailable,
-    showSaving, 
-    showSaved, 
-    showError, 
-    showToast,
-    customMessages
-  ])
 
-  // 인라인 상태 표시가 비활성화된 경우 null 반환
-  if (!showInlineStatus) {
-    return null
-  }
+import { useEffect, useState } from 'react';
+import { usePreference } from '../contexts/PreferenceContext.jsx';
+import { SYNC_STATUS } from '../lib/preferenceSync';
+import { useFormatters } from '../hooks/useFormatters';
+import { cn } from '../lib/utils';
 
-  // position이 'inline'이 아닌 경우 고정 위치 표시
-  if (position !== 'inline') {
-    const positionClasses = {
-      'top-right': 'fixed top-4 right-4 z-50',
-      'bottom-right': 'fixed bottom-4 right-4 z-50',
-      'top-left': 'fixed top-4 left-4 z-50',
-      'bottom-left': 'fixed bottom-4 left-4 z-50'
-    }
+const SAVED_VISIBLE_MS = 3000;
 
-    return (
-      <div className={cn(positionClasses[position], className)}>
-        <SaveStatusIndicator
-          status={status}
-          message={message}
-          error={statusError}
-          variant={variant}
-          autoHide={autoHide}
-          onHide={reset}
-        />
-      </div>
-    )
-  }
+const statusStyles = {
+  [SYNC_STATUS.PENDING]: { icon: 'schedule', label: '변경 사항 저장 대기', className: 'border-[#324d67] text-slate-300' },
+  [SYNC_STATUS.SAVING]: { icon: 'progress_activity', label: '설정 저장 중...', className: 'border-[#2b8cee]/30 bg-[#2b8cee]/10 text-[#2b8cee]' },
+  [SYNC_STATUS.SAVED]: { icon: 'cloud_done', label: '설정 저장됨', className: 'border-green-500/20 bg-green-500/10 text-green-400' },
+  [SYNC_STATUS.OFFLINE]: { icon: 'cloud_off', label: '오프라인 · 연결되면 저장', className: 'border-yellow-500/20 bg-yellow-500/10 text-yellow-400' },
+  [SYNC_STATUS.ERROR]: { icon: 'sync_problem', label: '설정 저장 실패', className: 'border-red-500/20 bg-red-500/10 text-red-400' },
+  [SYNC_STATUS.CONFLICT]: { icon: 'warning', label: '설정 충돌', className: 'border-yellow-500/20 bg-yellow-500/10 text-yellow-400' },
+};
 
-  // 인라인 표시
+function ActionButton({ onClick, children }) {
   return (
-    <SaveStatusIndicator
-      status={status}
-      message={message}
-      error={statusError}
-      variant={variant}
-      autoHide={autoHide}
-      onHide={reset}
-      className={className}
-    />
-  )
+    <button type="button" onClick={onClick} className="rounded px-1.5 py-0.5 text-xs font-medium text-white hover:bg-white/10">
+      {children}
+    </button>
+  );
 }
 
-/**
- * 미저장 변경사항 경고 컴포넌트
- */
-export const UnsavedChangesWarning = ({ 
-  className,
-  variant = 'compact',
-  showIcon = true 
-}) => {
-  const { hasUnsavedChanges, saving } = usePreference()
-
-  if (!hasUnsavedChanges || saving) {
-    return null
-  }
+export function SettingsSaveStatus() {
+  const { syncStatus, error, conflict, lastSynced, syncNow, reviewConflict } = usePreference();
+  const { formatDate } = useFormatters();
+  const [hiddenSyncAt, setHiddenSyncAt] = useState(null);
 
-  return (
-    <SaveStatusIndicator
-      status="warning"
-      message="저장되지 않은 변경사항이 있습니다"
-      variant={variant}
-      showIcon={showIcon}
-      autoHide={false}
-      className={cn('bg-yellow-50 border-yellow-200', className)}
-    />
-  )
-}
-
-/**
- * LocalStorage 상태 표시 컴포넌트
- */
-export const LocalStorageStatus = ({ 
-  className,
-  variant = 'icon-only' 
-}) => {
-  const { localStorageAvailable, syncStatus } = usePreference()
-
-  if (localStorageAvailable && syncStatus !== 'error') {
-    return null
-  }
-
-  const getStatusInfo = () => {
-    if (!localStorageAvailable) {
-      return {
-        status: SAVE_STATUS.ERROR,
-        message: 'LocalStorage 사용 불가',
-        error: '브라우저 저장소에 접근할 수 없습니다'
-      }
-    }
-    
-    if (syncStatus === 'error') {
-      return {
-        status: SAVE_STATUS.ERROR,
-        message: '동기화 오류',
-        error: '서버와의 동기화에 실패했습니다'
-      }
-    }
-
-    return {
-      status: SAVE_STATUS.IDLE,
-      message: '정상',
-      error: ''
-    }
-  }
+  useEffect(() => {
+    if (syncStatus !== SYNC_STATUS.SAVED) return undefined;
+    const timer = setTimeout(() => setHiddenSyncAt(lastSynced), SAVED_VISIBLE_MS);
+    return () => clearTimeout(timer);
+  }, [syncStatus, lastSynced]);
 
-  const statusInfo = getStatusInfo()
+  const style = statusStyles[syncStatus];
+  if (!style || (syncStatus === SYNC_STATUS.SAVED && hiddenSyncAt === lastSynced)) return null;
 
-  return (
-    <SaveStatusIndicator
-      status={statusInfo.status}
-      message={statusInfo.message}
-      error={statusInfo.error}
-      variant={variant}
-      autoHide={false}
-      className={className}
-    />
-  )
-}
+  const title =
+    syncStatus === SYNC_STATUS.CONFLICT
+      ? `다른 곳에서 먼저 바뀐 항목: ${conflict.keys.join(', ')}`
+      : syncStatus === SYNC_STATUS.ERROR
+        ? error
+        : lastSynced && `마지막 동기화 ${formatDate(lastSynced)}`;
 
-/**
- * 통합 설정 상태 패널
- */
-export const SettingsStatusPanel = ({ 
-  className,
-  showSaveStatus = true,
-  showUnsavedWarning = true,
-  showLocalStorageStatus = true 
-}) => {
   return (
-    <div className={cn('flex items-center gap-2', className)}>
-      {showLocalStorageStatus && <LocalStorageStatus />}
-      {showUnsavedWarning && <UnsavedChangesWarning />}
-      {showSaveStatus && (
-        <SettingsSaveStatus 
-          position="inline" 
-          variant="compact"
-          showToast={false}
-        />
+    <div
+      role="status"
+      title={title || undefined}
+      className={cn('flex items-center gap-2 h-10 px-3 rounded-lg border text-sm', style.className)}
+    >
+      <span className={cn('material-symbols-outlined text-lg', syncStatus === SYNC_STATUS.SAVING && 'animate-spin')}>
+        {style.icon}
+      </span>
+      {style.label}
+      {syncStatus === SYNC_STATUS.ERROR && <ActionButton onClick={syncNow}>다시 시도</ActionButton>}
+      {syncStatus === SYNC_STATUS.CONFLICT && (
+        <ActionButton onClick={reviewConflict}>해결하기</ActionButton>
       )}
     </div>
-  )
+  );
 }
 
-export default SettingsSaveStatus
+export default SettingsSaveStatus;
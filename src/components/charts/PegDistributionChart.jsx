@@ -0,0 +1,154 @@
+/**
+ * PEG 분포 비교 차트 (N-1 vs N)
+ *
+ * 사분위 데이터가 없으므로 박스-수염 형태를 다음과 같이 근사합니다.
+ * - 수염: min ~ max
+ * - 박스: avg ± std (min/max 범위로 제한)
+ * - 마커: avg, pct_95, pct_99
+ */
+
+import {
+  ComposedChart,
+  Bar,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+} from "recharts";
+import { ChartContainer, ChartTooltip } from "../ui/chart.jsx";
+import { useFormatters } from "../../hooks/useFormatters.js";
+
+const PERIODS = [
+  { key: "n_minus_1", label: "N-1", color: "#64748b" },
+  { key: "n", label: "N", color: "#2b8cee" },
+];
+
+const chartConfig = {
+  avg: { label: "Avg", color: "#ffffff" },
+  pct_95: { label: "P95", color: "#eab308" },
+  pct_99: { label: "P99", color: "#ef4444" },
+};
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function buildDistributionData(peg) {
+  return PERIODS.filter((period) => peg?.[period.key]).map((period) => {
+    const stats = peg[period.key];
+    const min = stats.min ?? stats.avg;
+    const max = stats.max ?? stats.avg;
+    const std = stats.std ?? 0;
+    return {
+      period: period.label,
+      color: period.color,
+      stats,
+      whisker: [min, max],
+      box: [clamp(stats.avg - std, min, max), clamp(stats.avg + std, min, max)],
+      avg: stats.avg,
+      pct_95: stats.pct_95,
+      pct_99: stats.pct_99,
+    };
+  });
+}
+
+function DistributionTooltip({ active, payload }) {
+  const { formatNumber } = useFormatters();
+  if (!active || !payload?.length) return null;
+  const { period, stats } = payload[0].payload;
+  const rows = [
+    ["Avg", stats.avg],
+    ["Std", stats.std],
+    ["Min", stats.min],
+    ["Max", stats.max],
+    ["P95", stats.pct_95],
+    ["P99", stats.pct_99],
+    ["Count", stats.count],
+  ];
+  return (
+    <div className="rounded-lg border border-slate-200/10 bg-[#192633] px-3 py-2 text-xs shadow-xl">
+      <p className="text-white font-medium mb-1">{period}</p>
+      {rows.map(([label, value]) => (
+        <div key={label} className="flex justify-between gap-4">
+          <span className="text-slate-400">{label}</span>
+          <span className="text-white">
+            {formatNumber(value, label === "Count" ? 0 : 2)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function PegDistributionChart({ peg, className }) {
+  const data = buildDistributionData(peg);
+  if (data.length === 0) return null;
+  return (
+    <ChartContainer
+      config={chartConfig}
+      className={className || "h-72 aspect-auto"}
+    >
+      <ComposedChart
+        data={data}
+        margin={{ top: 16, right: 24, left: 8, bottom: 8 }}
+      >
+        <CartesianGrid
+          strokeDasharray="3 3"
+          stroke="#324d67"
+          vertical={false}
+        />
+        <XAxis
+          xAxisId="whisker"
+          dataKey="period"
+          tick={{ fill: "#94a3b8" }}
+          stroke="#324d67"
+        />
+        <XAxis xAxisId="box" dataKey="period" hide />
+        <YAxis
+          tick={{ fill: "#94a3b8" }}
+          stroke="#324d67"
+          domain={["auto", "auto"]}
+        />
+        <ChartTooltip
+          content={<DistributionTooltip />}
+          cursor={{ fill: "rgba(148,163,184,0.08)" }}
+        />
+        <Bar
+          xAxisId="whisker"
+          dataKey="whisker"
+          barSize={2}
+          fill="#94a3b8"
+          isAnimationActive={false}
+        />
+        <Bar
+          xAxisId="box"
+          dataKey="box"
+          barSize={56}
+          isAnimationActive={false}
+          shape={(props) => (
+            <rect
+              x={props.x}
+              y={props.y}
+              width={props.width}
+              height={props.height}
+              rx={4}
+              fill={props.payload.color}
+              fillOpacity={0.5}
+              stroke={props.payload.color}
+            />
+          )}
+        />
+        {Object.keys(chartConfig).map((key) => (
+          <Scatter
+            key={key}
+            xAxisId="whisker"
+            dataKey={key}
+            fill={`var(--color-${key})`}
+            shape={key === "avg" ? "diamond" : "circle"}
+            isAnimationActive={false}
+          />
+        ))}
+      </ComposedChart>
+    </ChartContainer>
+  );
+}
@@ -0,0 +1,139 @@
+/**
+ * PEG 추이 차트 (N 기간 평균)
+ *
+ * - 선: 결과별 N 기간 평균 (점 색상은 해당 결과의 Choi 상태)
+ * - 세로선: Choi 상태가 바뀐 시점
+ * - 점선: 지속 추세로 판정된 경우 회귀선
+ */
+
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  ReferenceLine,
+} from "recharts";
+import { ChartContainer, ChartTooltip } from "../ui/chart.jsx";
+import { getStatusStyle } from "../../lib/utils.js";
+import { useFormatters } from "../../hooks/useFormatters.js";
+
+const STATUS_COLORS = {
+  normal: "#22c55e",
+  warning: "#eab308",
+  critical: "#ef4444",
+};
+
+const chartConfig = {
+  value: { label: "N Avg", color: "#2b8cee" },
+};
+
+function TrendTooltip({ active, payload }) {
+  const { formatDate, formatNumber } = useFormatters();
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="rounded-lg border border-slate-200/10 bg-[#192633] px-3 py-2 text-xs shadow-xl">
+      <p className="text-slate-400 mb-1">{formatDate(point.time)}</p>
+      <p className="text-white font-medium">
+        N Avg {formatNumber(point.value)}
+      </p>
+      <p className={getStatusStyle(point.status).color}>
+        Choi {getStatusStyle(point.status).label}
+      </p>
+    </div>
+  );
+}
+
+function StatusDot({ cx, cy, payload }) {
+  if (cx == null || cy == null) return null;
+  return (
+    <circle
+      cx={cx}
+      cy={cy}
+      r={3.5}
+      fill={STATUS_COLORS[payload.status] || STATUS_COLORS.normal}
+      stroke="#101922"
+      strokeWidth={1}
+    />
+  );
+}
+
+export default function PegTrendChart({
+  points,
+  drift,
+  transitions = [],
+  onSelectPoint,
+  className,
+}) {
+  const { formatDate, formatNumber, patterns } = useFormatters();
+  if (!points || points.length === 0) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  return (
+    <ChartContainer
+      config={chartConfig}
+      className={className || "h-56 aspect-auto"}
+    >
+      <LineChart
+        data={points}
+        margin={{ top: 16, right: 24, left: 8, bottom: 8 }}
+        onClick={(state) =>
+          state?.activePayload?.[0] &&
+          onSelectPoint?.(state.activePayload[0].payload)
+        }
+      >
+        <CartesianGrid
+          strokeDasharray="3 3"
+          stroke="#324d67"
+          vertical={false}
+        />
+        <XAxis
+          dataKey="time"
+          type="number"
+          scale="time"
+          domain={["dataMin", "dataMax"]}
+          tick={{ fill: "#94a3b8" }}
+          stroke="#324d67"
+          tickFormatter={(time) => formatDate(time, patterns.shortDateTime)}
+        />
+        <YAxis
+          tick={{ fill: "#94a3b8" }}
+          stroke="#324d67"
+          domain={["auto", "auto"]}
+          tickFormatter={(value) => formatNumber(value)}
+          width={64}
+        />
+        <ChartTooltip content={<TrendTooltip />} />
+        {transitions.map((transition) => (
+          <ReferenceLine
+            key={`${transition.resultId}-${transition.to}`}
+            x={transition.time}
+            stroke={STATUS_COLORS[transition.to]}
+            strokeDasharray="2 4"
+          />
+        ))}
+        {drift?.direction && (
+          <ReferenceLine
+            segment={[
+              { x: first.time, y: drift.start },
+              { x: last.time, y: drift.end },
+            ]}
+            stroke="#94a3b8"
+            strokeDasharray="6 4"
+            ifOverflow="extendDomain"
+          />
+        )}
+        <Line
+          dataKey="value"
+          stroke="var(--color-value)"
+          strokeWidth={2}
+          dot={<StatusDot />}
+          activeDot={{ r: 5 }}
+          isAnimationActive={false}
+          className={onSelectPoint ? "cursor-pointer" : undefined}
+        />
+      </LineChart>
+    </ChartContainer>
+  );
+}
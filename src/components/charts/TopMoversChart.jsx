@@ -0,0 +1,111 @@
+/**
+ * 변화율 상위 PEG 막대 차트 (top movers)
+ */
+
+import {
+  BarChart,
+  Bar,
+  Cell,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  ReferenceLine,
+} from "recharts";
+import { ChartContainer, ChartTooltip } from "../ui/chart.jsx";
+import { useFormatters } from "../../hooks/useFormatters.js";
+
+const chartConfig = {
+  change_percentage: { label: "Change %", color: "#2b8cee" },
+};
+
+function getTopMovers(pegs, limit = 10) {
+  return (pegs || [])
+    .filter(
+      (peg) =>
+        typeof peg.change_percentage === "number" &&
+        isFinite(peg.change_percentage)
+    )
+    .sort(
+      (a, b) => Math.abs(b.change_percentage) - Math.abs(a.change_percentage)
+    )
+    .slice(0, limit);
+}
+
+function MoverTooltip({ active, payload }) {
+  const { formatChange, formatNumber } = useFormatters();
+  if (!active || !payload?.length) return null;
+  const peg = payload[0].payload;
+  return (
+    <div className="rounded-lg border border-slate-200/10 bg-[#192633] px-3 py-2 text-xs shadow-xl">
+      <p className="text-white font-medium mb-1">{peg.peg_name}</p>
+      <p className="text-slate-300">
+        {formatNumber(peg.n_minus_1?.avg)} → {formatNumber(peg.n?.avg)} (
+        {formatChange(peg.change_percentage)})
+      </p>
+    </div>
+  );
+}
+
+export default function TopMoversChart({
+  pegs,
+  limit = 10,
+  selectedPeg,
+  onSelect,
+  className,
+}) {
+  const data = getTopMovers(pegs, limit);
+  if (data.length === 0) return null;
+  return (
+    <ChartContainer
+      config={chartConfig}
+      className={className || "aspect-auto"}
+      style={{ height: Math.max(160, data.length * 32 + 40) }}
+    >
+      <BarChart
+        data={data}
+        layout="vertical"
+        margin={{ top: 8, right: 24, left: 8, bottom: 8 }}
+      >
+        <CartesianGrid
+          strokeDasharray="3 3"
+          stroke="#324d67"
+          horizontal={false}
+        />
+        <XAxis
+          type="number"
+          tick={{ fill: "#94a3b8" }}
+          stroke="#324d67"
+          tickFormatter={(v) => `${v}%`}
+        />
+        <YAxis
+          type="category"
+          dataKey="peg_name"
+          width={160}
+          tick={{ fill: "#94a3b8" }}
+          stroke="#324d67"
+        />
+        <ReferenceLine x={0} stroke="#94a3b8" />
+        <ChartTooltip
+          content={<MoverTooltip />}
+          cursor={{ fill: "rgba(148,163,184,0.08)" }}
+        />
+        <Bar
+          dataKey="change_percentage"
+          isAnimationActive={false}
+          onClick={(entry) => onSelect?.(entry.peg_name)}
+          className="cursor-pointer"
+        >
+          {data.map((peg) => (
+            <Cell
+              key={peg.peg_name}
+              fill={peg.change_percentage >= 0 ? "#22c55e" : "#ef4444"}
+              fillOpacity={
+                !selectedPeg || selectedPeg === peg.peg_name ? 0.9 : 0.4
+              }
+            />
+          ))}
+        </Bar>
+      </BarChart>
+    </ChartContainer>
+  );
+}
@@ -0,0 +1,6 @@
+/**
+ * 차트 컴포넌트 export
+ */
+export { default as PegDistributionChart } from "./PegDistributionChart.jsx";
+export { default as TopMoversChart } from "./TopMoversChart.jsx";
+export { default as PegTrendChart } from "./PegTrendChart.jsx";
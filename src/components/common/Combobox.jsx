@@ -17,6 +17,7 @@ export default function Combobox({
   disabled = false,
   className,
   multiple = false,
+  onSearchChange,
 }) {
   const [isOpen, setIsOpen] = useState(false);
   const [search, setSearch] = useState('');
@@ -82,6 +83,7 @@ export default function Combobox({
   const handleInputChange = (e) => {
     setSearch(e.target.value);
     setIsOpen(true);
+    onSearchChange?.(e.target.value);
   };
   
   const handleKeyDown = (e) => {
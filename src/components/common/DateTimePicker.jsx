@@ -1,10 +1,12 @@
 /**
  * 날짜/시간 선택 컴포넌트
+ * timeZone 을 주면 값('yyyy-MM-dd HH:mm')을 그 시간대의 시각으로 보고, 현재 시간/오늘 표시도 그 시간대 기준으로 맞춥니다.
  */
 
 import { useState, useEffect, useRef } from 'react';
 import { format, parse, setHours, setMinutes, isValid } from 'date-fns';
 import { cn } from '../../lib/utils';
+import { toZonedWallClock, formatTimeZoneLabel } from '../../lib/formatting';
 
 function roundDownToFiveMinutes(date) {
   const minutes = date.getMinutes();
@@ -30,7 +32,10 @@ function generateTimeOptions() {
 
 const TIME_OPTIONS = generateTimeOptions();
 
-function Calendar({ selected, onSelect, className }) {
+// timeZone 이 있으면 그 시간대의 현재 벽시계 시각
+const getCurrentTime = (timeZone) => (timeZone ? toZonedWallClock(new Date(), timeZone) : new Date());
+
+function Calendar({ selected, onSelect, today, className }) {
   const [viewDate, setViewDate] = useState(selected || new Date());
   
   const year = viewDate.getFullYear();
@@ -55,7 +60,6 @@ function Calendar({ selected, onSelect, className }) {
   
   const isToday = (day) => {
     if (!day) return false;
-    const today = new Date();
     return day.getDate() === today.getDate() && day.getMonth() === today.getMonth() && day.getFullYear() === today.getFullYear();
   };
   
@@ -138,26 +142,34 @@ function TimePicker({ value, onChange, className }) {
   );
 }
 
-export default function DateTimePicker({ label, value, onChange, placeholder = '날짜/시간 선택', disabled = false, useCurrentTime = false, className }) {
+export default function DateTimePicker({ label, value, onChange, placeholder = '날짜/시간 선택', disabled = false, useCurrentTime = false, timeZone, className }) {
   const [isOpen, setIsOpen] = useState(false);
   const [selectedDate, setSelectedDate] = useState(null);
   const [selectedTime, setSelectedTime] = useState('10:00');
   const containerRef = useRef(null);
+  // 마운트 시 현재 시간으로 채울 때 쓰는 처음 props
+  const initialPropsRef = useRef({ value, useCurrentTime, onChange, timeZone });
+  const zoneLabel = timeZone ? formatTimeZoneLabel(timeZone) : null;
   
   useEffect(() => {
-    if (value) {
-      const parsed = parse(value, 'yyyy-MM-dd HH:mm', new Date());
-      if (isValid(parsed)) {
-        setSelectedDate(parsed);
-        setSelectedTime(format(parsed, 'HH:mm'));
-      }
-    } else if (useCurrentTime) {
-      const now = roundDownToFiveMinutes(new Date());
+    const initial = initialPropsRef.current;
+    if (!initial.value && initial.useCurrentTime) {
+      const now = roundDownToFiveMinutes(getCurrentTime(initial.timeZone));
       setSelectedDate(now);
       setSelectedTime(format(now, 'HH:mm'));
-      onChange(format(now, 'yyyy-MM-dd HH:mm'));
+      initial.onChange(format(now, 'yyyy-MM-dd HH:mm'));
     }
   }, []);
+
+  // 외부에서 value가 바뀌는 경우(프리셋 적용 등)에도 달력/시간 선택 상태를 맞춤
+  useEffect(() => {
+    if (!value) return;
+    const parsed = parse(value, 'yyyy-MM-dd HH:mm', new Date());
+    if (isValid(parsed)) {
+      setSelectedDate(parsed);
+      setSelectedTime(format(parsed, 'HH:mm'));
+    }
+  }, [value]);
   
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -191,6 +203,7 @@ export default function DateTimePicker({ label, value, onChange, placeholder = '
       <div className="relative">
         <button
           type="button"
+          title={zoneLabel || undefined}
           onClick={() => !disabled && setIsOpen(!isOpen)}
           disabled={disabled}
           className={cn(
@@ -211,18 +224,19 @@ export default function DateTimePicker({ label, value, onChange, placeholder = '
         {isOpen && (
           <div className="absolute top-full left-0 mt-1 z-50 bg-[#192633] border border-slate-200/10 rounded-xl shadow-2xl overflow-hidden animate-fadeIn">
             <div className="flex">
-              <Calendar selected={selectedDate} onSelect={handleDateSelect} className="w-80" />
+              <Calendar selected={selectedDate} onSelect={handleDateSelect} today={getCurrentTime(timeZone)} className="w-80" />
               <TimePicker value={selectedTime} onChange={handleTimeSelect} />
             </div>
             <div className="flex justify-between items-center gap-2 px-4 py-3 border-t border-slate-200/10 bg-slate-800/30">
               <span className="text-sm text-slate-400">
                 {selectedDate && selectedTime ? `${format(selectedDate, 'yyyy-MM-dd')} ${selectedTime}` : '날짜와 시간을 선택하세요'}
+                {zoneLabel && <span className="block text-xs text-slate-500">{zoneLabel}</span>}
               </span>
               <div className="flex gap-2">
                 <button
                   type="button"
                   onClick={() => {
-                    const now = roundDownToFiveMinutes(new Date());
+                    const now = roundDownToFiveMinutes(getCurrentTime(timeZone));
                     setSelectedDate(now);
                     setSelectedTime(format(now, 'HH:mm'));
                     onChange(format(now, 'yyyy-MM-dd HH:mm'));
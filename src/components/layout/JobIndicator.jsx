@@ -0,0 +1,23 @@
+/**
+ * 진행 중인 분석 작업 표시 컴포넌트
+ * 작업이 있을 때만 헤더에 표시되며, 클릭 시 작업 센터로 이동합니다.
+ */
+
+import { Link } from 'react-router-dom';
+import { useAnalysisJobs } from '../../hooks/useAnalysisJobs';
+
+export default function JobIndicator() {
+  const { activeJobs } = useAnalysisJobs();
+
+  if (activeJobs.length === 0) return null;
+
+  return (
+    <Link
+      to="/jobs"
+      className="flex items-center gap-2 h-10 px-3 rounded-lg border border-[#2b8cee]/30 bg-[#2b8cee]/10 text-sm text-[#2b8cee] hover:bg-[#2b8cee]/20 transition-colors"
+    >
+      <span className="material-symbols-outlined animate-spin text-lg">progress_activity</span>
+      분석 {activeJobs.length}건 진행 중
+    </Link>
+  );
+}
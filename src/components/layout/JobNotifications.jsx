@@ -0,0 +1,72 @@
+/**
+ * 비동기 분석 완료 알림 컴포넌트
+ * 어느 페이지에 있든 화면 우측 하단에 표시됩니다.
+ */
+
+import { useNavigate } from 'react-router-dom';
+import { Button } from '../common/index.js';
+import { useAnalysisJobs } from '../../hooks/useAnalysisJobs';
+import { JOB_STATUS_LABELS, describeJobTarget, getJobResultId } from '../../lib/analysisJobs';
+import { cn } from '../../lib/utils';
+
+const noticeStyles = {
+  completed: { icon: 'check_circle', className: 'border-green-500/20 text-green-400' },
+  failed: { icon: 'error', className: 'border-red-500/20 text-red-400' },
+  cancelled: { icon: 'cancel', className: 'border-yellow-500/20 text-yellow-400' },
+};
+
+export default function JobNotifications() {
+  const navigate = useNavigate();
+  const { notices, dismissNotice } = useAnalysisJobs();
+
+  if (notices.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-6 right-6 z-50 flex w-80 flex-col gap-3">
+      {notices.map((job) => {
+        const style = noticeStyles[job.status] || noticeStyles.failed;
+        const resultId = getJobResultId(job);
+        return (
+          <div
+            key={job.id}
+            role="status"
+            className={cn('rounded-lg border bg-[#111a22] p-4 shadow-lg', style.className)}
+          >
+            <div className="flex items-start gap-3">
+              <span className="material-symbols-outlined">{style.icon}</span>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-white">
+                  LLM 분석 {JOB_STATUS_LABELS[job.status]}
+                </p>
+                <p className="text-xs text-slate-400 truncate">{describeJobTarget(job.params)}</p>
+                {job.error && <p className="text-xs mt-1">{job.error}</p>}
+              </div>
+              <button
+                type="button"
+                onClick={() => dismissNotice(job.id)}
+                className="text-slate-400 hover:text-white"
+                aria-label="알림 닫기"
+              >
+                <span className="material-symbols-outlined text-lg">close</span>
+              </button>
+            </div>
+            {resultId && (
+              <div className="flex justify-end mt-3">
+                <Button
+                  size="sm"
+                  icon="open_in_new"
+                  onClick={() => {
+                    dismissNotice(job.id);
+                    navigate(`/results/${resultId}`);
+                  }}
+                >
+                  결과 보기
+                </Button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -4,14 +4,20 @@
 
 import { Outlet } from 'react-router-dom';
 import Sidebar from './Sidebar';
+import JobNotifications from './JobNotifications';
+import SettingsConflictDialog from './SettingsConflictDialog';
+import OfflineBanner from './OfflineBanner';
 
 export default function Layout() {
   return (
     <div className="flex min-h-screen bg-[#101922]">
       <Sidebar />
       <main className="flex-1 p-8 overflow-auto">
+        <OfflineBanner />
         <Outlet />
       </main>
+      <JobNotifications />
+      <SettingsConflictDialog />
     </div>
   );
 }
@@ -0,0 +1,117 @@
+/**
+ * 오프라인 모드 배너
+ * 오프라인이거나 서버에 연결할 수 없는 동안, 또는 대기열(lib/outbox)에 적용할 변경이 남아 있는 동안 페이지 위쪽에 표시됩니다.
+ * 변경 내역에서 기록된 변경을 확인하고 항목별로 또는 모두 버릴 수 있습니다.
+ */
+
+import { useState } from 'react';
+import { Modal, Button } from '../common/index.js';
+import { usePreference } from '../../contexts/PreferenceContext.jsx';
+import { useOutbox } from '../../hooks/useOutbox';
+import { OUTBOX_KINDS, describeOutboxEntry, getSettingLabel } from '../../lib/outbox';
+import { formatConflictValue } from '../../lib/settingsConflict';
+import { useFormatters } from '../../hooks/useFormatters';
+import { cn } from '../../lib/utils';
+
+function QueuedChange({ entry, onDiscard }) {
+  const { formatDate } = useFormatters();
+  return (
+    <li className="rounded-lg border border-[#324d67] bg-[#192633] p-4">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-white">{describeOutboxEntry(entry)}</p>
+          <p className="text-xs text-slate-500">{formatDate(entry.createdAt)}</p>
+        </div>
+        <Button size="sm" variant="ghost" icon="delete" onClick={() => onDiscard(entry.id)}>
+          버리기
+        </Button>
+      </div>
+      {entry.kind === OUTBOX_KINDS.PREFERENCES && (
+        <dl className="mt-3 flex flex-col gap-1 text-xs">
+          {entry.keys.map((key) => (
+            <div key={key} className="flex min-w-0 gap-2">
+              <dt className="shrink-0 text-slate-400">{getSettingLabel(key)}</dt>
+              <dd className="truncate font-mono text-slate-300">
+                {formatConflictValue(entry.before[key])} → {formatConflictValue(entry.after[key])}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      )}
+      {entry.error && <p className="mt-2 text-xs text-red-400">적용 실패: {entry.error}</p>}
+    </li>
+  );
+}
+
+function QueuedChangesModal({ entries, onDiscard, onClose }) {
+  return (
+    <Modal isOpen onClose={onClose} title="저장 대기 중인 변경" size="lg">
+      <div className="flex flex-col gap-4">
+        <p className="text-sm text-slate-400">
+          서버에 연결되면 아래 순서대로 적용합니다. 그 사이 다른 곳에서 같은 설정이 바뀌었으면 적용 전에 충돌 해결 화면이 열립니다.
+        </p>
+        <ul className="flex flex-col gap-3">
+          {entries.map((entry) => (
+            <QueuedChange key={entry.id} entry={entry} onDiscard={(id) => onDiscard([id])} />
+          ))}
+        </ul>
+        <div className="flex justify-end gap-2 border-t border-slate-200/10 pt-4">
+          <Button variant="ghost" icon="delete_sweep" onClick={() => onDiscard(entries.map((entry) => entry.id))}>
+            모두 버리기
+          </Button>
+          <Button onClick={onClose}>닫기</Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+export default function OfflineBanner() {
+  const { offline, syncNow } = usePreference();
+  const { entries, replaying, discard } = useOutbox();
+  const [isListOpen, setIsListOpen] = useState(false);
+
+  if (!offline && entries.length === 0) return null;
+
+  const failed = entries.find((entry) => entry.error);
+  let icon = 'cloud_off';
+  let message = entries.length > 0 ? `오프라인 모드 · 저장 대기 ${entries.length}건` : '오프라인 모드';
+  let detail = '변경 사항은 이 브라우저에 보관했다가 서버에 연결되면 순서대로 적용합니다.';
+  if (replaying) {
+    icon = 'sync';
+    message = `대기 중인 변경 ${entries.length}건을 서버에 적용하는 중...`;
+    detail = null;
+  } else if (!offline) {
+    icon = 'sync_problem';
+    message = `서버에 적용하지 못한 변경 ${entries.length}건`;
+    detail = failed ? failed.error : '충돌을 해결하거나 다시 시도하면 이어서 적용합니다.';
+  }
+
+  return (
+    <>
+      <div
+        role="status"
+        className="mb-6 flex items-center gap-3 rounded-lg border border-yellow-500/20 bg-yellow-500/10 p-4 text-sm text-yellow-400"
+      >
+        <span className={cn('material-symbols-outlined', replaying && 'animate-spin')}>{icon}</span>
+        <div className="min-w-0 flex-1">
+          <p className="font-medium">{message}</p>
+          {detail && <p className="text-xs text-yellow-400/80">{detail}</p>}
+        </div>
+        {entries.length > 0 && (
+          <Button size="sm" variant="secondary" icon="list" onClick={() => setIsListOpen(true)}>
+            변경 내역
+          </Button>
+        )}
+        {!replaying && (
+          <Button size="sm" variant="secondary" icon="refresh" onClick={syncNow}>
+            {offline ? '다시 연결' : '다시 시도'}
+          </Button>
+        )}
+      </div>
+      {isListOpen && entries.length > 0 && (
+        <QueuedChangesModal entries={entries} onDiscard={discard} onClose={() => setIsListOpen(false)} />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,177 @@
+/**
+ * 설정 충돌 해결 모달
+ * 충돌 해결 요청 큐(lib/conflictDialog)의 요청을 차례로 표시합니다.
+ * 필드별로 양쪽 값과 수정 시각을 보여 주고, 추천 선택(LWW 분석 결과)에서 시작해 항목마다 고를 수 있습니다.
+ */
+
+import { useMemo, useState, useSyncExternalStore } from 'react';
+import { Modal, Badge, Button } from '../common/index.js';
+import {
+  subscribeConflictRequests,
+  getActiveConflictRequest,
+  settleConflictRequest,
+} from '../../lib/conflictDialog';
+import { buildConflictFields, applyFieldChoices, formatConflictValue } from '../../lib/settingsConflict';
+import { CONFLICT_SEVERITY } from '../../utils/constants';
+import { useFormatters } from '../../hooks/useFormatters';
+import { cn } from '../../lib/utils';
+
+const DEFAULT_LABELS = { local: '내 변경', server: '서버 값' };
+
+const severityBadge = (severity) => {
+  if (severity >= CONFLICT_SEVERITY.HIGH) return { variant: 'critical', label: '중요' };
+  if (severity >= CONFLICT_SEVERITY.MEDIUM) return { variant: 'warning', label: '보통' };
+  return { variant: 'default', label: '낮음' };
+};
+
+const recommendedChoices = (fields) => Object.fromEntries(fields.map((field) => [field.path, field.recommended]));
+
+function ChoiceChip({ selected, recommended, disabled, onClick, children }) {
+  return (
+    <button
+      type="button"
+      aria-pressed={selected}
+      disabled={disabled}
+      onClick={onClick}
+      className={cn(
+        'inline-flex items-center gap-1 rounded-full border px-3 py-1 text-xs font-medium transition-colors',
+        'disabled:cursor-not-allowed disabled:opacity-40',
+        selected
+          ? 'bg-[#2b8cee] border-[#2b8cee] text-white'
+          : 'border-[#324d67] text-slate-300 hover:bg-white/5'
+      )}
+    >
+      {children}
+      {recommended && <span className={cn('text-[10px]', selected ? 'text-white/80' : 'text-[#2b8cee]')}>추천</span>}
+    </button>
+  );
+}
+
+function ValueBox({ label, timestamp, value, active }) {
+  const { formatDate } = useFormatters();
+  return (
+    <div className={cn('min-w-0 flex-1 rounded-lg border p-3', active ? 'border-[#2b8cee]/60 bg-[#2b8cee]/5' : 'border-[#324d67] bg-[#192633]')}>
+      <p className="text-xs text-slate-400">
+        {label}
+        {timestamp && <span className="ml-1 text-slate-500">· {formatDate(timestamp)}</span>}
+      </p>
+      <p className="mt-1 truncate font-mono text-sm text-white" title={JSON.stringify(value) ?? ''}>
+        {formatConflictValue(value)}
+      </p>
+    </div>
+  );
+}
+
+function ConflictResolutionModal({ entry }) {
+  const { title, description, labels = DEFAULT_LABELS, base = null, local, server, keys } = entry.request;
+  const analysis = useMemo(() => buildConflictFields({ base, local, server, keys }), [base, local, server, keys]);
+  const [choices, setChoices] = useState(() => recommendedChoices(analysis.fields));
+
+  const conflicting = analysis.fields.filter((field) => field.conflicting);
+  const autoCount = analysis.fields.length - conflicting.length;
+
+  const choose = (path, choice) => setChoices((prev) => ({ ...prev, [path]: choice }));
+  const chooseAll = (choice) => {
+    setChoices({
+      ...recommendedChoices(analysis.fields),
+      ...Object.fromEntries(conflicting.map((field) => [field.path, choice])),
+    });
+  };
+
+  const postpone = () => settleConflictRequest(entry, null);
+  const apply = () => {
+    settleConflictRequest(entry, {
+      choices,
+      settings: applyFieldChoices(local, { base, local, server }, analysis.fields, choices),
+    });
+  };
+
+  return (
+    <Modal isOpen onClose={postpone} title={title} size="lg">
+      <div className="flex flex-col gap-4">
+        <div className="text-sm text-slate-400">
+          {description && <p>{description}</p>}
+          <p className="mt-1">
+            {conflicting.length}개 항목이 양쪽에서 다르게 바뀌었습니다.
+            {autoCount > 0 && ` 한쪽에서만 바뀐 ${autoCount}개 항목은 바뀐 값이 그대로 반영됩니다.`}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-slate-500">전체 선택</span>
+          <ChoiceChip onClick={() => chooseAll('local')}>{labels.local}</ChoiceChip>
+          <ChoiceChip onClick={() => chooseAll('server')}>{labels.server}</ChoiceChip>
+          <ChoiceChip onClick={() => setChoices(recommendedChoices(analysis.fields))}>추천대로</ChoiceChip>
+        </div>
+
+        <ul className="flex flex-col gap-3">
+          {conflicting.map((field) => {
+            const badge = severityBadge(field.severity);
+            const choice = choices[field.path];
+            return (
+              <li key={field.path} className="rounded-lg border border-[#324d67] bg-[#111a22] p-4">
+                <div className="mb-3 flex items-center justify-between gap-3">
+                  <code className="truncate text-sm text-white">{field.path}</code>
+                  <Badge variant={badge.variant}>{badge.label}</Badge>
+                </div>
+                <div className="flex flex-col gap-2 sm:flex-row">
+                  <ValueBox
+                    label={labels.local}
+                    timestamp={analysis.localTimestamp}
+                    value={field.localValue}
+                    active={choice === 'local'}
+                  />
+                  <ValueBox
+                    label={labels.server}
+                    timestamp={analysis.serverTimestamp}
+                    value={field.serverValue}
+                    active={choice === 'server'}
+                  />
+                </div>
+                <div className="mt-3 flex flex-wrap gap-2" role="group" aria-label={`${field.path} 선택`}>
+                  <ChoiceChip
+                    selected={choice === 'local'}
+                    recommended={field.recommended === 'local'}
+                    onClick={() => choose(field.path, 'local')}
+                  >
+                    {labels.local} 사용
+                  </ChoiceChip>
+                  <ChoiceChip
+                    selected={choice === 'server'}
+                    recommended={field.recommended === 'server'}
+                    onClick={() => choose(field.path, 'server')}
+                  >
+                    {labels.server} 사용
+                  </ChoiceChip>
+                  <ChoiceChip
+                    selected={choice === 'merge'}
+                    recommended={field.recommended === 'merge'}
+                    disabled={!field.mergeable}
+                    onClick={() => choose(field.path, 'merge')}
+                  >
+                    병합
+                  </ChoiceChip>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="flex justify-end gap-2 border-t border-slate-200/10 pt-4">
+          <Button variant="ghost" onClick={postpone}>
+            나중에
+          </Button>
+          <Button icon="merge" onClick={apply}>
+            적용
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+export default function SettingsConflictDialog() {
+  const entry = useSyncExternalStore(subscribeConflictRequests, getActiveConflictRequest);
+  if (!entry) return null;
+  return <ConflictResolutionModal key={entry.id} entry={entry} />;
+}
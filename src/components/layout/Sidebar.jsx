@@ -8,6 +8,9 @@ import { cn } from '../../lib/utils';
 const navItems = [
   { path: '/', label: 'Dashboard', icon: 'dashboard' },
   { path: '/results', label: '분석 결과', icon: 'pie_chart' },
+  { path: '/jobs', label: '분석 작업', icon: 'work_history' },
+  { path: '/trends', label: 'Trend Analysis', icon: 'trending_up' },
+  { path: '/monitoring', label: 'System Monitoring', icon: 'monitor_heart' },
   { path: '/preferences', label: 'Preferences', icon: 'settings' },
 ];
 
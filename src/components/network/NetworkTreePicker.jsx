@@ -0,0 +1,274 @@
+/**
+ * EMS → NE → 기술 → Cell 트리 선택 컴포넌트
+ *
+ * 단계별 tri-state 체크박스, 전 단계 검색, ID 붙여넣기를 지원합니다.
+ * 셀이 수천 개여도 보이는 행만 렌더링하도록 고정 높이 가상 스크롤을 사용합니다.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Button, Spinner } from '../common/index.js';
+import {
+  countSelected,
+  getCheckState,
+  getVisibleNodes,
+  matchPastedIds,
+  parseIdList,
+} from '../../lib/networkTree';
+import { cn } from '../../lib/utils';
+
+const ROW_HEIGHT = 36;
+const VIEWPORT_HEIGHT = 360;
+const OVERSCAN = 8;
+
+const LEVEL_ICONS = { ems: 'dns', ne: 'router', tech: 'settings_input_antenna', cell: 'cell_tower' };
+
+function TriStateCheckbox({ state, onChange, disabled, label }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    if (ref.current) ref.current.indeterminate = state === 'indeterminate';
+  }, [state]);
+  return (
+    <input
+      ref={ref}
+      type="checkbox"
+      checked={state === 'checked'}
+      onChange={onChange}
+      disabled={disabled}
+      aria-label={label}
+      className="accent-[#2b8cee] w-4 h-4"
+    />
+  );
+}
+
+function TreeRow({ node, tree, counts, expanded, searching, disabled, onToggleExpand, onToggleNode, onAddKeys }) {
+  const state = getCheckState(node, counts);
+  const selected = counts.get(node.id) || 0;
+  const hasChildren = node.children.length > 0;
+  const techNodes = node.level === 'ne' ? node.children.map((id) => tree.byId.get(id)) : [];
+
+  return (
+    <div
+      className="flex items-center gap-2 px-2 hover:bg-white/5 rounded"
+      style={{ height: ROW_HEIGHT, paddingLeft: 8 + node.depth * 20 }}
+    >
+      {hasChildren && !searching ? (
+        <button
+          type="button"
+          onClick={() => onToggleExpand(node.id)}
+          className="text-slate-400 hover:text-white"
+          aria-label={expanded ? '접기' : '펼치기'}
+        >
+          <span className="material-symbols-outlined text-lg">{expanded ? 'expand_more' : 'chevron_right'}</span>
+        </button>
+      ) : (
+        <span className="w-[18px]" />
+      )}
+      <TriStateCheckbox
+        state={state}
+        onChange={() => onToggleNode(node, state)}
+        disabled={disabled || node.leafKeys.length === 0}
+        label={`${node.label} 선택`}
+      />
+      <span className="material-symbols-outlined text-base text-slate-500">{LEVEL_ICONS[node.level]}</span>
+      <span className={cn('text-sm truncate', node.level === 'cell' ? 'text-slate-300' : 'text-white font-medium')}>
+        {node.label}
+      </span>
+      {node.level !== 'cell' && (
+        <span className="text-xs text-slate-500 shrink-0">
+          {selected}/{node.leafKeys.length}
+        </span>
+      )}
+      {techNodes.length > 0 && (
+        <div className="ml-auto flex gap-1 shrink-0">
+          {techNodes.map((techNode) => (
+            <button
+              key={techNode.id}
+              type="button"
+              disabled={disabled}
+              onClick={() => onAddKeys(techNode.leafKeys)}
+              className="px-2 py-0.5 rounded text-xs border border-[#324d67] text-slate-300 hover:text-white hover:border-[#2b8cee] disabled:opacity-50"
+              title={`이 NE의 ${techNode.label} 셀 전체 선택`}
+            >
+              {techNode.label} 전체
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function NetworkTreePicker({ tree, value = [], onChange, loading, disabled }) {
+  const [search, setSearch] = useState('');
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [pasteOpen, setPasteOpen] = useState(false);
+  const [pasteText, setPasteText] = useState('');
+  const [pasteResult, setPasteResult] = useState(null);
+  const viewportRef = useRef(null);
+
+  const selectedSet = useMemo(() => new Set(value), [value]);
+  const counts = useMemo(() => (tree ? countSelected(tree, value) : new Map()), [tree, value]);
+  const visibleNodes = useMemo(
+    () => (tree ? getVisibleNodes(tree, expandedIds, search) : []),
+    [tree, expandedIds, search]
+  );
+
+  // 목록이 (다시) 로드되면 EMS 단계까지 펼쳐서 표시
+  useEffect(() => {
+    setExpandedIds(new Set(tree ? tree.nodes.filter((node) => node.level === 'ems').map((node) => node.id) : []));
+  }, [tree]);
+
+  // 검색어가 바뀌면 목록 맨 위로
+  useEffect(() => {
+    setScrollTop(0);
+    if (viewportRef.current) viewportRef.current.scrollTop = 0;
+  }, [search]);
+
+  const startIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const endIndex = Math.min(visibleNodes.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+  const toggleExpand = (id) => {
+    setExpandedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const addKeys = (keys) => {
+    const next = new Set(selectedSet);
+    keys.forEach((key) => next.add(key));
+    onChange([...next]);
+  };
+
+  const toggleNode = (node, state) => {
+    if (state === 'checked') {
+      const remove = new Set(node.leafKeys);
+      onChange(value.filter((key) => !remove.has(key)));
+    } else {
+      addKeys(node.leafKeys);
+    }
+  };
+
+  const applyPaste = () => {
+    const ids = parseIdList(pasteText);
+    if (ids.length === 0 || !tree) return;
+    const { keys, unmatched } = matchPastedIds(tree, ids);
+    addKeys(keys);
+    setPasteResult({ matched: keys.length, unmatched });
+    if (unmatched.length === 0) {
+      setPasteText('');
+      setPasteOpen(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Spinner size="md" />
+        <span className="text-slate-400 ml-3">EMS 목록 로딩 중...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="relative flex-1 min-w-60">
+          <span className="material-symbols-outlined absolute left-3 top-1/2 -translate-y-1/2 text-slate-400 text-lg">
+            search
+          </span>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="EMS / NE / 기술 / Cell ID 검색"
+            disabled={disabled}
+            className="w-full h-10 rounded-lg bg-[#192633] border border-[#324d67] pl-10 pr-3 text-sm text-white placeholder:text-slate-400 focus:outline-none focus:border-[#2b8cee]"
+          />
+        </div>
+        <Button
+          type="button"
+          size="sm"
+          variant="secondary"
+          icon="content_paste"
+          disabled={disabled || !tree}
+          onClick={() => setPasteOpen((open) => !open)}
+        >
+          ID 붙여넣기
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant="ghost"
+          icon="deselect"
+          disabled={disabled || value.length === 0}
+          onClick={() => onChange([])}
+        >
+          선택 해제
+        </Button>
+      </div>
+
+      {pasteOpen && (
+        <div className="rounded-lg border border-slate-200/10 bg-slate-800/30 p-3 flex flex-col gap-2">
+          <textarea
+            value={pasteText}
+            onChange={(e) => setPasteText(e.target.value)}
+            rows={4}
+            placeholder={'쉼표 또는 줄바꿈으로 구분된 ID를 붙여넣으세요.\n예) 1234, 5678 또는 NE_ID/CELL_ID'}
+            className="w-full rounded-lg bg-[#192633] border border-[#324d67] p-3 text-sm text-white placeholder:text-slate-500 focus:outline-none focus:border-[#2b8cee]"
+          />
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-xs text-slate-400">NE ID는 해당 NE의 모든 셀, Cell ID는 일치하는 모든 셀을 선택합니다.</p>
+            <Button type="button" size="sm" onClick={applyPaste} disabled={!pasteText.trim()}>
+              선택에 추가
+            </Button>
+          </div>
+        </div>
+      )}
+      {pasteResult && (
+        <p className={cn('text-xs', pasteResult.unmatched.length > 0 ? 'text-yellow-400' : 'text-green-400')}>
+          {`${pasteResult.matched}개 셀을 추가했습니다.`}
+          {pasteResult.unmatched.length > 0 && (
+            <span className="block mt-1">찾을 수 없는 ID: {pasteResult.unmatched.join(', ')}</span>
+          )}
+        </p>
+      )}
+
+      <div
+        ref={viewportRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="overflow-y-auto rounded-lg border border-[#324d67] bg-[#111a22]"
+        style={{ height: VIEWPORT_HEIGHT }}
+        role="tree"
+      >
+        {visibleNodes.length === 0 ? (
+          <p className="text-slate-400 text-sm text-center py-8">
+            {tree?.nodes.length ? '일치하는 항목이 없습니다.' : 'EMS 목록을 불러올 수 없습니다. 네트워크 연결을 확인하세요.'}
+          </p>
+        ) : (
+          <div style={{ height: visibleNodes.length * ROW_HEIGHT, position: 'relative' }}>
+            <div style={{ transform: `translateY(${startIndex * ROW_HEIGHT}px)` }}>
+              {visibleNodes.slice(startIndex, endIndex).map((node) => (
+                <TreeRow
+                  key={node.id}
+                  node={node}
+                  tree={tree}
+                  counts={counts}
+                  expanded={expandedIds.has(node.id)}
+                  searching={Boolean(search.trim())}
+                  disabled={disabled}
+                  onToggleExpand={toggleExpand}
+                  onToggleNode={toggleNode}
+                  onAddKeys={addKeys}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,4 @@
+/**
+ * 네트워크 요소 선택 컴포넌트 export
+ */
+export { default as NetworkTreePicker } from "./NetworkTreePicker.jsx";
@@ -0,0 +1,529 @@
+/**
+ * 비동기 분석 작업 Context
+ *
+ * 앱 전역에서 비동기 LLM 분석 작업을 시작/폴링/취소합니다.
+ * Router 아래에 마운트되므로 페이지를 이동해도 작업 추적이 유지되며,
+ * 작업이 끝나면 알림 목록(notices)과 브라우저 알림으로 완료를 알립니다.
+ * 셀별 분석 배치(batches)도 여기서 동시 실행 수를 제한하며 순서대로 시작합니다.
+ * 여러 탭을 열면 리더 탭만 상태를 폴링하고, 작업 시작/진행/완료는 탭 간 메시지로 다른 탭에 전달합니다.
+ * 배치 항목은 배치 임대를 가진 탭 하나가 시작합니다. 요청 본문(비밀번호 포함)을 가진 시작한 탭이 먼저 맡고,
+ * 그 탭이 닫혀 임대가 만료되면 리더 탭이 이어받습니다. 배치 저장은 리더 탭이 맡고,
+ * 배치 변경(BATCH_ACTIONS)은 탭 메시지로 모든 탭에 같은 방식으로 적용합니다.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  startAsyncAnalysis,
+  getAsyncAnalysisStatus,
+  getAsyncAnalysisResult,
+  cancelAsyncAnalysis,
+  getAsyncAnalysisList,
+} from '../lib/api.js';
+import { usePreference } from './PreferenceContext.jsx';
+import {
+  JOB_POLL_INTERVAL_MS,
+  MAX_POLL_ERRORS,
+  JOB_STATUS_LABELS,
+  isActiveJob,
+  normalizeJobStatus,
+  sanitizeJobParams,
+  extractJobResult,
+  extractServerJobs,
+  mergeServerJobs,
+  describeJobTarget,
+  loadJobs,
+  saveJobs,
+} from '../lib/analysisJobs';
+import {
+  getResultVerdict,
+  isBatchActive,
+  getNextBatchItems,
+  applyBatchAction,
+  requeueUnstartedItems,
+  BATCH_ACTIONS,
+  summarizeBatch,
+  loadBatches,
+  saveBatches,
+} from '../lib/analysisBatch';
+import { readDbProfiles, findDbProfile } from '../lib/dbSettings';
+import { withCredentials, importPasswords, getCredentialStatus } from '../lib/dbCredentials';
+import { getTabCoordinator, TAB_MESSAGES, TAB_HEARTBEAT_MS } from '../lib/tabCoordinator';
+import { useTabLeader } from '../hooks/useTabLeader';
+import { AnalysisJobContext } from '../hooks/useAnalysisJobs';
+
+const getErrorMessage = (err, fallback) => err?.response?.data?.detail || err?.message || fallback;
+
+const getBatchLeaseKey = (batchId) => `batch:${batchId}`;
+
+// 다른 탭에 보낼 작업 정보 (결과 본문은 받은 탭이 resultId 로 다시 조회)
+const toTabMessageJob = (job) => {
+  const { result: _result, ...rest } = job;
+  return rest;
+};
+
+// 같은 id 는 제자리에서 갱신하고, 없으면 맨 앞에 추가
+const upsertJob = (jobs, job) =>
+  jobs.some((j) => j.id === job.id) ? jobs.map((j) => (j.id === job.id ? { ...j, ...job } : j)) : [job, ...jobs];
+
+function requestNotificationPermission() {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'default') return;
+  Notification.requestPermission().catch(() => {});
+}
+
+// 탭이 백그라운드일 때만 브라우저 알림을 띄움 (포그라운드는 화면 내 알림으로 충분)
+function showBrowserNotification(job) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  if (typeof document !== 'undefined' && !document.hidden) return;
+  try {
+    new Notification(`LLM 분석 ${JOB_STATUS_LABELS[job.status]}`, {
+      body: describeJobTarget(job.params),
+      tag: `analysis-job-${job.id}`,
+    });
+  } catch (e) {
+    console.warn('[AnalysisJobContext] 브라우저 알림 실패:', e);
+  }
+}
+
+function showBatchNotification(batch) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  if (typeof document !== 'undefined' && !document.hidden) return;
+  const { verdictCounts, failed } = summarizeBatch(batch);
+  try {
+    new Notification('셀별 LLM 분석 완료', {
+      body: `Critical ${verdictCounts.critical} · Warning ${verdictCounts.warning} · Normal ${verdictCounts.normal} · 실패 ${failed.length}`,
+      tag: `analysis-batch-${batch.id}`,
+    });
+  } catch (e) {
+    console.warn('[AnalysisJobContext] 브라우저 알림 실패:', e);
+  }
+}
+
+export function AnalysisJobProvider({ children }) {
+  const [jobs, setJobs] = useState(() => loadJobs());
+  const [notices, setNotices] = useState([]);
+  const [batches, setBatches] = useState(() => loadBatches());
+  // 재실행 시 연결 프로필 조회용 (PreferenceProvider 아래에 마운트)
+  const { settings: preferences } = usePreference();
+  const isLeader = useTabLeader();
+  const jobsRef = useRef(jobs);
+  const pollErrorsRef = useRef({});
+  // 배치 항목별 실제 요청 본문 (비밀번호 포함, 메모리에만 보관)
+  const batchRequestsRef = useRef(new Map());
+  // 이 탭에서 시작한 배치 id
+  const ownBatchesRef = useRef(new Set());
+  // 이 탭이 임대를 가져 항목을 시작하는 배치 id
+  const [heldBatchIds, setHeldBatchIds] = useState(() => new Set());
+  const heldBatchIdsRef = useRef(heldBatchIds);
+  const launchingRef = useRef(new Set());
+
+  useEffect(() => {
+    jobsRef.current = jobs;
+    saveJobs(jobs);
+  }, [jobs]);
+
+  // 탭마다 저장하면 늦게 쓴 탭의 상태가 덮어쓰므로 리더 탭만 저장
+  useEffect(() => {
+    if (isLeader) saveBatches(batches);
+  }, [batches, isLeader]);
+
+  const patchJob = useCallback((id, patch, { broadcast = true } = {}) => {
+    setJobs((prev) => prev.map((job) => (job.id === id ? { ...job, ...patch } : job)));
+    if (broadcast) getTabCoordinator().post(TAB_MESSAGES.JOB_PATCHED, { id, patch });
+  }, []);
+
+  const dispatchBatch = useCallback((action, { broadcast = true } = {}) => {
+    setBatches((prev) => applyBatchAction(prev, action));
+    if (broadcast) getTabCoordinator().post(TAB_MESSAGES.BATCH_ACTION, { action });
+  }, []);
+
+  // 배치에 속한 작업의 최종 상태를 배치 항목에도 기록
+  const syncBatchItem = useCallback(
+    (jobId, patch, options) => dispatchBatch({ type: BATCH_ACTIONS.JOB_SYNCED, jobId, patch }, options),
+    [dispatchBatch]
+  );
+
+  /**
+   * 끝난 작업을 화면 내 알림 목록에 추가합니다. 배치 작업이면 배치 항목만 갱신하고 false 를 반환합니다.
+   */
+  const announceFinished = useCallback(
+    (job) => {
+      if (job.batchId) {
+        // 배치 작업은 셀마다 알리지 않고 배치가 끝날 때 한 번 알림
+        // 완료 메시지(JOB_FINISHED)를 받은 탭마다 직접 반영하므로 다시 전달하지 않음
+        syncBatchItem(
+          job.id,
+          {
+            status: job.status,
+            resultId: job.resultId || null,
+            verdict: getResultVerdict(job.result),
+            error: job.error || null,
+          },
+          { broadcast: false }
+        );
+        return false;
+      }
+      setNotices((prev) => [...prev.filter((n) => n !== job.id), job.id]);
+      return true;
+    },
+    [syncBatchItem]
+  );
+
+  const finishJob = useCallback(
+    (id, patch) => {
+      const job = jobsRef.current.find((j) => j.id === id);
+      if (!job || !isActiveJob(job)) return;
+      const finished = { ...job, ...patch, finishedAt: Date.now() };
+      patchJob(id, { ...patch, finishedAt: finished.finishedAt }, { broadcast: false });
+      getTabCoordinator().post(TAB_MESSAGES.JOB_FINISHED, { job: toTabMessageJob(finished) });
+      if (announceFinished(finished)) showBrowserNotification(finished);
+    },
+    [patchJob, announceFinished]
+  );
+
+  const pollJob = useCallback(
+    async (job) => {
+      try {
+        const statusData = await getAsyncAnalysisStatus(job.id);
+        pollErrorsRef.current[job.id] = 0;
+        const status = normalizeJobStatus(statusData?.status);
+
+        if (status === 'completed') {
+          let result = extractJobResult(statusData?.result_data);
+          if (!result) {
+            result = extractJobResult(await getAsyncAnalysisResult(job.id));
+          }
+          finishJob(job.id, {
+            status,
+            progress: 100,
+            result,
+            resultId: result?.id || statusData?.result_id || null,
+          });
+        } else if (status === 'failed' || status === 'cancelled') {
+          finishJob(job.id, {
+            status,
+            error: status === 'failed' ? statusData?.error_message || '분석이 실패했습니다.' : null,
+          });
+        } else {
+          patchJob(job.id, { status, progress: statusData?.progress ?? job.progress });
+        }
+      } catch (err) {
+        // 일시적인 네트워크 오류는 재시도하고, 연속 실패 시에만 실패 처리
+        const count = (pollErrorsRef.current[job.id] || 0) + 1;
+        pollErrorsRef.current[job.id] = count;
+        console.warn('[AnalysisJobContext] 상태 조회 실패:', job.id, err);
+        if (count >= MAX_POLL_ERRORS || err?.response?.status === 404) {
+          finishJob(job.id, { status: 'failed', error: getErrorMessage(err, '작업 상태를 확인할 수 없습니다.') });
+        }
+      }
+    },
+    [finishJob, patchJob]
+  );
+
+  const hasActiveJobs = jobs.some(isActiveJob);
+
+  // 상태 폴링은 리더 탭에서만 실행 (리더가 닫히면 다른 탭이 이어받음)
+  useEffect(() => {
+    if (!hasActiveJobs || !isLeader) return undefined;
+    let polling = false;
+    const tick = async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        await Promise.all(jobsRef.current.filter(isActiveJob).map(pollJob));
+      } finally {
+        polling = false;
+      }
+    };
+    tick();
+    const interval = setInterval(tick, JOB_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasActiveJobs, isLeader, pollJob]);
+
+  /**
+   * 비동기 분석 시작. 생성된 작업 id를 반환합니다.
+   */
+  const startJob = useCallback(async (requestParams, { batchId = null } = {}) => {
+    requestNotificationPermission();
+    const response = await startAsyncAnalysis(requestParams);
+    const id = response?.analysis_id;
+    if (!id) throw new Error('분석 작업 ID를 받지 못했습니다.');
+    const job = {
+      id,
+      status: normalizeJobStatus(response?.status),
+      progress: 0,
+      params: sanitizeJobParams(requestParams),
+      startedAt: Date.now(),
+      finishedAt: null,
+      resultId: null,
+      error: null,
+      // 배치 작업은 Dashboard 단일 작업 패널 대신 배치 패널에 표시
+      dismissed: Boolean(batchId),
+      batchId,
+    };
+    setJobs((prev) => [job, ...prev.filter((j) => j.id !== id)]);
+    getTabCoordinator().post(TAB_MESSAGES.JOB_STARTED, { job });
+    return id;
+  }, []);
+
+  // 사용자가 직접 취소한 작업은 완료 알림을 띄우지 않음
+  const cancelJob = useCallback(
+    async (id) => {
+      await cancelAsyncAnalysis(id);
+      patchJob(id, { status: 'cancelled', finishedAt: Date.now() });
+      syncBatchItem(id, { status: 'cancelled' });
+    },
+    [patchJob, syncBatchItem]
+  );
+
+  /**
+   * 저장된 요청 파라미터 → { params, missingPassword }
+   * 저장된 파라미터에는 DB 비밀번호가 없으므로 요청에 기록된 연결 프로필(없으면 기본 프로필)의 세션 자격 증명으로 보완합니다.
+   * 이 탭 세션에 그 프로필의 비밀번호가 없으면 missingPassword 가 true 입니다.
+   */
+  const fillCredentials = useCallback(
+    (savedParams) => {
+      const params = { ...savedParams };
+      if (!params.db_config) return { params, missingPassword: false };
+      const { profiles, defaultId, legacyPasswords } = readDbProfiles(preferences);
+      // DB 프로필을 쓰는 화면(useDbSettings)을 아직 열지 않았다면 예전 평문 비밀번호가 세션에 없을 수 있음
+      importPasswords(legacyPasswords);
+      const profile = findDbProfile(profiles, params.db_profile) || findDbProfile(profiles, defaultId);
+      if (!profile) return { params, missingPassword: false };
+      params.db_config = { ...params.db_config, password: withCredentials(profile).settings.password };
+      return { params, missingPassword: !getCredentialStatus(profile.id).inSession };
+    },
+    [preferences]
+  );
+
+  /**
+   * 저장된 요청 파라미터로 분석을 다시 시작합니다. (재시도 / 같은 조건으로 재분석)
+   */
+  const rerunJob = useCallback(
+    async (savedParams, options) => startJob(fillCredentials(savedParams).params, options),
+    [startJob, fillCredentials]
+  );
+
+  const retryJob = useCallback(
+    async (id) => {
+      const job = jobsRef.current.find((j) => j.id === id);
+      if (!job) throw new Error('작업을 찾을 수 없습니다.');
+      return rerunJob(job.params);
+    },
+    [rerunJob]
+  );
+
+  /**
+   * 서버의 작업 목록(getAsyncAnalysisList)을 로컬 목록과 병합합니다.
+   * 병합한 작업은 다른 탭에도 전달해 리더 탭이 진행 중인 작업을 폴링하도록 합니다.
+   */
+  const refreshJobs = useCallback(async () => {
+    const response = await getAsyncAnalysisList();
+    const serverJobs = extractServerJobs(response);
+    const serverIds = new Set(serverJobs.map((job) => job.id));
+    setJobs((prev) => mergeServerJobs(prev, serverJobs));
+    mergeServerJobs(jobsRef.current, serverJobs)
+      .filter((job) => serverIds.has(job.id))
+      .forEach((job) => getTabCoordinator().post(TAB_MESSAGES.JOB_STARTED, { job: toTabMessageJob(job) }));
+    return serverJobs;
+  }, []);
+
+  /**
+   * 배치 항목 하나를 시작합니다.
+   * 새로고침하거나 다른 탭이 시작한 배치라 메모리의 요청 본문이 없으면 저장된 파라미터 + 현재 DB 설정으로 다시 만들며,
+   * 이 탭 세션에 DB 비밀번호가 없으면 빈 비밀번호로 요청하지 않고 항목을 실패 처리합니다.
+   */
+  const launchBatchItem = useCallback(
+    async (batchId, item) => {
+      const launchKey = `${batchId}:${item.key}`;
+      if (launchingRef.current.has(launchKey)) return;
+      launchingRef.current.add(launchKey);
+      const patchItem = (patch) => dispatchBatch({ type: BATCH_ACTIONS.ITEM_PATCHED, id: batchId, key: item.key, patch });
+      patchItem({ status: 'pending' });
+      try {
+        let request = batchRequestsRef.current.get(launchKey);
+        if (!request) {
+          const filled = fillCredentials(item.params);
+          if (filled.missingPassword) {
+            throw new Error('이 탭 세션에 DB 비밀번호가 없어 분석을 요청하지 않았습니다. 비밀번호를 입력한 뒤 다시 시도하세요.');
+          }
+          request = filled.params;
+        }
+        const jobId = await startJob(request, { batchId });
+        patchItem({ jobId });
+      } catch (err) {
+        console.error('[AnalysisJobContext] 배치 항목 시작 실패:', item.key, err);
+        patchItem({ status: 'failed', error: getErrorMessage(err, '분석 요청에 실패했습니다.') });
+      } finally {
+        launchingRef.current.delete(launchKey);
+      }
+    },
+    [dispatchBatch, startJob, fillCredentials]
+  );
+
+  // 배치 임대를 주기적으로 차지/갱신
+  // 시작한 탭은 끝난 배치도 계속 가져 다시 시도할 때 자신의 요청 본문으로 실행하고,
+  // 리더 탭은 임대가 만료된(시작한 탭이 닫힌) 진행 중 배치만 이어받습니다.
+  useEffect(() => {
+    const claimBatches = () => {
+      const coordinator = getTabCoordinator();
+      const previous = heldBatchIdsRef.current;
+      const held = new Set();
+      batches.forEach((batch) => {
+        const own = ownBatchesRef.current.has(batch.id);
+        if (!own && !(isLeader && !batch.finishedAt)) {
+          if (previous.has(batch.id)) coordinator.releaseLease(getBatchLeaseKey(batch.id));
+          return;
+        }
+        if (!coordinator.claimLease(getBatchLeaseKey(batch.id))) return;
+        held.add(batch.id);
+        // 새로 맡은 배치는 이전 탭이 시작하다 만 항목(작업 id 없음)을 다시 대기 상태로
+        const launching = [...launchingRef.current].some((key) => key.startsWith(`${batch.id}:`));
+        if (!previous.has(batch.id) && !launching && requeueUnstartedItems(batch) !== batch) {
+          dispatchBatch({ type: BATCH_ACTIONS.REQUEUED, id: batch.id });
+        }
+      });
+      if (held.size === previous.size && [...held].every((id) => previous.has(id))) return;
+      heldBatchIdsRef.current = held;
+      setHeldBatchIds(held);
+    };
+    claimBatches();
+    const interval = setInterval(claimBatches, TAB_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, [batches, isLeader, dispatchBatch]);
+
+  // 빈 실행 슬롯이 생기면 대기 항목을 시작하고, 모든 항목이 끝난 배치는 완료 처리
+  // 같은 항목을 여러 탭이 중복 실행하지 않도록 배치 임대를 가진 탭에서만 실행
+  useEffect(() => {
+    batches.forEach((batch) => {
+      if (batch.finishedAt || !heldBatchIds.has(batch.id)) return;
+      if (!isBatchActive(batch)) {
+        dispatchBatch({ type: BATCH_ACTIONS.PATCHED, id: batch.id, patch: { finishedAt: Date.now() } });
+        if (!batch.cancelled) showBatchNotification(batch);
+        return;
+      }
+      getNextBatchItems(batch).forEach((item) => launchBatchItem(batch.id, item));
+    });
+  }, [batches, heldBatchIds, dispatchBatch, launchBatchItem]);
+
+  /**
+   * 셀별 분석 배치 시작 (createBatch 결과를 그대로 전달)
+   */
+  const startBatch = useCallback(
+    ({ batch, requests }) => {
+      requestNotificationPermission();
+      requests.forEach((params, key) => batchRequestsRef.current.set(`${batch.id}:${key}`, params));
+      ownBatchesRef.current.add(batch.id);
+      dispatchBatch({ type: BATCH_ACTIONS.STARTED, batch });
+      return batch.id;
+    },
+    [dispatchBatch]
+  );
+
+  // 대기 항목은 실행하지 않고, 진행 중인 작업은 서버에 취소 요청
+  const cancelBatch = useCallback(
+    async (id) => {
+      const batch = batches.find((b) => b.id === id);
+      if (!batch) return;
+      dispatchBatch({ type: BATCH_ACTIONS.CANCELLED, id });
+      const running = batch.items.filter((item) => item.jobId && isActiveJob(item));
+      const results = await Promise.allSettled(running.map((item) => cancelJob(item.jobId)));
+      const failure = results.find((r) => r.status === 'rejected');
+      if (failure) throw failure.reason;
+    },
+    [batches, dispatchBatch, cancelJob]
+  );
+
+  const retryBatch = useCallback((id) => dispatchBatch({ type: BATCH_ACTIONS.RETRIED, id }), [dispatchBatch]);
+
+  const dismissBatch = useCallback(
+    (id) => dispatchBatch({ type: BATCH_ACTIONS.PATCHED, id, patch: { dismissed: true } }),
+    [dispatchBatch]
+  );
+
+  const dropJob = useCallback((id) => {
+    setJobs((prev) => prev.filter((job) => job.id !== id || isActiveJob(job)));
+    setNotices((prev) => prev.filter((n) => n !== id));
+  }, []);
+
+  const removeJob = useCallback(
+    (id) => {
+      dropJob(id);
+      getTabCoordinator().post(TAB_MESSAGES.JOB_REMOVED, { id });
+    },
+    [dropJob]
+  );
+
+  const dismissJob = useCallback((id) => patchJob(id, { dismissed: true }), [patchJob]);
+
+  const dismissNotice = useCallback((id) => {
+    setNotices((prev) => prev.filter((n) => n !== id));
+  }, []);
+
+  // 다른 탭에서 시작/갱신/완료/삭제된 작업과 배치 변경 반영
+  useEffect(() => {
+    const coordinator = getTabCoordinator();
+    const unsubscribes = [
+      coordinator.subscribe(TAB_MESSAGES.JOB_STARTED, ({ job }) => setJobs((prev) => upsertJob(prev, job))),
+      coordinator.subscribe(TAB_MESSAGES.JOB_PATCHED, ({ id, patch }) => patchJob(id, patch, { broadcast: false })),
+      coordinator.subscribe(TAB_MESSAGES.JOB_FINISHED, ({ job }) => {
+        setJobs((prev) => upsertJob(prev, job));
+        announceFinished(job);
+      }),
+      coordinator.subscribe(TAB_MESSAGES.JOB_REMOVED, ({ id }) => dropJob(id)),
+      coordinator.subscribe(TAB_MESSAGES.BATCH_ACTION, ({ action }) => dispatchBatch(action, { broadcast: false })),
+    ];
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [patchJob, announceFinished, dropJob, dispatchBatch]);
+
+  // 배치 항목 진행률은 작업 목록의 최신 값으로 표시
+  const batchesView = useMemo(() => {
+    const byId = new Map(jobs.map((job) => [job.id, job]));
+    return batches.map((batch) => ({
+      ...batch,
+      items: batch.items.map((item) => {
+        const job = item.jobId ? byId.get(item.jobId) : null;
+        return job && isActiveJob(job) ? { ...item, status: job.status, progress: job.progress } : item;
+      }),
+    }));
+  }, [batches, jobs]);
+
+  const value = useMemo(
+    () => ({
+      jobs,
+      activeJobs: jobs.filter(isActiveJob),
+      batches: batchesView,
+      notices: notices.map((id) => jobs.find((job) => job.id === id)).filter(Boolean),
+      startJob,
+      cancelJob,
+      retryJob,
+      rerunJob,
+      refreshJobs,
+      removeJob,
+      dismissJob,
+      dismissNotice,
+      startBatch,
+      cancelBatch,
+      retryBatch,
+      dismissBatch,
+    }),
+    [
+      jobs,
+      batchesView,
+      notices,
+      startJob,
+      cancelJob,
+      retryJob,
+      rerunJob,
+      refreshJobs,
+      removeJob,
+      dismissJob,
+      dismissNotice,
+      startBatch,
+      cancelBatch,
+      retryBatch,
+      dismissBatch,
+    ]
+  );
+
+  return <AnalysisJobContext.Provider value={value}>{children}</AnalysisJobContext.Provider>;
+}
@@ -1,26 +1,57 @@
 /**
- * 단순화된 Preference Context Provider
- * 
- * 사용자 설정을 전역적으로 관리하는 React Context입니다.
- * 복잡한 로직은 별도 훅으로 분리하여 안정성을 높였습니다.
- * 
+ * 사용자 설정 Context (앱 전역 설정 저장소)
+ *
+ * 서버의 사용자 설정 문서(/preference/settings)를 앱 루트에서 한 번만 불러와 모든 페이지가 함께 사용합니다.
+ *
  * 주요 기능:
- * - 단순한 상태 관리
- * - 기본 설정값 제공
- * - 안전한 초기화
- * - 에러 처리
- * 
+ * - 변경은 즉시 화면과 로컬 사본(usePreferenceStorage)에 반영하고, 잠시 뒤 백그라운드로 서버에 저장
+ * - BackgroundSyncManager 로 주기적/포커스 시 서버 사본을 다시 읽어 다른 곳에서 바뀐 설정을 반영
+ * - 저장 전에 서버 사본과 3-way 병합하며, 같은 필드를 양쪽에서 다르게 바꾸면 충돌로 멈추고 충돌 해결 모달에서 선택을 기다림
+ * - 서버에 연결할 수 없으면 로컬 사본으로 동작 (source === 'cache')
+ * - 여러 탭을 열면 리더 탭만 백그라운드 동기화를 실행하고, 변경/동기화 결과는 탭 간 메시지로 즉시 공유
+ * - 오프라인이거나 서버에 연결할 수 없는 동안의 변경은 대기열(lib/outbox)에 기록하고, 연결되면 기록 순서대로 먼저 재적용
+ * - generalSettings 의 시간대/날짜/숫자 형식으로 만든 표시 형식기(formatter) 제공 (useFormatters)
+ *
  * 사용법:
- * - App.jsx에서 <PreferenceProvider>로 앱을 감싸기
- * - 컴포넌트에서 usePreference() 훅 사용
- * 
- * 리팩토링 버전: 복잡한 로직을 분리하여 안정성 향상
+ * - App.jsx 에서 <PreferenceProvider> 로 앱을 감싸기
+ * - 컴포넌트에서 usePreference() 훅으로 settings 를 읽고 updateSettings(current => next) 로 변경
  */
 
-import React, { createContext, useContext, useState, useCallback, useEffect, useRef, useMemo } from 'react'
-import { logPreference, createDefaultSettings, mergeSettings, validateSettings } from '@/utils/preferenceUtils'
+import { createContext, useContext, useState, useCallback, useEffect, useRef, useMemo } from 'react'
+import { createDefaultSettings } from '@/utils/preferenceUtils'
+import { BackgroundSyncManager } from '@/utils/backgroundSyncUtils'
+import { SYNC_STRATEGIES, SYNC_STATES } from '@/utils/constants'
 import usePreferenceStorage from '@/hooks/usePreferenceStorage'
 import usePreferenceAPI from '@/hooks/usePreferenceAPI'
+import { useTabLeader } from '@/hooks/useTabLeader'
+import {
+  SYNC_STATUS,
+  SYNC_DEBOUNCE_MS,
+  MIN_PULL_INTERVAL_MS,
+  isSameValue,
+  stampDocument,
+  getChangedKeys,
+  mergeDocuments,
+  readSnapshot,
+} from '@/lib/preferenceSync'
+import { buildConflictFields, applyFieldChoices } from '@/lib/settingsConflict'
+import { requestConflictResolution } from '@/lib/conflictDialog'
+import { getTabCoordinator, TAB_MESSAGES } from '@/lib/tabCoordinator'
+import {
+  OUTBOX_KINDS,
+  createPreferenceChange,
+  applyPreferenceChange,
+  discardPreferenceChanges,
+  enqueueOutbox,
+  completeOutboxEntries,
+  registerOutboxHandler,
+  replayOutbox,
+  loadOutbox,
+  getOutboxState,
+  isOfflineError,
+} from '@/lib/outbox'
+import { DEFAULT_USER_ID } from '@/lib/resultColumns'
+import { createFormatter } from '@/lib/formatting'
 
 // ================================
 // Context 생성
@@ -28,333 +59,427 @@ import usePreferenceAPI from '@/hooks/usePreferenceAPI'
 
 const PreferenceContext = createContext(null)
 
+const getErrorMessage = (error) =>
+  error?.response?.data?.detail || error?.message || '설정을 서버와 동기화하지 못했습니다.'
+
+const getQueuedChanges = () =>
+  getOutboxState().entries.filter((entry) => entry.kind === OUTBOX_KINDS.PREFERENCES)
+
 // ================================
-// Provider 컴포넌트 (단순화)
+// Provider 컴포넌트
 // ================================
 
-export const PreferenceProvider = ({ children }) => {
-  // 기본 설정값 생성 (메모이제이션으로 불필요한 재생성 방지)
+export const PreferenceProvider = ({ children, userId = DEFAULT_USER_ID }) => {
   const defaultSettings = useMemo(() => createDefaultSettings(), [])
-  
-  // 상태 관리 (단순화)
-  const [settings, setSettings] = useState(defaultSettings)
-  const [loading, setLoading] = useState(false)
-  const [saving, setSaving] = useState(false)
+
+  const [settings, setSettings] = useState({})
+  // 'server' | 'cache' | null (아직 서버 응답 전이거나 로컬 사본도 없음)
+  const [source, setSource] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [syncStatus, setSyncStatus] = useState(SYNC_STATUS.IDLE)
   const [error, setError] = useState(null)
-  const [initialized, setInitialized] = useState(false)
-  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false)
-  const [lastModified, setLastModified] = useState(null)
-  
-  // 마운트 상태 추적
-  const mountedRef = useRef(false)
-  
-  // 분리된 훅들 사용
-  const storage = usePreferenceStorage()
-  const api = usePreferenceAPI()
+  const [conflict, setConflict] = useState(null)
+  const [lastSynced, setLastSynced] = useState(null)
+  // 오프라인이거나 마지막 동기화가 실패한 상태 (이 동안의 변경은 대기열에 기록)
+  const [offline, setOffline] = useState(false)
+
+  // 동기화 콜백은 렌더와 무관하게 최신 값을 읽어야 하므로 ref 로 보관
+  const documentRef = useRef({})
+  const baseRef = useRef(null)
+  const lastEditRef = useRef(0)
+  const lastPullRef = useRef(0)
+  const conflictRef = useRef(null)
+  const managerRef = useRef(null)
+  const reviewRef = useRef(null)
+  const autoReviewedRef = useRef(null)
+  const offlineRef = useRef(false)
+
+  const isLeader = useTabLeader()
+  const { saveSettings: saveSnapshot, loadSettings: loadSnapshot } = usePreferenceStorage()
+  const { getUserPreferences, saveUserPreferences } = usePreferenceAPI()
+
+  const storeLocal = useCallback(() => {
+    saveSnapshot({ document: documentRef.current, base: baseRef.current })
+  }, [saveSnapshot])
+
+  const hasPendingChanges = useCallback(() => getChangedKeys(baseRef.current, documentRef.current).length > 0, [])
+
+  const markOffline = useCallback((next) => {
+    offlineRef.current = next
+    setOffline(next)
+  }, [])
+
+  /**
+   * 다른 탭에 현재 문서/충돌 상태 전달 (동기화 결과는 status 등을 함께 전달)
+   */
+  const publishState = useCallback((extra = {}) => {
+    getTabCoordinator().post(TAB_MESSAGES.PREFERENCES_STATE, {
+      document: documentRef.current,
+      base: baseRef.current,
+      conflict: conflictRef.current,
+      ...extra,
+    })
+  }, [])
+
+  /**
+   * 다른 탭이 보낸 상태 반영 (로컬 사본은 보낸 탭이 이미 저장)
+   */
+  const adoptState = useCallback(({ document, base, conflict: nextConflict, status, lastSynced: syncedAt, source: nextSource, error: nextError }) => {
+    // 같은 충돌이면 기존 객체를 유지해 이미 미룬 충돌 모달이 다시 열리지 않도록 함
+    const sameConflict = nextConflict && conflictRef.current?.detectedAt === nextConflict.detectedAt
+    if (!sameConflict) {
+      conflictRef.current = nextConflict
+      setConflict(nextConflict)
+    }
+    if (!isSameValue(document, documentRef.current)) {
+      documentRef.current = document
+      setSettings(document)
+    }
+    baseRef.current = base
+    const pending = hasPendingChanges()
+    // 다른 탭의 변경도 리더 탭에서는 마지막 수정 후 SYNC_DEBOUNCE_MS 뒤에 저장
+    if (pending) lastEditRef.current = Date.now()
+    if (nextConflict) setSyncStatus(SYNC_STATUS.CONFLICT)
+    else if (status) setSyncStatus(status)
+    else if (pending) setSyncStatus(SYNC_STATUS.PENDING)
+    // 충돌은 서버 응답을 받았을 때만 감지되므로 연결된 상태로 봄
+    if (status) markOffline(status === SYNC_STATUS.OFFLINE || status === SYNC_STATUS.ERROR)
+    else if (nextConflict) markOffline(false)
+    if (syncedAt) setLastSynced(syncedAt)
+    if (nextSource) setSource(nextSource)
+    if (nextError !== undefined) setError(nextError)
+  }, [hasPendingChanges, markOffline])
+
+  const commit = useCallback((document) => {
+    documentRef.current = document
+    setSettings(document)
+    storeLocal()
+    publishState()
+  }, [storeLocal, publishState])
+
+  const raiseConflict = useCallback((next) => {
+    conflictRef.current = next
+    setConflict(next)
+    setSyncStatus(next ? SYNC_STATUS.CONFLICT : SYNC_STATUS.PENDING)
+    publishState()
+  }, [publishState])
 
   // ================================
-  // 초기화 로직
+  // 동기화
   // ================================
 
-  useEffect(() => {
-    logPreference('info', 'PreferenceProvider 초기화 시작')
-    mountedRef.current = true
+  /**
+   * 서버 사본을 읽어 로컬 변경과 병합하고, 남은 변경이 있으면 저장합니다.
+   * 실패하면 예외를 던져 BackgroundSyncManager 가 재시도하도록 합니다.
+   */
+  const sync = useCallback(async ({ force = false } = {}) => {
+    if (conflictRef.current) return
+    // 오프라인에서 돌아왔거나 대기열이 남아 있으면 조회 간격과 관계없이 서버 연결을 다시 확인
+    const hasWork = hasPendingChanges() || offlineRef.current || getOutboxState().entries.length > 0
+    if (!force && !hasWork && Date.now() - lastPullRef.current < MIN_PULL_INTERVAL_MS) return
 
-    const initializeProvider = async () => {
-      try {
-        setLoading(true)
-        setError(null)
-
-        // 지연된 초기화로 안정성 확보
-        await new Promise(resolve => setTimeout(resolve, 100))
-        
-        if (!mountedRef.current) return
-
-        // localStorage에서 설정 로드
-        if (storage.isAvailable) {
-          try {
-            logPreference('info', '초기화 시 localStorage에서 설정 로드 시작')
-            const loadResult = await storage.loadSettings()
-            
-            if (loadResult.success && loadResult.settings) {
-              // 기본값과 병합
-              const mergedSettings = mergeSettings(loadResult.settings, defaultSettings)
-              setSettings(mergedSettings)
-              setHasUnsavedChanges(false)
-              logPreference('info', '초기화 시 설정 로드 완료', {
-                settingsKeys: Object.keys(mergedSettings)
-              })
-            } else {
-              logPreference('info', '저장된 설정 없음 - 기본값 사용')
-              setSettings(defaultSettings)
-            }
-          } catch (error) {
-            logPreference('warn', '초기화 시 설정 로드 실패, 기본값 사용', error.message)
-            setSettings(defaultSettings)
-          }
-        } else {
-          logPreference('warn', 'localStorage 사용 불가 - 기본값 사용')
-          setSettings(defaultSettings)
+    try {
+      // 오프라인 중 쌓인 변경은 리더 탭이 기록 순서대로 먼저 재적용
+      // (설정 변경이 충돌해 멈추면 아래 병합에서 충돌로 드러나고, 다른 종류 항목의 실패는 설정 동기화를 막지 않음)
+      let replay = null
+      if (getOutboxState().entries.length > 0 && getTabCoordinator().isLeader()) {
+        try {
+          replay = await replayOutbox()
+        } catch (err) {
+          if (isOfflineError(err)) throw err
         }
+      }
 
-        setInitialized(true)
-        logPreference('info', 'PreferenceProvider 초기화 완료')
-      } catch (error) {
-        logPreference('error', 'PreferenceProvider 초기화 오류', error.message)
-        setError(error.message)
-        setSettings(defaultSettings)
-        setInitialized(true)
-      } finally {
-        setLoading(false)
+      const result = await getUserPreferences(userId)
+      const server = result.data || {}
+      lastPullRef.current = Date.now()
+      markOffline(false)
+
+      const local = documentRef.current
+      const merged = mergeDocuments(baseRef.current, local, server)
+      const conflicts = merged.conflicts
+      let document = merged.document
+      if (conflicts.length > 0) {
+        const sources = { base: baseRef.current, local, server }
+        const { fields } = buildConflictFields({ ...sources, keys: conflicts })
+        if (fields.some((field) => field.conflicting)) {
+          raiseConflict({ keys: conflicts, local, server, merged: document, detectedAt: new Date().toISOString() })
+          return
+        }
+        // 같은 키 안에서 서로 다른 필드만 바뀐 경우는 필드 단위로 자동 병합
+        document = applyFieldChoices(document, sources, fields)
       }
+      baseRef.current = server
+      // 바뀐 내용이 없으면 구독 중인 화면이 다시 렌더링되지 않도록 로컬 사본의 base 만 갱신
+      if (isSameValue(document, local)) storeLocal()
+      else commit(document)
+      setSource('server')
+
+      const pushed = getChangedKeys(server, document).length > 0
+      if (pushed) {
+        setSyncStatus(SYNC_STATUS.SAVING)
+        await saveUserPreferences(userId, document, { silent: true })
+        baseRef.current = document
+        storeLocal()
+      }
+      // 대기열의 설정 변경은 이제 서버 문서에 모두 반영됨
+      const queued = getQueuedChanges()
+      if (queued.length > 0) completeOutboxEntries(queued.map((entry) => entry.id))
+      if (replay?.blocked?.kind === OUTBOX_KINDS.PREFERENCES && getOutboxState().entries.length > 0) {
+        await replayOutbox().catch(() => {})
+      }
+      const syncedAt = new Date().toISOString()
+      let status = pushed ? SYNC_STATUS.SAVED : SYNC_STATUS.IDLE
+      if (hasPendingChanges()) status = SYNC_STATUS.PENDING
+      setError(null)
+      setLastSynced(syncedAt)
+      setSyncStatus(status)
+      publishState({ status, lastSynced: syncedAt, source: 'server', error: null })
+    } catch (err) {
+      const message = getErrorMessage(err)
+      const status = navigator.onLine ? SYNC_STATUS.ERROR : SYNC_STATUS.OFFLINE
+      setError(message)
+      setSyncStatus(status)
+      markOffline(true)
+      publishState({ status, error: message })
+      throw err
     }
+  }, [userId, getUserPreferences, saveUserPreferences, commit, storeLocal, raiseConflict, hasPendingChanges, publishState, markOffline])
 
-    initializeProvider()
+  // 로컬 사본 → 서버 순으로 로드
+  useEffect(() => {
+    let cancelled = false
+
+    const initialize = async () => {
+      const [saved] = await Promise.all([loadSnapshot(), loadOutbox()])
+      if (cancelled) return
+      const snapshot = readSnapshot(saved.settings)
+      if (snapshot) {
+        documentRef.current = snapshot.document
+        baseRef.current = snapshot.base
+        setSettings(snapshot.document)
+        storeLocal()
+      }
+
+      try {
+        await sync({ force: true })
+      } catch {
+        if (!cancelled && snapshot) setSource('cache')
+      }
+      if (!cancelled) setLoading(false)
+    }
+
+    initialize()
 
     return () => {
-      mountedRef.current = false
+      cancelled = true
     }
-  }, [storage.isAvailable])
+  }, [loadSnapshot, storeLocal, sync])
 
-  // ================================
-  // 설정 업데이트 함수들
-  // ================================
+  // 백그라운드 동기화는 리더 탭에서만 실행 (리더가 바뀌면 새 리더가 이어받음)
+  useEffect(() => {
+    if (loading || !isLeader) return undefined
 
-  /**
-   * 단일 설정 업데이트
-   * @param {string} section - 설정 섹션
-   * @param {string} key - 설정 키
-   * @param {any} value - 설정 값
-   */
-  const updateSetting = useCallback((section, key, value) => {
-    logPreference('info', '설정 업데이트', { section, key, value })
-    
-    setSettings(prevSettings => {
-      const newSettings = {
-        ...prevSettings,
-        [section]: {
-          ...prevSettings[section],
-          [key]: value
+    const manager = new BackgroundSyncManager({
+      strategy: SYNC_STRATEGIES.HYBRID,
+      changeDebounceTime: 500,
+    })
+    managerRef.current = manager
+    manager.start(
+      () => sync(),
+      // 마지막 수정 후 SYNC_DEBOUNCE_MS 동안 추가 변경이 없을 때만 저장
+      () => !conflictRef.current && hasPendingChanges() && Date.now() - lastEditRef.current >= SYNC_DEBOUNCE_MS,
+      (state) => {
+        if (state === SYNC_STATES.OFFLINE) {
+          markOffline(true)
+          setSyncStatus((prev) => (prev === SYNC_STATUS.CONFLICT ? prev : SYNC_STATUS.OFFLINE))
+        } else if (state === SYNC_STATES.POLLING) {
+          setSyncStatus((prev) => {
+            if (prev !== SYNC_STATUS.OFFLINE) return prev
+            return hasPendingChanges() ? SYNC_STATUS.PENDING : SYNC_STATUS.IDLE
+          })
         }
       }
-      
-      setHasUnsavedChanges(true)
-      setLastModified(new Date())
-      
-      logPreference('info', '설정 업데이트 완료', { section, key })
-      return newSettings
-    })
-  }, [])
+    )
 
-  /**
-   * 여러 설정 한번에 업데이트
-   * @param {Object} newSettings - 업데이트할 설정들
-   */
-  const updateSettings = useCallback((newSettings) => {
-    logPreference('info', '다중 설정 업데이트 시작', { 
-      newSettingsKeys: Object.keys(newSettings)
-    })
-    
-    setSettings(prevSettings => {
-      const updatedSettings = { ...prevSettings }
-      
-      Object.entries(newSettings).forEach(([section, sectionSettings]) => {
-        if (typeof sectionSettings === 'object') {
-          updatedSettings[section] = {
-            ...updatedSettings[section],
-            ...sectionSettings
-          }
-        }
-      })
-      
-      setHasUnsavedChanges(true)
-      setLastModified(new Date())
-      
-      logPreference('info', '다중 설정 업데이트 완료')
-      return updatedSettings
-    })
-  }, [])
+    return () => {
+      manager.stop()
+      if (managerRef.current === manager) managerRef.current = null
+    }
+  }, [loading, isLeader, sync, hasPendingChanges, markOffline])
 
   // ================================
-  // 저장/로드 함수들
+  // 설정 변경
   // ================================
 
   /**
-   * 설정을 localStorage에 저장
+   * 설정 문서 변경
+   * @param {Function|Object} update current => next 함수 또는 최상위 키 패치
+   * @returns {Object} 변경된 문서
    */
-  const saveSettings = useCallback(async () => {
-    logPreference('info', '설정 저장 시작')
-    
-    try {
-      setSaving(true)
-      setError(null)
-
-      const result = await storage.saveSettings(settings)
-      
-      if (result.success) {
-        setHasUnsavedChanges(false)
-        logPreference('info', '설정 저장 완료')
-        return { success: true }
-      } else {
-        throw new Error(result.error)
-      }
-    } catch (error) {
-      const errorMessage = error.message
-      setError(errorMessage)
-      logPreference('error', '설정 저장 실패', errorMessage)
-      return { success: false, error: errorMessage }
-    } finally {
-      setSaving(false)
+  const updateSettings = useCallback((update) => {
+    const current = documentRef.current
+    const next = typeof update === 'function' ? update(current) : { ...current, ...update }
+    if (!next || getChangedKeys(current, next).length === 0) return current
+    const stamped = stampDocument(next)
+    lastEditRef.current = Date.now()
+    if (offlineRef.current || !navigator.onLine) {
+      // 첫 기록에는 오프라인 전부터 저장을 기다리던 변경도 함께 담음
+      const change = createPreferenceChange(getQueuedChanges().length > 0 ? current : baseRef.current || {}, stamped)
+      if (change) enqueueOutbox(change)
+      if (!offlineRef.current) markOffline(true)
     }
-  }, [settings, storage])
+    commit(stamped)
+    if (!conflictRef.current) setSyncStatus(offlineRef.current ? SYNC_STATUS.OFFLINE : SYNC_STATUS.PENDING)
+    return stamped
+  }, [commit, markOffline])
 
   /**
-   * localStorage에서 설정 로드
+   * 섹션 단위 설정 변경 (generalSettings 등)
    */
-  const loadSettings = useCallback(async () => {
-    logPreference('info', '설정 로드 시작')
-    
-    try {
-      setLoading(true)
-      setError(null)
-
-      const result = await storage.loadSettings()
-      
-      if (result.success) {
-        if (result.settings) {
-          const mergedSettings = mergeSettings(result.settings, defaultSettings)
-          setSettings(mergedSettings)
-          setHasUnsavedChanges(false)
-          logPreference('info', '설정 로드 완료', {
-            settingsKeys: Object.keys(mergedSettings)
-          })
-        } else {
-          logPreference('info', '저장된 설정 없음')
-        }
-        return { success: true, settings: result.settings }
-      } else {
-        throw new Error(result.error)
-      }
-    } catch (error) {
-      const errorMessage = error.message
-      setError(errorMessage)
-      logPreference('error', '설정 로드 실패', errorMessage)
-      return { success: false, error: errorMessage }
-    } finally {
-      setLoading(false)
-    }
-  }, [defaultSettings, storage])
+  const updateSetting = useCallback((section, key, value) => {
+    updateSettings((current) => ({ ...current, [section]: { ...current[section], [key]: value } }))
+  }, [updateSettings])
 
   /**
-   * 설정 초기화
+   * 대기 중인 변경을 바로 저장 (또는 서버 사본 다시 읽기)
+   * 리더 탭이 아니면 리더 탭에 동기화를 요청합니다.
    */
-  const resetSettings = useCallback(async (sections = null) => {
-    logPreference('info', '설정 초기화 시작', { sections })
-    
-    try {
-      setLoading(true)
-      setError(null)
+  const syncNow = useCallback(() => {
+    lastPullRef.current = 0
+    if (managerRef.current) return managerRef.current.forcSync()
+    getTabCoordinator().post(TAB_MESSAGES.PREFERENCES_SYNC_REQUEST)
+    return Promise.resolve(false)
+  }, [])
 
-      let newSettings = defaultSettings
-      
-      if (sections && Array.isArray(sections)) {
-        // 특정 섹션만 초기화
-        newSettings = { ...settings }
-        sections.forEach(section => {
-          if (defaultSettings[section]) {
-            newSettings[section] = { ...defaultSettings[section] }
-          }
-        })
+  // 대기열의 설정 변경 재적용/버리기
+  useEffect(() => registerOutboxHandler(OUTBOX_KINDS.PREFERENCES, {
+    // 서버 값이 기록한 변경 전 값일 때만 적용하고, 그 사이 다른 곳에서 바뀐 키가 있으면 멈춤
+    async replay(entry) {
+      const result = await getUserPreferences(userId)
+      const server = result.data || {}
+      const { document, conflicts } = applyPreferenceChange(server, entry)
+      if (conflicts.length > 0) return false
+      if (getChangedKeys(server, document).length > 0) {
+        await saveUserPreferences(userId, stampDocument(document, new Date(entry.createdAt)), { silent: true })
       }
-
-      setSettings(newSettings)
-      setHasUnsavedChanges(true)
-      setLastModified(new Date())
-
-      // localStorage에서도 제거
-      if (sections === null) {
-        await storage.clearSettings()
+      return true
+    },
+    discard(entries, ids) {
+      const { document, entries: kept } = discardPreferenceChanges(documentRef.current, entries, ids)
+      if (!isSameValue(document, documentRef.current)) {
+        lastEditRef.current = Date.now()
+        commit(stampDocument(document))
+      }
+      if (!conflictRef.current && !offlineRef.current) {
+        setSyncStatus(hasPendingChanges() ? SYNC_STATUS.PENDING : SYNC_STATUS.IDLE)
       }
+      return kept
+    },
+  }), [userId, getUserPreferences, saveUserPreferences, commit, hasPendingChanges])
 
-      logPreference('info', '설정 초기화 완료')
-      return { success: true }
-    } catch (error) {
-      const errorMessage = error.message
-      setError(errorMessage)
-      logPreference('error', '설정 초기화 실패', errorMessage)
-      return { success: false, error: errorMessage }
-    } finally {
-      setLoading(false)
-    }
-  }, [defaultSettings, settings, storage])
+  // 다른 탭의 변경/동기화 결과 반영, 리더 탭은 다른 탭의 동기화 요청 처리
+  useEffect(() => {
+    const coordinator = getTabCoordinator()
+    const unsubscribes = [
+      coordinator.subscribe(TAB_MESSAGES.PREFERENCES_STATE, adoptState),
+      coordinator.subscribe(TAB_MESSAGES.PREFERENCES_SYNC_REQUEST, () => {
+        if (managerRef.current) syncNow()
+      }),
+    ]
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe())
+  }, [adoptState, syncNow])
 
-  // ================================
-  // 유효성 검증
-  // ================================
+  /**
+   * 충돌 해결
+   * @param {'local' | 'server' | Object<string, 'local' | 'server' | 'merge'>} choice
+   *   충돌 필드 전체에 적용할 선택 또는 필드 경로별 선택 (지정하지 않은 필드는 추천값)
+   */
+  const resolveConflict = useCallback((choice) => {
+    const current = conflictRef.current
+    if (!current) return
+    // 충돌 감지 후 추가로 바꾼 값도 유지되도록 감지 시점이 아닌 현재 로컬 문서를 기준으로 반영
+    const sources = { base: baseRef.current, local: documentRef.current, server: current.server }
+    const { document, conflicts } = mergeDocuments(sources.base, sources.local, sources.server)
+    const { fields } = buildConflictFields({ ...sources, keys: conflicts })
+    const choices = typeof choice === 'string'
+      ? Object.fromEntries(fields.filter((field) => field.conflicting).map((field) => [field.path, choice]))
+      : choice
+    baseRef.current = current.server
+    commit(stampDocument(applyFieldChoices(document, sources, fields, choices)))
+    // 해결한 문서에 대기열의 설정 변경이 이미 반영되어 있으므로 다시 재적용하지 않음
+    completeOutboxEntries(getQueuedChanges().map((entry) => entry.id))
+    reviewRef.current?.abort()
+    raiseConflict(null)
+    syncNow()
+  }, [commit, raiseConflict, syncNow])
 
   /**
-   * 설정 유효성 검증
+   * 충돌 해결 모달 열기 (나중에 하기를 누르면 충돌 상태를 유지)
    */
-  const validateCurrentSettings = useCallback((section = null) => {
-    logPreference('info', '설정 유효성 검증 시작', { section })
-    
-    const errors = validateSettings(settings, section)
-    
-    if (Object.keys(errors).length > 0) {
-      logPreference('warn', '설정 유효성 검증 실패', errors)
-      setError(`설정 오류: ${Object.values(errors)[0]}`)
-    } else {
-      logPreference('info', '설정 유효성 검증 통과')
-      setError(null)
+  const reviewConflict = useCallback(async () => {
+    const current = conflictRef.current
+    if (!current || reviewRef.current) return
+    const controller = new AbortController()
+    reviewRef.current = controller
+    const resolution = await requestConflictResolution({
+      title: '설정 충돌 해결',
+      description: '다른 기기나 탭에서 같은 설정이 먼저 변경되었습니다. 항목마다 적용할 값을 선택하세요.',
+      base: baseRef.current,
+      local: documentRef.current,
+      server: current.server,
+      keys: current.keys,
+    }, { signal: controller.signal })
+    if (reviewRef.current === controller) reviewRef.current = null
+    if (resolution && conflictRef.current === current) resolveConflict(resolution.choices)
+  }, [resolveConflict])
+
+  // 새 충돌이 감지되면 모달을 한 번 자동으로 열고, 다른 탭에서 해결되면 닫기
+  useEffect(() => {
+    if (!conflict) {
+      reviewRef.current?.abort()
+      return
     }
-    
-    return errors
-  }, [settings])
+    if (autoReviewedRef.current === conflict) return
+    autoReviewedRef.current = conflict
+    reviewConflict()
+  }, [conflict, reviewConflict])
+
+  useEffect(() => () => reviewRef.current?.abort(), [])
 
   // ================================
   // Context 값 구성
   // ================================
 
-  const contextValue = {
-    // 상태
-    state: {
+  // 섹션형 설정은 기본값과 병합해 제공
+  const generalSettings = useMemo(
+    () => ({ ...defaultSettings.generalSettings, ...settings.generalSettings }),
+    [defaultSettings, settings.generalSettings]
+  )
+  const formatter = useMemo(() => createFormatter(generalSettings), [generalSettings])
+
+  const value = useMemo(() => {
+    return {
       settings,
-      loading: loading || storage.loading || api.loading,
-      saving: saving || storage.saving || api.saving,
-      error: error || storage.error || api.error,
-      initialized,
-      hasUnsavedChanges,
-      lastModified,
-      lastSaved: storage.lastSaved,
-      lastSync: api.lastSync,
-      localStorageAvailable: storage.isAvailable
-    },
-    
-    // 설정 데이터 (편의를 위한 직접 접근)
-    settings,
-    dashboardSettings: settings.dashboardSettings || {},
-    statisticsSettings: settings.statisticsSettings || {},
-    databaseSettings: settings.databaseSettings || {},
-    notificationSettings: settings.notificationSettings || {},
-    generalSettings: settings.generalSettings || {},
-    
-    // 기본 함수들
-    updateSetting,
-    updateSettings,
-    saveSettings,
-    loadSettings,
-    resetSettings,
-    validateCurrentSettings,
-    
-    // Storage 관련
-    storage,
-    
-    // API 관련
-    api
-  }
+      generalSettings,
+      formatter,
+      loading,
+      source,
+      syncStatus,
+      error,
+      conflict,
+      lastSynced,
+      offline,
+      updateSettings,
+      updateSetting,
+      syncNow,
+      resolveConflict,
+      reviewConflict,
+    }
+  }, [settings, generalSettings, formatter, loading, source, syncStatus, error, conflict, lastSynced, offline, updateSettings, updateSetting, syncNow, resolveConflict, reviewConflict])
 
   return (
-    <PreferenceContext.Provider value={contextValue}>
+    <PreferenceContext.Provider value={value}>
       {children}
     </PreferenceContext.Provider>
   )
@@ -364,68 +489,12 @@ export const PreferenceProvider = ({ children }) => {
 // 커스텀 훅
 // ================================
 
-/**
- * Preference Context를 사용하는 커스텀 훅
- * 
- * @returns {Object} 설정 상태와 관리 함수들
- */
 export const usePreference = () => {
   const context = useContext(PreferenceContext)
-  
   if (!context) {
-    // 에러 대신 기본값 반환
-    logPreference('warn', 'usePreference: PreferenceProvider 외부에서 사용됨 - 기본값 반환')
-    
-    const defaultSettings = createDefaultSettings()
-    
-    return {
-      state: {
-        settings: defaultSettings,
-        loading: false,
-        saving: false,
-        error: null,
-        initialized: false,
-        hasUnsavedChanges: false,
-        lastModified: null,
-        lastSaved: null,
-        lastSync: null,
-        localStorageAvailable: false
-      },
-      settings: defaultSettings,
-      dashboardSettings: defaultSettings.dashboardSettings || {},
-      statisticsSettings: defaultSettings.statisticsSettings || {},
-      databaseSettings: defaultSettings.databaseSettings || {},
-      notificationSettings: defaultSettings.notificationSettings || {},
-      generalSettings: defaultSettings.generalSettings || {},
-      updateSetting: () => {},
-      updateSettings: () => {},
-      saveSettings: () => Promise.resolve({ success: false }),
-      loadSettings: () => Promise.resolve({ success: false }),
-      resetSettings: () => Promise.resolve({ success: false }),
-      validateCurrentSettings: () => ({}),
-      storage: {
-        isAvailable: false,
-        saveSettings: () => Promise.resolve({ success: false }),
-        loadSettings: () => Promise.resolve({ success: false }),
-        clearSettings: () => Promise.resolve({ success: false }),
-        error: null
-      },
-      api: {
-        loading: false,
-        error: null,
-        getUserPreferences: () => Promise.resolve({ success: false }),
-        saveUserPreferences: () => Promise.resolve({ success: false }),
-        clearError: () => {}
-      }
-    }
+    throw new Error('usePreference는 PreferenceProvider 내부에서 사용해야 합니다.')
   }
-  
   return context
 }
 
-// ================================
-// 내보내기
-// ================================
-
 export default PreferenceContext
-
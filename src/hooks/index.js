@@ -1,2 +1,12 @@
-export { useAnalysisResults, useAnalysisResultDetail } from './useAnalysisResults';
-
+export { useAnalysisResults, useAnalysisResultDetail, useAnalysisResultDetails } from './useAnalysisResults';
+export { useResultFilterOptions } from './useResultFilterOptions';
+export { useResultSelection } from './useResultSelection';
+export { useAnalysisTemplates } from './useAnalysisTemplates';
+export { useDbSettings } from './useDbSettings';
+export { useDbCredentials } from './useDbCredentials';
+export { useSystemMonitor } from './useSystemMonitor';
+export { useTrendAnalysis } from './useTrendAnalysis';
+export { useTabLeader } from './useTabLeader';
+export { useOutbox } from './useOutbox';
+export { useFormatters } from './useFormatters';
+export { useAnalysisJobs } from './useAnalysisJobs';
@@ -0,0 +1,17 @@
+/**
+ * 비동기 분석 작업 훅
+ *
+ * AnalysisJobProvider(contexts/AnalysisJobContext)가 제공하는 작업/배치 상태와 조작 함수를 반환합니다.
+ */
+
+import { createContext, useContext } from 'react';
+
+export const AnalysisJobContext = createContext(null);
+
+export function useAnalysisJobs() {
+  const context = useContext(AnalysisJobContext);
+  if (!context) {
+    throw new Error('useAnalysisJobs는 AnalysisJobProvider 내부에서 사용해야 합니다.');
+  }
+  return context;
+}
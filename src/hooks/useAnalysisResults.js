@@ -2,58 +2,189 @@
  * 분석 결과 관리 커스텀 훅
  */
 
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { getAnalysisResultsV2, getAnalysisResultDetailV2 } from '../lib/api';
+import { sortResults } from '../lib/resultColumns';
 
+// 여러 페이지를 순회할 때의 최대 페이지 수
+const MAX_SCAN_PAGES = 50;
+const SCAN_PAGE_SIZE = 100;
+
+function compactParams(params) {
+  const queryParams = { ...params };
+  Object.keys(queryParams).forEach((key) => { if (!queryParams[key]) delete queryParams[key]; });
+  return queryParams;
+}
+
+/**
+ * 주어진 조회 조건에서 결과 ID가 위치한 페이지 번호를 찾습니다.
+ * 찾지 못하면 null을 반환합니다.
+ */
+export async function findResultPage(resultId, params = {}, size = 20) {
+  const queryParams = compactParams(params);
+  for (let page = 1; page <= MAX_SCAN_PAGES; page++) {
+    const response = await getAnalysisResultsV2({ ...queryParams, page, size });
+    if ((response.items || []).some((item) => String(item.id) === String(resultId))) return page;
+    if (!response.has_next) return null;
+  }
+  return null;
+}
+
+/**
+ * 조회 조건에 맞는 모든 결과를 페이지 순회로 수집합니다. (전체 선택 등)
+ */
+export async function fetchAllResults(params = {}) {
+  const queryParams = compactParams(params);
+  const items = [];
+  for (let page = 1; page <= MAX_SCAN_PAGES; page++) {
+    const response = await getAnalysisResultsV2({ ...queryParams, page, size: SCAN_PAGE_SIZE });
+    items.push(...(response.items || []));
+    if (!response.has_next) break;
+  }
+  return items;
+}
+
+// URL 검색 파라미터와 동기화되는 필터 키
+export const FILTER_KEYS = ['ne_id', 'cell_id', 'swname', 'rel_ver', 'choi_status', 'date_from', 'date_to'];
+const DEFAULT_PAGE_SIZE = 20;
+
+function createEmptyFilters() {
+  return Object.fromEntries(FILTER_KEYS.map((key) => [key, '']));
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * URL 검색 파라미터에서 필터/페이지 상태를 읽습니다.
+ * URL에 없는 필터는 defaults 값을 사용합니다.
+ */
+export function readResultsQuery(searchParams, defaults = {}) {
+  const filters = createEmptyFilters();
+  FILTER_KEYS.forEach((key) => { filters[key] = searchParams.get(key) ?? defaults[key] ?? ''; });
+  return {
+    filters,
+    page: parsePositiveInt(searchParams.get('page'), 1),
+    size: parsePositiveInt(searchParams.get('size'), defaults.size || DEFAULT_PAGE_SIZE),
+    sort: searchParams.get('sort') || '',
+    order: searchParams.get('order') === 'desc' ? 'desc' : 'asc',
+  };
+}
+
+/**
+ * 분석 결과 목록 훅
+ *
+ * 필터, 페이지, 정렬 정보는 URL 검색 파라미터가 단일 진실 공급원이므로
+ * 새로고침/공유 링크/뒤로가기 시에도 동일한 조회 화면이 복원됩니다.
+ */
 export function useAnalysisResults(initialParams = {}) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [defaults] = useState(initialParams);
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [pagination, setPagination] = useState({ page: 1, size: 20, total: 0, hasNext: false });
-  const [filters, setFilters] = useState({ ne_id: '', cell_id: '', swname: '', choi_status: '', ...initialParams });
+  const [meta, setMeta] = useState({ total: 0, hasNext: false });
+  const requestIdRef = useRef(0);
+
+  // searchParams 객체는 관련 없는 파라미터(highlight 등) 변경에도 바뀌므로 직렬화 값으로 안정화
+  const queryJson = JSON.stringify(readResultsQuery(searchParams, defaults));
+  const query = useMemo(() => JSON.parse(queryJson), [queryJson]);
+  const { filters, page, size, sort, order } = query;
+  const pagination = useMemo(() => ({ page, size, ...meta }), [page, size, meta]);
+  const sorting = useMemo(() => ({ sort, order: sort ? order : '' }), [sort, order]);
+  const queryRef = useRef(query);
+
+  useEffect(() => {
+    queryRef.current = query;
+  }, [query]);
+
+  const updateSearchParams = useCallback((updates, options) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') next.delete(key);
+        else next.set(key, String(value));
+      });
+      return next;
+    }, options);
+  }, [setSearchParams]);
 
   const fetchResults = useCallback(async (params = {}) => {
+    const requestId = ++requestIdRef.current;
     setLoading(true);
     setError(null);
     try {
-      const queryParams = { page: params.page || pagination.page, size: params.size || pagination.size, ...filters, ...params };
+      const queryParams = { page, size, ...filters, ...(sort ? { sort, order } : {}), ...params };
       Object.keys(queryParams).forEach((key) => { if (!queryParams[key]) delete queryParams[key]; });
       const response = await getAnalysisResultsV2(queryParams);
+      // 뒤로가기 등으로 요청이 겹친 경우 마지막 요청의 응답만 반영
+      if (requestId !== requestIdRef.current) return response;
       setResults(response.items || []);
-      setPagination({ page: response.page || 1, size: response.size || 20, total: response.total || 0, hasNext: response.has_next || false });
+      setMeta({ total: response.total || 0, hasNext: response.has_next || false });
       return response;
     } catch (err) {
-      setError(err.message || '데이터를 불러오는데 실패했습니다.');
+      if (requestId === requestIdRef.current) setError(err.message || '데이터를 불러오는데 실패했습니다.');
       return null;
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) setLoading(false);
     }
-  }, [pagination.page, pagination.size, filters]);
+  }, [page, size, filters, sort, order]);
 
   const updateFilters = useCallback((newFilters) => {
-    setFilters((prev) => ({ ...prev, ...newFilters }));
-    setPagination((prev) => ({ ...prev, page: 1 }));
-  }, []);
+    updateSearchParams({ ...newFilters, page: null });
+  }, [updateSearchParams]);
 
   const clearFilters = useCallback(() => {
-    setFilters({ ne_id: '', cell_id: '', swname: '', choi_status: '' });
-    setPagination((prev) => ({ ...prev, page: 1 }));
-  }, []);
+    updateSearchParams({ ...Object.fromEntries(FILTER_KEYS.map((key) => [key, null])), page: null });
+  }, [updateSearchParams]);
+
+  const goToPage = useCallback((nextPage, options) => {
+    updateSearchParams({ page: nextPage > 1 ? nextPage : null }, options);
+  }, [updateSearchParams]);
+
+  const setPageSize = useCallback((nextSize) => {
+    updateSearchParams({ size: nextSize !== DEFAULT_PAGE_SIZE ? nextSize : null, page: null });
+  }, [updateSearchParams]);
+
+  // 정렬 변경 시 첫 페이지로 이동 (빈 sort는 정렬 해제)
+  const setSort = useCallback((nextSort, nextOrder = 'asc') => {
+    updateSearchParams({ sort: nextSort || null, order: nextSort ? nextOrder : null, page: null });
+  }, [updateSearchParams]);
 
-  const goToPage = useCallback((page) => setPagination((prev) => ({ ...prev, page })), []);
   const refresh = useCallback(() => fetchResults(), [fetchResults]);
 
-  useEffect(() => { fetchResults(); }, [pagination.page, filters]);
+  // 결과 ID가 포함된 페이지로 이동 (현재 필터 기준, 히스토리 항목은 교체)
+  // 조회 조건은 ref 로 읽어 조건이 바뀌어도 같은 함수를 유지
+  const locateResult = useCallback(async (resultId) => {
+    if (!resultId) return null;
+    const { filters, size, sort, order } = queryRef.current;
+    try {
+      const foundPage = await findResultPage(resultId, { ...filters, ...(sort ? { sort, order } : {}) }, size);
+      if (foundPage) goToPage(foundPage, { replace: true });
+      return foundPage;
+    } catch (err) {
+      console.warn('[useAnalysisResults] 결과 위치 조회 실패:', err);
+      return null;
+    }
+  }, [goToPage]);
+
+  useEffect(() => { fetchResults(); }, [fetchResults]);
+
+  // 백엔드가 sort 파라미터를 무시하더라도 현재 페이지는 정렬된 상태로 표시
+  const sortedResults = useMemo(() => (sort ? sortResults(results, sort, order) : results), [results, sort, order]);
 
   const isEmpty = useMemo(() => !loading && results.length === 0, [loading, results]);
   const isFiltered = useMemo(() => Object.values(filters).some((v) => v), [filters]);
 
-  return { results, loading, error, pagination, filters, isEmpty, isFiltered, fetchResults, updateFilters, clearFilters, goToPage, refresh };
+  return { results: sortedResults, loading, error, pagination, filters, sorting, isEmpty, isFiltered, fetchResults, updateFilters, clearFilters, goToPage, setPageSize, setSort, refresh, locateResult };
 }
 
 export function useAnalysisResultDetail(resultId) {
   const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(false);
+  const [loading, setLoading] = useState(Boolean(resultId));
   const [error, setError] = useState(null);
 
   const fetchDetail = useCallback(async (id) => {
@@ -77,5 +208,32 @@ export function useAnalysisResultDetail(resultId) {
   return { data, loading, error, refetch: () => fetchDetail(resultId) };
 }
 
+/**
+ * 여러 결과의 상세 정보를 병렬로 조회합니다. (비교 화면)
+ * 일부 조회가 실패해도 성공한 결과는 표시할 수 있도록 실패 목록을 따로 반환합니다.
+ */
+export function useAnalysisResultDetails(resultIds = []) {
+  const [items, setItems] = useState([]);
+  const [failures, setFailures] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const idsKey = resultIds.join(',');
+
+  useEffect(() => {
+    const ids = idsKey ? idsKey.split(',') : [];
+    if (ids.length === 0) { setItems([]); setFailures([]); return; }
+    let cancelled = false;
+    setLoading(true);
+    Promise.allSettled(ids.map((id) => getAnalysisResultDetailV2(id))).then((outcomes) => {
+      if (cancelled) return;
+      setItems(outcomes.filter((o) => o.status === 'fulfilled').map((o) => o.value.data || o.value));
+      setFailures(outcomes.map((o, i) => (o.status === 'rejected' ? { id: ids[i], error: o.reason?.message || '조회 실패' } : null)).filter(Boolean));
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [idsKey]);
+
+  return { items, failures, loading };
+}
+
 export default useAnalysisResults;
 
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { readResultsQuery } from "./useAnalysisResults.js";
+
+describe("readResultsQuery", () => {
+  it("reads filters, page and size from the URL", () => {
+    const params = new URLSearchParams(
+      "ne_id=NE01&choi_status=critical&date_from=2025-01-01&page=3&size=50"
+    );
+    const query = readResultsQuery(params);
+    expect(query.filters.ne_id).toBe("NE01");
+    expect(query.filters.choi_status).toBe("critical");
+    expect(query.filters.date_from).toBe("2025-01-01");
+    expect(query.filters.cell_id).toBe("");
+    expect(query.page).toBe(3);
+    expect(query.size).toBe(50);
+  });
+
+  it("falls back to defaults for missing or invalid values", () => {
+    const params = new URLSearchParams("page=abc&size=-1");
+    const query = readResultsQuery(params, { swname: "SW_A" });
+    expect(query.filters.swname).toBe("SW_A");
+    expect(query.page).toBe(1);
+    expect(query.size).toBe(20);
+  });
+
+  it("ignores unrelated params such as highlight", () => {
+    const params = new URLSearchParams("highlight=abc123");
+    const query = readResultsQuery(params);
+    expect(Object.keys(query.filters)).not.toContain("highlight");
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * 분석 템플릿 관리 훅
+ *
+ * 템플릿 목록은 앱 전역 설정 저장소(PreferenceProvider)의 analysis_templates 에 저장됩니다.
+ */
+
+import { useCallback, useMemo } from 'react';
+import { usePreference } from '../contexts/PreferenceContext.jsx';
+import { SYNC_STATUS } from '../lib/preferenceSync';
+import { TEMPLATE_SETTINGS_KEY, upsertTemplate, removeTemplate } from '../lib/analysisTemplates';
+
+const readTemplates = (settings) => (Array.isArray(settings[TEMPLATE_SETTINGS_KEY]) ? settings[TEMPLATE_SETTINGS_KEY] : []);
+
+export function useAnalysisTemplates() {
+  const { settings, source, loading, syncStatus, error: syncError, updateSettings } = usePreference();
+  const templates = useMemo(() => readTemplates(settings), [settings]);
+
+  const persist = useCallback(async (update) => {
+    let next;
+    updateSettings((current) => {
+      next = update(readTemplates(current));
+      return { ...current, [TEMPLATE_SETTINGS_KEY]: next };
+    });
+    return next;
+  }, [updateSettings]);
+
+  const saveTemplate = useCallback((template) => persist((list) => upsertTemplate(list, template)), [persist]);
+  const deleteTemplate = useCallback((id) => persist((list) => removeTemplate(list, id)), [persist]);
+
+  return {
+    templates,
+    loading,
+    saving: syncStatus === SYNC_STATUS.SAVING,
+    error: !loading && source !== 'server' && syncError ? '템플릿을 불러오지 못했습니다.' : null,
+    saveTemplate,
+    deleteTemplate,
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * DB 비밀번호 보관 상태 훅
+ *
+ * dbCredentials 모듈의 세션/보관함 상태가 바뀌면 다시 렌더링합니다.
+ */
+
+import { useSyncExternalStore } from 'react';
+import {
+  subscribeCredentials,
+  getCredentialsVersion,
+  getCredentialStatus,
+  getVaultState,
+  loadVault,
+} from '../lib/dbCredentials';
+
+export function useDbCredentials() {
+  useSyncExternalStore(subscribeCredentials, getCredentialsVersion);
+  return {
+    getStatus: getCredentialStatus,
+    vaultState: getVaultState(),
+    vaultCount: loadVault()?.profileIds.length || 0,
+  };
+}
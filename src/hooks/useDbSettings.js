@@ -0,0 +1,59 @@
+/**
+ * 분석용 DB 연결 프로필 훅
+ *
+ * 앱 전역 설정 저장소(PreferenceProvider)의 database_profiles 를 읽고 씁니다.
+ * 서버에 연결할 수 없으면 저장소의 로컬 사본을 사용하며, source 로 출처를 알 수 있습니다.
+ * 예전 버전이 평문으로 저장한 비밀번호는 로드할 때 세션 보관으로 옮기고 설정에서 지웁니다.
+ */
+
+import { useEffect, useCallback, useMemo } from 'react';
+import { usePreference } from '../contexts/PreferenceContext.jsx';
+import { SYNC_STATUS } from '../lib/preferenceSync';
+import { readDbProfiles, writeDbProfiles, findDbProfile, DEFAULT_DB_PROFILE_KEY } from '../lib/dbSettings';
+import { importPasswords } from '../lib/dbCredentials';
+
+export function useDbSettings() {
+  const { settings, source: settingsSource, loading, syncStatus, error: syncError, updateSettings } = usePreference();
+  const { profiles, defaultId, legacyPasswords } = useMemo(() => readDbProfiles(settings), [settings]);
+
+  useEffect(() => {
+    if (loading || Object.keys(legacyPasswords).length === 0) return;
+    importPasswords(legacyPasswords);
+    updateSettings((current) => {
+      const latest = readDbProfiles(current);
+      return { ...current, ...writeDbProfiles(latest.profiles, latest.defaultId) };
+    });
+  }, [loading, legacyPasswords, updateSettings]);
+
+  /**
+   * 프로필 목록 변경. update(current) 는 저장소의 최신 { profiles, defaultId } 를 받아 새 값을 반환합니다.
+   * 서버 저장은 저장소가 백그라운드로 처리하며, 진행 상태는 헤더의 저장 상태 표시에 나타납니다.
+   */
+  const persist = useCallback(async (update) => {
+    let saved;
+    updateSettings((current) => {
+      const next = update(readDbProfiles(current));
+      const written = writeDbProfiles(next.profiles, next.defaultId);
+      saved = { profiles: next.profiles, defaultId: written[DEFAULT_DB_PROFILE_KEY] };
+      return { ...current, ...written };
+    });
+    return saved;
+  }, [updateSettings]);
+
+  // 첫 로드에 실패한 경우만 화면별 경고로 표시 (이후 동기화 오류는 저장 상태 표시가 담당)
+  const error = !loading && settingsSource !== 'server' && syncError
+    ? '서버에서 DB 설정을 불러오지 못했습니다.' + (profiles.length > 0 ? ' 마지막으로 저장된 값을 사용합니다.' : '')
+    : null;
+
+  return {
+    profiles,
+    defaultId,
+    defaultProfile: findDbProfile(profiles, defaultId),
+    // 'server' | 'cache' | null (저장된 프로필 없음)
+    source: profiles.length > 0 ? settingsSource : null,
+    loading,
+    saving: syncStatus === SYNC_STATUS.SAVING,
+    error,
+    persist,
+  };
+}
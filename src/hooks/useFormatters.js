@@ -0,0 +1,12 @@
+/**
+ * 표시 형식 훅
+ *
+ * 사용자 설정(generalSettings)의 시간대, 날짜 형식, 숫자 형식을 따르는 형식기를 반환합니다.
+ * 설정이 바뀌면 새 형식기로 다시 렌더링됩니다.
+ */
+
+import { usePreference } from '../contexts/PreferenceContext.jsx';
+
+export function useFormatters() {
+  return usePreference().formatter;
+}
@@ -0,0 +1,13 @@
+/**
+ * 오프라인 변경 대기열 훅
+ *
+ * 대기열 항목과 재적용 중 여부를 반환합니다. 다른 탭에서 대기열이 바뀌어도 다시 렌더링됩니다.
+ */
+
+import { useSyncExternalStore } from 'react';
+import { subscribeOutbox, getOutboxState, discardOutboxEntries } from '../lib/outbox';
+
+export function useOutbox() {
+  const { entries, replaying } = useSyncExternalStore(subscribeOutbox, getOutboxState);
+  return { entries, replaying, discard: discardOutboxEntries };
+}
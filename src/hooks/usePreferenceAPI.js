@@ -78,8 +78,8 @@ export const usePreferenceAPI = () => {
     })
   }, [withLoading])
 
-  // 사용자 설정 저장
-  const saveUserPreferences = useCallback(async (userId = 'default', preferenceData) => {
+  // 사용자 설정 저장 (silent: 백그라운드 동기화처럼 성공 알림이 필요 없는 저장)
+  const saveUserPreferences = useCallback(async (userId = 'default', preferenceData, { silent = false } = {}) => {
     logPreference('info', '사용자 설정 저장 시작', { 
       userId, 
       hasData: !!preferenceData,
@@ -91,7 +91,7 @@ export const usePreferenceAPI = () => {
       
       if (result.success) {
         logPreference('info', '사용자 설정 저장 성공')
-        toast.success('설정이 서버에 저장되었습니다')
+        if (!silent) toast.success('설정이 서버에 저장되었습니다')
         return result
       } else {
         throw new Error(result.error || '설정 저장 실패')
@@ -0,0 +1,64 @@
+/**
+ * 분석 결과 필터 자동완성 옵션 훅
+ *
+ * EMS 목록(getEmsNeList)과 결과 통계(getAnalysisStatsV2)를 병합해
+ * NE ID / Cell ID / SW Name 자동완성 후보를 만듭니다.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { getEmsNeList, getAnalysisStatsV2 } from '../lib/api';
+
+function toOptions(values) {
+  return Array.from(values)
+    .filter(Boolean)
+    .sort((a, b) => String(a).localeCompare(String(b)))
+    .map((value) => ({ value: String(value), label: String(value) }));
+}
+
+export function useResultFilterOptions({ neId = '', results = [] } = {}) {
+  const [emsData, setEmsData] = useState(null);
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    // 옵션 로드 실패는 필터 사용을 막지 않으므로 경고만 남김
+    getEmsNeList()
+      .then((data) => { if (!cancelled) setEmsData(data); })
+      .catch((err) => console.warn('[useResultFilterOptions] EMS 목록 로드 실패:', err));
+    getAnalysisStatsV2()
+      .then((response) => { if (!cancelled) setStats(response?.data || response); })
+      .catch((err) => console.warn('[useResultFilterOptions] 통계 로드 실패:', err));
+    return () => { cancelled = true; };
+  }, []);
+
+  const neOptions = useMemo(() => {
+    const values = new Set(Object.keys(stats?.by_ne || {}));
+    Object.values(emsData || {}).forEach((emsEntry) => {
+      Object.keys(emsEntry || {}).forEach((ne) => values.add(ne));
+    });
+    return toOptions(values);
+  }, [emsData, stats]);
+
+  // NE 필터가 지정되면 해당 NE의 셀만 후보로 표시
+  const cellOptions = useMemo(() => {
+    const values = new Set(neId ? [] : Object.keys(stats?.by_cell || {}));
+    Object.values(emsData || {}).forEach((emsEntry) => {
+      Object.entries(emsEntry || {}).forEach(([ne, neEntry]) => {
+        if (neId && ne !== neId) return;
+        Object.values(neEntry || {}).forEach((ids) => {
+          if (Array.isArray(ids)) ids.forEach((id) => values.add(String(id)));
+        });
+      });
+    });
+    return toOptions(values);
+  }, [emsData, stats, neId]);
+
+  const swnameOptions = useMemo(() => toOptions(Object.keys(stats?.by_swname || {})), [stats]);
+
+  // 릴리즈 버전은 통계 API가 제공하지 않으므로 조회된 결과에서 수집
+  const relVerOptions = useMemo(() => toOptions(new Set(results.map((result) => result.rel_ver))), [results]);
+
+  return { neOptions, cellOptions, swnameOptions, relVerOptions };
+}
+
+export default useResultFilterOptions;
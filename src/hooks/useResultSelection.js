@@ -0,0 +1,57 @@
+/**
+ * 분석 결과 다중 선택 훅
+ *
+ * 페이지를 이동해도 선택이 유지되도록 결과 ID → 결과 객체 Map으로 관리합니다.
+ */
+
+import { useState, useCallback, useMemo } from 'react';
+
+export function useResultSelection() {
+  const [selected, setSelected] = useState(() => new Map());
+
+  const selectedIds = useMemo(() => new Set(selected.keys()), [selected]);
+  const selectedItems = useMemo(() => Array.from(selected.values()), [selected]);
+
+  const isSelected = useCallback((id) => selected.has(id), [selected]);
+
+  const toggle = useCallback((result) => {
+    setSelected((prev) => {
+      const next = new Map(prev);
+      if (next.has(result.id)) next.delete(result.id);
+      else next.set(result.id, result);
+      return next;
+    });
+  }, []);
+
+  // 현재 페이지 전체 선택/해제 (모두 선택된 상태면 해제)
+  const togglePage = useCallback((results) => {
+    setSelected((prev) => {
+      const next = new Map(prev);
+      const allSelected = results.length > 0 && results.every((r) => next.has(r.id));
+      results.forEach((r) => { if (allSelected) next.delete(r.id); else next.set(r.id, r); });
+      return next;
+    });
+  }, []);
+
+  const selectMany = useCallback((results) => {
+    setSelected((prev) => {
+      const next = new Map(prev);
+      results.forEach((r) => next.set(r.id, r));
+      return next;
+    });
+  }, []);
+
+  const remove = useCallback((ids) => {
+    setSelected((prev) => {
+      const next = new Map(prev);
+      ids.forEach((id) => next.delete(id));
+      return next;
+    });
+  }, []);
+
+  const clear = useCallback(() => setSelected(new Map()), []);
+
+  return { selectedIds, selectedItems, count: selected.size, isSelected, toggle, togglePage, selectMany, remove, clear };
+}
+
+export default useResultSelection;
@@ -0,0 +1,134 @@
+/**
+ * 시스템 모니터링 훅
+ *
+ * 분석 서비스 health / DB 연결 테스트 / EMS 목록을 주기적으로 측정하고,
+ * 작업 목록과 결과 통계로 큐 상태와 성공률을 계산합니다.
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  getAsyncAnalysisHealth,
+  getAsyncAnalysisList,
+  getAnalysisStatsV2,
+  getEmsNeList,
+  testDbConnection,
+} from '../lib/api';
+import { extractServerJobs } from '../lib/analysisJobs';
+import { withCredentials } from '../lib/dbCredentials';
+import {
+  MONITOR_INTERVAL_MS,
+  MONITOR_PROBES,
+  measureProbe,
+  checkProbeResult,
+  appendSample,
+  summarizeProbe,
+  summarizeEmsList,
+  deriveQueueDepth,
+  deriveSuccessRate,
+  evaluateAlerts,
+  mergeAlerts,
+} from '../lib/systemMonitor';
+
+/**
+ * @param {Object|null} dbProfile 연결 테스트에 사용할 프로필 (없으면 DB 항목은 측정하지 않음)
+ * @param {{ enabled?: boolean }} options 연결 프로필을 불러오는 동안에는 enabled: false 로 측정을 미룸
+ */
+export function useSystemMonitor(dbProfile, { enabled = true } = {}) {
+  const [history, setHistory] = useState({});
+  const [health, setHealth] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [ems, setEms] = useState(null);
+  const [alerts, setAlerts] = useState([]);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [autoRefresh, setAutoRefresh] = useState(true);
+  const runningRef = useRef(false);
+  // 설정이 바뀔 때마다 프로필 객체가 새로 만들어지므로 값은 ref 로 읽고, 측정 주기는 프로필 id 가 바뀔 때만 다시 시작
+  const dbProfileRef = useRef(dbProfile);
+  const dbProfileId = dbProfile?.id ?? null;
+
+  useEffect(() => {
+    dbProfileRef.current = dbProfile;
+  }, [dbProfile]);
+
+  const refresh = useCallback(async () => {
+    // 이전 측정이 끝나지 않았으면 건너뜀 (느린 응답이 겹쳐 쌓이지 않도록)
+    if (runningRef.current) return;
+    runningRef.current = true;
+    setRefreshing(true);
+    try {
+      const profile = dbProfileRef.current;
+      const dbRequest = profile
+        ? () => {
+            const { settings } = withCredentials(profile);
+            return testDbConnection(settings);
+          }
+        : null;
+      const [api, db, emsSample, list, statsResponse] = await Promise.all([
+        measureProbe(getAsyncAnalysisHealth),
+        dbRequest ? measureProbe(dbRequest) : null,
+        measureProbe(getEmsNeList),
+        getAsyncAnalysisList().catch((err) => {
+          console.warn('[useSystemMonitor] 작업 목록 조회 실패:', err);
+          return null;
+        }),
+        getAnalysisStatsV2().catch((err) => {
+          console.warn('[useSystemMonitor] 결과 통계 조회 실패:', err);
+          return null;
+        }),
+      ]);
+
+      setHistory((prev) => {
+        let next = appendSample(prev, 'api', checkProbeResult('api', api));
+        if (db) next = appendSample(next, 'db', checkProbeResult('db', db));
+        return appendSample(next, 'ems', emsSample);
+      });
+      if (api.ok) setHealth(api.data);
+      if (emsSample.ok) setEms(emsSample.data);
+      if (list) setJobs(extractServerJobs(list));
+      if (statsResponse) setStats(statsResponse?.data || statsResponse);
+      setLastUpdated(Date.now());
+    } finally {
+      runningRef.current = false;
+      setRefreshing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    refresh();
+    if (!autoRefresh) return undefined;
+    const interval = setInterval(refresh, MONITOR_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [refresh, autoRefresh, enabled, dbProfileId]);
+
+  const probes = useMemo(
+    () => Object.fromEntries(MONITOR_PROBES.map(({ key }) => [key, summarizeProbe(history[key])])),
+    [history]
+  );
+  const queue = useMemo(() => deriveQueueDepth(health, jobs), [health, jobs]);
+  const successRate = useMemo(() => deriveSuccessRate(stats, jobs), [stats, jobs]);
+  const emsSummary = useMemo(() => (ems ? summarizeEmsList(ems) : null), [ems]);
+
+  // 알림은 매 측정 결과로 다시 계산 (처음 발생 시각만 이전 값에서 이어받음)
+  useEffect(() => {
+    if (!lastUpdated) return;
+    setAlerts((prev) => mergeAlerts(prev, evaluateAlerts({ probes, queue, successRate }), lastUpdated));
+  }, [probes, queue, successRate, lastUpdated]);
+
+  return {
+    history,
+    probes,
+    queue,
+    successRate,
+    stats,
+    emsSummary,
+    alerts,
+    lastUpdated,
+    refreshing,
+    autoRefresh,
+    setAutoRefresh,
+    refresh,
+  };
+}
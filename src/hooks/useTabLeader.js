@@ -0,0 +1,15 @@
+/**
+ * 리더 탭 여부 훅
+ *
+ * 여러 탭 중 서버 동기화/폴링을 맡은 탭이면 true 입니다. 리더가 바뀌면 다시 렌더링됩니다.
+ */
+
+import { useSyncExternalStore } from 'react';
+import { getTabCoordinator } from '../lib/tabCoordinator';
+
+const subscribe = (listener) => getTabCoordinator().subscribeLeader(listener);
+const getSnapshot = () => getTabCoordinator().isLeader();
+
+export function useTabLeader() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
@@ -0,0 +1,46 @@
+/**
+ * 추이 분석 훅
+ *
+ * 선택한 NE/Cell 의 기간 내 분석 결과를 모두 불러와 PEG 별 시계열과 추세를 계산합니다.
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { fetchAllResults } from './useAnalysisResults';
+import { analyzeTrends } from '../lib/trendUtils';
+
+export function useTrendAnalysis({ neId = '', cellId = '', dateFrom = '', dateTo = '' } = {}) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(0);
+
+  const fetchTrend = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    if (!neId || !cellId) {
+      setItems([]);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const results = await fetchAllResults({ ne_id: neId, cell_id: cellId, date_from: dateFrom, date_to: dateTo });
+      if (requestId !== requestIdRef.current) return;
+      // 목록 API 의 NE/Cell 필터가 부분 일치여도 선택한 셀의 결과만 사용
+      setItems(results.filter((result) => String(result.ne_id) === neId && String(result.cell_id) === cellId));
+    } catch (err) {
+      if (requestId === requestIdRef.current) setError(err.message || '분석 결과를 불러오는데 실패했습니다.');
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  }, [neId, cellId, dateFrom, dateTo]);
+
+  useEffect(() => { fetchTrend(); }, [fetchTrend]);
+
+  const trends = useMemo(() => analyzeTrends(items), [items]);
+
+  return { ...trends, loading, error, refetch: fetchTrend };
+}
+
+export default useTrendAnalysis;
@@ -0,0 +1,216 @@
+/**
+ * 셀별 분석 배치 유틸리티 모듈
+ *
+ * 선택한 (NE, Cell) 쌍마다 분석 요청을 하나씩 만들고, 동시 실행 수를 제한해 순서대로 실행합니다.
+ * 배치 항목은 작업(job) id와 최종 판정만 보관하며, 진행률은 작업 목록에서 가져옵니다.
+ */
+
+import { buildAnalysisRequest } from './analysisRequest';
+import { parseLeafKey } from './networkTree';
+import { ACTIVE_JOB_STATUSES, sanitizeJobParams } from './analysisJobs';
+import { DEFAULT_USER_ID, STATUS_SEVERITY } from './resultColumns';
+
+export const BATCH_CONCURRENCY = 3;
+export const MAX_BATCH_CELLS = 200;
+const MAX_STORED_BATCHES = 5;
+
+export const ANALYSIS_MODES = [
+  { value: 'combined', label: '통합 분석', description: '선택한 NE/Cell 전체를 하나의 분석으로 실행' },
+  { value: 'per_cell', label: '셀별 분석', description: '(NE, Cell) 쌍마다 분석을 따로 실행' },
+];
+
+export const VERDICT_STATUSES = ['critical', 'warning', 'normal'];
+
+const createBatchId = () => `batch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * 트리 선택(leaf key)을 (EMS, NE, Cell) 쌍으로 변환
+ * 같은 NE에서 기술만 다른 동일 Cell ID는 요청이 같으므로 한 번만 실행합니다.
+ */
+export function buildCellPairs(targets = []) {
+  const pairs = new Map();
+  targets.forEach((key) => {
+    const { ems, ne, cell } = parseLeafKey(key);
+    const pairKey = `${ne}/${cell}`;
+    if (!pairs.has(pairKey)) pairs.set(pairKey, { key: pairKey, ems, ne, cell });
+  });
+  return Array.from(pairs.values());
+}
+
+/**
+ * 배치 생성
+ *
+ * 저장되는 batch에는 비밀번호를 뺀 파라미터만 남기고, 실제 요청 본문은 requests(key → params)로 따로 반환합니다.
+ */
+export function createBatch(formData, dbProfile, { concurrency = BATCH_CONCURRENCY, userId = DEFAULT_USER_ID, now = Date.now() } = {}) {
+  const requests = new Map();
+  const items = buildCellPairs(formData.targets).map((pair) => {
+    const params = buildAnalysisRequest({ ...formData, ems: [pair.ems], neId: [pair.ne], cellId: [pair.cell] }, dbProfile, userId);
+    requests.set(pair.key, params);
+    return {
+      ...pair,
+      params: sanitizeJobParams(params),
+      jobId: null,
+      status: 'queued',
+      resultId: null,
+      verdict: null,
+      error: null,
+    };
+  });
+  const batch = {
+    id: createBatchId(),
+    concurrency,
+    items,
+    createdAt: now,
+    finishedAt: null,
+    cancelled: false,
+    dismissed: false,
+  };
+  return { batch, requests };
+}
+
+/**
+ * 결과 본문에서 Choi 판정 추출 (작업 목록에는 결과 본문을 저장하지 않으므로 판정만 따로 보관)
+ */
+export function getResultVerdict(result) {
+  if (!result) return null;
+  return { status: result.choi_result?.status || 'normal', score: result.choi_result?.score ?? null };
+}
+
+export function isBatchActive(batch) {
+  return batch.items.some((item) => item.status === 'queued' || ACTIVE_JOB_STATUSES.includes(item.status));
+}
+
+/**
+ * 동시 실행 한도 안에서 지금 시작할 대기 항목
+ */
+export function getNextBatchItems(batch) {
+  if (batch.cancelled) return [];
+  const running = batch.items.filter((item) => ACTIVE_JOB_STATUSES.includes(item.status)).length;
+  const slots = Math.max(0, batch.concurrency - running);
+  return batch.items.filter((item) => item.status === 'queued').slice(0, slots);
+}
+
+export function updateBatchItem(batch, predicate, patch) {
+  let changed = false;
+  const items = batch.items.map((item) => {
+    if (!predicate(item)) return item;
+    changed = true;
+    return { ...item, ...patch };
+  });
+  return changed ? { ...batch, items } : batch;
+}
+
+/**
+ * 실패/취소된 항목을 다시 대기 상태로
+ */
+export function requeueFailedItems(batch) {
+  return {
+    ...updateBatchItem(batch, (item) => item.status === 'failed' || item.status === 'cancelled', {
+      jobId: null,
+      status: 'queued',
+      error: null,
+    }),
+    cancelled: false,
+    finishedAt: null,
+  };
+}
+
+/**
+ * 시작 요청 중에 멈춘 항목(작업 id 없음)을 다시 대기 상태로
+ * 배치 임대를 새로 차지한 탭만 호출합니다. (다른 탭이 시작 중인 항목을 중복 실행하지 않도록)
+ */
+export function requeueUnstartedItems(batch) {
+  return updateBatchItem(batch, (item) => !item.jobId && ACTIVE_JOB_STATUSES.includes(item.status), { status: 'queued' });
+}
+
+export const BATCH_ACTIONS = {
+  STARTED: 'started',
+  PATCHED: 'patched',
+  ITEM_PATCHED: 'item-patched',
+  JOB_SYNCED: 'job-synced',
+  CANCELLED: 'cancelled',
+  RETRIED: 'retried',
+  REQUEUED: 'requeued',
+};
+
+const updateBatch = (batches, id, update) => batches.map((batch) => (batch.id === id ? update(batch) : batch));
+
+const BATCH_REDUCERS = {
+  [BATCH_ACTIONS.STARTED]: (batches, { batch }) => [batch, ...batches.filter((b) => b.id !== batch.id)],
+  [BATCH_ACTIONS.PATCHED]: (batches, { id, patch }) => updateBatch(batches, id, (batch) => ({ ...batch, ...patch })),
+  [BATCH_ACTIONS.ITEM_PATCHED]: (batches, { id, key, patch }) =>
+    updateBatch(batches, id, (batch) => updateBatchItem(batch, (item) => item.key === key, patch)),
+  // 배치에 속한 작업의 최종 상태를 배치 항목에도 기록
+  [BATCH_ACTIONS.JOB_SYNCED]: (batches, { jobId, patch }) =>
+    batches.map((batch) => updateBatchItem(batch, (item) => item.jobId === jobId, patch)),
+  // 대기 항목은 실행하지 않음 (진행 중인 작업 취소는 작업 쪽에서 JOB_SYNCED 로 반영)
+  [BATCH_ACTIONS.CANCELLED]: (batches, { id }) =>
+    updateBatch(batches, id, (batch) => ({
+      ...updateBatchItem(batch, (item) => item.status === 'queued', { status: 'cancelled' }),
+      cancelled: true,
+    })),
+  [BATCH_ACTIONS.RETRIED]: (batches, { id }) => updateBatch(batches, id, requeueFailedItems),
+  [BATCH_ACTIONS.REQUEUED]: (batches, { id }) => updateBatch(batches, id, requeueUnstartedItems),
+};
+
+/**
+ * 배치 목록에 변경(action) 적용
+ * 여러 탭이 같은 변경을 탭 메시지로 주고받아 각자 적용하므로 상태 전체가 아닌 변경 단위로 기록합니다.
+ * @param {Object[]} batches
+ * @param {{ type: string }} action BATCH_ACTIONS 중 하나와 종류별 값
+ */
+export function applyBatchAction(batches, action) {
+  const reducer = BATCH_REDUCERS[action?.type];
+  return reducer ? reducer(batches, action) : batches;
+}
+
+/**
+ * 배치 요약: 상태별/판정별 개수와 심각한 셀 우선 정렬 목록
+ */
+export function summarizeBatch(batch) {
+  const statusCounts = {};
+  const verdictCounts = { normal: 0, warning: 0, critical: 0 };
+  batch.items.forEach((item) => {
+    statusCounts[item.status] = (statusCounts[item.status] || 0) + 1;
+    if (item.status === 'completed' && item.verdict) {
+      verdictCounts[item.verdict.status] = (verdictCounts[item.verdict.status] || 0) + 1;
+    }
+  });
+
+  const severity = (item) => STATUS_SEVERITY[item.verdict?.status] ?? -1;
+  const ranked = batch.items
+    .filter((item) => item.status === 'completed')
+    .sort((a, b) => severity(b) - severity(a));
+
+  const total = batch.items.length;
+  const done = total - batch.items.filter((item) => item.status === 'queued' || ACTIVE_JOB_STATUSES.includes(item.status)).length;
+  return {
+    total,
+    done,
+    statusCounts,
+    verdictCounts,
+    ranked,
+    failed: batch.items.filter((item) => item.status === 'failed'),
+  };
+}
+
+const batchStorageKey = (userId) => `analysis_batches:${userId}`;
+
+export function loadBatches(userId = DEFAULT_USER_ID) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(batchStorageKey(userId)));
+    if (Array.isArray(saved)) return saved.filter((batch) => batch && batch.id && Array.isArray(batch.items));
+  } catch (e) {
+    console.warn('[analysisBatch] 배치 목록 로드 실패:', e);
+  }
+  return [];
+}
+
+export function saveBatches(batches, userId = DEFAULT_USER_ID) {
+  try {
+    localStorage.setItem(batchStorageKey(userId), JSON.stringify(batches.slice(0, MAX_STORED_BATCHES)));
+  } catch (e) {
+    console.warn('[analysisBatch] 배치 목록 저장 실패:', e);
+  }
+}
@@ -0,0 +1,198 @@
+import { describe, it, expect } from "vitest";
+import {
+  BATCH_ACTIONS,
+  applyBatchAction,
+  buildCellPairs,
+  createBatch,
+  getNextBatchItems,
+  isBatchActive,
+  requeueFailedItems,
+  requeueUnstartedItems,
+  summarizeBatch,
+  updateBatchItem,
+} from "./analysisBatch.js";
+
+const form = {
+  n1StartTime: "2025-01-15 08:05",
+  n1EndTime: "2025-01-15 09:05",
+  nStartTime: "2025-01-15 09:05",
+  nEndTime: "2025-01-15 10:05",
+  targets: [
+    "EMS1|NE1|LTE|101",
+    "EMS1|NE1|NR|101",
+    "EMS1|NE1|LTE|102",
+    "EMS2|NE2|NR|201",
+  ],
+};
+const dbProfile = {
+  name: "PVT",
+  settings: { host: "db", password: "secret", dbname: "kpi" },
+};
+
+const withStatuses = (batch, statuses) => ({
+  ...batch,
+  items: batch.items.map((item, i) => ({ ...item, ...statuses[i] })),
+});
+
+describe("buildCellPairs", () => {
+  it("dedupes the same cell across technologies", () => {
+    expect(buildCellPairs(form.targets).map((pair) => pair.key)).toEqual([
+      "NE1/101",
+      "NE1/102",
+      "NE2/201",
+    ]);
+  });
+});
+
+describe("createBatch", () => {
+  it("builds one request per pair and keeps passwords out of the batch", () => {
+    const { batch, requests } = createBatch(form, dbProfile, { concurrency: 2 });
+    expect(batch.items).toHaveLength(3);
+    expect(batch.items[2]).toMatchObject({
+      ems: "EMS2",
+      ne: "NE2",
+      cell: "201",
+      status: "queued",
+    });
+    expect(batch.items[2].params.cell_id).toBe("201");
+    expect(batch.items[2].params.db_profile).toBe("PVT");
+    expect(batch.items[0].params.db_config.password).toBeUndefined();
+    expect(requests.get("NE1/101").db_config.password).toBe("secret");
+  });
+});
+
+describe("scheduling", () => {
+  const { batch } = createBatch(form, dbProfile, { concurrency: 2 });
+
+  it("fills free slots only", () => {
+    expect(getNextBatchItems(batch).map((item) => item.key)).toEqual([
+      "NE1/101",
+      "NE1/102",
+    ]);
+    const running = withStatuses(batch, [{ status: "processing" }]);
+    expect(getNextBatchItems(running).map((item) => item.key)).toEqual([
+      "NE1/102",
+    ]);
+    expect(getNextBatchItems({ ...batch, cancelled: true })).toEqual([]);
+  });
+
+  it("requeues failed and cancelled items", () => {
+    const done = withStatuses(batch, [
+      { status: "completed" },
+      { status: "failed", jobId: "j2", error: "boom" },
+      { status: "cancelled" },
+    ]);
+    expect(isBatchActive(done)).toBe(false);
+    const retried = requeueFailedItems(done);
+    expect(retried.items.map((item) => item.status)).toEqual([
+      "completed",
+      "queued",
+      "queued",
+    ]);
+    expect(retried.items[1]).toMatchObject({ jobId: null, error: null });
+  });
+
+  it("requeues only items that never got a job id", () => {
+    const stuck = withStatuses(batch, [
+      { status: "pending" },
+      { status: "processing", jobId: "j2" },
+      { status: "failed" },
+    ]);
+    expect(
+      requeueUnstartedItems(stuck).items.map((item) => item.status)
+    ).toEqual(["queued", "processing", "failed"]);
+  });
+
+  it("returns the same batch when no item matches", () => {
+    expect(updateBatchItem(batch, () => false, { status: "failed" })).toBe(
+      batch
+    );
+  });
+});
+
+describe("applyBatchAction", () => {
+  const { batch } = createBatch(form, dbProfile);
+
+  it("adds a started batch once and patches it by id", () => {
+    let batches = applyBatchAction([], {
+      type: BATCH_ACTIONS.STARTED,
+      batch,
+    });
+    batches = applyBatchAction(batches, {
+      type: BATCH_ACTIONS.STARTED,
+      batch,
+    });
+    expect(batches).toHaveLength(1);
+
+    batches = applyBatchAction(batches, {
+      type: BATCH_ACTIONS.ITEM_PATCHED,
+      id: batch.id,
+      key: "NE1/102",
+      patch: { status: "pending", jobId: "j2" },
+    });
+    batches = applyBatchAction(batches, {
+      type: BATCH_ACTIONS.JOB_SYNCED,
+      jobId: "j2",
+      patch: { status: "completed" },
+    });
+    batches = applyBatchAction(batches, {
+      type: BATCH_ACTIONS.PATCHED,
+      id: batch.id,
+      patch: { dismissed: true },
+    });
+    expect(batches[0].items.map((item) => item.status)).toEqual([
+      "queued",
+      "completed",
+      "queued",
+    ]);
+    expect(batches[0].dismissed).toBe(true);
+  });
+
+  it("cancels queued items and ignores unknown actions", () => {
+    const [cancelled] = applyBatchAction([batch], {
+      type: BATCH_ACTIONS.CANCELLED,
+      id: batch.id,
+    });
+    expect(cancelled.cancelled).toBe(true);
+    expect(cancelled.items.every((item) => item.status === "cancelled")).toBe(
+      true
+    );
+    const batches = [batch];
+    expect(applyBatchAction(batches, { type: "nope" })).toBe(batches);
+  });
+
+  it("requeues unstarted items of the given batch only", () => {
+    const stuck = withStatuses(batch, [{ status: "pending" }]);
+    const other = { ...stuck, id: "other" };
+    const [requeued, untouched] = applyBatchAction([stuck, other], {
+      type: BATCH_ACTIONS.REQUEUED,
+      id: batch.id,
+    });
+    expect(requeued.items[0].status).toBe("queued");
+    expect(untouched).toBe(other);
+  });
+});
+
+describe("summarizeBatch", () => {
+  it("counts verdicts and ranks the worst cells first", () => {
+    const { batch } = createBatch(form, dbProfile);
+    const summary = summarizeBatch(
+      withStatuses(batch, [
+        { status: "completed", verdict: { status: "warning" } },
+        { status: "completed", verdict: { status: "critical" } },
+        { status: "failed" },
+      ])
+    );
+    expect(summary.verdictCounts).toEqual({
+      normal: 0,
+      warning: 1,
+      critical: 1,
+    });
+    expect(summary.ranked.map((item) => item.key)).toEqual([
+      "NE1/102",
+      "NE1/101",
+    ]);
+    expect(summary.failed).toHaveLength(1);
+    expect(summary.done).toBe(3);
+  });
+});
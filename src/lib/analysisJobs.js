@@ -0,0 +1,180 @@
+/**
+ * 비동기 분석 작업 유틸리티 모듈
+ *
+ * 백엔드 async-analysis 응답을 작업 객체로 정규화하고,
+ * 페이지 이동/새로고침 후에도 이어서 추적할 수 있도록 작업 목록을 저장합니다.
+ */
+
+import { DEFAULT_USER_ID } from './resultColumns';
+
+export const JOB_POLL_INTERVAL_MS = 2000;
+export const MAX_POLL_ERRORS = 5;
+const MAX_STORED_JOBS = 20;
+
+export const ACTIVE_JOB_STATUSES = ['pending', 'processing'];
+export const TERMINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export const JOB_STATUS_LABELS = {
+  pending: '대기 중',
+  processing: '분석 중',
+  completed: '완료',
+  failed: '실패',
+  cancelled: '취소됨',
+};
+
+// Badge variant 매핑
+export const JOB_STATUS_VARIANTS = {
+  pending: 'default',
+  processing: 'info',
+  completed: 'normal',
+  failed: 'critical',
+  cancelled: 'warning',
+};
+
+export function isActiveJob(job) {
+  return ACTIVE_JOB_STATUSES.includes(job?.status);
+}
+
+/**
+ * 백엔드 상태 값을 작업 상태로 정규화 (running 등 별칭 포함)
+ */
+export function normalizeJobStatus(status) {
+  const value = String(status || '').toLowerCase();
+  if (value === 'running' || value === 'in_progress') return 'processing';
+  if (value === 'queued') return 'pending';
+  if (value === 'canceled') return 'cancelled';
+  if (value === 'error') return 'failed';
+  return [...ACTIVE_JOB_STATUSES, ...TERMINAL_JOB_STATUSES].includes(value) ? value : 'pending';
+}
+
+/**
+ * 저장/표시용 요청 파라미터 (DB 비밀번호는 제외)
+ */
+export function sanitizeJobParams(params = {}) {
+  if (!params.db_config) return params;
+  const { password: _password, ...dbConfig } = params.db_config;
+  return { ...params, db_config: dbConfig };
+}
+
+/**
+ * 비동기 분석 결과 응답에서 AnalysisResultV2 추출
+ */
+export function extractJobResult(response) {
+  const payload = response?.result ?? response?.result_data ?? response?.data ?? response;
+  return payload && typeof payload === 'object' ? payload : null;
+}
+
+export function getJobResultId(job) {
+  return job?.resultId || job?.result?.id || null;
+}
+
+/**
+ * 결과를 만든 작업 (같은 조건으로 재분석할 때 요청 파라미터를 찾는 용도)
+ */
+export function findJobForResult(jobs, resultId) {
+  if (!resultId) return null;
+  return jobs.find((job) => getJobResultId(job) === resultId) || null;
+}
+
+/**
+ * 작업 경과 시간(초). 진행 중인 작업은 now 기준으로 계산합니다.
+ */
+export function getJobElapsedSeconds(job, now = Date.now()) {
+  if (!job?.startedAt) return 0;
+  const end = job.finishedAt || now;
+  return Math.max(0, Math.floor((end - job.startedAt) / 1000));
+}
+
+export function formatElapsed(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+export function describeJobTarget(params = {}) {
+  const ne = params.ne_id || '-';
+  const cell = params.cell_id || '-';
+  return `${ne} / ${cell}`;
+}
+
+const toTimestamp = (value) => {
+  if (!value) return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * getAsyncAnalysisList 응답 항목을 작업 객체로 변환
+ */
+export function jobFromServer(item = {}) {
+  const result = extractJobResult(item.result_data);
+  return {
+    id: item.analysis_id || item.id,
+    status: normalizeJobStatus(item.status),
+    progress: item.progress ?? 0,
+    params: sanitizeJobParams(item.request_params || item.request_data || {}),
+    startedAt: toTimestamp(item.started_at || item.created_at),
+    finishedAt: toTimestamp(item.completed_at || item.finished_at),
+    resultId: item.result_id || result?.id || null,
+    error: item.error_message || null,
+    // 다른 곳에서 시작된 작업은 Dashboard 진행 패널에 표시하지 않음
+    dismissed: true,
+  };
+}
+
+export function extractServerJobs(response) {
+  const payload = response?.data && !Array.isArray(response) ? response.data : response;
+  const list = Array.isArray(payload) ? payload : payload?.analyses || payload?.tasks || payload?.items || [];
+  return list.map(jobFromServer).filter((job) => job.id);
+}
+
+/**
+ * 로컬 작업 목록에 서버 작업 목록을 병합합니다.
+ * 로컬 작업의 상태 전이는 폴링이 담당하므로, 로컬에 없는 정보만 서버 값으로 채웁니다.
+ */
+export function mergeServerJobs(localJobs, serverJobs) {
+  const byId = new Map(localJobs.map((job) => [job.id, job]));
+  serverJobs.forEach((serverJob) => {
+    const local = byId.get(serverJob.id);
+    if (!local) {
+      byId.set(serverJob.id, serverJob);
+      return;
+    }
+    byId.set(serverJob.id, {
+      ...local,
+      params: Object.keys(local.params || {}).length > 0 ? local.params : serverJob.params,
+      startedAt: local.startedAt || serverJob.startedAt,
+      resultId: local.resultId || serverJob.resultId,
+    });
+  });
+  return Array.from(byId.values()).sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0));
+}
+
+const jobStorageKey = (userId) => `analysis_jobs:${userId}`;
+
+/**
+ * 저장된 작업 목록 로드 (결과 본문은 저장하지 않으므로 resultId로 다시 조회)
+ */
+export function loadJobs(userId = DEFAULT_USER_ID) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(jobStorageKey(userId)));
+    if (Array.isArray(saved)) return saved.filter((job) => job && job.id);
+  } catch (e) {
+    console.warn('[analysisJobs] 작업 목록 로드 실패:', e);
+  }
+  return [];
+}
+
+export function saveJobs(jobs, userId = DEFAULT_USER_ID) {
+  try {
+    const stored = jobs.slice(0, MAX_STORED_JOBS).map((job) => {
+      const { result: _result, ...rest } = job;
+      return rest;
+    });
+    localStorage.setItem(jobStorageKey(userId), JSON.stringify(stored));
+  } catch (e) {
+    console.warn('[analysisJobs] 작업 목록 저장 실패:', e);
+  }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalizeJobStatus,
+  sanitizeJobParams,
+  extractJobResult,
+  getJobElapsedSeconds,
+  formatElapsed,
+  extractServerJobs,
+  mergeServerJobs,
+} from "./analysisJobs.js";
+
+describe("normalizeJobStatus", () => {
+  it("maps backend aliases to job statuses", () => {
+    expect(normalizeJobStatus("running")).toBe("processing");
+    expect(normalizeJobStatus("CANCELED")).toBe("cancelled");
+    expect(normalizeJobStatus("completed")).toBe("completed");
+    expect(normalizeJobStatus(undefined)).toBe("pending");
+  });
+});
+
+describe("sanitizeJobParams", () => {
+  it("drops the db password", () => {
+    const params = { ne_id: "NE1", db_config: { host: "h", password: "secret" } };
+    expect(sanitizeJobParams(params)).toEqual({ ne_id: "NE1", db_config: { host: "h" } });
+    expect(params.db_config.password).toBe("secret");
+  });
+});
+
+describe("extractJobResult", () => {
+  it("unwraps the result envelope", () => {
+    expect(extractJobResult({ result: { id: "r1" } })).toEqual({ id: "r1" });
+    expect(extractJobResult({ success: true, data: { id: "r2" } })).toEqual({ id: "r2" });
+    expect(extractJobResult(null)).toBeNull();
+  });
+});
+
+describe("elapsed time", () => {
+  it("uses finishedAt for finished jobs", () => {
+    expect(getJobElapsedSeconds({ startedAt: 1000, finishedAt: 66000 })).toBe(65);
+    expect(getJobElapsedSeconds({ startedAt: 1000 }, 11000)).toBe(10);
+  });
+
+  it("formats as m:ss or h:mm:ss", () => {
+    expect(formatElapsed(65)).toBe("1:05");
+    expect(formatElapsed(3725)).toBe("1:02:05");
+  });
+});
+
+describe("server job list", () => {
+  const response = {
+    total_count: 2,
+    analyses: [
+      { analysis_id: "a", status: "running", progress: 30, created_at: "2025-01-01T00:00:00Z" },
+      { analysis_id: "b", status: "completed", result_id: "r1", created_at: "2025-01-02T00:00:00Z" },
+    ],
+  };
+
+  it("normalizes list items", () => {
+    const jobs = extractServerJobs(response);
+    expect(jobs.map((j) => [j.id, j.status, j.resultId])).toEqual([
+      ["a", "processing", null],
+      ["b", "completed", "r1"],
+    ]);
+  });
+
+  it("keeps local state and adds unknown jobs newest first", () => {
+    const local = [{ id: "a", status: "failed", params: { ne_id: "NE1" }, startedAt: 1 }];
+    const merged = mergeServerJobs(local, extractServerJobs(response));
+    expect(merged.map((j) => j.id)).toEqual(["b", "a"]);
+    expect(merged[1]).toMatchObject({ status: "failed", params: { ne_id: "NE1" } });
+  });
+});
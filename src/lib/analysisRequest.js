@@ -0,0 +1,52 @@
+/**
+ * LLM 분석 요청 파라미터 생성 모듈
+ *
+ * AnalysisForm 값(기간 + EMS/NE/Cell 선택)과 DB 연결 프로필로 분석 API 요청 본문을 만듭니다.
+ */
+
+import { DEFAULT_USER_ID } from './resultColumns';
+
+/**
+ * 시간 형식 변환: "YYYY-MM-DD HH:MM" → "YYYY-MM-DD_HH:MM"
+ */
+export function formatTimeForApi(dateTimeStr) {
+  if (!dateTimeStr) return '';
+  return dateTimeStr.replace(/[\sT]/g, '_').substring(0, 16);
+}
+
+const joinValues = (value) => (Array.isArray(value) ? value.join(',') : value);
+
+/**
+ * dbProfile 은 연결 프로필({ name, settings })이며, 없으면 백엔드 기본 DB를 사용합니다.
+ * 어떤 데이터 소스로 분석했는지 남기기 위해 프로필 이름을 db_profile 로 함께 보냅니다.
+ */
+export function buildAnalysisRequest(formData, dbProfile, userId = DEFAULT_USER_ID) {
+  const dbConfig = dbProfile?.settings;
+  return {
+    n_minus_1: `${formatTimeForApi(formData.n1StartTime)}~${formatTimeForApi(formData.n1EndTime)}`,
+    n: `${formatTimeForApi(formData.nStartTime)}~${formatTimeForApi(formData.nEndTime)}`,
+    ems: joinValues(formData.ems),
+    ne_id: joinValues(formData.neId),
+    cell_id: joinValues(formData.cellId),
+    db_profile: dbProfile?.name,
+    db_config: dbConfig
+      ? {
+          host: dbConfig.host,
+          port: dbConfig.port || 5432,
+          user: dbConfig.user,
+          password: dbConfig.password,
+          dbname: dbConfig.dbname,
+          table: dbConfig.table || 'summary',
+        }
+      : undefined,
+    user_id: userId,
+  };
+}
+
+// 로그 출력용 (비밀번호 마스킹)
+export function maskRequestParams(params) {
+  return {
+    ...params,
+    db_config: params.db_config ? { ...params.db_config, password: '[HIDDEN]' } : undefined,
+  };
+}
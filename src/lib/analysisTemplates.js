@@ -0,0 +1,85 @@
+/**
+ * 분석 템플릿 유틸리티 모듈
+ *
+ * AnalysisForm 값을 이름 있는 템플릿으로 저장/복원합니다.
+ * 기간은 절대 시각이 아닌 "현재 기준" 값으로 저장하므로 언제 실행해도 같은 형태의 기간이 됩니다.
+ * (현재 시각 기준 프리셋은 프리셋 키로, 그 외에는 분 단위 오프셋으로 저장)
+ */
+
+import {
+  getWindowPreset,
+  buildPresetWindows,
+  toRelativeOffsets,
+  fromRelativeOffsets,
+  getWindowDurationMinutes,
+  formatDurationMinutes,
+} from './timeWindows';
+
+// 사용자 설정 문서 내 템플릿 목록 키
+export const TEMPLATE_SETTINGS_KEY = 'analysis_templates';
+
+const createTemplateId = () => `tpl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * 폼 값으로 템플릿 생성. existing을 넘기면 id/생성 시각을 유지한 채 덮어씁니다.
+ * windowNow 는 기간 오프셋 기준 시각으로, 기간이 설정 시간대의 벽시계 값이면 그 시간대의 현재 시각을 넘깁니다.
+ */
+export function createTemplate(name, form, { windowPreset, existing, now = new Date(), windowNow = now } = {}) {
+  const livePreset = getWindowPreset(windowPreset)?.live ? windowPreset : null;
+  return {
+    id: existing?.id || createTemplateId(),
+    name: name.trim(),
+    targets: [...(form.targets || [])],
+    ems: [...(form.ems || [])],
+    neId: [...(form.neId || [])],
+    cellId: [...(form.cellId || [])],
+    window: {
+      preset: livePreset,
+      offsets: livePreset ? null : toRelativeOffsets(form, windowNow),
+    },
+    createdAt: existing?.createdAt || now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+}
+
+export function renameTemplate(template, name, now = new Date()) {
+  return { ...template, name: name.trim(), updatedAt: now.toISOString() };
+}
+
+/**
+ * 템플릿을 현재 시각 기준 폼 값으로 변환
+ */
+export function templateToForm(template, now = new Date()) {
+  const times = template.window?.preset
+    ? buildPresetWindows(template.window.preset, undefined, now)
+    : fromRelativeOffsets(template.window?.offsets, now);
+  return {
+    ...times,
+    targets: template.targets || [],
+    ems: template.ems || [],
+    neId: template.neId || [],
+    cellId: template.cellId || [],
+    windowPreset: template.window?.preset || null,
+  };
+}
+
+const formatOffset = (minutes) => (minutes === 0 ? '현재' : `${formatDurationMinutes(minutes)} 전`);
+
+export function describeTemplateWindow(template) {
+  const preset = getWindowPreset(template.window?.preset);
+  if (preset) return preset.label;
+  const offsets = template.window?.offsets || {};
+  const form = fromRelativeOffsets(offsets);
+  const n1 = getWindowDurationMinutes(form.n1StartTime, form.n1EndTime);
+  const n = getWindowDurationMinutes(form.nStartTime, form.nEndTime);
+  return `N-1 ${formatDurationMinutes(n1)} (${formatOffset(offsets.n1EndTime)} 종료) / N ${formatDurationMinutes(n)} (${formatOffset(offsets.nEndTime)} 종료)`;
+}
+
+export function upsertTemplate(templates, template) {
+  const exists = templates.some((t) => t.id === template.id);
+  return exists ? templates.map((t) => (t.id === template.id ? template : t)) : [...templates, template];
+}
+
+export function removeTemplate(templates, id) {
+  return templates.filter((t) => t.id !== id);
+}
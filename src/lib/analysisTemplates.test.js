@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import {
+  createTemplate,
+  templateToForm,
+  upsertTemplate,
+  removeTemplate,
+} from "./analysisTemplates.js";
+
+const savedAt = new Date(2025, 0, 15, 10, 7);
+const later = new Date(2025, 0, 20, 14, 32);
+const form = {
+  n1StartTime: "2025-01-15 07:05",
+  n1EndTime: "2025-01-15 08:05",
+  nStartTime: "2025-01-15 09:05",
+  nEndTime: "2025-01-15 10:05",
+  targets: ["EMS1|NE1|LTE|1", "EMS1|NE1|LTE|2"],
+  ems: ["EMS1"],
+  neId: ["NE1"],
+  cellId: ["1", "2"],
+};
+
+describe("analysis templates", () => {
+  it("stores custom windows relative to now", () => {
+    const template = createTemplate(" 야간 점검 ", form, { now: savedAt });
+    expect(template.name).toBe("야간 점검");
+    expect(template.window).toEqual({
+      preset: null,
+      offsets: { n1StartTime: 180, n1EndTime: 120, nStartTime: 60, nEndTime: 0 },
+    });
+    expect(templateToForm(template, later)).toMatchObject({
+      n1StartTime: "2025-01-20 11:30",
+      nEndTime: "2025-01-20 14:30",
+      targets: ["EMS1|NE1|LTE|1", "EMS1|NE1|LTE|2"],
+      neId: ["NE1"],
+      windowPreset: null,
+    });
+  });
+
+  it("measures offsets from the window clock but stamps the real time", () => {
+    const template = createTemplate("시간대", form, {
+      now: later,
+      windowNow: savedAt,
+    });
+    expect(template.window.offsets.nEndTime).toBe(0);
+    expect(template.updatedAt).toBe(later.toISOString());
+  });
+
+  it("stores live presets by key", () => {
+    const template = createTemplate("최근", form, {
+      windowPreset: "last_hour",
+      now: savedAt,
+    });
+    expect(template.window).toEqual({ preset: "last_hour", offsets: null });
+    expect(templateToForm(template, later)).toMatchObject({
+      nStartTime: "2025-01-20 13:30",
+      windowPreset: "last_hour",
+    });
+  });
+
+  it("keeps id when overwriting and supports upsert/remove", () => {
+    const first = createTemplate("A", form, { now: savedAt });
+    const updated = createTemplate("B", form, { existing: first, now: later });
+    expect(updated.id).toBe(first.id);
+    expect(updated.createdAt).toBe(first.createdAt);
+    const list = upsertTemplate([first], updated);
+    expect(list).toHaveLength(1);
+    expect(list[0].name).toBe("B");
+    expect(removeTemplate(list, first.id)).toEqual([]);
+  });
+});
@@ -2,25 +2,27 @@
  * API 클라이언트 모듈
  *
  * 백엔드 API와의 통신을 담당하는 axios 기반 클라이언트입니다.
+ * 주소와 타임아웃은 요청마다 runtimeConfig 에서 읽습니다.
  */
 
 import axios from "axios";
-
-const API_BASE_URL =
-  import.meta.env.VITE_API_BASE_URL || "http://165.213.69.30:8000/api";
+import { getRuntimeConfig } from "./runtimeConfig.js";
 
 const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 30000,
   headers: { "Content-Type": "application/json" },
 });
 
 api.interceptors.request.use(
   (config) => {
-    console.log(
-      `[API] ${config.method?.toUpperCase()} ${config.url}`,
-      config.params || ""
-    );
+    const { apiBaseUrl, apiTimeout, apiLogging } = getRuntimeConfig();
+    config.baseURL = config.baseURL || apiBaseUrl;
+    config.timeout = config.timeout || apiTimeout;
+    if (apiLogging) {
+      console.log(
+        `[API] ${config.method?.toUpperCase()} ${config.url}`,
+        config.params || ""
+      );
+    }
     return config;
   },
   (error) => Promise.reject(error)
@@ -48,6 +50,11 @@ export const getAnalysisResultDetailV2 = async (resultId) => {
   return response.data;
 };
 
+export const deleteAnalysisResultV2 = async (resultId) => {
+  const response = await api.delete(`/analysis/results-v2/${resultId}`);
+  return response.data;
+};
+
 export const getAnalysisStatsV2 = async () => {
   const response = await api.get("/analysis/results-v2/stats/summary");
   return response.data;
@@ -75,6 +82,21 @@ export const getAsyncAnalysisResult = async (analysisId) => {
   return response.data;
 };
 
+export const cancelAsyncAnalysis = async (analysisId) => {
+  const response = await api.post(`/async-analysis/cancel/${analysisId}`);
+  return response.data;
+};
+
+export const getAsyncAnalysisList = async () => {
+  const response = await api.get("/async-analysis/list");
+  return response.data;
+};
+
+export const getAsyncAnalysisHealth = async () => {
+  const response = await api.get("/async-analysis/health");
+  return response.data;
+};
+
 // PEG 비교분석 API
 export const getPEGComparisonResult = async (resultId) => {
   const response = await api.get(
@@ -83,49 +105,20 @@ export const getPEGComparisonResult = async (resultId) => {
   return response.data;
 };
 
-// 사용자 설정 API
-export const getUserPreferences = async (userId = "default") => {
-  try {
-    const response = await api.get("/preference/settings", {
-      params: { user_id: userId },
-    });
-    return { success: true, data: response.data };
-  } catch (error) {
-    if (error.response?.status === 404)
-      return { success: true, data: null, isNew: true };
-    throw error;
-  }
-};
-
-export const saveUserPreferences = async (userId = "default", settings) => {
-  const response = await api.put("/preference/settings", settings, {
-    params: { user_id: userId },
-  });
-  return { success: true, data: response.data };
+// DB 연결 테스트 API
+export const testDbConnection = async (dbConfig) => {
+  const response = await api.post("/db/test-connection", dbConfig);
+  return response.data;
 };
 
 // EMS/NE/Cell 목록 조회 API
-// 개발환경: Vite 프록시 사용 (/ems-api)
-// Docker 환경: runtime config에서 URL 가져옴
-const getEmsApiUrl = () => {
-  // Docker 환경 (runtime config)
-  if (typeof window !== "undefined" && window.__RUNTIME_CONFIG__?.EMS_API_URL) {
-    return window.__RUNTIME_CONFIG__.EMS_API_URL;
-  }
-  // Vite 환경변수
-  if (import.meta.env.VITE_EMS_API_URL) {
-    return import.meta.env.VITE_EMS_API_URL;
-  }
-  // 개발환경 기본값 (Vite 프록시)
-  return "/ems-api";
-};
-
+// 개발환경: Vite 프록시 사용 (/ems-api), Docker 환경: runtime config의 EMS_API_URL
 export const getEmsNeList = async () => {
-  const emsApiUrl = getEmsApiUrl();
-  console.log("[API] EMS API URL:", emsApiUrl);
+  const { emsApiUrl, emsTimeout, apiLogging } = getRuntimeConfig();
+  if (apiLogging) console.log("[API] EMS API URL:", emsApiUrl);
 
   const response = await axios.get(`${emsApiUrl}/test/list`, {
-    timeout: 10000,
+    timeout: emsTimeout,
   });
   return response.data;
 };
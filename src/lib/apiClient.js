@@ -17,6 +17,7 @@
 
 import axios from "axios";
 import { toast } from "sonner";
+import { getRuntimeConfig } from "./runtimeConfig.js";
 // TypeScript 타입은 JSDoc에서만 사용하므로 import 제거
 // @typedef {import("../types/index.js").AnalysisResult} AnalysisResult
 
@@ -57,97 +58,10 @@ const logApiClient = (level, message, data = null) => {
 // ================================
 
 /**
- * 런타임 설정에서 API 기본 URL을 가져옵니다
+ * API 기본 URL (runtimeConfig 모듈에서 결정: 런타임 설정 → 환경변수 → 기본값)
  * @returns {string} API 기본 URL
  */
-const getBaseURL = () => {
-  try {
-    // 환경변수 우선순위: Vite 환경변수 > 런타임 설정 > 기본값
-    let baseURL = null;
-
-    // 런타임 설정을 함수 상단에서 정의 (전체 함수에서 접근 가능)
-    const runtimeCfg =
-      typeof window !== "undefined" ? window.__RUNTIME_CONFIG__ || {} : {};
-
-    // 1. Vite 환경변수 우선 확인 (최고 우선순위)
-    if (import.meta.env.VITE_API_BASE_URL) {
-      baseURL = import.meta.env.VITE_API_BASE_URL;
-      logApiClient(
-        "info",
-        "Vite 환경변수에서 URL 사용 (최고 우선순위)",
-        baseURL
-      );
-    }
-
-    // 2. 런타임 설정 확인 (Docker 환경에서 사용)
-    if (!baseURL) {
-      if (
-        runtimeCfg.VITE_API_BASE_URL &&
-        String(runtimeCfg.VITE_API_BASE_URL).trim()
-      ) {
-        baseURL = String(runtimeCfg.VITE_API_BASE_URL).trim();
-        logApiClient("info", "런타임 설정에서 VITE_API_BASE_URL 사용", baseURL);
-      } else if (
-        runtimeCfg.BACKEND_BASE_URL &&
-        String(runtimeCfg.BACKEND_BASE_URL).trim()
-      ) {
-        baseURL = String(runtimeCfg.BACKEND_BASE_URL).trim();
-        logApiClient("info", "런타임 설정에서 BACKEND_BASE_URL 사용", baseURL);
-      }
-    }
-
-    // 3. 환경별 기본값 설정 (항상 외부 백엔드 우선)
-    if (!baseURL) {
-      // 현재 호스트 확인
-      const currentHost =
-        typeof window !== "undefined" ? window.location.hostname : "localhost";
-
-      // 외부 백엔드 서버 우선 사용 (개발 환경에서도 외부 API 사용)
-      if (currentHost !== "localhost" && currentHost !== "127.0.0.1") {
-        // Docker/productions 환경: 설정된 백엔드 URL 사용
-        baseURL = "http://165.213.69.30:8000";
-        logApiClient("info", "외부 호스트 감지, 외부 백엔드 URL 사용", baseURL);
-      } else {
-        // 개발 환경: 외부 백엔드 우선, localhost는 fallback
-        baseURL = "http://165.213.69.30:8000";
-        logApiClient("info", "개발 환경에서도 외부 백엔드 우선 사용", baseURL);
-      }
-    }
-
-    // 5. 최종 검증 및 포맷팅 - 백엔드 URL에 /api가 이미 포함된 경우 그대로 사용
-    if (baseURL && baseURL.includes("/api")) {
-      // 이미 /api가 포함되어 있으면 그대로 사용
-      logApiClient("info", "baseURL에 /api가 이미 포함되어 있음", baseURL);
-    } else if (baseURL && !baseURL.endsWith("/api")) {
-      // /api가 없으면 추가
-      baseURL = baseURL.endsWith("/") ? `${baseURL}api` : `${baseURL}/api`;
-    }
-
-    logApiClient("info", "최종 API URL 결정", {
-      baseURL,
-      runtimeCfg: Object.keys(runtimeCfg),
-      currentHost:
-        typeof window !== "undefined" ? window.location.hostname : "unknown",
-      isDockerEnv:
-        typeof window !== "undefined" &&
-        window.location.hostname !== "localhost",
-    });
-
-    return baseURL;
-  } catch (error) {
-    logApiClient("error", "API 기본 URL 설정 오류", error);
-
-    // 에러 시에도 환경에 맞는 기본값 반환
-    const isDockerEnv =
-      typeof window !== "undefined" &&
-      window.location.hostname !== "localhost" &&
-      window.location.hostname !== "127.0.0.1";
-
-    return isDockerEnv
-      ? "http://165.213.69.30:8000"
-      : "http://165.213.69.30:8000";
-  }
-};
+const getBaseURL = () => getRuntimeConfig().apiBaseUrl;
 
 /**
  * 안전한 에러 메시지 추출 함수
@@ -194,25 +108,22 @@ const sanitizeObject = (
 // API 클라이언트 생성
 // ================================
 
-const baseURL = getBaseURL();
-
 const apiClient = axios.create({
-  baseURL,
   timeout: 15000,
   withCredentials: false, // 백엔드 allow_credentials=False와 일치
 });
 
-logApiClient("info", "API 클라이언트 초기화 완료", { baseURL, timeout: 15000 });
-
 // ================================
 // 인터셉터 설정
 // ================================
 
 /**
- * 요청 인터셉터: 요청 로깅
+ * 요청 인터셉터: 기본 URL 적용 및 요청 로깅
+ * 런타임 설정이 바뀌어도 반영되도록 요청마다 기본 URL을 다시 읽습니다.
  */
 apiClient.interceptors.request.use(
   (config) => {
+    config.baseURL = config.baseURL || getBaseURL();
     logApiClient("debug", "API 요청 시작", {
       method: config.method?.toUpperCase(),
       url: config.url,
@@ -0,0 +1,99 @@
+/**
+ * 분석 결과 비교 유틸리티 모듈
+ *
+ * 여러 AnalysisResultV2를 PEG 이름 기준으로 정렬/정합하고
+ * 결과 간 차이(PEG 변화량, LLM 이슈/권고 차이, Choi 상태 전이)를 계산합니다.
+ */
+
+import { STATUS_SEVERITY } from './resultColumns';
+
+/**
+ * 생성 시각 오름차순으로 정렬 (가장 오래된 결과가 기준)
+ */
+export function orderByCreatedAt(results) {
+  return [...results].sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+}
+
+function percentDelta(base, value) {
+  if (typeof base !== 'number' || typeof value !== 'number') return null;
+  if (base === 0) return value === 0 ? 0 : null;
+  return ((value - base) / Math.abs(base)) * 100;
+}
+
+/**
+ * peg_comparisons를 peg_name 기준으로 정합합니다.
+ *
+ * 각 행의 cells[i]는 results[i]의 PegComparison(없으면 null)이며,
+ * deltaFromBase / deltaFromPrev는 N 기간 평균의 결과 간 변화량입니다.
+ */
+export function alignPegComparisons(results) {
+  const pegNames = [];
+  const seen = new Set();
+  results.forEach((result) => {
+    (result.peg_comparisons || []).forEach((peg) => {
+      if (!seen.has(peg.peg_name)) {
+        seen.add(peg.peg_name);
+        pegNames.push(peg.peg_name);
+      }
+    });
+  });
+
+  return pegNames.map((pegName) => {
+    const cells = results.map((result) => (result.peg_comparisons || []).find((peg) => peg.peg_name === pegName) || null);
+    const values = cells.map((cell) => (typeof cell?.n?.avg === 'number' ? cell.n.avg : null));
+    const base = values[0];
+    const deltas = values.map((value, i) => {
+      const prev = i > 0 ? values[i - 1] : null;
+      return {
+        fromBase: i > 0 && base !== null && value !== null ? value - base : null,
+        fromBasePercent: i > 0 ? percentDelta(base, value) : null,
+        fromPrev: prev !== null && value !== null ? value - prev : null,
+        fromPrevPercent: i > 0 ? percentDelta(prev, value) : null,
+      };
+    });
+    const maxAbsChange = Math.max(0, ...deltas.map((d) => Math.abs(d.fromBasePercent ?? 0)));
+    return { pegName, cells, values, deltas, maxAbsChange, missingIn: cells.filter((c) => !c).length };
+  });
+}
+
+/**
+ * 결과별 문자열 목록(issues, recommendations 등)을 비교합니다.
+ *
+ * presence[i]는 해당 항목이 results[i]에 포함되어 있는지 여부입니다.
+ */
+export function diffLists(results, getList) {
+  const items = new Map();
+  results.forEach((result, index) => {
+    (getList(result) || []).forEach((text) => {
+      const key = String(text).trim();
+      if (!key) return;
+      if (!items.has(key)) items.set(key, new Array(results.length).fill(false));
+      items.get(key)[index] = true;
+    });
+  });
+  return Array.from(items.entries()).map(([text, presence]) => ({
+    text,
+    presence,
+    common: presence.every(Boolean),
+  }));
+}
+
+/**
+ * 연속한 결과 간 Choi 상태 전이를 계산합니다.
+ */
+export function getStatusTransitions(results) {
+  const transitions = [];
+  for (let i = 1; i < results.length; i++) {
+    const from = results[i - 1].choi_result?.status || 'normal';
+    const to = results[i].choi_result?.status || 'normal';
+    if (from === to) continue;
+    transitions.push({
+      fromIndex: i - 1,
+      toIndex: i,
+      from,
+      to,
+      direction: STATUS_SEVERITY[to] > STATUS_SEVERITY[from] ? 'worsened' : 'improved',
+    });
+  }
+  return transitions;
+}
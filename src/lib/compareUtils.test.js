@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import {
+  alignPegComparisons,
+  diffLists,
+  getStatusTransitions,
+} from "./compareUtils.js";
+
+const r1 = {
+  id: "1",
+  choi_result: { status: "normal" },
+  llm_analysis: { issues: ["A", "B"] },
+  peg_comparisons: [{ peg_name: "RRC", n: { avg: 100 } }],
+};
+const r2 = {
+  id: "2",
+  choi_result: { status: "critical" },
+  llm_analysis: { issues: ["B"] },
+  peg_comparisons: [
+    { peg_name: "RRC", n: { avg: 80 } },
+    { peg_name: "ERAB", n: { avg: 5 } },
+  ],
+};
+
+describe("alignPegComparisons", () => {
+  it("aligns PEGs by name and computes deltas from the first result", () => {
+    const rows = alignPegComparisons([r1, r2]);
+    const rrc = rows.find((row) => row.pegName === "RRC");
+    expect(rrc.values).toEqual([100, 80]);
+    expect(rrc.deltas[1].fromBase).toBe(-20);
+    expect(rrc.deltas[1].fromBasePercent).toBe(-20);
+    const erab = rows.find((row) => row.pegName === "ERAB");
+    expect(erab.cells[0]).toBeNull();
+    expect(erab.missingIn).toBe(1);
+  });
+});
+
+describe("diffLists", () => {
+  it("marks which results contain each item", () => {
+    const diff = diffLists([r1, r2], (r) => r.llm_analysis.issues);
+    expect(diff).toEqual([
+      { text: "A", presence: [true, false], common: false },
+      { text: "B", presence: [true, true], common: true },
+    ]);
+  });
+});
+
+describe("getStatusTransitions", () => {
+  it("flags status changes between consecutive results", () => {
+    expect(getStatusTransitions([r1, r2, r2])).toEqual([
+      { fromIndex: 0, toIndex: 1, from: "normal", to: "critical", direction: "worsened" },
+    ]);
+  });
+});
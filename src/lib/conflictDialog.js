@@ -0,0 +1,64 @@
+/**
+ * 설정 충돌 해결 다이얼로그 요청 큐
+ *
+ * 컴포넌트 밖(설정 저장소)에서 충돌 해결 모달을 열고 사용자의 선택을 Promise 로 받습니다.
+ * 모달(SettingsConflictDialog)은 Layout 에 한 번 마운트되어 큐의 첫 요청부터 차례로 표시합니다.
+ */
+
+let queue = [];
+let nextId = 1;
+const listeners = new Set();
+
+const emit = () => listeners.forEach((listener) => listener());
+
+const settle = (entry, result) => {
+  if (!queue.includes(entry)) return;
+  queue = queue.filter((item) => item !== entry);
+  entry.resolve(result);
+  emit();
+};
+
+/**
+ * 충돌 해결 요청
+ * @param {Object} request
+ * @param {string} request.title 모달 제목
+ * @param {string} [request.description] 안내 문구
+ * @param {{ local: string, server: string }} [request.labels] 양쪽 값 이름
+ * @param {Object} [request.base] 마지막으로 맞춘 문서 (한쪽에서만 바뀐 필드를 자동 적용하는 데 사용)
+ * @param {Object} request.local 로컬 문서
+ * @param {Object} request.server 서버(또는 다른 탭) 문서
+ * @param {string[]} [request.keys] 비교할 최상위 키
+ * @param {{ signal?: AbortSignal }} [options] 중단되면 모달을 닫고 null 로 끝남
+ * @returns {Promise<{ choices: Object, settings: Object } | null>} 나중에 하기를 누르면 null
+ */
+export function requestConflictResolution(request, { signal } = {}) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve(null);
+      return;
+    }
+    const entry = { id: nextId++, request, resolve };
+    queue = [...queue, entry];
+    signal?.addEventListener('abort', () => settle(entry, null), { once: true });
+    emit();
+  });
+}
+
+export function subscribeConflictRequests(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 현재 표시할 요청 (없으면 null)
+ */
+export function getActiveConflictRequest() {
+  return queue[0] || null;
+}
+
+/**
+ * 요청 완료. result 가 null 이면 결정을 미룬 것으로 봅니다.
+ */
+export function settleConflictRequest(entry, result) {
+  settle(entry, result);
+}
@@ -0,0 +1,41 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  requestConflictResolution,
+  subscribeConflictRequests,
+  getActiveConflictRequest,
+  settleConflictRequest,
+} from "./conflictDialog.js";
+
+describe("conflict dialog requests", () => {
+  it("shows requests in order and resolves with the user's decision", async () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeConflictRequests(listener);
+
+    const first = requestConflictResolution({ title: "first" });
+    const second = requestConflictResolution({ title: "second" });
+    expect(getActiveConflictRequest().request.title).toBe("first");
+
+    settleConflictRequest(getActiveConflictRequest(), {
+      choices: { a: "local" },
+    });
+    await expect(first).resolves.toEqual({ choices: { a: "local" } });
+    expect(getActiveConflictRequest().request.title).toBe("second");
+
+    settleConflictRequest(getActiveConflictRequest(), null);
+    await expect(second).resolves.toBeNull();
+    expect(getActiveConflictRequest()).toBeNull();
+    expect(listener).toHaveBeenCalledTimes(4);
+    unsubscribe();
+  });
+
+  it("closes an aborted request with null", async () => {
+    const controller = new AbortController();
+    const pending = requestConflictResolution(
+      { title: "x" },
+      { signal: controller.signal }
+    );
+    controller.abort();
+    await expect(pending).resolves.toBeNull();
+    expect(getActiveConflictRequest()).toBeNull();
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * DB 비밀번호 보관 모듈
+ *
+ * 비밀번호는 사용자 설정과 프로필 캐시에 저장하지 않고 연결 프로필 id 별로 따로 보관합니다.
+ * 기본은 현재 브라우저 세션(sessionStorage)에만 두며 탭을 닫으면 사라집니다.
+ * 다음 세션에도 쓰려면 암호 문구로 암호화한 보관함(WebCrypto PBKDF2 + AES-GCM)을 localStorage 에 둘 수 있습니다.
+ * 보관함 키는 잠금 해제한 탭의 메모리에만 있습니다.
+ */
+
+const SESSION_KEY = 'db_credentials';
+const VAULT_KEY = 'db_credential_vault';
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 250000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+let vaultKey = null;
+let version = 0;
+const listeners = new Set();
+
+// 화면 갱신용 구독 (useSyncExternalStore)
+export function subscribeCredentials(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getCredentialsVersion() {
+  return version;
+}
+
+function notify() {
+  version += 1;
+  listeners.forEach((listener) => listener());
+}
+
+function readSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY)) || {};
+  } catch (e) {
+    console.warn('[dbCredentials] 세션 자격 증명 로드 실패:', e);
+    return {};
+  }
+}
+
+function writeSession(credentials) {
+  try {
+    if (Object.keys(credentials).length > 0) sessionStorage.setItem(SESSION_KEY, JSON.stringify(credentials));
+    else sessionStorage.removeItem(SESSION_KEY);
+  } catch (e) {
+    console.warn('[dbCredentials] 세션 자격 증명 저장 실패:', e);
+  }
+}
+
+export function loadVault() {
+  try {
+    const vault = JSON.parse(localStorage.getItem(VAULT_KEY));
+    return vault && vault.salt && Array.isArray(vault.profileIds) ? vault : null;
+  } catch (e) {
+    console.warn('[dbCredentials] 보관함 로드 실패:', e);
+    return null;
+  }
+}
+
+function saveVault(vault) {
+  localStorage.setItem(VAULT_KEY, JSON.stringify(vault));
+}
+
+/**
+ * 이 세션에 있는 비밀번호 (없으면 null)
+ */
+export function getSessionPassword(profileId) {
+  const credentials = readSession();
+  return Object.prototype.hasOwnProperty.call(credentials, profileId) ? credentials[profileId] : null;
+}
+
+/**
+ * 비밀번호 저장 위치. 값은 노출하지 않고 저장 여부만 반환합니다.
+ */
+export function getCredentialStatus(profileId) {
+  return {
+    inSession: getSessionPassword(profileId) !== null,
+    inVault: Boolean(loadVault()?.profileIds.includes(profileId)),
+  };
+}
+
+// 'none' | 'locked' | 'unlocked'
+export function getVaultState() {
+  if (!loadVault()) return 'none';
+  return vaultKey ? 'unlocked' : 'locked';
+}
+
+/**
+ * 요청에 쓸 프로필 (이 세션에 있는 비밀번호를 settings.password 로 채움)
+ */
+export function withCredentials(profile) {
+  if (!profile) return profile;
+  return { ...profile, settings: { ...profile.settings, password: getSessionPassword(profile.id) ?? '' } };
+}
+
+// ---------------------------------------------------------------------------
+// 보관함 암호화
+// ---------------------------------------------------------------------------
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptCredentials(key, credentials) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(credentials)));
+  return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+}
+
+/**
+ * 잠금 해제된 보관함을 현재 세션 비밀번호로 갱신
+ */
+async function syncVault() {
+  const vault = loadVault();
+  if (!vault || !vaultKey) return;
+  const credentials = readSession();
+  saveVault({
+    ...vault,
+    ...(await encryptCredentials(vaultKey, credentials)),
+    profileIds: Object.keys(credentials),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * 암호 문구로 새 보관함을 만들고 현재 세션 비밀번호를 넣음
+ */
+export async function createVault(passphrase) {
+  if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`암호 문구는 ${MIN_PASSPHRASE_LENGTH}자 이상이어야 합니다.`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  saveVault({ version: VAULT_VERSION, salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, profileIds: [] });
+  vaultKey = key;
+  await syncVault();
+  notify();
+}
+
+/**
+ * 보관함 잠금 해제 → 비밀번호를 세션으로 복원하고 복원한 개수를 반환
+ * 이 세션에서 새로 입력한 비밀번호가 보관함 값보다 우선합니다.
+ */
+export async function unlockVault(passphrase) {
+  const vault = loadVault();
+  if (!vault) throw new Error('저장된 보관함이 없습니다.');
+  const key = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+  let stored = {};
+  if (vault.ciphertext) {
+    try {
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.ciphertext));
+      stored = JSON.parse(decoder.decode(plain));
+    } catch {
+      throw new Error('암호 문구가 올바르지 않습니다.');
+    }
+  }
+  // 잠긴 상태에서 지운 비밀번호는 profileIds 에서만 빠져 있으므로 여기서 제외
+  const restored = Object.fromEntries(Object.entries(stored).filter(([id]) => vault.profileIds.includes(id)));
+  vaultKey = key;
+  writeSession({ ...restored, ...readSession() });
+  await syncVault();
+  notify();
+  return Object.keys(restored).length;
+}
+
+export function deleteVault() {
+  localStorage.removeItem(VAULT_KEY);
+  vaultKey = null;
+  notify();
+}
+
+// ---------------------------------------------------------------------------
+// 비밀번호 저장 / 삭제
+// ---------------------------------------------------------------------------
+
+export async function setPassword(profileId, password) {
+  writeSession({ ...readSession(), [profileId]: password });
+  await syncVault();
+  notify();
+}
+
+/**
+ * 예전 설정에 평문으로 있던 비밀번호를 세션으로 옮김 (세션 값이 있으면 유지)
+ */
+export function importPasswords(passwords) {
+  if (Object.keys(passwords).length === 0) return;
+  writeSession({ ...passwords, ...readSession() });
+  notify();
+}
+
+/**
+ * 프로필 하나의 비밀번호를 세션과 보관함에서 삭제
+ */
+export async function forgetPassword(profileId) {
+  const { [profileId]: _removed, ...rest } = readSession();
+  writeSession(rest);
+  const vault = loadVault();
+  if (vault && vaultKey) {
+    await syncVault();
+  } else if (vault) {
+    saveVault({ ...vault, profileIds: vault.profileIds.filter((id) => id !== profileId) });
+  }
+  notify();
+}
+
+export function forgetAllCredentials() {
+  writeSession({});
+  localStorage.removeItem(VAULT_KEY);
+  vaultKey = null;
+  notify();
+}
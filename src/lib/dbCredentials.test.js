@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+
+// 보관함 키는 모듈 상태이므로 테스트마다 새로 불러옴
+let creds;
+beforeEach(async () => {
+  sessionStorage.clear();
+  localStorage.clear();
+  vi.resetModules();
+  creds = await import("./dbCredentials.js");
+});
+
+describe("session credentials", () => {
+  it("stores passwords per profile and reports status without the value", async () => {
+    await creds.setPassword("p1", "secret");
+    expect(creds.getSessionPassword("p1")).toBe("secret");
+    expect(creds.getSessionPassword("p2")).toBeNull();
+    expect(creds.getCredentialStatus("p1")).toEqual({
+      inSession: true,
+      inVault: false,
+    });
+    expect(localStorage.length).toBe(0);
+  });
+
+  it("fills settings.password for requests", async () => {
+    await creds.setPassword("p1", "secret");
+    const profile = { id: "p1", name: "PVT", settings: { host: "db" } };
+    expect(creds.withCredentials(profile).settings).toEqual({
+      host: "db",
+      password: "secret",
+    });
+    expect(
+      creds.withCredentials({ ...profile, id: "p2" }).settings.password
+    ).toBe("");
+  });
+
+  it("keeps newer session passwords when importing legacy ones", async () => {
+    await creds.setPassword("p1", "new");
+    creds.importPasswords({ p1: "old", p2: "legacy" });
+    expect(creds.getSessionPassword("p1")).toBe("new");
+    expect(creds.getSessionPassword("p2")).toBe("legacy");
+  });
+
+  it("notifies subscribers", async () => {
+    const listener = vi.fn();
+    creds.subscribeCredentials(listener);
+    await creds.setPassword("p1", "secret");
+    await creds.forgetPassword("p1");
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(creds.getSessionPassword("p1")).toBeNull();
+  });
+});
+
+describe("passphrase vault", () => {
+  it("rejects short passphrases", async () => {
+    await expect(creds.createVault("short")).rejects.toThrow();
+    expect(creds.getVaultState()).toBe("none");
+  });
+
+  it("encrypts session passwords and restores them after unlock", async () => {
+    await creds.setPassword("p1", "secret");
+    await creds.createVault("correct horse");
+    await creds.setPassword("p2", "other");
+
+    const stored = localStorage.getItem("db_credential_vault");
+    expect(stored).not.toContain("secret");
+    expect(creds.getCredentialStatus("p2").inVault).toBe(true);
+
+    // 새 세션
+    sessionStorage.clear();
+    vi.resetModules();
+    creds = await import("./dbCredentials.js");
+    expect(creds.getVaultState()).toBe("locked");
+    await expect(creds.unlockVault("wrong pass")).rejects.toThrow(
+      "암호 문구가 올바르지 않습니다."
+    );
+    expect(await creds.unlockVault("correct horse")).toBe(2);
+    expect(creds.getVaultState()).toBe("unlocked");
+    expect(creds.getSessionPassword("p1")).toBe("secret");
+  });
+
+  it("forgets a password from a locked vault without the passphrase", async () => {
+    await creds.setPassword("p1", "secret");
+    await creds.setPassword("p2", "other");
+    await creds.createVault("correct horse");
+
+    sessionStorage.clear();
+    vi.resetModules();
+    creds = await import("./dbCredentials.js");
+    await creds.forgetPassword("p1");
+    expect(creds.getCredentialStatus("p1").inVault).toBe(false);
+    expect(await creds.unlockVault("correct horse")).toBe(1);
+    expect(creds.getSessionPassword("p1")).toBeNull();
+  });
+
+  it("forgets everything", async () => {
+    await creds.setPassword("p1", "secret");
+    await creds.createVault("correct horse");
+    creds.forgetAllCredentials();
+    expect(creds.getVaultState()).toBe("none");
+    expect(creds.getCredentialStatus("p1")).toEqual({
+      inSession: false,
+      inVault: false,
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * 분석용 DB 연결 설정 모듈
+ *
+ * 연결 설정은 이름 있는 프로필(database_profiles)로 사용자 설정에 저장합니다.
+ * 필드 이름은 분석 요청 db_config 와 같은 host / port / user / password / dbname / table 을 사용하며,
+ * 기본 프로필의 연결 설정은 이전 버전과의 호환을 위해 database_settings 에도 함께 저장합니다.
+ * 서버에 연결할 수 없을 때는 설정 저장소(PreferenceProvider)의 로컬 사본을 사용합니다.
+ * 비밀번호는 어느 쪽에도 저장하지 않으며 dbCredentials 모듈이 따로 관리합니다.
+ */
+
+// 사용자 설정 키
+export const DB_SETTINGS_KEY = 'database_settings';
+export const DB_PROFILES_KEY = 'database_profiles';
+export const DEFAULT_DB_PROFILE_KEY = 'default_database_profile';
+
+export const DB_SETTINGS_FIELDS = ['host', 'port', 'user', 'dbname', 'table'];
+
+// 새 프로필의 초기 값
+export const EMPTY_DB_SETTINGS = {
+  host: '',
+  port: 5432,
+  user: '',
+  dbname: '',
+  table: 'summary',
+};
+
+/**
+ * 저장된 값을 표준 필드로 정규화 (비밀번호는 버림)
+ * 예전 Preferences 화면의 database / table_name 키도 함께 읽습니다.
+ */
+export function normalizeDbSettings(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const port = Number(raw.port);
+  return {
+    host: String(raw.host ?? '').trim(),
+    port: Number.isInteger(port) && port > 0 ? port : '',
+    user: String(raw.user ?? '').trim(),
+    dbname: String(raw.dbname ?? raw.database ?? '').trim(),
+    table: String(raw.table ?? raw.table_name ?? '').trim(),
+  };
+}
+
+export function isDbSettingsEqual(a, b) {
+  const left = normalizeDbSettings(a);
+  const right = normalizeDbSettings(b);
+  if (!left || !right) return left === right;
+  return DB_SETTINGS_FIELDS.every((field) => left[field] === right[field]);
+}
+
+export function validateDbSettings(settings) {
+  const errors = {};
+  const port = Number(settings?.port);
+  if (!String(settings?.host ?? '').trim()) errors.host = 'Host를 입력하세요.';
+  if (!Number.isInteger(port) || port < 1 || port > 65535) errors.port = '1~65535 사이의 포트 번호를 입력하세요.';
+  if (!String(settings?.dbname ?? '').trim()) errors.dbname = 'Database 이름을 입력하세요.';
+  if (!String(settings?.table ?? '').trim()) errors.table = 'Table 이름을 입력하세요.';
+  return errors;
+}
+
+export function describeDbSettings(settings) {
+  if (!settings) return '-';
+  return `${settings.host}:${settings.port}/${settings.dbname} (${settings.table})`;
+}
+
+const LEGACY_PROFILE_ID = 'db-default';
+const createProfileId = () => `db-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * 프로필 생성. lastTest 는 마지막 연결 테스트 결과 { success, message, testedAt } 입니다.
+ */
+export function createDbProfile(name, settings = EMPTY_DB_SETTINGS, now = new Date()) {
+  return {
+    id: createProfileId(),
+    name: name.trim(),
+    settings: normalizeDbSettings(settings),
+    lastTest: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+}
+
+export function cloneDbProfile(profile, name, now = new Date()) {
+  return createDbProfile(name, profile.settings, now);
+}
+
+export function updateDbProfile(profiles, id, patch, now = new Date()) {
+  return profiles.map((profile) =>
+    profile.id === id ? { ...profile, ...patch, updatedAt: now.toISOString() } : profile
+  );
+}
+
+// 연결 설정이 바뀌면 이전 테스트 결과는 의미가 없으므로 함께 지움
+export function updateDbProfileSettings(profiles, id, settings, now = new Date()) {
+  return updateDbProfile(profiles, id, { settings: normalizeDbSettings(settings), lastTest: null }, now);
+}
+
+export function isDuplicateProfileName(profiles, name, exceptId = null) {
+  const value = name.trim().toLowerCase();
+  return profiles.some((profile) => profile.id !== exceptId && profile.name.toLowerCase() === value);
+}
+
+export function findDbProfile(profiles, idOrName) {
+  if (!idOrName) return null;
+  return profiles.find((profile) => profile.id === idOrName) || profiles.find((profile) => profile.name === idOrName) || null;
+}
+
+/**
+ * 기본 프로필 id (지정된 프로필이 없어졌으면 첫 번째 프로필)
+ */
+export function resolveDefaultProfileId(profiles, defaultId) {
+  if (profiles.some((profile) => profile.id === defaultId)) return defaultId;
+  return profiles[0]?.id || null;
+}
+
+/**
+ * 사용자 설정 → { profiles, defaultId, legacyPasswords }
+ * 프로필 목록이 없고 예전 database_settings 만 있으면 '기본' 프로필 하나로 변환합니다.
+ * 예전 버전이 평문으로 저장한 비밀번호는 legacyPasswords(프로필 id → 비밀번호)로 따로 돌려줍니다.
+ */
+export function readDbProfiles(preferences) {
+  const saved = preferences?.[DB_PROFILES_KEY];
+  const legacyPasswords = {};
+  let profiles = Array.isArray(saved)
+    ? saved
+        .filter((profile) => profile && profile.id)
+        .map((profile) => {
+          if (profile.settings?.password) legacyPasswords[profile.id] = String(profile.settings.password);
+          return { ...profile, settings: normalizeDbSettings(profile.settings) || { ...EMPTY_DB_SETTINGS } };
+        })
+    : [];
+  if (profiles.length === 0) {
+    const raw = preferences?.[DB_SETTINGS_KEY];
+    const legacy = normalizeDbSettings(raw);
+    // 다시 읽어도 같은 프로필로 인식되도록 고정 id 사용
+    if (legacy) profiles = [{ ...createDbProfile('기본', legacy), id: LEGACY_PROFILE_ID }];
+    if (legacy && raw.password) legacyPasswords[LEGACY_PROFILE_ID] = String(raw.password);
+  }
+  return {
+    profiles,
+    defaultId: resolveDefaultProfileId(profiles, preferences?.[DEFAULT_DB_PROFILE_KEY]),
+    legacyPasswords,
+  };
+}
+
+/**
+ * { profiles, defaultId } → 사용자 설정에 병합할 값
+ */
+export function writeDbProfiles(profiles, defaultId) {
+  const resolvedId = resolveDefaultProfileId(profiles, defaultId);
+  return {
+    [DB_PROFILES_KEY]: profiles,
+    [DEFAULT_DB_PROFILE_KEY]: resolvedId,
+    [DB_SETTINGS_KEY]: findDbProfile(profiles, resolvedId)?.settings || null,
+  };
+}
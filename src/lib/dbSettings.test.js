@@ -0,0 +1,129 @@
+import { describe, it, expect } from "vitest";
+import {
+  normalizeDbSettings,
+  isDbSettingsEqual,
+  validateDbSettings,
+  createDbProfile,
+  cloneDbProfile,
+  updateDbProfile,
+  updateDbProfileSettings,
+  isDuplicateProfileName,
+  readDbProfiles,
+  writeDbProfiles,
+} from "./dbSettings.js";
+
+const settings = {
+  host: "db.local",
+  port: 5432,
+  user: "kpi",
+  dbname: "kpi_db",
+  table: "summary",
+};
+
+describe("normalizeDbSettings", () => {
+  it("maps the legacy Preferences keys and drops the password", () => {
+    expect(
+      normalizeDbSettings({
+        host: " db.local ",
+        port: "5432",
+        user: "kpi",
+        password: "pw",
+        database: "kpi_db",
+        table_name: "summary",
+      })
+    ).toEqual(settings);
+  });
+
+  it("returns null for missing settings", () => {
+    expect(normalizeDbSettings(null)).toBeNull();
+  });
+});
+
+describe("isDbSettingsEqual", () => {
+  it("ignores string vs number ports", () => {
+    expect(isDbSettingsEqual(settings, { ...settings, port: "5432" })).toBe(
+      true
+    );
+    expect(isDbSettingsEqual(settings, { ...settings, table: "other" })).toBe(
+      false
+    );
+  });
+});
+
+describe("validateDbSettings", () => {
+  it("requires host, database, table and a valid port", () => {
+    expect(validateDbSettings(settings)).toEqual({});
+    expect(
+      Object.keys(
+        validateDbSettings({ ...settings, host: "", port: "abc", table: "" })
+      )
+    ).toEqual(["host", "port", "table"]);
+  });
+});
+
+describe("profiles", () => {
+  const pvt = createDbProfile("PVT", settings);
+  const lab = createDbProfile("Lab", { ...settings, host: "lab" });
+
+  it("clones settings under a new id and clears test results on edit", () => {
+    const clone = cloneDbProfile(pvt, "PVT 복사본");
+    expect(clone.id).not.toBe(pvt.id);
+    expect(clone.settings).toEqual(pvt.settings);
+
+    const tested = updateDbProfile([pvt], pvt.id, {
+      lastTest: { success: true, message: "ok", testedAt: "t" },
+    });
+    expect(tested[0].lastTest.success).toBe(true);
+    const edited = updateDbProfileSettings(tested, pvt.id, {
+      ...settings,
+      table: "other",
+    });
+    expect(edited[0].settings.table).toBe("other");
+    expect(edited[0].lastTest).toBeNull();
+  });
+
+  it("detects duplicate names case-insensitively", () => {
+    expect(isDuplicateProfileName([pvt, lab], " pvt ")).toBe(true);
+    expect(isDuplicateProfileName([pvt, lab], "PVT", pvt.id)).toBe(false);
+  });
+
+  it("writes the default profile to database_settings", () => {
+    const written = writeDbProfiles([pvt, lab], lab.id);
+    expect(written.default_database_profile).toBe(lab.id);
+    expect(written.database_settings.host).toBe("lab");
+    expect(readDbProfiles(written).defaultId).toBe(lab.id);
+  });
+
+  it("falls back to the first profile when the default is removed", () => {
+    expect(writeDbProfiles([pvt], lab.id).default_database_profile).toBe(
+      pvt.id
+    );
+  });
+
+  it("migrates legacy database_settings to a stable default profile", () => {
+    const first = readDbProfiles({ database_settings: settings });
+    const second = readDbProfiles({ database_settings: settings });
+    expect(first.profiles).toHaveLength(1);
+    expect(first.profiles[0].id).toBe(second.profiles[0].id);
+    expect(first.defaultId).toBe(first.profiles[0].id);
+  });
+
+  it("returns plaintext passwords from older versions separately", () => {
+    const legacy = readDbProfiles({
+      database_settings: { ...settings, password: "pw" },
+    });
+    expect(legacy.profiles[0].settings).toEqual(settings);
+    expect(legacy.legacyPasswords).toEqual({ [legacy.profiles[0].id]: "pw" });
+
+    const saved = readDbProfiles({
+      database_profiles: [
+        { ...pvt, settings: { ...settings, password: "pvt-pw" } },
+        lab,
+      ],
+    });
+    expect(saved.legacyPasswords).toEqual({ [pvt.id]: "pvt-pw" });
+    expect(
+      JSON.stringify(writeDbProfiles(saved.profiles, pvt.id))
+    ).not.toContain("pvt-pw");
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * 내보내기 유틸리티 모듈
+ *
+ * 분석 결과를 CSV/JSON 파일로 변환하고 브라우저 다운로드를 실행합니다.
+ */
+
+const CSV_COLUMNS = [
+  { header: 'ID', getValue: (r) => r.id },
+  { header: 'NE ID', getValue: (r) => r.ne_id },
+  { header: 'Cell ID', getValue: (r) => r.cell_id },
+  { header: 'SW Name', getValue: (r) => r.swname },
+  { header: 'Release', getValue: (r) => r.rel_ver },
+  { header: 'Choi Status', getValue: (r) => r.choi_result?.status },
+  { header: 'Choi Score', getValue: (r) => r.choi_result?.score },
+  { header: 'Confidence', getValue: (r) => r.llm_analysis?.confidence },
+  { header: 'LLM Model', getValue: (r) => r.llm_analysis?.model_name },
+  { header: 'Issues', getValue: (r) => r.llm_analysis?.issues?.length ?? 0 },
+  { header: 'Summary', getValue: (r) => r.llm_analysis?.summary },
+  { header: 'Created At', getValue: (r) => r.created_at },
+];
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function resultsToCsv(results) {
+  const header = CSV_COLUMNS.map((column) => column.header).join(',');
+  const rows = results.map((result) => CSV_COLUMNS.map((column) => escapeCsv(column.getValue(result))).join(','));
+  return [header, ...rows].join('\n');
+}
+
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export function exportResults(results, format = 'csv') {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  if (format === 'json') {
+    downloadFile(JSON.stringify(results, null, 2), `analysis_results_${stamp}.json`, 'application/json');
+  } else {
+    // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+    downloadFile(`\uFEFF${resultsToCsv(results)}`, `analysis_results_${stamp}.csv`, 'text/csv;charset=utf-8;');
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * 날짜/숫자 표시 형식 모듈
+ *
+ * 사용자 설정 generalSettings 의 시간대(timezone), 날짜 형식(dateFormat), 숫자 형식(numberFormat)으로 값을 표시합니다.
+ * 시간대 변환은 Intl.DateTimeFormat 을 사용하므로 브라우저가 있는 지역과 관계없이 모두 같은 시각을 봅니다.
+ * 화면에서는 useFormatters() 로 현재 설정의 형식기를 받아 사용합니다.
+ */
+
+// createDefaultSettings().generalSettings 와 같은 기본값
+export const DEFAULT_FORMAT_SETTINGS = {
+  timezone: 'Asia/Seoul',
+  dateFormat: 'YYYY-MM-DD',
+  numberFormat: 'comma',
+};
+
+export const DATE_FORMAT_OPTIONS = [
+  { value: 'YYYY-MM-DD', label: '2026-12-31' },
+  { value: 'YYYY/MM/DD', label: '2026/12/31' },
+  { value: 'YYYY.MM.DD', label: '2026.12.31' },
+  { value: 'DD/MM/YYYY', label: '31/12/2026' },
+  { value: 'MM/DD/YYYY', label: '12/31/2026' },
+];
+
+// 천 단위 구분 기호와 소수점 기호
+const NUMBER_FORMATS = {
+  comma: { group: ',', decimal: '.' },
+  dot: { group: '.', decimal: ',' },
+  space: { group: '\u00a0', decimal: ',' },
+  none: { group: '', decimal: '.' },
+};
+
+export const NUMBER_FORMAT_OPTIONS = [
+  { value: 'comma', label: '1,234.56' },
+  { value: 'dot', label: '1.234,56' },
+  { value: 'space', label: '1 234,56' },
+  { value: 'none', label: '1234.56' },
+];
+
+const COMMON_TIME_ZONES = [
+  'Asia/Seoul',
+  'Asia/Tokyo',
+  'Asia/Shanghai',
+  'Asia/Singapore',
+  'Asia/Kolkata',
+  'Asia/Dubai',
+  'Europe/London',
+  'Europe/Paris',
+  'Europe/Berlin',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles',
+  'Australia/Sydney',
+  'UTC',
+];
+
+const partFormatters = new Map();
+
+const getBrowserTimeZone = () => new Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// 시간대별 Intl 형식기는 만들기 비싸므로 재사용
+const getPartFormatter = (timeZone) => {
+  if (!partFormatters.has(timeZone)) {
+    partFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return partFormatters.get(timeZone);
+};
+
+/**
+ * 사용할 수 있는 IANA 시간대 이름이면 그대로, 아니면 브라우저 시간대
+ */
+export function resolveTimeZone(timeZone) {
+  if (!timeZone) return getBrowserTimeZone();
+  try {
+    getPartFormatter(timeZone);
+    return timeZone;
+  } catch {
+    return getBrowserTimeZone();
+  }
+}
+
+/**
+ * 시간대 선택 목록 (자주 쓰는 시간대 + 브라우저/현재 설정 시간대)
+ */
+export function getTimeZoneOptions(current) {
+  return [...new Set([...COMMON_TIME_ZONES, getBrowserTimeZone(), current].filter(Boolean))];
+}
+
+/**
+ * 시각의 해당 시간대 벽시계 값 { year, month, day, hour, minute, second }
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  getPartFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+  return parts;
+}
+
+/**
+ * 해당 시간대의 벽시계 값을 브라우저 로컬 시각으로 가진 Date
+ * 기간 선택기('yyyy-MM-dd HH:mm')처럼 벽시계 값으로 계산하는 코드에 "그 시간대의 현재 시각"으로 넘깁니다.
+ */
+export function toZonedWallClock(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  return new Date(year, month - 1, day, hour, minute, second);
+}
+
+/**
+ * UTC 기준 시간대 오프셋 (분)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * 'Asia/Seoul (UTC+09:00)' 형식의 시간대 표시 (일광 절약 시간은 date 시점 기준)
+ */
+export function formatTimeZoneLabel(timeZone, date = new Date()) {
+  const offset = getTimeZoneOffset(date, timeZone);
+  if (offset === 0) return `${timeZone} (UTC)`;
+  const abs = Math.abs(offset);
+  const hours = String(Math.floor(abs / 60)).padStart(2, '0');
+  const minutes = String(abs % 60).padStart(2, '0');
+  return `${timeZone} (UTC${offset > 0 ? '+' : '-'}${hours}:${minutes})`;
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * YYYY, MM, DD, HH, mm, ss 토큰으로 날짜 문자열 만들기
+ */
+export function renderDatePattern(parts, pattern) {
+  const tokens = {
+    YYYY: String(parts.year),
+    MM: pad(parts.month),
+    DD: pad(parts.day),
+    HH: pad(parts.hour),
+    mm: pad(parts.minute),
+    ss: pad(parts.second),
+  };
+  return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, (token) => tokens[token]);
+}
+
+// 차트 축처럼 좁은 곳에 쓰는 연도 없는 형식 ('DD/MM/YYYY' → 'DD/MM')
+const withoutYear = (pattern) => pattern.replace(/YYYY[^A-Za-z]?|[^A-Za-z]?YYYY/, '');
+
+/**
+ * 표시 형식기 생성
+ * @param {Object} [settings] generalSettings (timezone, dateFormat, numberFormat)
+ */
+export function createFormatter(settings = {}) {
+  const timeZone = resolveTimeZone(settings.timezone || DEFAULT_FORMAT_SETTINGS.timezone);
+  const datePattern = DATE_FORMAT_OPTIONS.some((option) => option.value === settings.dateFormat)
+    ? settings.dateFormat
+    : DEFAULT_FORMAT_SETTINGS.dateFormat;
+  const separators = NUMBER_FORMATS[settings.numberFormat] || NUMBER_FORMATS[DEFAULT_FORMAT_SETTINGS.numberFormat];
+  const patterns = {
+    date: datePattern,
+    dateTime: `${datePattern} HH:mm`,
+    shortDateTime: `${withoutYear(datePattern)} HH:mm`,
+  };
+
+  const formatDate = (value, pattern = patterns.dateTime) => {
+    if (!value) return '-';
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return '-';
+    return renderDatePattern(getZonedParts(date, timeZone), pattern);
+  };
+
+  const formatNumber = (value, decimals = 2) => {
+    if (value === null || value === undefined) return '-';
+    if (typeof value !== 'number') return String(value);
+    const text = value.toLocaleString('en-US', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+      useGrouping: separators.group !== '',
+    });
+    return text.replace(/[,.]/g, (char) => (char === ',' ? separators.group : separators.decimal));
+  };
+
+  const formatPercent = (value, decimals = 2) => {
+    if (value === null || value === undefined) return '-';
+    return `${formatNumber(value, decimals)}%`;
+  };
+
+  const formatChange = (value, decimals = 2) => {
+    if (value === null || value === undefined) return '-';
+    const sign = value > 0 ? '+' : '';
+    return `${sign}${formatNumber(value, decimals)}%`;
+  };
+
+  return {
+    timeZone,
+    patterns,
+    formatDate,
+    formatNumber,
+    formatPercent,
+    formatChange,
+    // 설정 시간대의 현재 벽시계 시각 (기간 프리셋/검증용)
+    now: () => toZonedWallClock(new Date(), timeZone),
+    getTimeZoneLabel: (date = new Date()) => formatTimeZoneLabel(timeZone, date),
+  };
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import {
+  createFormatter,
+  resolveTimeZone,
+  toZonedWallClock,
+  formatTimeZoneLabel,
+  renderDatePattern,
+} from "./formatting.js";
+
+const instant = new Date("2026-10-19T15:30:45Z");
+
+describe("createFormatter dates", () => {
+  it("shows the same instant in the configured time zone", () => {
+    const seoul = createFormatter({ timezone: "Asia/Seoul" });
+    const london = createFormatter({ timezone: "Europe/London" });
+
+    expect(seoul.formatDate(instant)).toBe("2026-10-20 00:30");
+    expect(london.formatDate(instant)).toBe("2026-10-19 16:30");
+    expect(seoul.formatDate("2026-10-19T15:30:45Z", "HH:mm:ss")).toBe(
+      "00:30:45"
+    );
+  });
+
+  it("applies the configured date pattern and a short pattern without the year", () => {
+    const formatter = createFormatter({
+      timezone: "UTC",
+      dateFormat: "DD/MM/YYYY",
+    });
+
+    expect(formatter.formatDate(instant)).toBe("19/10/2026 15:30");
+    expect(formatter.formatDate(instant, formatter.patterns.date)).toBe(
+      "19/10/2026"
+    );
+    expect(formatter.patterns.shortDateTime).toBe("DD/MM HH:mm");
+    expect(
+      createFormatter({ dateFormat: "YYYY.MM.DD" }).patterns.shortDateTime
+    ).toBe("MM.DD HH:mm");
+  });
+
+  it("returns a dash for empty or invalid dates", () => {
+    const formatter = createFormatter();
+    expect(formatter.formatDate(null)).toBe("-");
+    expect(formatter.formatDate("not a date")).toBe("-");
+  });
+
+  it("falls back to defaults for unknown settings", () => {
+    expect(resolveTimeZone("Mars/Olympus")).toBe(
+      new Intl.DateTimeFormat().resolvedOptions().timeZone
+    );
+    expect(createFormatter({ dateFormat: "nope" }).patterns.date).toBe(
+      "YYYY-MM-DD"
+    );
+  });
+});
+
+describe("createFormatter numbers", () => {
+  it("groups thousands with the configured separators", () => {
+    const value = 1234567.891;
+    expect(createFormatter({ numberFormat: "comma" }).formatNumber(value)).toBe(
+      "1,234,567.89"
+    );
+    expect(createFormatter({ numberFormat: "dot" }).formatNumber(value)).toBe(
+      "1.234.567,89"
+    );
+    expect(createFormatter({ numberFormat: "space" }).formatNumber(value)).toBe(
+      "1\u00a0234\u00a0567,89"
+    );
+    expect(createFormatter({ numberFormat: "none" }).formatNumber(value)).toBe(
+      "1234567.89"
+    );
+  });
+
+  it("formats percentages and signed changes", () => {
+    const formatter = createFormatter({ numberFormat: "dot" });
+    expect(formatter.formatPercent(12.5, 1)).toBe("12,5%");
+    expect(formatter.formatChange(1500)).toBe("+1.500,00%");
+    expect(formatter.formatChange(-3)).toBe("-3,00%");
+    expect(formatter.formatNumber(undefined)).toBe("-");
+    expect(formatter.formatNumber("n/a")).toBe("n/a");
+  });
+});
+
+describe("time zone helpers", () => {
+  it("labels zones with their UTC offset", () => {
+    expect(formatTimeZoneLabel("Asia/Seoul", instant)).toBe(
+      "Asia/Seoul (UTC+09:00)"
+    );
+    expect(formatTimeZoneLabel("America/New_York", instant)).toBe(
+      "America/New_York (UTC-04:00)"
+    );
+    expect(formatTimeZoneLabel("UTC", instant)).toBe("UTC (UTC)");
+  });
+
+  it("converts an instant to the wall clock of a zone", () => {
+    const wallClock = toZonedWallClock(instant, "Asia/Seoul");
+    expect([
+      wallClock.getFullYear(),
+      wallClock.getMonth() + 1,
+      wallClock.getDate(),
+      wallClock.getHours(),
+      wallClock.getMinutes(),
+    ]).toEqual([2026, 10, 20, 0, 30]);
+  });
+
+  it("renders every token once", () => {
+    expect(
+      renderDatePattern(
+        { year: 2026, month: 1, day: 2, hour: 3, minute: 4, second: 5 },
+        "MM/DD/YYYY HH:mm:ss"
+      )
+    ).toBe("01/02/2026 03:04:05");
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * EMS → NE → 기술(LTE/NR 등) → Cell 트리 유틸리티 모듈
+ *
+ * getEmsNeList() 응답({ [ems]: { [ne]: { [tech]: cellIds[] } } })을 트리로 변환하고,
+ * 셀(leaf) 단위 선택을 폼 값(ems / neId / cellId)으로 상호 변환합니다.
+ * 선택 상태는 leaf key 배열로 관리합니다.
+ */
+
+const KEY_SEPARATOR = '|';
+
+export function makeLeafKey(ems, ne, tech, cell) {
+  return [ems, ne, tech, cell].join(KEY_SEPARATOR);
+}
+
+export function parseLeafKey(key) {
+  const [ems, ne, tech, cell] = key.split(KEY_SEPARATOR);
+  return { ems, ne, tech, cell };
+}
+
+/**
+ * 트리 생성
+ *
+ * nodes는 깊이 우선 순서의 평면 배열이며, 각 노드는 하위 leaf key 목록(leafKeys)을 가집니다.
+ * 선택 개수 집계와 일괄 선택을 노드 단위로 바로 처리하기 위함입니다.
+ */
+export function buildNetworkTree(emsData) {
+  const nodes = [];
+  const byId = new Map();
+
+  const addNode = (node) => {
+    nodes.push(node);
+    byId.set(node.id, node);
+    return node;
+  };
+
+  Object.entries(emsData || {}).forEach(([ems, emsEntry]) => {
+    const emsNode = addNode({ id: ems, level: 'ems', label: ems, depth: 0, parentId: null, children: [], leafKeys: [] });
+    Object.entries(emsEntry || {}).forEach(([ne, neEntry]) => {
+      const neId = `${ems}${KEY_SEPARATOR}${ne}`;
+      const neNode = addNode({ id: neId, level: 'ne', label: ne, depth: 1, parentId: emsNode.id, children: [], leafKeys: [] });
+      emsNode.children.push(neId);
+      Object.entries(neEntry || {}).forEach(([tech, ids]) => {
+        if (!Array.isArray(ids)) return;
+        const techId = `${neId}${KEY_SEPARATOR}${tech}`;
+        const techNode = addNode({ id: techId, level: 'tech', label: tech, depth: 2, parentId: neId, children: [], leafKeys: [] });
+        neNode.children.push(techId);
+        ids.forEach((cell) => {
+          const key = makeLeafKey(ems, ne, tech, String(cell));
+          if (byId.has(key)) return;
+          addNode({ id: key, level: 'cell', label: String(cell), depth: 3, parentId: techId, children: [], leafKeys: [key] });
+          techNode.children.push(key);
+          techNode.leafKeys.push(key);
+          neNode.leafKeys.push(key);
+          emsNode.leafKeys.push(key);
+        });
+      });
+    });
+  });
+
+  return { nodes, byId };
+}
+
+/**
+ * 노드별 선택된 leaf 개수 (선택 수 × 깊이 만큼만 순회)
+ */
+export function countSelected(tree, selectedKeys) {
+  const counts = new Map();
+  selectedKeys.forEach((key) => {
+    let node = tree.byId.get(key);
+    while (node) {
+      counts.set(node.id, (counts.get(node.id) || 0) + 1);
+      node = node.parentId ? tree.byId.get(node.parentId) : null;
+    }
+  });
+  return counts;
+}
+
+export function getCheckState(node, counts) {
+  const selected = counts.get(node.id) || 0;
+  if (selected === 0 || node.leafKeys.length === 0) return 'unchecked';
+  return selected >= node.leafKeys.length ? 'checked' : 'indeterminate';
+}
+
+/**
+ * 화면에 표시할 행 목록
+ *
+ * 검색어가 있으면 어느 단계든 이름이 일치하는 노드와 그 상위/하위 노드를 모두 펼쳐서 표시합니다.
+ */
+export function getVisibleNodes(tree, expandedIds, search = '') {
+  const keyword = search.trim().toLowerCase();
+  if (!keyword) {
+    const visible = [];
+    const visit = (node) => {
+      visible.push(node);
+      if (expandedIds.has(node.id)) node.children.forEach((id) => visit(tree.byId.get(id)));
+    };
+    tree.nodes.filter((node) => node.depth === 0).forEach(visit);
+    return visible;
+  }
+
+  const include = new Set();
+  tree.nodes.forEach((node) => {
+    if (!node.label.toLowerCase().includes(keyword)) return;
+    // 상위 경로
+    let parent = node;
+    while (parent && !include.has(parent.id)) {
+      include.add(parent.id);
+      parent = parent.parentId ? tree.byId.get(parent.parentId) : null;
+    }
+    // 하위 전체
+    const stack = [...node.children];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (include.has(id)) continue;
+      include.add(id);
+      stack.push(...tree.byId.get(id).children);
+    }
+  });
+  return tree.nodes.filter((node) => include.has(node.id));
+}
+
+/**
+ * leaf 선택 → 폼 값 (요청 파라미터용 고유 목록)
+ */
+export function deriveSelection(selectedKeys) {
+  const ems = new Set();
+  const neId = new Set();
+  const cellId = new Set();
+  selectedKeys.forEach((key) => {
+    const leaf = parseLeafKey(key);
+    ems.add(leaf.ems);
+    neId.add(leaf.ne);
+    cellId.add(leaf.cell);
+  });
+  return { ems: [...ems], neId: [...neId], cellId: [...cellId] };
+}
+
+/**
+ * 폼 값(ems / neId / cellId) → leaf 선택
+ * 재분석 prefill이나 예전 템플릿처럼 leaf 정보가 없는 경우 사용합니다.
+ */
+export function expandSelection(tree, { ems = [], neId = [], cellId = [] } = {}) {
+  const emsSet = new Set(ems);
+  const neSet = new Set(neId);
+  const cellSet = new Set(cellId.map(String));
+  return tree.nodes
+    .filter((node) => node.level === 'cell')
+    .map((node) => node.id)
+    .filter((key) => {
+      const leaf = parseLeafKey(key);
+      return (emsSet.size === 0 || emsSet.has(leaf.ems)) && neSet.has(leaf.ne) && cellSet.has(leaf.cell);
+    });
+}
+
+/**
+ * 쉼표/줄바꿈/공백으로 구분된 ID 목록 파싱
+ */
+export function parseIdList(text) {
+  return [...new Set(String(text || '').split(/[\s,;]+/).map((id) => id.trim()).filter(Boolean))];
+}
+
+/**
+ * 붙여넣은 ID를 leaf로 매칭
+ *
+ * 'NE/Cell' 형식은 해당 NE의 셀만, NE ID는 그 NE의 모든 셀, 그 외에는 모든 NE의 같은 Cell ID와 매칭합니다.
+ */
+export function matchPastedIds(tree, ids) {
+  const keys = new Set();
+  const unmatched = [];
+  const leaves = tree.nodes.filter((node) => node.level === 'cell').map((node) => parseLeafKey(node.id));
+
+  ids.forEach((id) => {
+    const [first, second] = id.split('/');
+    const matches = leaves.filter((leaf) =>
+      second !== undefined ? leaf.ne === first && leaf.cell === second : leaf.ne === id || leaf.cell === id
+    );
+    if (matches.length === 0) unmatched.push(id);
+    matches.forEach((leaf) => keys.add(makeLeafKey(leaf.ems, leaf.ne, leaf.tech, leaf.cell)));
+  });
+
+  return { keys: [...keys], unmatched };
+}
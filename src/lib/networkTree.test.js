@@ -0,0 +1,121 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildNetworkTree,
+  countSelected,
+  getCheckState,
+  getVisibleNodes,
+  deriveSelection,
+  expandSelection,
+  parseIdList,
+  matchPastedIds,
+} from "./networkTree.js";
+
+const emsData = {
+  EMS1: {
+    NE1: { LTE: [101, 102], NR: [201] },
+    NE2: { LTE: [101] },
+  },
+  EMS2: {
+    NE3: { NR: [301] },
+  },
+};
+
+const tree = buildNetworkTree(emsData);
+
+describe("buildNetworkTree", () => {
+  it("flattens EMS > NE > tech > cell in depth-first order", () => {
+    expect(tree.nodes.map((node) => node.id).slice(0, 5)).toEqual([
+      "EMS1",
+      "EMS1|NE1",
+      "EMS1|NE1|LTE",
+      "EMS1|NE1|LTE|101",
+      "EMS1|NE1|LTE|102",
+    ]);
+    expect(tree.byId.get("EMS1").leafKeys).toHaveLength(4);
+    expect(tree.byId.get("EMS1|NE1|NR").leafKeys).toEqual(["EMS1|NE1|NR|201"]);
+  });
+
+  it("handles missing data", () => {
+    expect(buildNetworkTree(null).nodes).toEqual([]);
+  });
+});
+
+describe("check state", () => {
+  it("reports checked, indeterminate and unchecked per node", () => {
+    const counts = countSelected(tree, [
+      "EMS1|NE1|LTE|101",
+      "EMS1|NE1|LTE|102",
+    ]);
+    expect(getCheckState(tree.byId.get("EMS1|NE1|LTE"), counts)).toBe(
+      "checked"
+    );
+    expect(getCheckState(tree.byId.get("EMS1|NE1"), counts)).toBe(
+      "indeterminate"
+    );
+    expect(getCheckState(tree.byId.get("EMS2"), counts)).toBe("unchecked");
+  });
+});
+
+describe("getVisibleNodes", () => {
+  it("shows only expanded branches", () => {
+    const visible = getVisibleNodes(tree, new Set(["EMS1"]));
+    expect(visible.map((node) => node.id)).toEqual([
+      "EMS1",
+      "EMS1|NE1",
+      "EMS1|NE2",
+      "EMS2",
+    ]);
+  });
+
+  it("matches any level and keeps ancestors and descendants", () => {
+    const ids = getVisibleNodes(tree, new Set(), "ne3").map((node) => node.id);
+    expect(ids).toEqual(["EMS2", "EMS2|NE3", "EMS2|NE3|NR", "EMS2|NE3|NR|301"]);
+    expect(
+      getVisibleNodes(tree, new Set(), "101").filter(
+        (node) => node.level === "cell"
+      )
+    ).toHaveLength(2);
+  });
+});
+
+describe("selection conversion", () => {
+  it("derives unique form values from leaf keys", () => {
+    expect(deriveSelection(["EMS1|NE1|LTE|101", "EMS1|NE2|LTE|101"])).toEqual({
+      ems: ["EMS1"],
+      neId: ["NE1", "NE2"],
+      cellId: ["101"],
+    });
+  });
+
+  it("expands form values back to leaf keys", () => {
+    expect(
+      expandSelection(tree, { neId: ["NE1"], cellId: [101, 201] })
+    ).toEqual(["EMS1|NE1|LTE|101", "EMS1|NE1|NR|201"]);
+  });
+});
+
+describe("pasted ids", () => {
+  it("splits on commas, newlines and spaces", () => {
+    expect(parseIdList("101, 102\nNE1/201  101")).toEqual([
+      "101",
+      "102",
+      "NE1/201",
+    ]);
+  });
+
+  it("matches NE ids, NE/Cell pairs and bare cell ids", () => {
+    const { keys, unmatched } = matchPastedIds(tree, [
+      "NE3",
+      "NE1/201",
+      "101",
+      "999",
+    ]);
+    expect(keys.sort()).toEqual([
+      "EMS1|NE1|LTE|101",
+      "EMS1|NE1|NR|201",
+      "EMS1|NE2|LTE|101",
+      "EMS2|NE3|NR|301",
+    ]);
+    expect(unmatched).toEqual(["999"]);
+  });
+});
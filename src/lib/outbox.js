@@ -0,0 +1,297 @@
+/**
+ * 오프라인 변경 대기열(outbox) 모듈
+ *
+ * 오프라인(navigator.onLine === false)이거나 API 에 연결할 수 없는 동안 사용자가 한 변경을 기록했다가,
+ * 연결되면 기록한 순서대로 서버에 다시 적용합니다.
+ * - 항목 종류(kind)마다 재적용/버리기 처리기를 등록 (설정 문서 변경은 PreferenceProvider, 결과 삭제는 이 모듈)
+ * - 재적용 중 충돌하거나 실패하면 그 항목에서 멈추고, 뒤의 항목은 순서를 지키기 위해 다음 재적용까지 기다림
+ * - 대기열은 IndexedDB(outboxStore)에 보관하고, 다른 탭에는 탭 메시지로 대기열 전체를 전달
+ */
+
+import { isSameValue, getChangedKeys } from './preferenceSync';
+import { readOutboxEntries, writeOutboxEntries, deleteOutboxEntries } from './outboxStore';
+import { getTabCoordinator, TAB_MESSAGES } from './tabCoordinator';
+import { deleteAnalysisResultV2 } from './api.js';
+import { TEMPLATE_SETTINGS_KEY } from './analysisTemplates';
+import { DB_SETTINGS_KEY, DB_PROFILES_KEY, DEFAULT_DB_PROFILE_KEY } from './dbSettings';
+import { COLUMN_LAYOUT_KEY } from './resultColumns';
+
+export const OUTBOX_KINDS = {
+  PREFERENCES: 'preferences',
+  RESULT_DELETE: 'result-delete',
+};
+
+// 대기열 목록에 표시할 설정 키 이름 (없으면 키 그대로)
+const SETTING_LABELS = {
+  [TEMPLATE_SETTINGS_KEY]: '분석 템플릿',
+  [DB_PROFILES_KEY]: 'DB 연결 프로필',
+  [DEFAULT_DB_PROFILE_KEY]: '기본 DB 프로필',
+  [DB_SETTINGS_KEY]: 'DB 설정',
+  [COLUMN_LAYOUT_KEY]: '결과 표 컬럼',
+  generalSettings: '일반 설정',
+};
+
+const createEntryId = () => `chg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+const pick = (document, keys) => Object.fromEntries(keys.map((key) => [key, document?.[key]]));
+
+/**
+ * 서버에 닿지 못한 오류인지 (오프라인, 응답 없음)
+ */
+export function isOfflineError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return Boolean(error) && !error.response && (error.isAxiosError || error.code === 'ERR_NETWORK');
+}
+
+// ================================
+// 설정 문서 변경 항목
+// ================================
+
+/**
+ * 설정 문서 변경 항목 (바뀐 최상위 키의 변경 전/후 값만 기록, 바뀐 키가 없으면 null)
+ */
+export function createPreferenceChange(before, after) {
+  const keys = getChangedKeys(before, after);
+  if (keys.length === 0) return null;
+  return { kind: OUTBOX_KINDS.PREFERENCES, keys, before: pick(before, keys), after: pick(after, keys) };
+}
+
+/**
+ * 설정 문서 변경 항목 하나를 서버 문서에 적용
+ * 서버 값이 기록한 변경 전 값이면 변경 후 값으로 바꾸고, 이미 변경 후 값이면 그대로 둡니다.
+ * 그 밖의 값이면 그 사이 다른 곳에서 바뀐 것이므로 충돌 키로 돌려주고 서버 값을 유지합니다.
+ * @returns {{ document: Object, conflicts: string[] }}
+ */
+export function applyPreferenceChange(server, change) {
+  const document = { ...server };
+  const conflicts = [];
+  change.keys.forEach((key) => {
+    if (isSameValue(server?.[key], change.after[key])) return;
+    if (!isSameValue(server?.[key], change.before[key])) {
+      conflicts.push(key);
+      return;
+    }
+    if (change.after[key] === undefined) delete document[key];
+    else document[key] = change.after[key];
+  });
+  return { document, conflicts };
+}
+
+/**
+ * 설정 문서 변경 항목 버리기
+ * 뒤에 같은 키를 바꾼 항목이 없으면 문서의 값을 변경 전 값으로 되돌리고 (그 사이 다시 바꾼 값은 유지),
+ * 있으면 뒤 항목의 변경 전 값을 버린 항목의 변경 전 값으로 옮깁니다.
+ * @param {Object} document 현재 로컬 문서
+ * @param {Object[]} entries 같은 종류의 대기열 항목 (기록 순서)
+ * @param {string[]} ids 버릴 항목 id
+ * @returns {{ document: Object, entries: Object[] }} 남은 항목
+ */
+export function discardPreferenceChanges(document, entries, ids) {
+  const next = { ...document };
+  let remaining = entries.map((entry) => ({ ...entry, before: { ...entry.before } }));
+
+  // 뒤 항목부터 버려야 변경 전 값이 앞 항목 쪽으로 차례로 이어짐
+  [...remaining].reverse().forEach((entry) => {
+    if (!ids.includes(entry.id)) return;
+    const index = remaining.findIndex((item) => item.id === entry.id);
+    entry.keys.forEach((key) => {
+      const later = remaining.slice(index + 1).find((item) => item.keys.includes(key));
+      if (later) {
+        later.before[key] = entry.before[key];
+      } else if (isSameValue(next[key], entry.after[key])) {
+        if (entry.before[key] === undefined) delete next[key];
+        else next[key] = entry.before[key];
+      }
+    });
+    remaining = remaining.filter((item) => item.id !== entry.id);
+  });
+
+  // 변경 전/후 값이 같아진 키는 더 적용할 것이 없으므로 정리
+  remaining = remaining
+    .map((entry) => ({ ...entry, keys: entry.keys.filter((key) => !isSameValue(entry.before[key], entry.after[key])) }))
+    .filter((entry) => entry.keys.length > 0);
+
+  return { document: next, entries: remaining };
+}
+
+/**
+ * 대기열 항목 설명 (목록 표시용)
+ */
+export function describeOutboxEntry(entry) {
+  if (entry.kind === OUTBOX_KINDS.PREFERENCES) {
+    return `설정 변경: ${entry.keys.map((key) => SETTING_LABELS[key] || key).join(', ')}`;
+  }
+  if (entry.kind === OUTBOX_KINDS.RESULT_DELETE) {
+    return `분석 결과 삭제: ${entry.label || `#${entry.resultId}`}`;
+  }
+  return entry.label || entry.kind;
+}
+
+export function getSettingLabel(key) {
+  return SETTING_LABELS[key] || key;
+}
+
+// ================================
+// 대기열 상태
+// ================================
+
+let state = { entries: [], replaying: false };
+const listeners = new Set();
+const handlers = new Map();
+let replayRun = null;
+let channelBound = false;
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach((listener) => listener());
+};
+
+// 다른 탭이 바꾼 대기열은 그 탭이 이미 저장했으므로 상태만 반영
+const bindChannel = () => {
+  if (channelBound) return;
+  channelBound = true;
+  getTabCoordinator().subscribe(TAB_MESSAGES.OUTBOX_CHANGED, ({ entries }) => setState({ entries }));
+};
+
+const publish = (entries, { written = [], deleted = [] } = {}) => {
+  bindChannel();
+  setState({ entries });
+  if (written.length > 0) writeOutboxEntries(written);
+  if (deleted.length > 0) deleteOutboxEntries(deleted);
+  getTabCoordinator().post(TAB_MESSAGES.OUTBOX_CHANGED, { entries });
+};
+
+// 화면 갱신용 구독 (useSyncExternalStore)
+export function subscribeOutbox(listener) {
+  bindChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 현재 대기열 상태 { entries, replaying }
+ */
+export function getOutboxState() {
+  return state;
+}
+
+/**
+ * IndexedDB 에 남아 있던 대기열 불러오기 (앱 시작 시 한 번)
+ */
+export async function loadOutbox() {
+  bindChannel();
+  const saved = await readOutboxEntries();
+  const known = new Set(state.entries.map((entry) => entry.id));
+  const restored = saved.filter((entry) => !known.has(entry.id));
+  if (restored.length > 0) setState({ entries: [...restored, ...state.entries] });
+  return state.entries;
+}
+
+/**
+ * 대기열에 항목 추가
+ * @param {Object} change { kind, ... } 종류별 내용
+ * @returns {Object} 추가된 항목
+ */
+export function enqueueOutbox(change, now = new Date()) {
+  const sequence = state.entries.reduce((max, entry) => Math.max(max, entry.sequence), 0) + 1;
+  const entry = { ...change, id: createEntryId(), sequence, createdAt: now.toISOString(), error: null };
+  publish([...state.entries, entry], { written: [entry] });
+  return entry;
+}
+
+/**
+ * 서버에 반영된(또는 더 적용할 필요가 없는) 항목 제거
+ */
+export function completeOutboxEntries(ids) {
+  const entries = state.entries.filter((entry) => !ids.includes(entry.id));
+  if (entries.length === state.entries.length) return;
+  publish(entries, { deleted: ids });
+}
+
+/**
+ * 사용자가 고른 항목 버리기
+ * 종류별 버리기 처리기가 로컬에 반영한 변경을 되돌리고, 남은 같은 종류 항목을 고쳐 돌려줄 수 있습니다.
+ */
+export function discardOutboxEntries(ids) {
+  let entries = state.entries;
+  new Set(entries.filter((entry) => ids.includes(entry.id)).map((entry) => entry.kind)).forEach((kind) => {
+    const ofKind = entries.filter((entry) => entry.kind === kind);
+    const kept = handlers.get(kind)?.discard?.(ofKind, ids) || ofKind.filter((entry) => !ids.includes(entry.id));
+    const keptById = new Map(kept.map((entry) => [entry.id, entry]));
+    entries = entries.flatMap((entry) => {
+      if (entry.kind !== kind) return [entry];
+      return keptById.has(entry.id) ? [keptById.get(entry.id)] : [];
+    });
+  });
+  const remainingIds = new Set(entries.map((entry) => entry.id));
+  const deleted = state.entries.filter((entry) => !remainingIds.has(entry.id)).map((entry) => entry.id);
+  const written = entries.filter((entry) => !state.entries.includes(entry));
+  publish(entries, { written, deleted });
+}
+
+/**
+ * 종류별 처리기 등록
+ * @param {string} kind
+ * @param {Object} handler
+ * @param {(entry) => Promise<boolean>} handler.replay 서버에 적용. 충돌로 멈춰야 하면 false, 실패하면 예외
+ * @param {(entries, ids) => Object[]} [handler.discard] 로컬 변경 되돌리기, 남길 같은 종류 항목 반환
+ * @returns {Function} 등록 해제
+ */
+export function registerOutboxHandler(kind, handler) {
+  handlers.set(kind, handler);
+  return () => {
+    if (handlers.get(kind) === handler) handlers.delete(kind);
+  };
+}
+
+/**
+ * 대기열을 기록 순서대로 재적용 (이미 실행 중이면 그 실행을 기다림)
+ * @returns {Promise<{ completed: number, blocked: Object|null }>} blocked 는 멈춘 항목
+ */
+export function replayOutbox() {
+  if (replayRun) return replayRun;
+  if (state.entries.length === 0) return Promise.resolve({ completed: 0, blocked: null });
+
+  replayRun = (async () => {
+    setState({ replaying: true });
+    let completed = 0;
+    try {
+      for (const { id } of state.entries) {
+        // 재적용 중 사용자가 버렸거나 다른 탭에서 고친 항목은 현재 상태 기준으로 처리
+        const entry = state.entries.find((item) => item.id === id);
+        if (!entry) continue;
+        const handler = handlers.get(entry.kind);
+        if (!handler) return { completed, blocked: entry };
+
+        let applied;
+        try {
+          applied = await handler.replay(entry);
+        } catch (error) {
+          const failed = { ...entry, error: error?.response?.data?.detail || error?.message || '적용 실패' };
+          publish(state.entries.map((item) => (item.id === entry.id ? failed : item)), { written: [failed] });
+          throw error;
+        }
+        if (!applied) return { completed, blocked: entry };
+        completeOutboxEntries([entry.id]);
+        completed += 1;
+      }
+      return { completed, blocked: null };
+    } finally {
+      replayRun = null;
+      setState({ replaying: false });
+    }
+  })();
+  return replayRun;
+}
+
+// 분석 결과 삭제: 이미 삭제된 결과(404)는 적용된 것으로 봄
+registerOutboxHandler(OUTBOX_KINDS.RESULT_DELETE, {
+  async replay(entry) {
+    try {
+      await deleteAnalysisResultV2(entry.resultId);
+    } catch (error) {
+      if (error?.response?.status !== 404) throw error;
+    }
+    return true;
+  },
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  OUTBOX_KINDS,
+  createPreferenceChange,
+  applyPreferenceChange,
+  discardPreferenceChanges,
+  describeOutboxEntry,
+  enqueueOutbox,
+  completeOutboxEntries,
+  discardOutboxEntries,
+  getOutboxState,
+  registerOutboxHandler,
+  replayOutbox,
+} from "./outbox.js";
+
+const clearOutbox = () =>
+  completeOutboxEntries(getOutboxState().entries.map((entry) => entry.id));
+
+describe("preference changes", () => {
+  it("records only the changed keys with their values before and after", () => {
+    const change = createPreferenceChange(
+      { a: 1, b: 1, metadata: { lastModified: "x" } },
+      { a: 2, b: 1, c: 3, metadata: { lastModified: "y" } }
+    );
+
+    expect(change).toEqual({
+      kind: OUTBOX_KINDS.PREFERENCES,
+      keys: ["a", "c"],
+      before: { a: 1, c: undefined },
+      after: { a: 2, c: 3 },
+    });
+    expect(createPreferenceChange({ a: 1 }, { a: 1 })).toBeNull();
+  });
+
+  it("applies a change only where the server still has the old value", () => {
+    const change = createPreferenceChange(
+      { a: 1, b: 1, c: 1, d: 1 },
+      { a: 2, b: 2, c: 2 }
+    );
+
+    const { document, conflicts } = applyPreferenceChange(
+      { a: 1, b: 2, c: 9, d: 1, e: 5 },
+      change
+    );
+
+    expect(document).toEqual({ a: 2, b: 2, c: 9, e: 5 });
+    expect(conflicts).toEqual(["c"]);
+  });
+
+  it("reverts a discarded change unless a later change touches the same key", () => {
+    const entries = [
+      { id: "1", ...createPreferenceChange({ a: 1, b: 1 }, { a: 2, b: 2 }) },
+      { id: "2", ...createPreferenceChange({ a: 2 }, { a: 3 }) },
+    ];
+
+    const first = discardPreferenceChanges({ a: 3, b: 2 }, entries, ["1"]);
+    expect(first.document).toEqual({ a: 3, b: 1 });
+    expect(first.entries).toHaveLength(1);
+    expect(first.entries[0].before).toEqual({ a: 1 });
+
+    const both = discardPreferenceChanges({ a: 3, b: 2 }, entries, ["1", "2"]);
+    expect(both).toEqual({ document: { a: 1, b: 1 }, entries: [] });
+  });
+
+  it("describes entries with setting names", () => {
+    expect(
+      describeOutboxEntry({
+        kind: OUTBOX_KINDS.PREFERENCES,
+        keys: ["analysis_templates", "custom"],
+      })
+    ).toBe("설정 변경: 분석 템플릿, custom");
+    expect(
+      describeOutboxEntry({ kind: OUTBOX_KINDS.RESULT_DELETE, resultId: 7 })
+    ).toBe("분석 결과 삭제: #7");
+  });
+});
+
+describe("outbox queue", () => {
+  afterEach(clearOutbox);
+
+  it("replays entries in order and stops at a conflict", async () => {
+    const replayed = [];
+    const unregister = registerOutboxHandler("test", {
+      replay: async (entry) => {
+        replayed.push(entry.name);
+        return entry.name !== "second";
+      },
+    });
+    enqueueOutbox({ kind: "test", name: "first" });
+    enqueueOutbox({ kind: "test", name: "second" });
+    enqueueOutbox({ kind: "test", name: "third" });
+
+    const result = await replayOutbox();
+
+    expect(replayed).toEqual(["first", "second"]);
+    expect(result.completed).toBe(1);
+    expect(result.blocked.name).toBe("second");
+    expect(getOutboxState().entries.map((entry) => entry.name)).toEqual([
+      "second",
+      "third",
+    ]);
+    expect(getOutboxState().replaying).toBe(false);
+    unregister();
+  });
+
+  it("keeps a failed entry with its error and rethrows", async () => {
+    const unregister = registerOutboxHandler("test", {
+      replay: async () => {
+        throw new Error("Network Error");
+      },
+    });
+    enqueueOutbox({ kind: "test" });
+
+    await expect(replayOutbox()).rejects.toThrow("Network Error");
+    expect(getOutboxState().entries[0].error).toBe("Network Error");
+    unregister();
+  });
+
+  it("lets the kind handler rewrite the entries it keeps on discard", () => {
+    const unregister = registerOutboxHandler("test", {
+      replay: async () => true,
+      discard: (entries, ids) =>
+        entries
+          .filter((entry) => !ids.includes(entry.id))
+          .map((entry) => ({ ...entry, touched: true })),
+    });
+    const first = enqueueOutbox({ kind: "test" });
+    enqueueOutbox({ kind: "test" });
+    enqueueOutbox({ kind: OUTBOX_KINDS.RESULT_DELETE, resultId: 1 });
+
+    discardOutboxEntries([first.id]);
+
+    expect(
+      getOutboxState().entries.map((entry) => [entry.kind, entry.touched])
+    ).toEqual([
+      ["test", true],
+      [OUTBOX_KINDS.RESULT_DELETE, undefined],
+    ]);
+    unregister();
+  });
+});
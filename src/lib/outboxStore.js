@@ -0,0 +1,74 @@
+/**
+ * 오프라인 변경 대기열 저장소 (IndexedDB)
+ *
+ * 대기열 항목을 id 로 저장해 새로고침이나 브라우저를 다시 연 뒤에도 남깁니다.
+ * IndexedDB 를 쓸 수 없는 환경(사생활 보호 모드, 테스트 등)에서는 아무것도 하지 않으며 대기열은 메모리에만 있습니다.
+ */
+
+const DB_NAME = 'kpi-dashboard-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'changes';
+
+let opening = null;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!opening) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      }
+    };
+    opening = requestToPromise(request).catch((error) => {
+      console.warn('[outboxStore] IndexedDB 열기 실패:', error);
+      opening = null;
+      return null;
+    });
+  }
+  return opening;
+};
+
+const withStore = async (mode, run) => {
+  const db = await openDatabase();
+  if (!db) return null;
+  try {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const result = run(transaction.objectStore(STORE_NAME));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return result;
+  } catch (error) {
+    console.warn('[outboxStore] 대기열 저장소 접근 실패:', error);
+    return null;
+  }
+};
+
+/**
+ * 저장된 대기열 항목 (기록 순서대로)
+ */
+export async function readOutboxEntries() {
+  let request = null;
+  await withStore('readonly', (store) => {
+    request = store.getAll();
+  });
+  const entries = request?.result || [];
+  return entries.sort((a, b) => a.sequence - b.sequence);
+}
+
+export function writeOutboxEntries(entries) {
+  return withStore('readwrite', (store) => entries.forEach((entry) => store.put(entry)));
+}
+
+export function deleteOutboxEntries(ids) {
+  return withStore('readwrite', (store) => ids.forEach((id) => store.delete(id)));
+}
@@ -0,0 +1,100 @@
+/**
+ * 사용자 설정 동기화 모듈
+ *
+ * 사용자 설정은 서버(/preference/settings)에 평면 JSON 문서 하나로 저장됩니다.
+ * 로컬 변경은 마지막으로 서버와 맞춘 문서(base)를 기준으로 서버 사본과 최상위 키 단위로 3-way 병합하며,
+ * 양쪽이 같은 키를 서로 다른 값으로 바꾼 경우만 충돌로 보며, 충돌 키는 settingsConflict 에서 필드 단위로 다시 나눕니다.
+ */
+
+// 문서 수정 시각 등 동기화용 정보 (병합 대상에서 제외)
+export const METADATA_KEY = 'metadata';
+
+// 마지막 수정 후 이 시간 동안 추가 변경이 없으면 서버에 저장
+export const SYNC_DEBOUNCE_MS = 1500;
+// 저장할 변경이 없을 때 서버 사본을 다시 읽는 최소 간격 (포커스/가시성 이벤트가 겹쳐도 한 번만 조회)
+export const MIN_PULL_INTERVAL_MS = 5000;
+
+export const SYNC_STATUS = {
+  IDLE: 'idle',
+  PENDING: 'pending',
+  SAVING: 'saving',
+  SAVED: 'saved',
+  OFFLINE: 'offline',
+  ERROR: 'error',
+  CONFLICT: 'conflict',
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null;
+
+/**
+ * JSON 값 비교 (객체 키 순서와 undefined 속성은 무시)
+ */
+export function isSameValue(a, b) {
+  if (a === b) return true;
+  if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a).filter((key) => a[key] !== undefined);
+  const keysB = Object.keys(b).filter((key) => b[key] !== undefined);
+  return keysA.length === keysB.length && keysA.every((key) => isSameValue(a[key], b[key]));
+}
+
+/**
+ * 문서에 마지막 수정 시각 기록
+ */
+export function stampDocument(document, now = new Date()) {
+  return { ...document, [METADATA_KEY]: { ...document[METADATA_KEY], lastModified: now.toISOString() } };
+}
+
+/**
+ * base 와 값이 다른 최상위 키 목록 (metadata 제외)
+ */
+export function getChangedKeys(base, document) {
+  const from = base || {};
+  const to = document || {};
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  keys.delete(METADATA_KEY);
+  return Array.from(keys).filter((key) => !isSameValue(from[key], to[key]));
+}
+
+const latestMetadata = (local, server) => {
+  const localTime = Date.parse(local?.[METADATA_KEY]?.lastModified);
+  const serverTime = Date.parse(server?.[METADATA_KEY]?.lastModified);
+  if (Number.isNaN(localTime)) return server?.[METADATA_KEY];
+  if (Number.isNaN(serverTime)) return local[METADATA_KEY];
+  return localTime >= serverTime ? local[METADATA_KEY] : server[METADATA_KEY];
+};
+
+const assignKey = (document, key, value) => {
+  if (value === undefined) delete document[key];
+  else document[key] = value;
+};
+
+/**
+ * 3-way 병합
+ * @param {Object|null} base 마지막으로 서버와 맞춘 문서 (없으면 빈 문서로 간주)
+ * @param {Object} local 로컬 변경이 반영된 문서
+ * @param {Object} server 서버의 현재 문서
+ * @returns {{ document, conflicts: string[] }} 충돌한 키는 서버 값을 유지합니다.
+ */
+export function mergeDocuments(base, local, server) {
+  const serverChanges = new Set(getChangedKeys(base, server));
+  const document = { ...server };
+  const conflicts = [];
+  getChangedKeys(base, local).forEach((key) => {
+    if (serverChanges.has(key) && !isSameValue(local[key], server[key])) {
+      conflicts.push(key);
+      return;
+    }
+    assignKey(document, key, local[key]);
+  });
+  const metadata = latestMetadata(local, server);
+  assignKey(document, METADATA_KEY, metadata);
+  return { document, conflicts };
+}
+
+/**
+ * localStorage 에 보관한 로컬 사본 { document, base } 검증 (형식이 다르면 null)
+ */
+export function readSnapshot(saved) {
+  if (!isObject(saved) || !isObject(saved.document)) return null;
+  return { document: saved.document, base: isObject(saved.base) ? saved.base : null };
+}
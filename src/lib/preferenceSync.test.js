@@ -0,0 +1,112 @@
+import { describe, it, expect } from "vitest";
+import {
+  isSameValue,
+  stampDocument,
+  getChangedKeys,
+  mergeDocuments,
+  readSnapshot,
+} from "./preferenceSync.js";
+
+describe("isSameValue", () => {
+  it("ignores key order and undefined properties", () => {
+    expect(
+      isSameValue({ a: 1, b: [1, { c: 2 }] }, { b: [1, { c: 2 }], a: 1 })
+    ).toBe(true);
+    expect(isSameValue({ a: 1, b: undefined }, { a: 1 })).toBe(true);
+    expect(isSameValue([1, 2], [2, 1])).toBe(false);
+    expect(isSameValue({ 0: 1 }, [1])).toBe(false);
+    expect(isSameValue(null, {})).toBe(false);
+  });
+});
+
+describe("stampDocument", () => {
+  it("records the modification time without touching other metadata", () => {
+    const stamped = stampDocument(
+      { a: 1, metadata: { version: 2 } },
+      new Date("2025-01-01T00:00:00Z")
+    );
+    expect(stamped).toEqual({
+      a: 1,
+      metadata: { version: 2, lastModified: "2025-01-01T00:00:00.000Z" },
+    });
+  });
+});
+
+describe("getChangedKeys", () => {
+  it("lists added, removed and changed keys except metadata", () => {
+    expect(
+      getChangedKeys(
+        { a: 1, b: 2, metadata: { lastModified: "x" } },
+        { a: 1, b: 3, c: 4, metadata: { lastModified: "y" } }
+      )
+    ).toEqual(["b", "c"]);
+    expect(getChangedKeys(null, { a: 1 })).toEqual(["a"]);
+  });
+});
+
+describe("mergeDocuments", () => {
+  const base = { templates: [], columns: ["a"], theme: "dark" };
+
+  it("combines changes to different keys", () => {
+    const { document, conflicts } = mergeDocuments(
+      base,
+      { ...base, columns: ["a", "b"] },
+      { ...base, templates: [{ id: 1 }], extra: true }
+    );
+    expect(conflicts).toEqual([]);
+    expect(document).toEqual({
+      templates: [{ id: 1 }],
+      columns: ["a", "b"],
+      theme: "dark",
+      extra: true,
+    });
+  });
+
+  it("applies local deletions", () => {
+    const { theme: _theme, ...local } = base;
+    expect(mergeDocuments(base, local, base).document).toEqual(local);
+  });
+
+  it("reports keys both sides changed differently", () => {
+    const { document, conflicts } = mergeDocuments(
+      base,
+      { ...base, theme: "light", columns: ["b"] },
+      { ...base, theme: "blue", columns: ["b"] }
+    );
+    expect(conflicts).toEqual(["theme"]);
+    expect(document.theme).toBe("blue");
+    expect(document.columns).toEqual(["b"]);
+  });
+
+  it("treats a missing base as an empty document", () => {
+    expect(mergeDocuments(null, { columns: ["a"] }, { templates: [] })).toEqual(
+      { document: { templates: [], columns: ["a"] }, conflicts: [] }
+    );
+  });
+
+  it("keeps the newer metadata", () => {
+    const local = { a: 1, metadata: { lastModified: "2025-01-02T00:00:00Z" } };
+    const server = { a: 1, metadata: { lastModified: "2025-01-01T00:00:00Z" } };
+    expect(mergeDocuments({}, local, server).document.metadata).toBe(
+      local.metadata
+    );
+    expect(mergeDocuments({}, { a: 1 }, server).document.metadata).toBe(
+      server.metadata
+    );
+  });
+});
+
+describe("readSnapshot", () => {
+  it("accepts only { document, base } snapshots", () => {
+    expect(readSnapshot({ document: { a: 1 }, base: { a: 0 } })).toEqual({
+      document: { a: 1 },
+      base: { a: 0 },
+    });
+    expect(readSnapshot({ document: { a: 1 } })).toEqual({
+      document: { a: 1 },
+      base: null,
+    });
+    expect(readSnapshot({ dashboardSettings: {} })).toBeNull();
+    expect(readSnapshot(null)).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * 분석 결과 테이블 컬럼 정의 모듈
+ *
+ * 컬럼 메타데이터, 정렬 값 추출, 사용자 설정 내 컬럼 레이아웃 읽기를 담당합니다.
+ * 셀 렌더링은 페이지 컴포넌트에서 key 기준으로 처리합니다.
+ */
+
+export const DEFAULT_USER_ID = 'default';
+
+// Choi 판정 심각도 (정렬용)
+export const STATUS_SEVERITY = { normal: 0, warning: 1, critical: 2 };
+
+/**
+ * sortKey는 백엔드 `sort` 파라미터 값이며, 없으면 정렬 불가 컬럼입니다.
+ */
+export const RESULT_COLUMNS = [
+  { key: 'status', label: 'Status', sortKey: 'choi_status', width: 'w-28', getValue: (r) => STATUS_SEVERITY[r.choi_result?.status || 'normal'] },
+  { key: 'ne_cell', label: 'NE ID / Cell ID', sortKey: 'ne_id', getValue: (r) => `${r.ne_id || ''}/${r.cell_id || ''}` },
+  { key: 'swname', label: 'SW Name', sortKey: 'swname', getValue: (r) => r.swname || '' },
+  { key: 'rel_ver', label: 'Release', getValue: (r) => r.rel_ver || '' },
+  { key: 'confidence', label: 'Confidence', sortKey: 'confidence', width: 'w-32', getValue: (r) => r.llm_analysis?.confidence },
+  { key: 'choi_score', label: 'Choi Score', sortKey: 'choi_score', width: 'w-28', getValue: (r) => r.choi_result?.score },
+  { key: 'model_name', label: 'LLM Model', getValue: (r) => r.llm_analysis?.model_name || '' },
+  { key: 'issue_count', label: 'Issues', width: 'w-20', getValue: (r) => r.llm_analysis?.issues?.length || 0 },
+  { key: 'created_at', label: 'Created At', sortKey: 'created_at', width: 'w-44', getValue: (r) => (r.created_at ? new Date(r.created_at).getTime() : null) },
+];
+
+export const DEFAULT_VISIBLE_COLUMNS = ['status', 'ne_cell', 'swname', 'confidence', 'created_at'];
+
+export function getColumn(key) {
+  return RESULT_COLUMNS.find((column) => column.key === key);
+}
+
+export function getColumnBySortKey(sortKey) {
+  return RESULT_COLUMNS.find((column) => column.sortKey === sortKey);
+}
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * 백엔드가 정렬을 지원하지 않는 경우를 위한 클라이언트 측 정렬
+ */
+export function sortResults(results, sortKey, order = 'asc') {
+  const column = getColumnBySortKey(sortKey);
+  if (!column) return results;
+  const direction = order === 'desc' ? -1 : 1;
+  return [...results].sort((a, b) => {
+    const aValue = column.getValue(a);
+    const bValue = column.getValue(b);
+    // 값이 없는 항목은 정렬 방향과 무관하게 뒤로 보냄
+    if (isMissing(aValue) || isMissing(bValue)) return isMissing(aValue) - isMissing(bValue);
+    return compareValues(aValue, bValue) * direction;
+  });
+}
+
+/**
+ * 헤더 클릭 시 다음 정렬 상태 (asc → desc → 해제)
+ */
+export function getNextSort(current, sortKey) {
+  if (current.sort !== sortKey) return { sort: sortKey, order: 'asc' };
+  if (current.order === 'asc') return { sort: sortKey, order: 'desc' };
+  return { sort: '', order: '' };
+}
+
+// 사용자 설정 내 컬럼 레이아웃 키
+export const COLUMN_LAYOUT_KEY = 'results_table_columns';
+
+/**
+ * 사용자 설정 → 컬럼 레이아웃 (표시 순서 = 배열 순서)
+ * 알 수 없는 컬럼 키는 무시하며, 남는 컬럼이 없으면 기본 레이아웃을 사용합니다.
+ */
+export function readColumnLayout(preferences) {
+  const saved = preferences?.[COLUMN_LAYOUT_KEY];
+  const valid = Array.isArray(saved) ? saved.filter((key) => getColumn(key)) : [];
+  return valid.length > 0 ? valid : DEFAULT_VISIBLE_COLUMNS;
+}
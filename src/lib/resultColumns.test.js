@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import {
+  sortResults,
+  getNextSort,
+  readColumnLayout,
+  DEFAULT_VISIBLE_COLUMNS,
+} from "./resultColumns.js";
+
+const results = [
+  {
+    id: "a",
+    choi_result: { status: "warning", score: 2 },
+    llm_analysis: { confidence: 0.4 },
+  },
+  {
+    id: "b",
+    choi_result: { status: "critical" },
+    llm_analysis: { confidence: 0.9 },
+  },
+  { id: "c", llm_analysis: { confidence: 0.1 } },
+];
+
+describe("sortResults", () => {
+  it("sorts by status severity", () => {
+    const sorted = sortResults(results, "choi_status", "desc");
+    expect(sorted.map((r) => r.id)).toEqual(["b", "a", "c"]);
+  });
+
+  it("keeps missing values last regardless of direction", () => {
+    expect(sortResults(results, "choi_score", "asc")[0].id).toBe("a");
+    expect(sortResults(results, "choi_score", "desc")[0].id).toBe("a");
+  });
+
+  it("returns input unchanged for unknown sort keys", () => {
+    expect(sortResults(results, "unknown")).toBe(results);
+  });
+});
+
+describe("getNextSort", () => {
+  it("cycles asc -> desc -> cleared", () => {
+    let state = { sort: "", order: "" };
+    state = getNextSort(state, "confidence");
+    expect(state).toEqual({ sort: "confidence", order: "asc" });
+    state = getNextSort(state, "confidence");
+    expect(state).toEqual({ sort: "confidence", order: "desc" });
+    expect(getNextSort(state, "confidence")).toEqual({ sort: "", order: "" });
+  });
+});
+
+describe("column layout", () => {
+  it("reads known columns from preferences", () => {
+    expect(
+      readColumnLayout({
+        results_table_columns: ["confidence", "bogus", "status"],
+      })
+    ).toEqual(["confidence", "status"]);
+    expect(readColumnLayout({ results_table_columns: ["bogus"] })).toBe(
+      DEFAULT_VISIBLE_COLUMNS
+    );
+    expect(readColumnLayout(null)).toBe(DEFAULT_VISIBLE_COLUMNS);
+  });
+});
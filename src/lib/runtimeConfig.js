@@ -0,0 +1,149 @@
+/**
+ * 런타임 설정 모듈
+ *
+ * API / EMS 주소, 타임아웃, 기능 플래그를 한 곳에서 결정합니다.
+ * 우선순위: window.__RUNTIME_CONFIG__ (docker-entrypoint.sh 가 생성) → Vite 환경변수 → 기본값
+ * 같은 이미지를 사이트마다 다시 빌드하지 않고 배포할 수 있도록 API 호출마다 다시 읽습니다.
+ */
+
+export const CONFIG_SOURCES = {
+  runtime: 'runtime-config.js',
+  env: '빌드 환경변수',
+  default: '기본값',
+};
+
+const trimValue = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// 백엔드 주소만 주어진 경우(BACKEND_BASE_URL 등) /api 를 붙임
+export function normalizeApiBaseUrl(value) {
+  const url = trimValue(value).replace(/\/+$/, '');
+  if (!url) return null;
+  return url.includes('/api') ? url : `${url}/api`;
+}
+
+const parseUrl = (value) => trimValue(value).replace(/\/+$/, '') || null;
+
+const parsePositiveInt = (value) => {
+  const number = Number(trimValue(value));
+  return trimValue(value) && Number.isInteger(number) && number > 0 ? number : null;
+};
+
+const parseBoolean = (value) => {
+  const text = trimValue(value).toLowerCase();
+  if (['true', '1', 'on', 'yes'].includes(text)) return true;
+  if (['false', '0', 'off', 'no'].includes(text)) return false;
+  return null;
+};
+
+/**
+ * 설정 항목 정의
+ * runtime 은 앞에서부터 먼저 찾으며, 값이 비어 있거나 형식이 맞지 않으면 다음 출처로 넘어갑니다.
+ */
+export const CONFIG_FIELDS = [
+  {
+    key: 'apiBaseUrl',
+    label: 'API 기본 URL',
+    group: 'endpoints',
+    runtime: ['VITE_API_BASE_URL', 'BACKEND_BASE_URL'],
+    env: 'VITE_API_BASE_URL',
+    defaultValue: 'http://165.213.69.30:8000/api',
+    parse: normalizeApiBaseUrl,
+  },
+  {
+    key: 'emsApiUrl',
+    label: 'EMS API URL',
+    group: 'endpoints',
+    runtime: ['EMS_API_URL'],
+    env: 'VITE_EMS_API_URL',
+    // 개발 환경 Vite 프록시
+    defaultValue: '/ems-api',
+    parse: parseUrl,
+  },
+  {
+    key: 'apiTimeout',
+    label: 'API 타임아웃 (ms)',
+    group: 'timeouts',
+    runtime: ['API_TIMEOUT'],
+    env: 'VITE_API_TIMEOUT',
+    defaultValue: 30000,
+    parse: parsePositiveInt,
+  },
+  {
+    key: 'emsTimeout',
+    label: 'EMS API 타임아웃 (ms)',
+    group: 'timeouts',
+    runtime: ['EMS_TIMEOUT'],
+    env: 'VITE_EMS_TIMEOUT',
+    defaultValue: 10000,
+    parse: parsePositiveInt,
+  },
+  {
+    key: 'apiLogging',
+    label: 'API 요청 로그',
+    group: 'features',
+    runtime: ['FEATURE_API_LOGGING'],
+    env: 'VITE_FEATURE_API_LOGGING',
+    defaultValue: true,
+    parse: parseBoolean,
+  },
+  {
+    key: 'perCellAnalysis',
+    label: '셀별 분석 모드',
+    group: 'features',
+    runtime: ['FEATURE_PER_CELL_ANALYSIS'],
+    env: 'VITE_FEATURE_PER_CELL_ANALYSIS',
+    defaultValue: true,
+    parse: parseBoolean,
+  },
+];
+
+export const CONFIG_GROUPS = [
+  { key: 'endpoints', label: '엔드포인트' },
+  { key: 'timeouts', label: '타임아웃' },
+  { key: 'features', label: '기능 플래그' },
+];
+
+function resolveField(field, runtime, env) {
+  for (const name of field.runtime) {
+    const value = field.parse(runtime[name]);
+    if (value !== null) return { value, source: 'runtime', sourceKey: name };
+  }
+  const value = field.parse(env[field.env]);
+  if (value !== null) return { value, source: 'env', sourceKey: field.env };
+  return { value: field.defaultValue, source: 'default', sourceKey: null };
+}
+
+/**
+ * 주어진 런타임 설정 / 환경변수로 설정값 결정
+ * @returns {{ values: Object, entries: Array }} entries 는 항목별 값과 출처 (About 패널용)
+ */
+export function resolveRuntimeConfig(runtime = {}, env = {}) {
+  const values = {};
+  const entries = CONFIG_FIELDS.map((field) => {
+    const resolved = resolveField(field, runtime || {}, env || {});
+    values[field.key] = resolved.value;
+    return { key: field.key, label: field.label, group: field.group, runtimeKey: field.runtime[0], envKey: field.env, ...resolved };
+  });
+  return { values, entries };
+}
+
+const readRuntime = () => (typeof window !== 'undefined' ? window.__RUNTIME_CONFIG__ || {} : {});
+
+/**
+ * 현재 설정값 (호출할 때마다 다시 계산)
+ */
+export function getRuntimeConfig() {
+  return resolveRuntimeConfig(readRuntime(), import.meta.env).values;
+}
+
+/**
+ * About / Environment 패널용 정보
+ */
+export function describeEnvironment() {
+  const runtime = readRuntime();
+  return {
+    environment: trimValue(runtime.ENVIRONMENT) || import.meta.env.MODE,
+    runtimeConfigLoaded: Object.keys(runtime).length > 0,
+    entries: resolveRuntimeConfig(runtime, import.meta.env).entries,
+  };
+}
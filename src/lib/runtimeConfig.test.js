@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { resolveRuntimeConfig, normalizeApiBaseUrl } from "./runtimeConfig.js";
+
+const sourceOf = (entries, key) => entries.find((e) => e.key === key).source;
+
+describe("normalizeApiBaseUrl", () => {
+  it("appends /api to a bare backend address", () => {
+    expect(normalizeApiBaseUrl("http://backend:8000/")).toBe(
+      "http://backend:8000/api"
+    );
+    expect(normalizeApiBaseUrl("http://backend:8000/api/")).toBe(
+      "http://backend:8000/api"
+    );
+    expect(normalizeApiBaseUrl("  ")).toBeNull();
+  });
+});
+
+describe("resolveRuntimeConfig", () => {
+  it("uses defaults when nothing is configured", () => {
+    const { values, entries } = resolveRuntimeConfig({}, {});
+    expect(values).toMatchObject({
+      emsApiUrl: "/ems-api",
+      apiTimeout: 30000,
+      perCellAnalysis: true,
+    });
+    expect(sourceOf(entries, "apiBaseUrl")).toBe("default");
+  });
+
+  it("prefers runtime config over env", () => {
+    const { values, entries } = resolveRuntimeConfig(
+      { VITE_API_BASE_URL: "http://site-a:8000", API_TIMEOUT: "5000" },
+      { VITE_API_BASE_URL: "http://build:8000/api", VITE_API_TIMEOUT: "9000" }
+    );
+    expect(values.apiBaseUrl).toBe("http://site-a:8000/api");
+    expect(values.apiTimeout).toBe(5000);
+    expect(sourceOf(entries, "apiTimeout")).toBe("runtime");
+  });
+
+  it("falls back to BACKEND_BASE_URL and then env", () => {
+    expect(
+      resolveRuntimeConfig({ BACKEND_BASE_URL: "http://b:8000" }, {}).values
+        .apiBaseUrl
+    ).toBe("http://b:8000/api");
+    const { values, entries } = resolveRuntimeConfig(
+      { EMS_API_URL: "" },
+      { VITE_EMS_API_URL: "http://ems:8888" }
+    );
+    expect(values.emsApiUrl).toBe("http://ems:8888");
+    expect(entries.find((e) => e.key === "emsApiUrl").sourceKey).toBe(
+      "VITE_EMS_API_URL"
+    );
+  });
+
+  it("skips invalid values and parses flags", () => {
+    const { values } = resolveRuntimeConfig(
+      { API_TIMEOUT: "abc", FEATURE_PER_CELL_ANALYSIS: "off" },
+      { VITE_FEATURE_API_LOGGING: "false" }
+    );
+    expect(values.apiTimeout).toBe(30000);
+    expect(values.perCellAnalysis).toBe(false);
+    expect(values.apiLogging).toBe(false);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * 설정 충돌 항목 분석/해결 모듈
+ *
+ * analyzeSettingsConflict 의 경로별 차이를 화면에 보여줄 필드 단위로 묶고,
+ * comprehensiveLWW 의 판단으로 필드별 추천 선택(local | server | merge)을 정합니다.
+ * base(마지막으로 서버와 맞춘 문서)가 있으면 한쪽에서만 바뀐 필드는 충돌이 아니므로 바뀐 쪽을 그대로 적용합니다.
+ */
+
+import { analyzeSettingsConflict } from '../utils/dataComparisonUtils';
+import { comprehensiveLWW } from '../utils/lastWriteWinsUtils';
+import { CONFLICT_SEVERITY } from '../utils/constants';
+import { METADATA_KEY, isSameValue } from './preferenceSync';
+
+export const CONFLICT_CHOICES = ['local', 'server', 'merge'];
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * 병합 선택이 가능한 값인지 (양쪽 모두 배열이거나 모두 객체)
+ */
+export const canMergeValues = (a, b) =>
+  (Array.isArray(a) && Array.isArray(b)) || (isPlainObject(a) && isPlainObject(b));
+
+export function getPath(document, path) {
+  return path.split('.').reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), document);
+}
+
+export function setPath(document, path, value) {
+  const [key, ...rest] = path.split('.');
+  const next = { ...document };
+  const child = rest.length ? setPath(isPlainObject(next[key]) ? next[key] : {}, rest.join('.'), value) : value;
+  if (child === undefined) delete next[key];
+  else next[key] = child;
+  return next;
+}
+
+// 차이 경로를 선택 단위 필드로 변환 (배열은 요소가 아닌 배열 전체를 한 필드로 취급)
+const toFieldPath = (path) => path.replace(/\.length$/, '').replace(/\[.*$/, '');
+
+// 배열 항목 식별자: id → name → 값 자체
+const itemKey = (item) => {
+  const id = isPlainObject(item) ? item.id ?? item.name : undefined;
+  return id !== undefined && id !== null ? `id:${id}` : JSON.stringify(item);
+};
+
+const mergeEntry = (base, local, server) => {
+  if (isSameValue(local, server)) return local;
+  if (isSameValue(base, local)) return server;
+  if (isSameValue(base, server)) return local;
+  if (canMergeValues(local, server)) return mergeValues(base, local, server);
+  // 양쪽이 서로 다르게 바꾼 값은 내 값 우선
+  return local;
+};
+
+/**
+ * 3-way 값 병합
+ * 객체는 키별로, 배열은 id(없으면 name, 값) 기준 항목별로 병합합니다.
+ * 한쪽에서만 바뀐(삭제 포함) 항목은 바뀐 쪽을, 양쪽에서 다르게 바뀐 항목은 로컬 값을 사용합니다.
+ */
+export function mergeValues(base, local, server) {
+  if (Array.isArray(local) && Array.isArray(server)) {
+    const toMap = (list) => new Map((Array.isArray(list) ? list : []).map((item) => [itemKey(item), item]));
+    const baseMap = toMap(base);
+    const localMap = toMap(local);
+    const serverMap = toMap(server);
+    const keys = new Set([...serverMap.keys(), ...localMap.keys()]);
+    return Array.from(keys)
+      .map((key) => mergeEntry(baseMap.get(key), localMap.get(key), serverMap.get(key)))
+      .filter((item) => item !== undefined);
+  }
+  if (isPlainObject(local) && isPlainObject(server)) {
+    const from = isPlainObject(base) ? base : {};
+    const merged = {};
+    new Set([...Object.keys(server), ...Object.keys(local)]).forEach((key) => {
+      const value = mergeEntry(from[key], local[key], server[key]);
+      if (value !== undefined) merged[key] = value;
+    });
+    return merged;
+  }
+  return mergeEntry(base, local, server);
+}
+
+// comprehensiveLWW 결과에서 필드별 승자 조회 (판단할 수 없으면 null)
+const readLwwWinners = (lww) => {
+  const resolutions = lww.fieldAnalysis?.fieldResolutions || lww.details?.fieldResolutions || [];
+  return (path) => {
+    if (lww.winner) return lww.winner;
+    const winners = new Set(
+      resolutions.filter((resolution) => toFieldPath(resolution.path) === path).map((resolution) => resolution.winner)
+    );
+    return winners.size === 1 ? Array.from(winners)[0] : null;
+  };
+};
+
+const pickKeys = (document, keys) => {
+  const source = document || {};
+  const picked = {};
+  (keys || Object.keys(source)).forEach((key) => {
+    if (key !== METADATA_KEY && source[key] !== undefined) picked[key] = source[key];
+  });
+  if (source[METADATA_KEY]) picked[METADATA_KEY] = source[METADATA_KEY];
+  return picked;
+};
+
+/**
+ * 충돌 필드 목록 생성
+ * @param {Object} params
+ * @param {Object} [params.base] 마지막으로 서버와 맞춘 문서 (없으면 다른 값은 모두 충돌)
+ * @param {Object} params.local 로컬 문서
+ * @param {Object} params.server 서버 문서
+ * @param {string[]} [params.keys] 비교할 최상위 키 (없으면 문서 전체)
+ * @returns {{ fields: Array, localTimestamp, serverTimestamp, severity: number }}
+ *   fields[]: { path, localValue, serverValue, severity, conflicting, mergeable, recommended }
+ */
+export function buildConflictFields({ base = null, local, server, keys }) {
+  const localPart = pickKeys(local, keys);
+  const serverPart = pickKeys(server, keys);
+  const analysis = analyzeSettingsConflict(localPart, serverPart);
+  const lwwWinner = readLwwWinners(comprehensiveLWW(localPart, serverPart, analysis));
+
+  const severities = new Map();
+  analysis.differences.forEach((difference) => {
+    const path = toFieldPath(difference.path);
+    if (!path || path.split('.')[0] === METADATA_KEY) return;
+    severities.set(path, Math.max(severities.get(path) ?? CONFLICT_SEVERITY.NONE, difference.severity ?? CONFLICT_SEVERITY.LOW));
+  });
+
+  const fields = Array.from(severities, ([path, severity]) => {
+    const localValue = getPath(local, path);
+    const serverValue = getPath(server, path);
+    const baseValue = base ? getPath(base, path) : undefined;
+    const changedLocally = !base || !isSameValue(baseValue, localValue);
+    const changedOnServer = !base || !isSameValue(baseValue, serverValue);
+    const mergeable = canMergeValues(localValue, serverValue);
+    let recommended;
+    if (!changedOnServer) recommended = 'local';
+    else if (!changedLocally) recommended = 'server';
+    else recommended = lwwWinner(path) || (mergeable ? 'merge' : 'server');
+    return {
+      path,
+      localValue,
+      serverValue,
+      severity,
+      conflicting: changedLocally && changedOnServer,
+      mergeable,
+      recommended,
+    };
+  }).sort((a, b) => b.severity - a.severity || a.path.localeCompare(b.path));
+
+  return {
+    fields,
+    localTimestamp: local?.[METADATA_KEY]?.lastModified ?? null,
+    serverTimestamp: server?.[METADATA_KEY]?.lastModified ?? null,
+    severity: fields.reduce((max, field) => Math.max(max, field.severity), CONFLICT_SEVERITY.NONE),
+  };
+}
+
+/**
+ * 필드별 선택 반영
+ * @param {Object} document 선택을 반영할 문서
+ * @param {{ base, local, server }} sources 값을 가져올 문서들
+ * @param {Array} fields buildConflictFields 의 fields
+ * @param {Object<string, 'local' | 'server' | 'merge'>} [choices] 필드 경로별 선택 (없으면 추천값)
+ */
+export function applyFieldChoices(document, { base = null, local, server }, fields, choices = {}) {
+  return fields.reduce((next, field) => {
+    let choice = choices[field.path] || field.recommended;
+    if (choice === 'merge' && !field.mergeable) choice = field.recommended;
+    const localValue = getPath(local, field.path);
+    const serverValue = getPath(server, field.path);
+    let value = serverValue;
+    if (choice === 'local') value = localValue;
+    else if (choice === 'merge') value = mergeValues(base ? getPath(base, field.path) : undefined, localValue, serverValue);
+    return setPath(next, field.path, value);
+  }, document);
+}
+
+/**
+ * 충돌 필드 값 요약 표시
+ */
+export function formatConflictValue(value) {
+  if (value === undefined || value === null) return '(없음)';
+  if (Array.isArray(value)) {
+    const names = value.map((item) => (isPlainObject(item) ? item.name ?? item.id : item)).filter((name) => name !== undefined);
+    return `${value.length}개${names.length ? `: ${names.slice(0, 3).join(', ')}${names.length > 3 ? ' …' : ''}` : ''}`;
+  }
+  if (isPlainObject(value)) {
+    const text = JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+  }
+  return String(value);
+}
@@ -0,0 +1,150 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildConflictFields,
+  applyFieldChoices,
+  mergeValues,
+  setPath,
+  formatConflictValue,
+} from "./settingsConflict.js";
+
+const stamp = (document, lastModified) => ({
+  ...document,
+  metadata: { lastModified },
+});
+
+describe("buildConflictFields", () => {
+  it("lists only fields changed on both sides as conflicting", () => {
+    const base = { generalSettings: { theme: "dark", timezone: "UTC" } };
+    const local = stamp(
+      { generalSettings: { theme: "light", timezone: "UTC" } },
+      "2026-10-19T10:00:00Z"
+    );
+    const server = stamp(
+      { generalSettings: { theme: "dark", timezone: "Asia/Seoul" } },
+      "2026-10-19T10:01:00Z"
+    );
+
+    const { fields, localTimestamp, serverTimestamp } = buildConflictFields({
+      base,
+      local,
+      server,
+      keys: ["generalSettings"],
+    });
+
+    expect(localTimestamp).toBe("2026-10-19T10:00:00Z");
+    expect(serverTimestamp).toBe("2026-10-19T10:01:00Z");
+    expect(
+      fields.map((field) => [field.path, field.conflicting, field.recommended])
+    ).toEqual([
+      ["generalSettings.theme", false, "local"],
+      ["generalSettings.timezone", false, "server"],
+    ]);
+  });
+
+  it("pre-selects the newer side from the LWW analysis and skips metadata", () => {
+    const local = stamp({ defaultNe: "NE1" }, "2026-10-18T10:00:00Z");
+    const server = stamp({ defaultNe: "NE2" }, "2026-10-19T10:00:00Z");
+
+    const { fields } = buildConflictFields({
+      base: { defaultNe: "NE0" },
+      local,
+      server,
+    });
+
+    expect(fields).toHaveLength(1);
+    expect(fields[0]).toMatchObject({
+      path: "defaultNe",
+      localValue: "NE1",
+      serverValue: "NE2",
+      conflicting: true,
+      mergeable: false,
+      recommended: "server",
+    });
+  });
+
+  it("groups array element differences into one mergeable field", () => {
+    const local = {
+      analysis_templates: [
+        { id: "a", name: "A" },
+        { id: "b", name: "B" },
+      ],
+    };
+    const server = { analysis_templates: [{ id: "a", name: "A2" }] };
+
+    const { fields } = buildConflictFields({ local, server });
+
+    expect(fields.map((field) => field.path)).toEqual(["analysis_templates"]);
+    expect(fields[0].mergeable).toBe(true);
+    expect(fields[0].recommended).toBe("merge");
+  });
+});
+
+describe("mergeValues", () => {
+  it("merges list items by id and keeps deletions from either side", () => {
+    const base = [
+      { id: "a", v: 1 },
+      { id: "b", v: 1 },
+      { id: "c", v: 1 },
+    ];
+    const local = [
+      { id: "a", v: 2 },
+      { id: "c", v: 1 },
+      { id: "d", v: 1 },
+    ];
+    const server = [
+      { id: "a", v: 1 },
+      { id: "b", v: 1 },
+      { id: "e", v: 1 },
+    ];
+
+    expect(mergeValues(base, local, server)).toEqual([
+      { id: "a", v: 2 },
+      { id: "e", v: 1 },
+      { id: "d", v: 1 },
+    ]);
+  });
+
+  it("merges objects key by key and prefers local when both changed", () => {
+    expect(
+      mergeValues(
+        { a: 1, b: 1, c: 1 },
+        { a: 2, b: 1, c: 3 },
+        { a: 1, b: 2, c: 4 }
+      )
+    ).toEqual({ a: 2, b: 2, c: 3 });
+  });
+});
+
+describe("applyFieldChoices", () => {
+  it("applies per-field choices and falls back to the recommendation", () => {
+    const sources = {
+      base: { x: { a: 0 }, list: ["a"] },
+      local: { x: { a: 1 }, list: ["a", "b"], y: "local" },
+      server: { x: { a: 2 }, list: ["a", "c"], y: "server" },
+    };
+    const { fields } = buildConflictFields({ ...sources, keys: ["x", "list"] });
+
+    const result = applyFieldChoices({ y: "kept" }, sources, fields, {
+      "x.a": "server",
+      list: "merge",
+    });
+
+    expect(result).toEqual({ x: { a: 2 }, list: ["a", "c", "b"], y: "kept" });
+  });
+
+  it("removes a path when the chosen side has no value", () => {
+    expect(setPath({ x: { a: 1, b: 2 } }, "x.a", undefined)).toEqual({
+      x: { b: 2 },
+    });
+  });
+});
+
+describe("formatConflictValue", () => {
+  it("summarizes lists by item names", () => {
+    expect(formatConflictValue([{ name: "A" }, { name: "B" }])).toBe(
+      "2개: A, B"
+    );
+    expect(formatConflictValue(undefined)).toBe("(없음)");
+    expect(formatConflictValue(true)).toBe("true");
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * 시스템 모니터링 유틸리티 모듈
+ *
+ * 분석 서비스 health, DB 연결 테스트, EMS 목록 엔드포인트를 주기적으로 호출해 응답 시간을 기록하고,
+ * 분석 큐 / 성공률과 함께 임계값 기반 알림을 계산합니다.
+ * 알림은 매 측정마다 최신 값으로 다시 계산하며, 계속 발생 중인 알림은 처음 발생한 시각을 유지합니다.
+ */
+
+export const MONITOR_INTERVAL_MS = 15000;
+export const HISTORY_LENGTH = 40;
+
+export const MONITOR_PROBES = [
+  { key: 'api', label: '분석 서비스', description: 'async-analysis/health' },
+  { key: 'db', label: 'DB 연결', description: '기본 연결 프로필 연결 테스트' },
+  { key: 'ems', label: 'EMS 목록', description: 'EMS/NE/Cell 목록 API' },
+];
+
+export const MONITOR_THRESHOLDS = {
+  latencyWarningMs: 1000,
+  latencyCriticalMs: 3000,
+  // 연속 실패 횟수가 이 값 이상이면 장애로 판단
+  downAfterFailures: 2,
+  queueWarning: 5,
+  queueCritical: 10,
+  successRateWarning: 95,
+  successRateCritical: 80,
+};
+
+const UNHEALTHY_STATUSES = ['unhealthy', 'error', 'down', 'failed'];
+
+/**
+ * 요청 하나를 실행하고 응답 시간을 측정
+ * @returns {Promise<{ ok, latency, data, error, time }>}
+ */
+export async function measureProbe(request, clock = () => performance.now()) {
+  const started = clock();
+  const time = Date.now();
+  try {
+    const data = await request();
+    return { ok: true, latency: Math.round(clock() - started), data, error: null, time };
+  } catch (err) {
+    const error = err?.response?.data?.detail || err?.message || '요청 실패';
+    return { ok: false, latency: Math.round(clock() - started), data: null, error, time };
+  }
+}
+
+/**
+ * 응답 본문이 명시적으로 비정상이면 실패로 처리 (health status, DB 연결 결과)
+ */
+export function checkProbeResult(key, sample) {
+  if (!sample.ok) return sample;
+  const status = String(sample.data?.status || '').toLowerCase();
+  if (key === 'api' && UNHEALTHY_STATUSES.includes(status)) {
+    return { ...sample, ok: false, error: `분석 서비스 상태: ${sample.data.status}` };
+  }
+  if (key === 'db' && sample.data?.connected === false) {
+    return { ...sample, ok: false, error: sample.data.message || 'DB 연결 실패' };
+  }
+  return sample;
+}
+
+/**
+ * 항목별 측정 기록에 샘플 추가 (최근 limit 개 유지)
+ */
+export function appendSample(history, key, sample, limit = HISTORY_LENGTH) {
+  const { time, ok, latency, error } = sample;
+  return { ...history, [key]: [...(history[key] || []), { time, ok, latency, error }].slice(-limit) };
+}
+
+/**
+ * 측정 기록 요약
+ * status: 'up' | 'degraded'(느린 응답 또는 일시적 실패) | 'down'(연속 실패) | 'unknown'
+ */
+export function summarizeProbe(samples = [], thresholds = MONITOR_THRESHOLDS) {
+  if (samples.length === 0) return { status: 'unknown', latency: null, avgLatency: null, availability: null, failures: 0, error: null };
+  const last = samples[samples.length - 1];
+  const succeeded = samples.filter((sample) => sample.ok);
+  let failures = 0;
+  for (let i = samples.length - 1; i >= 0 && !samples[i].ok; i -= 1) failures += 1;
+
+  let status = 'up';
+  if (failures > 0 && failures >= Math.min(thresholds.downAfterFailures, samples.length)) status = 'down';
+  else if (failures > 0 || last.latency >= thresholds.latencyWarningMs) status = 'degraded';
+
+  return {
+    status,
+    latency: last.ok ? last.latency : null,
+    avgLatency: succeeded.length ? Math.round(succeeded.reduce((sum, sample) => sum + sample.latency, 0) / succeeded.length) : null,
+    availability: Math.round((succeeded.length / samples.length) * 1000) / 10,
+    failures,
+    error: last.ok ? null : last.error,
+  };
+}
+
+/**
+ * EMS 목록 응답의 EMS / NE / Cell 개수
+ */
+export function summarizeEmsList(emsData) {
+  let ne = 0;
+  let cells = 0;
+  Object.values(emsData || {}).forEach((emsEntry) => {
+    Object.values(emsEntry || {}).forEach((neEntry) => {
+      ne += 1;
+      Object.values(neEntry || {}).forEach((ids) => {
+        if (Array.isArray(ids)) cells += ids.length;
+      });
+    });
+  });
+  return { ems: Object.keys(emsData || {}).length, ne, cells };
+}
+
+const countJobs = (jobs, statuses) => jobs.filter((job) => statuses.includes(job.status)).length;
+const firstNumber = (...values) => values.find((value) => Number.isFinite(Number(value)) && value !== null && value !== '');
+
+/**
+ * LLM 분석 큐 상태
+ * health 응답 값을 우선 사용하고, 없으면 작업 목록(jobs: extractServerJobs 결과)에서 계산합니다.
+ */
+export function deriveQueueDepth(health, jobs = []) {
+  const running = firstNumber(health?.running_tasks, health?.active_tasks);
+  const queued = firstNumber(health?.queue_size, health?.queued_tasks, health?.pending_tasks);
+  return {
+    running: running !== undefined ? Number(running) : countJobs(jobs, ['processing']),
+    queued: queued !== undefined ? Number(queued) : countJobs(jobs, ['pending']),
+  };
+}
+
+/**
+ * 분석 성공률 (%)
+ * 성공 = getAnalysisStatsV2 의 저장된 결과 수(total_count), 실패 = 작업 목록의 실패 작업 수.
+ * 실패한 분석은 결과로 저장되지 않으므로 두 값을 합쳐 계산합니다.
+ */
+export function deriveSuccessRate(stats, jobs = []) {
+  const success = Number(stats?.total_count);
+  if (!Number.isFinite(success)) return null;
+  const failed = countJobs(jobs, ['failed']);
+  const total = success + failed;
+  return { success, failed, rate: total > 0 ? Math.round((success / total) * 1000) / 10 : null };
+}
+
+/**
+ * 현재 값 기준 알림 목록 [{ id, level: 'warning' | 'critical', message }]
+ */
+export function evaluateAlerts({ probes = {}, queue, successRate }, thresholds = MONITOR_THRESHOLDS) {
+  const alerts = [];
+  MONITOR_PROBES.forEach(({ key, label }) => {
+    const summary = probes[key];
+    if (!summary) return;
+    if (summary.status === 'down') {
+      alerts.push({ id: `${key}-down`, level: 'critical', message: `${label} 응답 없음: ${summary.error || '요청 실패'}` });
+    } else if (summary.failures > 0) {
+      alerts.push({ id: `${key}-failure`, level: 'warning', message: `${label} 일시적 응답 실패: ${summary.error || '요청 실패'}` });
+    } else if (summary.latency >= thresholds.latencyCriticalMs) {
+      alerts.push({ id: `${key}-latency`, level: 'critical', message: `${label} 응답 시간 ${summary.latency}ms` });
+    } else if (summary.status === 'degraded') {
+      alerts.push({ id: `${key}-latency`, level: 'warning', message: `${label} 응답 시간 ${summary.latency}ms` });
+    }
+  });
+
+  const depth = queue ? queue.queued : 0;
+  if (depth >= thresholds.queueCritical) {
+    alerts.push({ id: 'queue', level: 'critical', message: `분석 대기 작업 ${depth}건` });
+  } else if (depth >= thresholds.queueWarning) {
+    alerts.push({ id: 'queue', level: 'warning', message: `분석 대기 작업 ${depth}건` });
+  }
+
+  const rate = successRate?.rate;
+  if (rate !== null && rate !== undefined) {
+    if (rate < thresholds.successRateCritical) {
+      alerts.push({ id: 'success-rate', level: 'critical', message: `분석 성공률 ${rate}%` });
+    } else if (rate < thresholds.successRateWarning) {
+      alerts.push({ id: 'success-rate', level: 'warning', message: `분석 성공률 ${rate}%` });
+    }
+  }
+  return alerts;
+}
+
+/**
+ * 이전 알림과 병합: 계속 발생 중인 알림은 처음 발생 시각(since)을 유지하고, 해소된 알림은 제거
+ */
+export function mergeAlerts(previous, next, now = Date.now()) {
+  const since = new Map(previous.map((alert) => [alert.id, alert.since]));
+  return next.map((alert) => ({ ...alert, since: since.get(alert.id) ?? now }));
+}
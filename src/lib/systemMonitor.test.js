@@ -0,0 +1,179 @@
+import { describe, it, expect } from "vitest";
+import {
+  measureProbe,
+  checkProbeResult,
+  appendSample,
+  summarizeProbe,
+  summarizeEmsList,
+  deriveQueueDepth,
+  deriveSuccessRate,
+  evaluateAlerts,
+  mergeAlerts,
+} from "./systemMonitor.js";
+
+const sample = (ok, latency = 100, error = null) => ({
+  ok,
+  latency,
+  error,
+  time: 0,
+});
+
+describe("measureProbe", () => {
+  it("records latency and errors", async () => {
+    let now = 0;
+    const clock = () => (now += 50);
+    const ok = await measureProbe(async () => ({ status: "healthy" }), clock);
+    expect(ok).toMatchObject({ ok: true, latency: 50, error: null });
+
+    const failed = await measureProbe(async () => {
+      throw new Error("timeout");
+    }, clock);
+    expect(failed).toMatchObject({ ok: false, data: null, error: "timeout" });
+  });
+});
+
+describe("checkProbeResult", () => {
+  it("treats unhealthy bodies as failures", () => {
+    const api = checkProbeResult("api", {
+      ...sample(true),
+      data: { status: "unhealthy" },
+    });
+    expect(api.ok).toBe(false);
+    const db = checkProbeResult("db", {
+      ...sample(true),
+      data: { connected: false, message: "auth failed" },
+    });
+    expect(db).toMatchObject({ ok: false, error: "auth failed" });
+  });
+});
+
+describe("appendSample", () => {
+  it("keeps only the latest samples", () => {
+    let history = {};
+    for (let i = 0; i < 5; i += 1) {
+      history = appendSample(history, "api", { ...sample(true, i) }, 3);
+    }
+    expect(history.api.map((s) => s.latency)).toEqual([2, 3, 4]);
+  });
+});
+
+describe("summarizeProbe", () => {
+  it("reports unknown without samples", () => {
+    expect(summarizeProbe([]).status).toBe("unknown");
+  });
+
+  it("derives up / degraded / down", () => {
+    expect(summarizeProbe([sample(true), sample(true, 200)])).toMatchObject({
+      status: "up",
+      latency: 200,
+      avgLatency: 150,
+      availability: 100,
+    });
+    expect(summarizeProbe([sample(true), sample(true, 1500)]).status).toBe(
+      "degraded"
+    );
+    expect(summarizeProbe([sample(true), sample(false)]).status).toBe(
+      "degraded"
+    );
+    expect(
+      summarizeProbe([sample(true), sample(false), sample(false, 0, "x")])
+    ).toMatchObject({ status: "down", failures: 2, latency: null, error: "x" });
+  });
+});
+
+describe("summarizeEmsList", () => {
+  it("counts EMS, NE and cells", () => {
+    expect(
+      summarizeEmsList({
+        EMS1: { NE1: { cells: ["1", "2"] }, NE2: { cells: ["3"] } },
+        EMS2: { NE3: { cells: [] } },
+      })
+    ).toEqual({ ems: 2, ne: 3, cells: 3 });
+  });
+});
+
+describe("deriveQueueDepth", () => {
+  const jobs = [
+    { status: "pending" },
+    { status: "pending" },
+    { status: "processing" },
+    { status: "failed" },
+  ];
+
+  it("prefers health values", () => {
+    expect(deriveQueueDepth({ running_tasks: 4, queue_size: 7 }, jobs)).toEqual(
+      { running: 4, queued: 7 }
+    );
+  });
+
+  it("falls back to the job list", () => {
+    expect(deriveQueueDepth({ status: "healthy" }, jobs)).toEqual({
+      running: 1,
+      queued: 2,
+    });
+  });
+});
+
+describe("deriveSuccessRate", () => {
+  it("combines stored results with failed jobs", () => {
+    expect(
+      deriveSuccessRate({ total_count: 9 }, [{ status: "failed" }])
+    ).toEqual({ success: 9, failed: 1, rate: 90 });
+    expect(deriveSuccessRate({ total_count: 0 }, [])).toMatchObject({
+      rate: null,
+    });
+    expect(deriveSuccessRate(null, [])).toBeNull();
+  });
+});
+
+describe("evaluateAlerts", () => {
+  const up = summarizeProbe([sample(true)]);
+
+  it("returns nothing when everything is within thresholds", () => {
+    expect(
+      evaluateAlerts({
+        probes: { api: up, db: up, ems: up },
+        queue: { running: 1, queued: 0 },
+        successRate: { rate: 100 },
+      })
+    ).toEqual([]);
+  });
+
+  it("raises warning and critical alerts", () => {
+    const alerts = evaluateAlerts({
+      probes: {
+        api: summarizeProbe([sample(false), sample(false, 0, "down")]),
+        ems: summarizeProbe([sample(true, 3500)]),
+      },
+      queue: { running: 0, queued: 6 },
+      successRate: { rate: 70 },
+    });
+    expect(alerts.map(({ id, level }) => [id, level])).toEqual([
+      ["api-down", "critical"],
+      ["ems-latency", "critical"],
+      ["queue", "warning"],
+      ["success-rate", "critical"],
+    ]);
+  });
+});
+
+describe("mergeAlerts", () => {
+  it("keeps the first seen time of ongoing alerts", () => {
+    const previous = [
+      { id: "queue", level: "warning", since: 100 },
+      { id: "api-down", level: "critical", since: 50 },
+    ];
+    const merged = mergeAlerts(
+      previous,
+      [
+        { id: "queue", level: "critical" },
+        { id: "success-rate", level: "warning" },
+      ],
+      200
+    );
+    expect(merged).toEqual([
+      { id: "queue", level: "critical", since: 100 },
+      { id: "success-rate", level: "warning", since: 200 },
+    ]);
+  });
+});
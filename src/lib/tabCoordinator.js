@@ -0,0 +1,237 @@
+/**
+ * 브라우저 탭 간 조정 모듈
+ *
+ * 같은 앱을 연 탭들이 메시지를 주고받고, 서버 동기화/폴링을 맡을 리더 탭 하나를 정합니다.
+ * - 메시지: BroadcastChannel, 지원하지 않는 브라우저는 localStorage storage 이벤트로 대체
+ * - 리더 선출: localStorage 의 임대(lease) 기록을 주기적으로 갱신하는 탭이 리더이며,
+ *   리더가 닫히면 즉시(정상 종료) 또는 임대 만료 후(비정상 종료) 다른 탭이 이어받습니다.
+ * - 이름 있는 임대: 리더 임대와 같은 방식으로 특정 작업(예: 배치 실행)을 맡을 탭 하나를 정합니다.
+ * localStorage 를 쓸 수 없으면 각 탭이 스스로 리더로 동작하고 모든 임대를 가집니다.
+ */
+
+const CHANNEL_NAME = 'kpi-dashboard';
+
+export const TAB_HEARTBEAT_MS = 2000;
+export const TAB_LEASE_MS = 5000;
+
+export const TAB_MESSAGES = {
+  LEADER_RESIGNED: 'tab:leader-resigned',
+  PREFERENCES_STATE: 'preferences:state',
+  PREFERENCES_SYNC_REQUEST: 'preferences:sync-request',
+  JOB_STARTED: 'jobs:started',
+  JOB_PATCHED: 'jobs:patched',
+  JOB_FINISHED: 'jobs:finished',
+  JOB_REMOVED: 'jobs:removed',
+  BATCH_ACTION: 'batches:action',
+  OUTBOX_CHANGED: 'outbox:changed',
+};
+
+const createTabId = () => `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+const getLocalStorage = () => {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 기본 메시지 채널 (BroadcastChannel → localStorage 순)
+ * 두 방식 모두 보낸 탭 자신에게는 전달되지 않습니다.
+ */
+export function openTabChannel(name, onMessage, storage = getLocalStorage()) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (event) => onMessage(event.data);
+    return { post: (message) => channel.postMessage(message), close: () => channel.close() };
+  }
+  if (!storage || typeof window === 'undefined') return { post: () => {}, close: () => {} };
+
+  const key = `${name}:message`;
+  const handleStorage = (event) => {
+    if (event.key !== key || !event.newValue) return;
+    try {
+      onMessage(JSON.parse(event.newValue));
+    } catch {
+      // 다른 버전이 쓴 값 등 해석할 수 없는 메시지는 무시
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    // 메시지마다 id 가 달라 같은 내용을 연달아 보내도 storage 이벤트가 발생
+    post: (message) => storage.setItem(key, JSON.stringify(message)),
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+}
+
+/**
+ * 탭 조정기 생성
+ * @param {Object} [options]
+ * @param {string} [options.name] 채널/저장 키 접두사
+ * @param {Storage|null} [options.storage] 리더 임대 기록용 저장소
+ * @param {Function} [options.openChannel] (name, onMessage) => { post, close }
+ * @param {Function} [options.now]
+ */
+export function createTabCoordinator({
+  name = CHANNEL_NAME,
+  storage = getLocalStorage(),
+  openChannel = openTabChannel,
+  heartbeatMs = TAB_HEARTBEAT_MS,
+  leaseMs = TAB_LEASE_MS,
+  now = Date.now,
+} = {}) {
+  const tabId = createTabId();
+  const leaseKey = `${name}:leader`;
+  const leaseKeyOf = (key) => `${name}:lease:${key}`;
+  const handlers = new Map();
+  // 이 탭이 가진 이름 있는 임대의 저장 키 (종료할 때 반납)
+  const heldLeases = new Set();
+  const leaderListeners = new Set();
+  let channel = null;
+  let timer = null;
+  let leader = false;
+  let sequence = 0;
+
+  const setLeader = (next) => {
+    if (next === leader) return;
+    leader = next;
+    leaderListeners.forEach((listener) => listener(leader));
+  };
+
+  const readLease = (key) => {
+    try {
+      return JSON.parse(storage.getItem(key));
+    } catch {
+      return null;
+    }
+  };
+
+  // 임대가 비었거나 만료됐거나 내 것이면 갱신하고, 다시 읽어 실제로 내가 기록했는지 확인
+  const renewLease = (key) => {
+    const lease = readLease(key);
+    if (!lease || lease.tabId === tabId || lease.expiresAt <= now()) {
+      storage.setItem(key, JSON.stringify({ tabId, expiresAt: now() + leaseMs }));
+    }
+    return readLease(key)?.tabId === tabId;
+  };
+
+  const dropLease = (key) => {
+    try {
+      if (readLease(key)?.tabId === tabId) storage.removeItem(key);
+    } catch {
+      // 저장소를 쓸 수 없으면 임대 만료로 넘어감
+    }
+  };
+
+  const heartbeat = () => {
+    if (!storage) {
+      setLeader(true);
+      return;
+    }
+    try {
+      setLeader(renewLease(leaseKey));
+    } catch {
+      setLeader(true);
+    }
+  };
+
+  const dispatch = (message) => {
+    if (!message || message.from === tabId) return;
+    if (message.type === TAB_MESSAGES.LEADER_RESIGNED) heartbeat();
+    handlers.get(message.type)?.forEach((handler) => handler(message.payload, message));
+  };
+
+  const post = (type, payload = null) => {
+    if (!channel) return;
+    try {
+      channel.post({ id: `${tabId}:${++sequence}`, type, payload, from: tabId, sentAt: now() });
+    } catch (error) {
+      console.warn('[tabCoordinator] 메시지 전송 실패:', type, error);
+    }
+  };
+
+  const resign = () => {
+    if (!leader) return;
+    dropLease(leaseKey);
+    setLeader(false);
+    post(TAB_MESSAGES.LEADER_RESIGNED);
+  };
+
+  const start = () => {
+    if (channel) return;
+    channel = openChannel(name, dispatch);
+    heartbeat();
+    timer = setInterval(heartbeat, heartbeatMs);
+    if (typeof window !== 'undefined') window.addEventListener('pagehide', stop);
+  };
+
+  function stop() {
+    if (!channel) return;
+    clearInterval(timer);
+    timer = null;
+    heldLeases.forEach(dropLease);
+    heldLeases.clear();
+    resign();
+    channel.close();
+    channel = null;
+    if (typeof window !== 'undefined') window.removeEventListener('pagehide', stop);
+  }
+
+  return {
+    tabId,
+    start,
+    stop,
+    post,
+    isLeader: () => leader,
+    /**
+     * 이름 있는 임대를 차지하거나 갱신합니다. 유지하려면 TAB_LEASE_MS 안에 다시 호출해야 합니다.
+     * @returns {boolean} 이 탭이 임대를 가졌는지
+     */
+    claimLease(key) {
+      if (!storage) return true;
+      try {
+        const held = renewLease(leaseKeyOf(key));
+        if (held) heldLeases.add(leaseKeyOf(key));
+        else heldLeases.delete(leaseKeyOf(key));
+        return held;
+      } catch {
+        return true;
+      }
+    },
+    releaseLease(key) {
+      if (!storage) return;
+      heldLeases.delete(leaseKeyOf(key));
+      dropLease(leaseKeyOf(key));
+    },
+    /**
+     * 메시지 구독. handler(payload, message) 를 호출하며 해제 함수를 반환합니다.
+     */
+    subscribe(type, handler) {
+      if (!handlers.has(type)) handlers.set(type, new Set());
+      handlers.get(type).add(handler);
+      return () => handlers.get(type).delete(handler);
+    },
+    subscribeLeader(listener) {
+      leaderListeners.add(listener);
+      return () => leaderListeners.delete(listener);
+    },
+  };
+}
+
+let sharedCoordinator = null;
+
+/**
+ * 앱 전역 탭 조정기 (처음 사용할 때 시작)
+ */
+export function getTabCoordinator() {
+  if (!sharedCoordinator) {
+    sharedCoordinator = createTabCoordinator();
+    sharedCoordinator.start();
+    // 뒤로 가기 캐시(bfcache)에서 복원되면 pagehide 로 멈춘 조정을 다시 시작
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pageshow', (event) => event.persisted && sharedCoordinator.start());
+    }
+  }
+  return sharedCoordinator;
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createTabCoordinator, TAB_MESSAGES } from "./tabCoordinator.js";
+
+// 같은 프로세스 안에서 여러 탭을 흉내 내는 채널/저장소
+function createHub() {
+  const members = new Set();
+  const openChannel = (name, onMessage) => {
+    members.add(onMessage);
+    return {
+      post: (message) =>
+        members.forEach((member) => member !== onMessage && member(message)),
+      close: () => members.delete(onMessage),
+    };
+  };
+  const data = new Map();
+  const storage = {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+  return { openChannel, storage };
+}
+
+describe("createTabCoordinator", () => {
+  let hub;
+  let clock;
+  const createTab = () =>
+    createTabCoordinator({
+      ...hub,
+      now: () => clock,
+      heartbeatMs: 1000,
+      leaseMs: 3000,
+    });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    hub = createHub();
+    clock = 0;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("elects one leader and hands over when it stops", () => {
+    const first = createTab();
+    const second = createTab();
+    first.start();
+    second.start();
+    expect(first.isLeader()).toBe(true);
+    expect(second.isLeader()).toBe(false);
+
+    const onLeader = vi.fn();
+    second.subscribeLeader(onLeader);
+    first.stop();
+    expect(second.isLeader()).toBe(true);
+    expect(onLeader).toHaveBeenCalledWith(true);
+    second.stop();
+  });
+
+  it("takes over an expired lease when the leader disappears", () => {
+    // 정상 종료하지 못한 탭의 임대 기록
+    hub.storage.setItem(
+      "kpi-dashboard:leader",
+      JSON.stringify({ tabId: "tab_closed", expiresAt: 3000 })
+    );
+    const tab = createTab();
+    tab.start();
+    expect(tab.isLeader()).toBe(false);
+
+    clock = 3000;
+    vi.advanceTimersByTime(1000);
+    expect(tab.isLeader()).toBe(true);
+    tab.stop();
+  });
+
+  it("delivers messages to other tabs only", () => {
+    const first = createTab();
+    const second = createTab();
+    first.start();
+    second.start();
+    const received = vi.fn();
+    const own = vi.fn();
+    second.subscribe(TAB_MESSAGES.JOB_STARTED, received);
+    first.subscribe(TAB_MESSAGES.JOB_STARTED, own);
+
+    first.post(TAB_MESSAGES.JOB_STARTED, { job: { id: "j1" } });
+
+    expect(received).toHaveBeenCalledWith(
+      { job: { id: "j1" } },
+      expect.objectContaining({ from: first.tabId })
+    );
+    expect(own).not.toHaveBeenCalled();
+  });
+
+  it("keeps a named lease until it expires, is released or the tab stops", () => {
+    const owner = createTab();
+    const other = createTab();
+    owner.start();
+    other.start();
+    expect(owner.claimLease("batch:b1")).toBe(true);
+    expect(other.claimLease("batch:b1")).toBe(false);
+
+    clock = 3000;
+    expect(other.claimLease("batch:b1")).toBe(true);
+    expect(owner.claimLease("batch:b1")).toBe(false);
+
+    other.releaseLease("batch:b1");
+    expect(owner.claimLease("batch:b1")).toBe(true);
+    owner.stop();
+    expect(hub.storage.getItem("kpi-dashboard:lease:batch:b1")).toBeNull();
+    other.stop();
+  });
+
+  it("acts as leader when storage is unavailable", () => {
+    const tab = createTabCoordinator({ ...hub, storage: null });
+    tab.start();
+    expect(tab.isLeader()).toBe(true);
+    expect(tab.claimLease("batch:b1")).toBe(true);
+    tab.stop();
+  });
+});
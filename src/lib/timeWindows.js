@@ -0,0 +1,178 @@
+/**
+ * N-1 / N 분석 기간 유틸리티 모듈
+ *
+ * 기간 프리셋 계산과 입력값 검증을 담당합니다.
+ * 기간 값은 DateTimePicker와 같은 'yyyy-MM-dd HH:mm' 문자열을 사용합니다.
+ */
+
+import { format, parse, isValid, startOfDay, startOfWeek, subDays, subMinutes, addMinutes, differenceInMinutes } from 'date-fns';
+
+export const WINDOW_TIME_FORMAT = 'yyyy-MM-dd HH:mm';
+
+export function roundDownToFiveMinutes(date) {
+  const result = new Date(date);
+  result.setMinutes(Math.floor(result.getMinutes() / 5) * 5, 0, 0);
+  return result;
+}
+
+export function formatWindowTime(date) {
+  return format(date, WINDOW_TIME_FORMAT);
+}
+
+export function parseWindowTime(value) {
+  if (!value) return null;
+  const date = parse(value, WINDOW_TIME_FORMAT, new Date());
+  return isValid(date) ? date : null;
+}
+
+const toWindows = (n1Start, n1End, nStart, nEnd) => ({
+  n1StartTime: formatWindowTime(n1Start),
+  n1EndTime: formatWindowTime(n1End),
+  nStartTime: formatWindowTime(nStart),
+  nEndTime: formatWindowTime(nEnd),
+});
+
+export const MAINTENANCE_DURATION_OPTIONS = [
+  { value: 30, label: '30분' },
+  { value: 60, label: '1시간' },
+  { value: 120, label: '2시간' },
+  { value: 360, label: '6시간' },
+  { value: 1440, label: '24시간' },
+];
+
+/**
+ * 기간 프리셋
+ *
+ * live 프리셋은 현재 시각 기준이므로 폼이 주기적으로 다시 계산합니다.
+ * maintenance 프리셋은 작업 시점(anchor)과 전/후 기간 길이(durationMinutes)가 필요합니다.
+ */
+export const TIME_WINDOW_PRESETS = [
+  {
+    key: 'last_hour',
+    label: '최근 1시간 vs 이전 1시간',
+    live: true,
+    build: (now) => {
+      const end = roundDownToFiveMinutes(now);
+      const start = subMinutes(end, 60);
+      return toWindows(subMinutes(start, 60), start, start, end);
+    },
+  },
+  {
+    key: 'today_vs_yesterday',
+    label: '오늘 vs 어제 같은 시간',
+    live: true,
+    build: (now) => {
+      const end = roundDownToFiveMinutes(now);
+      const start = startOfDay(end);
+      return toWindows(subDays(start, 1), subDays(end, 1), start, end);
+    },
+  },
+  {
+    key: 'this_week_vs_last_week',
+    label: '이번 주 vs 지난 주',
+    live: true,
+    build: (now) => {
+      const end = roundDownToFiveMinutes(now);
+      const start = startOfWeek(end, { weekStartsOn: 1 });
+      return toWindows(subDays(start, 7), subDays(end, 7), start, end);
+    },
+  },
+  {
+    key: 'maintenance',
+    label: '작업 시점 전/후',
+    live: false,
+    build: (now, { anchor, durationMinutes = 60 } = {}) => {
+      const at = parseWindowTime(anchor) || roundDownToFiveMinutes(now);
+      return toWindows(subMinutes(at, durationMinutes), at, at, addMinutes(at, durationMinutes));
+    },
+  },
+];
+
+export const DEFAULT_WINDOW_PRESET = 'last_hour';
+
+export function getWindowPreset(key) {
+  return TIME_WINDOW_PRESETS.find((preset) => preset.key === key);
+}
+
+export function buildPresetWindows(key, options, now = new Date()) {
+  const preset = getWindowPreset(key) || getWindowPreset(DEFAULT_WINDOW_PRESET);
+  return preset.build(now, options);
+}
+
+export const WINDOW_FIELDS = ['n1StartTime', 'n1EndTime', 'nStartTime', 'nEndTime'];
+
+/**
+ * 기간 값을 현재 시각(5분 단위 내림) 기준 "몇 분 전" 오프셋으로 변환 (템플릿 저장용)
+ */
+export function toRelativeOffsets(times, now = new Date()) {
+  const base = roundDownToFiveMinutes(now);
+  return Object.fromEntries(
+    WINDOW_FIELDS.map((field) => {
+      const date = parseWindowTime(times[field]);
+      return [field, date ? differenceInMinutes(base, date) : null];
+    })
+  );
+}
+
+export function fromRelativeOffsets(offsets, now = new Date()) {
+  const base = roundDownToFiveMinutes(now);
+  return Object.fromEntries(
+    WINDOW_FIELDS.map((field) => [field, typeof offsets?.[field] === 'number' ? formatWindowTime(subMinutes(base, offsets[field])) : ''])
+  );
+}
+
+/**
+ * 기간 길이(분). 파싱할 수 없거나 종료가 시작보다 이르면 null
+ */
+export function getWindowDurationMinutes(start, end) {
+  const s = parseWindowTime(start);
+  const e = parseWindowTime(end);
+  if (!s || !e || e <= s) return null;
+  return differenceInMinutes(e, s);
+}
+
+export function formatDurationMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return '-';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  return [days && `${days}일`, hours && `${hours}시간`, mins && `${mins}분`].filter(Boolean).join(' ') || '0분';
+}
+
+/**
+ * N-1 / N 기간 검증
+ *
+ * errors.n1 / errors.n 은 각 기간 영역, errors.order 는 두 기간 관계에 대한 오류입니다.
+ * 기간 길이가 다른 경우는 차단하지 않고 warning으로만 반환합니다.
+ */
+export function validateTimeWindows(times, now = new Date()) {
+  const errors = {};
+  const n1Start = parseWindowTime(times.n1StartTime);
+  const n1End = parseWindowTime(times.n1EndTime);
+  const nStart = parseWindowTime(times.nStartTime);
+  const nEnd = parseWindowTime(times.nEndTime);
+
+  if (!n1Start || !n1End) errors.n1 = 'N-1 기간의 시작/종료 시간을 입력하세요.';
+  else if (n1End <= n1Start) errors.n1 = 'N-1 기간의 종료 시간이 시작 시간보다 늦어야 합니다.';
+
+  if (!nStart || !nEnd) errors.n = 'N 기간의 시작/종료 시간을 입력하세요.';
+  else if (nEnd <= nStart) errors.n = 'N 기간의 종료 시간이 시작 시간보다 늦어야 합니다.';
+  else if (nEnd > now) errors.n = 'N 기간이 현재 시각 이후로 설정되어 있습니다.';
+
+  if (!errors.n1 && !errors.n) {
+    if (n1Start < nEnd && nStart < n1End) {
+      errors.order = 'N-1 기간과 N 기간이 겹칩니다.';
+    } else if (n1Start >= nEnd) {
+      errors.order = 'N-1 기간은 N 기간보다 앞서야 합니다.';
+    }
+  }
+
+  let warning = null;
+  const n1Duration = getWindowDurationMinutes(times.n1StartTime, times.n1EndTime);
+  const nDuration = getWindowDurationMinutes(times.nStartTime, times.nEndTime);
+  if (n1Duration !== null && nDuration !== null && n1Duration !== nDuration) {
+    warning = `두 기간의 길이가 다릅니다 (N-1: ${formatDurationMinutes(n1Duration)}, N: ${formatDurationMinutes(nDuration)}). 비교 결과가 왜곡될 수 있습니다.`;
+  }
+
+  return { errors, warning, isValid: Object.keys(errors).length === 0 };
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildPresetWindows,
+  validateTimeWindows,
+  formatDurationMinutes,
+} from "./timeWindows.js";
+
+const now = new Date(2025, 0, 15, 10, 7); // 2025-01-15 (수) 10:07
+
+describe("buildPresetWindows", () => {
+  it("builds last hour vs previous hour", () => {
+    expect(buildPresetWindows("last_hour", undefined, now)).toEqual({
+      n1StartTime: "2025-01-15 08:05",
+      n1EndTime: "2025-01-15 09:05",
+      nStartTime: "2025-01-15 09:05",
+      nEndTime: "2025-01-15 10:05",
+    });
+  });
+
+  it("builds today vs same time yesterday", () => {
+    expect(buildPresetWindows("today_vs_yesterday", undefined, now)).toEqual({
+      n1StartTime: "2025-01-14 00:00",
+      n1EndTime: "2025-01-14 10:05",
+      nStartTime: "2025-01-15 00:00",
+      nEndTime: "2025-01-15 10:05",
+    });
+  });
+
+  it("starts weeks on monday", () => {
+    const windows = buildPresetWindows("this_week_vs_last_week", undefined, now);
+    expect(windows.nStartTime).toBe("2025-01-13 00:00");
+    expect(windows.n1StartTime).toBe("2025-01-06 00:00");
+  });
+
+  it("splits around a maintenance timestamp", () => {
+    expect(
+      buildPresetWindows(
+        "maintenance",
+        { anchor: "2025-01-15 02:00", durationMinutes: 120 },
+        now
+      )
+    ).toEqual({
+      n1StartTime: "2025-01-15 00:00",
+      n1EndTime: "2025-01-15 02:00",
+      nStartTime: "2025-01-15 02:00",
+      nEndTime: "2025-01-15 04:00",
+    });
+  });
+});
+
+describe("validateTimeWindows", () => {
+  const valid = buildPresetWindows("last_hour", undefined, now);
+
+  it("accepts preset windows", () => {
+    expect(validateTimeWindows(valid, now)).toMatchObject({
+      isValid: true,
+      warning: null,
+    });
+  });
+
+  it("rejects end before start", () => {
+    const result = validateTimeWindows(
+      { ...valid, n1EndTime: "2025-01-15 08:00" },
+      now
+    );
+    expect(result.errors.n1).toBeTruthy();
+    expect(result.isValid).toBe(false);
+  });
+
+  it("rejects overlap and reversed order", () => {
+    expect(
+      validateTimeWindows({ ...valid, n1EndTime: "2025-01-15 09:30" }, now)
+        .errors.order
+    ).toMatch("겹칩니다");
+    expect(
+      validateTimeWindows(
+        {
+          n1StartTime: "2025-01-15 09:10",
+          n1EndTime: "2025-01-15 10:00",
+          nStartTime: "2025-01-15 08:00",
+          nEndTime: "2025-01-15 09:00",
+        },
+        now
+      ).errors.order
+    ).toMatch("앞서야");
+  });
+
+  it("rejects N in the future", () => {
+    expect(
+      validateTimeWindows({ ...valid, nEndTime: "2025-01-15 11:00" }, now)
+        .errors.n
+    ).toBeTruthy();
+  });
+
+  it("warns on unequal durations without blocking", () => {
+    const result = validateTimeWindows(
+      { ...valid, n1StartTime: "2025-01-15 08:35" },
+      now
+    );
+    expect(result.isValid).toBe(true);
+    expect(result.warning).toContain("30분");
+  });
+});
+
+describe("formatDurationMinutes", () => {
+  it("formats days, hours and minutes", () => {
+    expect(formatDurationMinutes(1565)).toBe("1일 2시간 5분");
+    expect(formatDurationMinutes(60)).toBe("1시간");
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * 추이 분석 유틸리티 모듈
+ *
+ * 같은 NE/Cell 의 저장된 AnalysisResultV2 를 시간순으로 늘어놓아 PEG 별 N 기간 평균 시계열을 만들고,
+ * 최소제곱 회귀로 지속적인 상승/하락(drift)을 판정합니다.
+ */
+
+import { orderByCreatedAt, getStatusTransitions } from './compareUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DRIFT_THRESHOLDS = {
+  // 회귀에 필요한 최소 결과 수
+  minPoints: 4,
+  // 결정계수(R²)가 이 값 이상이어야 일시적 변동이 아닌 지속 추세로 판단
+  minR2: 0.6,
+  // 회귀선 기준 기간 전체 변화율(%)이 이 값 이상이어야 함
+  minChangePercent: 5,
+};
+
+const toTime = (result) => {
+  const time = new Date(result.created_at).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * 단순 선형 회귀 (y = slope * x + intercept)
+ * @param {Array<{ x: number, y: number }>} points
+ * @returns {{ slope, intercept, r2 } | null} 점이 2개 미만이거나 x 가 모두 같으면 null
+ */
+export function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  points.forEach(({ x, y }) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  });
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  // 값 변동이 전혀 없으면 설명할 추세도 없으므로 R² 0
+  const r2 = syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+  return { slope, intercept: meanY - slope * meanX, r2 };
+}
+
+/**
+ * 시계열의 지속 추세 판정
+ * @param {Array<{ time: number, value: number }>} points 시간 오름차순
+ * @returns {{ direction: 'up' | 'down' | null, slopePerDay, r2, changePercent, start, end } | null}
+ *   start / end 는 첫 시점과 마지막 시점의 회귀선 값 (차트 추세선용)
+ */
+export function detectDrift(points, thresholds = DRIFT_THRESHOLDS) {
+  if (points.length < 2) return null;
+  const origin = points[0].time;
+  const regression = linearRegression(points.map((p) => ({ x: (p.time - origin) / DAY_MS, y: p.value })));
+  if (!regression) return null;
+
+  const { slope, intercept, r2 } = regression;
+  const lastX = (points[points.length - 1].time - origin) / DAY_MS;
+  const start = intercept;
+  const end = slope * lastX + intercept;
+  const meanAbs = points.reduce((sum, p) => sum + Math.abs(p.value), 0) / points.length;
+  const changePercent = meanAbs > 0 ? ((end - start) / meanAbs) * 100 : 0;
+
+  const sustained =
+    points.length >= thresholds.minPoints && r2 >= thresholds.minR2 && Math.abs(changePercent) >= thresholds.minChangePercent;
+  return {
+    direction: sustained ? (slope > 0 ? 'up' : 'down') : null,
+    slopePerDay: slope,
+    r2,
+    changePercent,
+    start,
+    end,
+  };
+}
+
+/**
+ * PEG 별 N 기간 평균 시계열
+ * @param {Array} results orderByCreatedAt 로 정렬된 결과
+ * @returns {Array<{ pegName, points: Array<{ resultId, time, value, status }> }>} 처음 등장한 순서 (status 는 해당 결과의 Choi 상태)
+ */
+export function buildPegSeries(results) {
+  const series = new Map();
+  results.forEach((result) => {
+    const time = toTime(result);
+    if (time === null) return;
+    (result.peg_comparisons || []).forEach((peg) => {
+      if (typeof peg.n?.avg !== 'number' || !Number.isFinite(peg.n.avg)) return;
+      if (!series.has(peg.peg_name)) series.set(peg.peg_name, []);
+      series.get(peg.peg_name).push({ resultId: result.id, time, value: peg.n.avg, status: result.choi_result?.status || 'normal' });
+    });
+  });
+  return Array.from(series.entries()).map(([pegName, points]) => ({ pegName, points }));
+}
+
+/**
+ * 결과 목록 → 추이 화면 데이터
+ * @returns {{ results, series: Array<{ pegName, points, drift }>, transitions: Array }}
+ *   transitions 는 Choi 상태가 바뀐 시점 (time 은 바뀐 뒤 결과의 생성 시각)
+ */
+export function analyzeTrends(items, thresholds = DRIFT_THRESHOLDS) {
+  const results = orderByCreatedAt(items.filter((result) => toTime(result) !== null));
+  const series = buildPegSeries(results).map((entry) => ({ ...entry, drift: detectDrift(entry.points, thresholds) }));
+  const transitions = getStatusTransitions(results).map((transition) => ({
+    ...transition,
+    time: toTime(results[transition.toIndex]),
+    resultId: results[transition.toIndex].id,
+  }));
+  return { results, series, transitions };
+}
+
+/**
+ * 추세가 뚜렷한 PEG 를 앞으로 (변화율 절댓값 내림차순), 나머지는 원래 순서 유지
+ */
+export function sortByDrift(series) {
+  const drifting = series.filter((entry) => entry.drift?.direction);
+  const rest = series.filter((entry) => !entry.drift?.direction);
+  drifting.sort((a, b) => Math.abs(b.drift.changePercent) - Math.abs(a.drift.changePercent));
+  return [...drifting, ...rest];
+}
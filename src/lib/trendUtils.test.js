@@ -0,0 +1,141 @@
+import { describe, it, expect } from "vitest";
+import {
+  linearRegression,
+  detectDrift,
+  buildPegSeries,
+  analyzeTrends,
+  sortByDrift,
+} from "./trendUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.parse("2025-01-01T00:00:00Z");
+
+const series = (values) =>
+  values.map((value, i) => ({ time: start + i * DAY_MS, value }));
+
+const result = (id, day, status, pegs) => ({
+  id,
+  created_at: new Date(start + day * DAY_MS).toISOString(),
+  choi_result: status ? { status } : undefined,
+  peg_comparisons: Object.entries(pegs).map(([peg_name, avg]) => ({
+    peg_name,
+    n: { avg },
+  })),
+});
+
+describe("linearRegression", () => {
+  it("fits a perfect line", () => {
+    const fit = linearRegression([
+      { x: 0, y: 1 },
+      { x: 1, y: 3 },
+      { x: 2, y: 5 },
+    ]);
+    expect(fit.slope).toBeCloseTo(2);
+    expect(fit.intercept).toBeCloseTo(1);
+    expect(fit.r2).toBeCloseTo(1);
+  });
+
+  it("returns null without spread in x", () => {
+    expect(linearRegression([{ x: 0, y: 1 }])).toBeNull();
+    expect(
+      linearRegression([
+        { x: 1, y: 1 },
+        { x: 1, y: 2 },
+      ])
+    ).toBeNull();
+  });
+
+  it("reports no fit for flat values", () => {
+    expect(
+      linearRegression([
+        { x: 0, y: 5 },
+        { x: 1, y: 5 },
+      ]).r2
+    ).toBe(0);
+  });
+});
+
+describe("detectDrift", () => {
+  it("flags a sustained rise", () => {
+    const drift = detectDrift(series([100, 104, 108, 112, 116]));
+    expect(drift.direction).toBe("up");
+    expect(drift.slopePerDay).toBeCloseTo(4);
+    expect(drift.start).toBeCloseTo(100);
+    expect(drift.end).toBeCloseTo(116);
+  });
+
+  it("flags a sustained fall", () => {
+    expect(detectDrift(series([50, 45, 41, 36, 30])).direction).toBe("down");
+  });
+
+  it("ignores noise, small changes and short series", () => {
+    expect(detectDrift(series([100, 120, 95, 118, 101])).direction).toBeNull();
+    expect(detectDrift(series([100, 100.5, 101, 101.5, 102])).direction).toBe(
+      null
+    );
+    expect(detectDrift(series([100, 110, 120])).direction).toBeNull();
+    expect(detectDrift(series([100]))).toBeNull();
+  });
+});
+
+describe("buildPegSeries", () => {
+  it("collects N averages per PEG and skips missing values", () => {
+    const pegs = buildPegSeries([
+      result("a", 0, "normal", { A: 1, B: 2 }),
+      { ...result("b", 1, "warning", { A: 3 }), created_at: "invalid" },
+      result("c", 2, "warning", { A: 5, B: null }),
+    ]);
+    expect(pegs.map((peg) => peg.pegName)).toEqual(["A", "B"]);
+    expect(pegs[0].points.map((p) => [p.resultId, p.value, p.status])).toEqual([
+      ["a", 1, "normal"],
+      ["c", 5, "warning"],
+    ]);
+    expect(pegs[1].points).toHaveLength(1);
+  });
+});
+
+describe("analyzeTrends", () => {
+  it("orders results and marks Choi status changes", () => {
+    const {
+      results,
+      series: pegs,
+      transitions,
+    } = analyzeTrends([
+      result("c", 2, "critical", { A: 3 }),
+      result("a", 0, null, { A: 1 }),
+      result("b", 1, "normal", { A: 2 }),
+      result("d", 3, "normal", { A: 4 }),
+    ]);
+    expect(results.map((r) => r.id)).toEqual(["a", "b", "c", "d"]);
+    expect(pegs[0].drift.direction).toBe("up");
+    expect(
+      transitions.map(({ resultId, from, to, direction }) => [
+        resultId,
+        from,
+        to,
+        direction,
+      ])
+    ).toEqual([
+      ["c", "normal", "critical", "worsened"],
+      ["d", "critical", "normal", "improved"],
+    ]);
+    expect(transitions[0].time).toBe(start + 2 * DAY_MS);
+  });
+});
+
+describe("sortByDrift", () => {
+  it("puts the strongest drifts first", () => {
+    const sorted = sortByDrift([
+      { pegName: "flat", drift: { direction: null, changePercent: 1 } },
+      { pegName: "small", drift: { direction: "up", changePercent: 6 } },
+      { pegName: "none", drift: null },
+      { pegName: "big", drift: { direction: "down", changePercent: -30 } },
+    ]);
+    expect(sorted.map((entry) => entry.pegName)).toEqual([
+      "big",
+      "small",
+      "flat",
+      "none",
+    ]);
+  });
+});
@@ -9,42 +9,6 @@ export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
 
-export function formatDate(date, format = 'YYYY-MM-DD HH:mm') {
-  if (!date) return '-';
-  const d = new Date(date);
-  if (isNaN(d.getTime())) return '-';
-  
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  const hours = String(d.getHours()).padStart(2, '0');
-  const minutes = String(d.getMinutes()).padStart(2, '0');
-  
-  return format
-    .replace('YYYY', year)
-    .replace('MM', month)
-    .replace('DD', day)
-    .replace('HH', hours)
-    .replace('mm', minutes);
-}
-
-export function formatNumber(value, decimals = 2) {
-  if (value === null || value === undefined) return '-';
-  if (typeof value !== 'number') return String(value);
-  return value.toFixed(decimals);
-}
-
-export function formatPercent(value, decimals = 2) {
-  if (value === null || value === undefined) return '-';
-  return `${formatNumber(value, decimals)}%`;
-}
-
-export function formatChange(value, decimals = 2) {
-  if (value === null || value === undefined) return '-';
-  const sign = value > 0 ? '+' : '';
-  return `${sign}${formatNumber(value, decimals)}%`;
-}
-
 export function getStatusStyle(status) {
   const styles = {
     normal: { color: 'text-green-400', bg: 'bg-green-500', bgLight: 'bg-green-500/10', label: 'Normal' },
@@ -67,10 +31,12 @@ export function getTrendStyle(value, inverseColor = false) {
 
 export function debounce(func, wait) {
   let timeout;
-  return function executedFunction(...args) {
+  function executedFunction(...args) {
     const later = () => { clearTimeout(timeout); func(...args); };
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
-  };
+  }
+  executedFunction.cancel = () => clearTimeout(timeout);
+  return executedFunction;
 }
 
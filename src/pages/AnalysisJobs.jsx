@@ -0,0 +1,333 @@
+/**
+ * 분석 작업 센터 페이지
+ * 진행 중/최근 비동기 분석 작업 목록, 취소, 재시도, 결과 이동
+ */
+
+import { Fragment, useCallback, useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Header } from "../components/layout/index.js";
+import { Button, Card, Badge, EmptyState } from "../components/common/index.js";
+import { useAnalysisJobs } from "../hooks/useAnalysisJobs.js";
+import {
+  JOB_STATUS_LABELS,
+  JOB_STATUS_VARIANTS,
+  isActiveJob,
+  getJobElapsedSeconds,
+  formatElapsed,
+  getJobResultId,
+} from "../lib/analysisJobs.js";
+import { cn } from "../lib/utils.js";
+import { useFormatters } from "../hooks/useFormatters.js";
+
+const STATUS_FILTERS = [
+  { value: "", label: "전체" },
+  { value: "pending", label: JOB_STATUS_LABELS.pending },
+  { value: "processing", label: JOB_STATUS_LABELS.processing },
+  { value: "completed", label: JOB_STATUS_LABELS.completed },
+  { value: "failed", label: JOB_STATUS_LABELS.failed },
+  { value: "cancelled", label: JOB_STATUS_LABELS.cancelled },
+];
+
+const PARAM_FIELDS = [
+  { key: "n_minus_1", label: "N-1 기간" },
+  { key: "n", label: "N 기간" },
+  { key: "ems", label: "EMS" },
+  { key: "ne_id", label: "NE ID" },
+  { key: "cell_id", label: "Cell ID" },
+];
+
+const getErrorMessage = (err, fallback) =>
+  err?.response?.data?.detail || err?.message || fallback;
+
+function JobProgressBar({ progress }) {
+  const value = Math.min(100, Math.max(0, Number(progress) || 0));
+  return (
+    <div className="flex items-center gap-2">
+      <div className="h-1.5 w-24 overflow-hidden rounded-full bg-slate-800">
+        <div
+          className="h-full rounded-full bg-[#2b8cee] transition-all duration-500"
+          style={{ width: `${value}%` }}
+        />
+      </div>
+      <span className="text-xs text-slate-400">{value}%</span>
+    </div>
+  );
+}
+
+function JobParams({ job }) {
+  const db = job.params?.db_config;
+  return (
+    <div className="grid grid-cols-2 lg:grid-cols-3 gap-x-6 gap-y-2 text-xs">
+      {PARAM_FIELDS.map((field) => (
+        <div key={field.key}>
+          <p className="text-slate-500">{field.label}</p>
+          <p className="text-slate-300 break-all">
+            {job.params?.[field.key] || "-"}
+          </p>
+        </div>
+      ))}
+      <div>
+        <p className="text-slate-500">DB</p>
+        <p className="text-slate-300 break-all">
+          {job.params?.db_profile && `[${job.params.db_profile}] `}
+          {db ? `${db.host}:${db.port}/${db.dbname} (${db.table})` : "-"}
+        </p>
+      </div>
+      {job.error && (
+        <div className="col-span-full">
+          <p className="text-slate-500">오류</p>
+          <p className="text-red-400">{job.error}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function JobRow({ job, now, expanded, onToggle, onCancel, onRetry, onRemove }) {
+  const navigate = useNavigate();
+  const { formatDate } = useFormatters();
+  const [busy, setBusy] = useState(false);
+  const active = isActiveJob(job);
+  const resultId = getJobResultId(job);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action(job.id);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Fragment>
+      <tr
+        className="border-b border-slate-200/10 hover:bg-white/5 cursor-pointer"
+        onClick={onToggle}
+      >
+        <td className="py-3 px-4">
+          <Badge variant={JOB_STATUS_VARIANTS[job.status]} dot>
+            {JOB_STATUS_LABELS[job.status]}
+          </Badge>
+        </td>
+        <td className="py-3 px-4">
+          <p className="text-white">
+            {job.params?.ne_id || "-"} / {job.params?.cell_id || "-"}
+          </p>
+          <p className="text-slate-500 text-xs truncate max-w-xs">{job.id}</p>
+        </td>
+        <td className="py-3 px-4 text-slate-300">
+          {job.startedAt ? formatDate(job.startedAt) : "-"}
+        </td>
+        <td className="py-3 px-4 text-slate-300">
+          {formatElapsed(getJobElapsedSeconds(job, now))}
+        </td>
+        <td className="py-3 px-4">
+          <JobProgressBar progress={job.progress} />
+        </td>
+        <td className="py-3 px-4" onClick={(e) => e.stopPropagation()}>
+          <div className="flex justify-end gap-2">
+            {active && (
+              <Button
+                size="sm"
+                variant="danger"
+                icon="stop_circle"
+                loading={busy}
+                onClick={() => run(onCancel)}
+              >
+                취소
+              </Button>
+            )}
+            {(job.status === "failed" || job.status === "cancelled") && (
+              <Button
+                size="sm"
+                variant="secondary"
+                icon="replay"
+                loading={busy}
+                onClick={() => run(onRetry)}
+              >
+                재시도
+              </Button>
+            )}
+            {resultId && (
+              <Button
+                size="sm"
+                icon="open_in_new"
+                onClick={() => navigate(`/results/${resultId}`)}
+              >
+                결과 보기
+              </Button>
+            )}
+            {!active && (
+              <Button
+                size="sm"
+                variant="ghost"
+                icon="delete"
+                onClick={() => onRemove(job.id)}
+                aria-label="목록에서 제거"
+              />
+            )}
+          </div>
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="border-b border-slate-200/10 bg-slate-800/20">
+          <td colSpan={6} className="py-4 px-4">
+            <JobParams job={job} />
+          </td>
+        </tr>
+      )}
+    </Fragment>
+  );
+}
+
+export default function AnalysisJobs() {
+  const { jobs, cancelJob, retryJob, refreshJobs, removeJob } =
+    useAnalysisJobs();
+  const [statusFilter, setStatusFilter] = useState("");
+  const [expandedId, setExpandedId] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const hasActiveJobs = jobs.some(isActiveJob);
+
+  const refresh = useCallback(async () => {
+    setRefreshing(true);
+    setError(null);
+    try {
+      await refreshJobs();
+    } catch (err) {
+      console.error("[AnalysisJobs] 작업 목록 조회 실패:", err);
+      setError(getErrorMessage(err, "서버 작업 목록을 불러오지 못했습니다."));
+    } finally {
+      setRefreshing(false);
+    }
+  }, [refreshJobs]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!hasActiveJobs) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasActiveJobs]);
+
+  const counts = useMemo(() => {
+    const result = { "": jobs.length };
+    jobs.forEach((job) => {
+      result[job.status] = (result[job.status] || 0) + 1;
+    });
+    return result;
+  }, [jobs]);
+
+  const visibleJobs = useMemo(
+    () =>
+      statusFilter ? jobs.filter((job) => job.status === statusFilter) : jobs,
+    [jobs, statusFilter]
+  );
+
+  const withErrorHandling = (action, fallback) => async (id) => {
+    setError(null);
+    try {
+      await action(id);
+    } catch (err) {
+      console.error("[AnalysisJobs] 작업 처리 실패:", err);
+      setError(getErrorMessage(err, fallback));
+    }
+  };
+
+  return (
+    <div>
+      <Header
+        title="Analysis Jobs"
+        description="진행 중이거나 최근에 실행한 비동기 LLM 분석 작업을 관리합니다."
+        actions={
+          <Button
+            variant="secondary"
+            icon="refresh"
+            loading={refreshing}
+            onClick={refresh}
+          >
+            새로고침
+          </Button>
+        }
+      />
+
+      {error && (
+        <div className="mb-4 p-4 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+          <p className="flex items-center gap-2">
+            <span className="material-symbols-outlined">error</span>
+            {error}
+          </p>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter.value}
+            type="button"
+            onClick={() => setStatusFilter(filter.value)}
+            className={cn(
+              "px-3 py-1.5 rounded-lg text-sm border transition-colors",
+              statusFilter === filter.value
+                ? "bg-[#2b8cee] border-[#2b8cee] text-white"
+                : "bg-[#192633] border-[#324d67] text-slate-300 hover:text-white"
+            )}
+          >
+            {filter.label} ({counts[filter.value] || 0})
+          </button>
+        ))}
+      </div>
+
+      <Card noPadding>
+        {visibleJobs.length === 0 ? (
+          <EmptyState
+            icon="work_history"
+            title="표시할 작업이 없습니다"
+            description="Dashboard에서 LLM 분석을 실행하면 이곳에서 진행 상황을 확인할 수 있습니다."
+          />
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-200/10 text-left text-slate-400">
+                  <th className="py-3 px-4 w-28">Status</th>
+                  <th className="py-3 px-4">NE ID / Cell ID</th>
+                  <th className="py-3 px-4 w-44">Started At</th>
+                  <th className="py-3 px-4 w-24">Elapsed</th>
+                  <th className="py-3 px-4 w-40">Progress</th>
+                  <th className="py-3 px-4" />
+                </tr>
+              </thead>
+              <tbody>
+                {visibleJobs.map((job) => (
+                  <JobRow
+                    key={job.id}
+                    job={job}
+                    now={now}
+                    expanded={expandedId === job.id}
+                    onToggle={() =>
+                      setExpandedId((prev) => (prev === job.id ? null : job.id))
+                    }
+                    onCancel={withErrorHandling(
+                      cancelJob,
+                      "작업 취소에 실패했습니다."
+                    )}
+                    onRetry={withErrorHandling(
+                      retryJob,
+                      "작업 재시도에 실패했습니다."
+                    )}
+                    onRemove={removeJob}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -2,29 +2,40 @@
  * 분석 결과 페이지
  */
 
-import { useState } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { Header } from "../components/layout/index.js";
 import {
   Button,
-  Input,
   Card,
   Badge,
   Modal,
   EmptyState,
   Spinner,
+  Combobox,
+  DateTimePicker,
 } from "../components/common/index.js";
 import {
   useAnalysisResults,
   useAnalysisResultDetail,
+  fetchAllResults,
 } from "../hooks/useAnalysisResults.js";
+import { useResultSelection } from "../hooks/useResultSelection.js";
+import { deleteAnalysisResultV2 } from "../lib/api.js";
+import { OUTBOX_KINDS, enqueueOutbox, isOfflineError } from "../lib/outbox.js";
+import { exportResults } from "../lib/exportUtils.js";
+import { useResultFilterOptions } from "../hooks/useResultFilterOptions.js";
 import {
-  formatDate,
-  formatPercent,
-  formatChange,
-  getStatusStyle,
-  getTrendStyle,
-  cn,
-} from "../lib/utils.js";
+  RESULT_COLUMNS,
+  DEFAULT_VISIBLE_COLUMNS,
+  getColumn,
+  getNextSort,
+  COLUMN_LAYOUT_KEY,
+  readColumnLayout,
+} from "../lib/resultColumns.js";
+import { usePreference } from "../contexts/PreferenceContext.jsx";
+import { getStatusStyle, debounce, cn } from "../lib/utils.js";
+import { useFormatters } from "../hooks/useFormatters.js";
 
 function FilterChip({ label, value, options, onChange }) {
   const [isOpen, setIsOpen] = useState(false);
@@ -71,42 +82,379 @@ function FilterChip({ label, value, options, onChange }) {
   );
 }
 
-function FilterBar({ filters, onFilterChange, onClear, isFiltered }) {
+// 텍스트 필터 입력 후 조회 요청까지 대기 시간
+const FILTER_DEBOUNCE_MS = 400;
+const TEXT_FILTER_KEYS = ["ne_id", "cell_id", "swname", "rel_ver"];
+
+function pickTextFilters(filters) {
+  return Object.fromEntries(
+    TEXT_FILTER_KEYS.map((key) => [key, filters[key] || ""])
+  );
+}
+
+function FilterBar({ filters, options, onFilterChange, onClear, isFiltered }) {
+  const [draft, setDraft] = useState(() => pickTextFilters(filters));
+  const pendingRef = useRef({});
+
+  // URL 변경(뒤로가기, 초기화 등)을 입력값에 반영
+  useEffect(() => {
+    setDraft(pickTextFilters(filters));
+  }, [filters]);
+
+  const flushPending = useMemo(
+    () =>
+      debounce(() => {
+        const updates = pendingRef.current;
+        pendingRef.current = {};
+        onFilterChange(updates);
+      }, FILTER_DEBOUNCE_MS),
+    [onFilterChange]
+  );
+
+  useEffect(() => () => flushPending.cancel(), [flushPending]);
+
+  // 입력 중에는 디바운스, 자동완성 선택 시에는 즉시 반영
+  const handleTextInput = (key) => (value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+    pendingRef.current = { ...pendingRef.current, [key]: value };
+    flushPending();
+  };
+  const handleTextSelect = (key) => (value) => {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+    pendingRef.current = { ...pendingRef.current, [key]: value };
+    flushPending.cancel();
+    const updates = pendingRef.current;
+    pendingRef.current = {};
+    onFilterChange(updates);
+  };
+
+  const handleClear = () => {
+    flushPending.cancel();
+    pendingRef.current = {};
+    onClear();
+  };
+
+  const textFields = [
+    {
+      key: "ne_id",
+      label: "NE ID",
+      icon: "router",
+      options: options.neOptions,
+    },
+    {
+      key: "cell_id",
+      label: "Cell ID",
+      icon: "cell_tower",
+      options: options.cellOptions,
+    },
+    {
+      key: "swname",
+      label: "SW Name",
+      icon: "memory",
+      options: options.swnameOptions,
+    },
+    {
+      key: "rel_ver",
+      label: "Release",
+      icon: "new_releases",
+      options: options.relVerOptions,
+    },
+  ];
+
   return (
     <div className="flex flex-col gap-4 mb-6">
-      <div className="flex items-center gap-4">
-        <div className="flex-1">
-          <Input
-            icon="search"
-            placeholder="Search by NE ID, Cell ID, or SW Name..."
-            value={filters.ne_id || ""}
-            onChange={(e) => onFilterChange({ ne_id: e.target.value })}
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+        {textFields.map((field) => (
+          <Combobox
+            key={field.key}
+            label={field.label}
+            icon={field.icon}
+            value={draft[field.key]}
+            options={field.options}
+            placeholder={`${field.label} 검색`}
+            onChange={handleTextSelect(field.key)}
+            onSearchChange={handleTextInput(field.key)}
           />
-        </div>
-        {isFiltered && (
-          <Button variant="ghost" onClick={onClear} icon="filter_alt_off">
-            필터 초기화
-          </Button>
-        )}
+        ))}
       </div>
-      <div className="flex flex-wrap gap-2">
-        <FilterChip
-          label="Status"
-          value={filters.choi_status}
-          options={[
-            { value: "", label: "All" },
-            { value: "normal", label: "Normal" },
-            { value: "warning", label: "Warning" },
-            { value: "critical", label: "Critical" },
-          ]}
-          onChange={(value) => onFilterChange({ choi_status: value })}
+      <div className="flex flex-wrap items-end gap-4">
+        <DateTimePicker
+          label="Created From"
+          value={filters.date_from}
+          onChange={(value) => onFilterChange({ date_from: value })}
+          placeholder="시작 일시"
+          className="w-64"
         />
+        <DateTimePicker
+          label="Created To"
+          value={filters.date_to}
+          onChange={(value) => onFilterChange({ date_to: value })}
+          placeholder="종료 일시"
+          className="w-64"
+        />
+        {(filters.date_from || filters.date_to) && (
+          <Button
+            variant="ghost"
+            icon="event_busy"
+            className="h-12"
+            onClick={() => onFilterChange({ date_from: "", date_to: "" })}
+          >
+            기간 해제
+          </Button>
+        )}
+        <div className="flex flex-1 items-center justify-end gap-2">
+          <FilterChip
+            label="Status"
+            value={filters.choi_status}
+            options={[
+              { value: "", label: "All" },
+              { value: "normal", label: "Normal" },
+              { value: "warning", label: "Warning" },
+              { value: "critical", label: "Critical" },
+            ]}
+            onChange={(value) => onFilterChange({ choi_status: value })}
+          />
+          {isFiltered && (
+            <Button variant="ghost" onClick={handleClear} icon="filter_alt_off">
+              필터 초기화
+            </Button>
+          )}
+        </div>
       </div>
+      {filters.date_from &&
+        filters.date_to &&
+        filters.date_from > filters.date_to && (
+          <p className="text-yellow-400 text-xs flex items-center gap-1">
+            <span className="material-symbols-outlined text-sm">warning</span>
+            시작 일시가 종료 일시보다 늦습니다.
+          </p>
+        )}
+    </div>
+  );
+}
+
+function ResultCell({ columnKey, result }) {
+  const { formatDate, formatNumber, formatPercent } = useFormatters();
+  switch (columnKey) {
+    case "status": {
+      const status = result.choi_result?.status || "normal";
+      return (
+        <Badge variant={status} dot>
+          {getStatusStyle(status).label}
+        </Badge>
+      );
+    }
+    case "ne_cell":
+      return (
+        <div className="flex flex-col">
+          <span className="text-white text-sm font-medium">{result.ne_id}</span>
+          <span className="text-slate-400 text-xs">{result.cell_id}</span>
+        </div>
+      );
+    case "confidence":
+      return (
+        <div className="flex items-center gap-2">
+          <div className="flex-1 h-2 bg-slate-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-[#2b8cee] rounded-full"
+              style={{
+                width: `${(result.llm_analysis?.confidence || 0) * 100}%`,
+              }}
+            />
+          </div>
+          <span className="text-slate-300 text-xs">
+            {formatPercent((result.llm_analysis?.confidence || 0) * 100, 0)}
+          </span>
+        </div>
+      );
+    case "choi_score":
+      return (
+        <span className="text-slate-300 text-sm">
+          {result.choi_result?.score != null
+            ? formatNumber(result.choi_result.score)
+            : "-"}
+        </span>
+      );
+    case "created_at":
+      return (
+        <span className="text-slate-300 text-sm">
+          {formatDate(result.created_at)}
+        </span>
+      );
+    default: {
+      const value = getColumn(columnKey)?.getValue(result);
+      return (
+        <span className="text-slate-300 text-sm">
+          {value === "" || value == null ? "-" : value}
+        </span>
+      );
+    }
+  }
+}
+
+function SortableHeader({ column, sorting, onSort }) {
+  const isSorted = column.sortKey && sorting.sort === column.sortKey;
+  const className = cn(
+    "px-4 py-3 text-left text-slate-300 text-xs font-medium uppercase tracking-wider",
+    column.width
+  );
+  if (!column.sortKey) return <th className={className}>{column.label}</th>;
+  return (
+    <th
+      className={className}
+      aria-sort={
+        isSorted
+          ? sorting.order === "desc"
+            ? "descending"
+            : "ascending"
+          : "none"
+      }
+    >
+      <button
+        type="button"
+        className={cn(
+          "inline-flex items-center gap-1 uppercase hover:text-white",
+          isSorted && "text-white"
+        )}
+        onClick={() => onSort(getNextSort(sorting, column.sortKey))}
+      >
+        {column.label}
+        <span className="material-symbols-outlined text-sm">
+          {isSorted
+            ? sorting.order === "desc"
+              ? "arrow_downward"
+              : "arrow_upward"
+            : "unfold_more"}
+        </span>
+      </button>
+    </th>
+  );
+}
+
+function ColumnChooser({ columns, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggleColumn = (key) => {
+    if (columns.includes(key)) {
+      // 최소 한 개 컬럼은 유지
+      if (columns.length > 1) onChange(columns.filter((c) => c !== key));
+    } else {
+      onChange([...columns, key]);
+    }
+  };
+
+  const moveColumn = (key, offset) => {
+    const index = columns.indexOf(key);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= columns.length) return;
+    const next = [...columns];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  // 표시 중인 컬럼(순서대로) 다음에 숨겨진 컬럼을 나열
+  const orderedColumns = [
+    ...columns.map(getColumn),
+    ...RESULT_COLUMNS.filter((column) => !columns.includes(column.key)),
+  ];
+
+  return (
+    <div className="relative">
+      <Button
+        variant="secondary"
+        icon="view_column"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        컬럼
+      </Button>
+      {isOpen && (
+        <>
+          <div
+            className="fixed inset-0 z-10"
+            onClick={() => setIsOpen(false)}
+          />
+          <div className="absolute top-full right-0 mt-1 z-20 bg-[#192633] border border-slate-200/10 rounded-lg shadow-xl py-2 w-64">
+            {orderedColumns.map((column) => {
+              const visible = columns.includes(column.key);
+              return (
+                <div
+                  key={column.key}
+                  className="flex items-center gap-2 px-3 py-1.5 hover:bg-slate-700/50"
+                >
+                  <label className="flex flex-1 items-center gap-2 text-sm text-white cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={visible}
+                      onChange={() => toggleColumn(column.key)}
+                      className="accent-[#2b8cee]"
+                    />
+                    {column.label}
+                  </label>
+                  {visible && (
+                    <>
+                      <button
+                        type="button"
+                        className="text-slate-400 hover:text-white"
+                        onClick={() => moveColumn(column.key, -1)}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          arrow_upward
+                        </span>
+                      </button>
+                      <button
+                        type="button"
+                        className="text-slate-400 hover:text-white"
+                        onClick={() => moveColumn(column.key, 1)}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          arrow_downward
+                        </span>
+                      </button>
+                    </>
+                  )}
+                </div>
+              );
+            })}
+            <div className="border-t border-slate-200/10 mt-2 pt-2 px-3">
+              <button
+                type="button"
+                className="text-xs text-slate-400 hover:text-white"
+                onClick={() => onChange(DEFAULT_VISIBLE_COLUMNS)}
+              >
+                기본값으로 복원
+              </button>
+            </div>
+          </div>
+        </>
+      )}
     </div>
   );
 }
 
-function ResultsTable({ results, onRowClick, loading }) {
+function ResultsTable({
+  results,
+  selection,
+  columns,
+  sorting,
+  onSort,
+  onRowClick,
+  loading,
+  highlightId,
+}) {
+  const highlightRef = useRef(null);
+  const scrolledIdRef = useRef(null);
+
+  // 하이라이트 대상 행이 처음 렌더링될 때 한 번만 해당 위치로 스크롤
+  useEffect(() => {
+    if (loading || !highlightRef.current) return;
+    if (scrolledIdRef.current === highlightId) return;
+    scrolledIdRef.current = highlightId;
+    highlightRef.current.scrollIntoView({
+      behavior: "smooth",
+      block: "center",
+    });
+  }, [loading, results, highlightId]);
+
   if (loading)
     return (
       <div className="flex items-center justify-center py-16">
@@ -121,79 +469,72 @@ function ResultsTable({ results, onRowClick, loading }) {
         description="검색 조건에 맞는 분석 결과가 없습니다."
       />
     );
+  const visibleColumns = columns.map(getColumn).filter(Boolean);
+  const pageSelectedCount = results.filter((r) =>
+    selection.isSelected(r.id)
+  ).length;
   return (
     <div className="overflow-hidden rounded-xl border border-slate-200/10 bg-[#111a22]">
       <table className="w-full">
         <thead className="border-b border-slate-200/10">
           <tr className="bg-slate-800/20">
-            <th className="px-4 py-3 text-left text-slate-300 text-xs font-medium uppercase tracking-wider w-28">
-              Status
-            </th>
-            <th className="px-4 py-3 text-left text-slate-300 text-xs font-medium uppercase tracking-wider">
-              NE ID / Cell ID
-            </th>
-            <th className="px-4 py-3 text-left text-slate-300 text-xs font-medium uppercase tracking-wider">
-              SW Name
-            </th>
-            <th className="px-4 py-3 text-left text-slate-300 text-xs font-medium uppercase tracking-wider w-32">
-              Confidence
-            </th>
-            <th className="px-4 py-3 text-left text-slate-300 text-xs font-medium uppercase tracking-wider w-44">
-              Created At
+            <th className="w-12 px-4 py-3">
+              <input
+                type="checkbox"
+                aria-label="현재 페이지 전체 선택"
+                className="accent-[#2b8cee]"
+                checked={pageSelectedCount === results.length}
+                ref={(el) => {
+                  if (el)
+                    el.indeterminate =
+                      pageSelectedCount > 0 &&
+                      pageSelectedCount < results.length;
+                }}
+                onChange={() => selection.togglePage(results)}
+              />
             </th>
+            {visibleColumns.map((column) => (
+              <SortableHeader
+                key={column.key}
+                column={column}
+                sorting={sorting}
+                onSort={onSort}
+              />
+            ))}
           </tr>
         </thead>
         <tbody className="divide-y divide-slate-200/10">
           {results.map((result) => {
-            const status = result.choi_result?.status || "normal";
-            const statusStyle = getStatusStyle(status);
+            const isHighlighted =
+              highlightId && String(result.id) === String(highlightId);
             return (
               <tr
                 key={result.id}
-                className="hover:bg-slate-800/30 cursor-pointer transition-colors"
+                ref={isHighlighted ? highlightRef : undefined}
+                className={cn(
+                  "hover:bg-slate-800/30 cursor-pointer transition-colors",
+                  isHighlighted &&
+                    "bg-[#2b8cee]/10 ring-1 ring-inset ring-[#2b8cee]"
+                )}
                 onClick={() => onRowClick(result)}
               >
-                <td className="px-4 py-4">
-                  <Badge variant={status} dot>
-                    {statusStyle.label}
-                  </Badge>
-                </td>
-                <td className="px-4 py-4">
-                  <div className="flex flex-col">
-                    <span className="text-white text-sm font-medium">
-                      {result.ne_id}
-                    </span>
-                    <span className="text-slate-400 text-xs">
-                      {result.cell_id}
-                    </span>
-                  </div>
-                </td>
-                <td className="px-4 py-4 text-slate-300 text-sm">
-                  {result.swname || "-"}
-                </td>
-                <td className="px-4 py-4">
-                  <div className="flex items-center gap-2">
-                    <div className="flex-1 h-2 bg-slate-700 rounded-full overflow-hidden">
-                      <div
-                        className="h-full bg-[#2b8cee] rounded-full"
-                        style={{
-                          width: `${
-                            (result.llm_analysis?.confidence || 0) * 100
-                          }%`,
-                        }}
-                      />
-                    </div>
-                    <span className="text-slate-300 text-xs">
-                      {formatPercent(
-                        (result.llm_analysis?.confidence || 0) * 100,
-                        0
-                      )}
-                    </span>
-                  </div>
-                </td>
-                <td className="px-4 py-4 text-slate-300 text-sm">
-                  {formatDate(result.created_at)}
+                <td
+                  className="w-12 px-4 py-4"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <input
+                    type="checkbox"
+                    aria-label={`${result.ne_id}/${result.cell_id} 선택`}
+                    className="accent-[#2b8cee]"
+                    checked={selection.isSelected(result.id)}
+                    onChange={() => selection.toggle(result)}
+                  />
                 </td>
+                {visibleColumns.map((column) => (
+                  <td key={column.key} className="px-4 py-4">
+                    <ResultCell columnKey={column.key} result={result} />
+                  </td>
+                ))}
               </tr>
             );
           })}
@@ -203,7 +544,106 @@ function ResultsTable({ results, onRowClick, loading }) {
   );
 }
 
-function Pagination({ pagination, onPageChange }) {
+// 비교 화면에 한 번에 올릴 수 있는 최대 결과 수
+const MAX_COMPARE_RESULTS = 6;
+
+function BulkActionBar({
+  count,
+  pageCount,
+  total,
+  selectingAll,
+  onSelectAll,
+  onExport,
+  onCompare,
+  onRerun,
+  onDelete,
+  onClear,
+}) {
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 mb-4 p-3 rounded-lg border border-[#2b8cee]/30 bg-[#2b8cee]/10">
+      <div className="flex items-center gap-3 text-sm text-white">
+        <span className="font-medium">{count}개 선택됨</span>
+        {count >= pageCount && count < total && (
+          <button
+            type="button"
+            className="text-[#2b8cee] hover:underline disabled:opacity-50"
+            onClick={onSelectAll}
+            disabled={selectingAll}
+          >
+            {selectingAll
+              ? "전체 결과 불러오는 중..."
+              : `조건에 맞는 ${total}개 모두 선택`}
+          </button>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Button
+          size="sm"
+          variant="secondary"
+          icon="download"
+          onClick={() => onExport("csv")}
+        >
+          CSV
+        </Button>
+        <Button
+          size="sm"
+          variant="secondary"
+          icon="data_object"
+          onClick={() => onExport("json")}
+        >
+          JSON
+        </Button>
+        <Button
+          size="sm"
+          variant="secondary"
+          icon="compare_arrows"
+          onClick={onCompare}
+          disabled={count < 2 || count > MAX_COMPARE_RESULTS}
+          title={`2~${MAX_COMPARE_RESULTS}개 결과를 비교할 수 있습니다.`}
+        >
+          비교
+        </Button>
+        <Button size="sm" variant="secondary" icon="replay" onClick={onRerun}>
+          재분석
+        </Button>
+        <Button size="sm" variant="danger" icon="delete" onClick={onDelete}>
+          삭제
+        </Button>
+        <Button size="sm" variant="ghost" icon="close" onClick={onClear}>
+          선택 해제
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function DeleteConfirmModal({ isOpen, count, deleting, onConfirm, onClose }) {
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="분석 결과 삭제" size="sm">
+      <p className="text-slate-300 text-sm mb-6">
+        선택된 <span className="text-white font-medium">{count}</span>개의 분석
+        결과를 삭제합니다. 이 작업은 되돌릴 수 없습니다.
+      </p>
+      <div className="flex justify-end gap-3">
+        <Button variant="ghost" onClick={onClose} disabled={deleting}>
+          취소
+        </Button>
+        <Button
+          variant="danger"
+          icon="delete"
+          onClick={onConfirm}
+          loading={deleting}
+        >
+          삭제
+        </Button>
+      </div>
+    </Modal>
+  );
+}
+
+const PAGE_SIZE_OPTIONS = [10, 20, 50, 100];
+
+function Pagination({ pagination, onPageChange, onSizeChange }) {
   const { page, size, total, hasNext } = pagination;
   const start = (page - 1) * size + 1;
   const end = Math.min(page * size, total);
@@ -215,6 +655,17 @@ function Pagination({ pagination, onPageChange }) {
         <span className="font-medium text-white">{total}</span> results
       </p>
       <div className="flex items-center gap-2">
+        <select
+          className="h-9 rounded-lg border border-slate-200/10 bg-slate-800/50 px-2 text-sm text-white focus:outline-none focus:border-[#2b8cee]"
+          value={size}
+          onChange={(e) => onSizeChange(Number(e.target.value))}
+        >
+          {PAGE_SIZE_OPTIONS.map((option) => (
+            <option key={option} value={option} className="bg-[#192633]">
+              {option} / page
+            </option>
+          ))}
+        </select>
         <button
           className="flex h-9 w-9 items-center justify-center rounded-lg border border-slate-200/10 bg-slate-800/50 text-white hover:bg-slate-800 disabled:opacity-50 disabled:cursor-not-allowed"
           onClick={() => onPageChange(page - 1)}
@@ -247,13 +698,14 @@ function InfoCard({ label, value }) {
   );
 }
 
-function ResultDetailModal({ isOpen, onClose, resultId }) {
+// ?highlight 핸드오프 시 표시하는 요약 미리보기 (전체 내용은 상세 페이지)
+function ResultPreviewModal({ isOpen, onClose, resultId, onOpenDetail }) {
   const { data, loading, error } = useAnalysisResultDetail(
     isOpen ? resultId : null
   );
   if (!isOpen) return null;
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Analysis Details" size="lg">
+    <Modal isOpen={isOpen} onClose={onClose} title="Analysis Summary" size="lg">
       {loading ? (
         <div className="flex items-center justify-center py-16">
           <Spinner size="lg" />
@@ -324,52 +776,14 @@ function ResultDetailModal({ isOpen, onClose, resultId }) {
               </div>
             </Card>
           )}
-          {data.peg_comparisons?.length > 0 && (
-            <Card title="PEG Comparisons">
-              <div className="overflow-x-auto">
-                <table className="w-full text-sm">
-                  <thead>
-                    <tr className="border-b border-slate-200/10">
-                      <th className="text-left py-2 text-slate-400">
-                        PEG Name
-                      </th>
-                      <th className="text-right py-2 text-slate-400">
-                        N-1 Avg
-                      </th>
-                      <th className="text-right py-2 text-slate-400">N Avg</th>
-                      <th className="text-right py-2 text-slate-400">Change</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {data.peg_comparisons.slice(0, 10).map((peg, i) => {
-                      const trendStyle = getTrendStyle(peg.change_percentage);
-                      return (
-                        <tr key={i} className="border-b border-slate-200/10">
-                          <td className="py-2 text-white">{peg.peg_name}</td>
-                          <td className="py-2 text-right text-slate-300">
-                            {peg.n_minus_1?.avg?.toFixed(2) || "-"}
-                          </td>
-                          <td className="py-2 text-right text-slate-300">
-                            {peg.n?.avg?.toFixed(2) || "-"}
-                          </td>
-                          <td
-                            className={cn("py-2 text-right", trendStyle.color)}
-                          >
-                            <span className="inline-flex items-center gap-1">
-                              <span className="material-symbols-outlined text-sm">
-                                {trendStyle.icon}
-                              </span>
-                              {formatChange(peg.change_percentage)}
-                            </span>
-                          </td>
-                        </tr>
-                      );
-                    })}
-                  </tbody>
-                </table>
-              </div>
-            </Card>
-          )}
+          <div className="flex justify-end gap-3 pt-4 border-t border-slate-200/10">
+            <span className="mr-auto self-center text-slate-400 text-sm">
+              PEG {data.peg_comparisons?.length || 0}개
+            </span>
+            <Button onClick={() => onOpenDetail(data.id)} icon="open_in_new">
+              전체 결과 보기
+            </Button>
+          </div>
         </div>
       ) : null}
     </Modal>
@@ -377,26 +791,140 @@ function ResultDetailModal({ isOpen, onClose, resultId }) {
 }
 
 export default function AnalysisResults() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const highlightId = searchParams.get("highlight");
   const [selectedResult, setSelectedResult] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const { settings: preferences, updateSettings } = usePreference();
+  const columns = readColumnLayout(preferences);
+  const selection = useResultSelection();
+  const [selectingAll, setSelectingAll] = useState(false);
+  const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [bulkMessage, setBulkMessage] = useState(null);
   const {
     results,
     loading,
     error,
     pagination,
     filters,
+    sorting,
     isEmpty,
     isFiltered,
     updateFilters,
     clearFilters,
     goToPage,
+    setPageSize,
+    setSort,
     refresh,
+    locateResult,
   } = useAnalysisResults();
+  const filterOptions = useResultFilterOptions({
+    neId: filters.ne_id,
+    results,
+  });
 
-  const handleRowClick = (result) => {
-    setSelectedResult(result);
+  // ?highlight=<id> 딥링크: 결과가 있는 페이지로 이동 후 요약 미리보기 자동 오픈
+  useEffect(() => {
+    if (!highlightId) return;
+    let cancelled = false;
+    setSelectedResult({ id: highlightId });
     setIsModalOpen(true);
+    locateResult(highlightId).then((page) => {
+      if (!cancelled && !page) {
+        console.warn(
+          "[AnalysisResults] 하이라이트 대상이 목록에서 발견되지 않음:",
+          highlightId
+        );
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [highlightId, locateResult]);
+
+  const handleSelectAll = async () => {
+    setSelectingAll(true);
+    try {
+      const sortParams = sorting.sort ? sorting : {};
+      selection.selectMany(
+        await fetchAllResults({ ...filters, ...sortParams })
+      );
+    } catch (err) {
+      setBulkMessage({
+        success: false,
+        message: err.message || "전체 결과를 불러오지 못했습니다.",
+      });
+    } finally {
+      setSelectingAll(false);
+    }
+  };
+
+  const handleCompare = () => {
+    const ids = selection.selectedItems.map((r) => r.id).join(",");
+    navigate(`/results/compare?ids=${encodeURIComponent(ids)}`);
+  };
+
+  // 같은 NE/Cell 조합으로 대시보드 분석 폼을 미리 채움
+  const handleRerun = () => {
+    const items = selection.selectedItems;
+    navigate("/", {
+      state: {
+        prefill: {
+          neId: [...new Set(items.map((r) => r.ne_id).filter(Boolean))],
+          cellId: [...new Set(items.map((r) => r.cell_id).filter(Boolean))],
+        },
+      },
+    });
   };
+
+  // 오프라인이거나 서버에 닿지 못한 삭제는 대기열에 넣어 연결되면 삭제
+  const queueDeletion = (items) =>
+    items.forEach((r) =>
+      enqueueOutbox({
+        kind: OUTBOX_KINDS.RESULT_DELETE,
+        resultId: r.id,
+        label: [r.ne_id, r.cell_id].filter(Boolean).join(" / ") || `#${r.id}`,
+      })
+    );
+
+  const handleDelete = async () => {
+    setDeleting(true);
+    const items = selection.selectedItems;
+    const ids = items.map((r) => r.id);
+    const outcomes = navigator.onLine
+      ? await Promise.allSettled(ids.map((id) => deleteAnalysisResultV2(id)))
+      : ids.map(() => ({ status: "rejected", reason: null }));
+    const deletedIds = ids.filter((_, i) => outcomes[i].status === "fulfilled");
+    const queued = items.filter(
+      (_, i) =>
+        outcomes[i].status === "rejected" && isOfflineError(outcomes[i].reason)
+    );
+    queueDeletion(queued);
+    const failedCount = ids.length - deletedIds.length - queued.length;
+    selection.remove([...deletedIds, ...queued.map((r) => r.id)]);
+    setDeleting(false);
+    setIsDeleteOpen(false);
+    const parts = [`${deletedIds.length}개 삭제`];
+    if (queued.length > 0) parts.push(`${queued.length}개는 연결되면 삭제`);
+    if (failedCount > 0) parts.push(`${failedCount}개 삭제 실패`);
+    setBulkMessage(
+      failedCount === 0 && queued.length === 0
+        ? {
+            success: true,
+            message: `${deletedIds.length}개의 결과가 삭제되었습니다.`,
+          }
+        : { success: failedCount === 0, message: parts.join(", ") }
+    );
+    if (deletedIds.length > 0) refresh();
+  };
+
+  const handleColumnsChange = (nextColumns) =>
+    updateSettings({ [COLUMN_LAYOUT_KEY]: nextColumns });
+
+  const openDetail = (resultId) => navigate(`/results/${resultId}`);
+  const handleRowClick = (result) => openDetail(result.id);
   const handleCloseModal = () => {
     setIsModalOpen(false);
     setSelectedResult(null);
@@ -408,13 +936,17 @@ export default function AnalysisResults() {
         title="KPI Analysis Results"
         description="Real-time monitoring and analysis of 3GPP Key Performance Indicators."
         actions={
-          <Button variant="secondary" icon="refresh" onClick={refresh}>
-            새로고침
-          </Button>
+          <>
+            <ColumnChooser columns={columns} onChange={handleColumnsChange} />
+            <Button variant="secondary" icon="refresh" onClick={refresh}>
+              새로고침
+            </Button>
+          </>
         }
       />
       <FilterBar
         filters={filters}
+        options={filterOptions}
         onFilterChange={updateFilters}
         onClear={clearFilters}
         isFiltered={isFiltered}
@@ -424,18 +956,64 @@ export default function AnalysisResults() {
           {error}
         </div>
       )}
+      {bulkMessage && (
+        <div
+          className={cn(
+            "mb-4 p-4 rounded-lg border flex items-center justify-between",
+            bulkMessage.success
+              ? "bg-green-500/10 border-green-500/20 text-green-400"
+              : "bg-red-500/10 border-red-500/20 text-red-400"
+          )}
+        >
+          {bulkMessage.message}
+          <button type="button" onClick={() => setBulkMessage(null)}>
+            <span className="material-symbols-outlined text-lg">close</span>
+          </button>
+        </div>
+      )}
+      {selection.count > 0 && (
+        <BulkActionBar
+          count={selection.count}
+          pageCount={results.length}
+          total={pagination.total}
+          selectingAll={selectingAll}
+          onSelectAll={handleSelectAll}
+          onExport={(format) => exportResults(selection.selectedItems, format)}
+          onCompare={handleCompare}
+          onRerun={handleRerun}
+          onDelete={() => setIsDeleteOpen(true)}
+          onClear={selection.clear}
+        />
+      )}
       <ResultsTable
         results={results}
+        selection={selection}
+        columns={columns}
+        sorting={sorting}
+        onSort={({ sort, order }) => setSort(sort, order)}
         onRowClick={handleRowClick}
         loading={loading}
+        highlightId={highlightId}
       />
       {!isEmpty && (
-        <Pagination pagination={pagination} onPageChange={goToPage} />
+        <Pagination
+          pagination={pagination}
+          onPageChange={goToPage}
+          onSizeChange={setPageSize}
+        />
       )}
-      <ResultDetailModal
+      <DeleteConfirmModal
+        isOpen={isDeleteOpen}
+        count={selection.count}
+        deleting={deleting}
+        onConfirm={handleDelete}
+        onClose={() => setIsDeleteOpen(false)}
+      />
+      <ResultPreviewModal
         isOpen={isModalOpen}
         onClose={handleCloseModal}
         resultId={selectedResult?.id}
+        onOpenDetail={openDetail}
       />
     </div>
   );
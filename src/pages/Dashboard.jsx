@@ -1,171 +1,335 @@
 /**
  * 대시보드 페이지
- * LLM 분석 API 연동
+ * 비동기 LLM 분석 API 연동
  */
 
-import { useState, useEffect, useMemo } from "react";
-import { useNavigate } from "react-router-dom";
-import { format } from "date-fns";
+import { useState, useEffect, useMemo, useCallback, useRef } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
 import { Header } from "../components/layout/index.js";
 import {
   Button,
   Card,
   EmptyState,
   DateTimePicker,
-  Combobox,
   Badge,
   Spinner,
+  Modal,
+  Input,
 } from "../components/common/index.js";
-import { runAnalysisV2, getUserPreferences, getEmsNeList } from "../lib/api.js";
-
-function roundDownToFiveMinutes(date) {
-  const minutes = date.getMinutes();
-  const roundedMinutes = Math.floor(minutes / 5) * 5;
-  const result = new Date(date);
-  result.setMinutes(roundedMinutes);
-  result.setSeconds(0);
-  result.setMilliseconds(0);
-  return result;
-}
-
-function getTimeOffset(minutesOffset) {
-  const now = new Date();
-  now.setMinutes(now.getMinutes() - minutesOffset);
-  return format(roundDownToFiveMinutes(now), "yyyy-MM-dd HH:mm");
-}
+import { getEmsNeList } from "../lib/api.js";
+import { useAnalysisJobs } from "../hooks/useAnalysisJobs.js";
+import { useAnalysisResultDetail } from "../hooks/useAnalysisResults.js";
+import { useAnalysisTemplates } from "../hooks/useAnalysisTemplates.js";
+import { useDbSettings } from "../hooks/useDbSettings.js";
+import { useDbCredentials } from "../hooks/useDbCredentials.js";
+import { useFormatters } from "../hooks/useFormatters.js";
+import { findDbProfile, describeDbSettings } from "../lib/dbSettings.js";
+import { withCredentials } from "../lib/dbCredentials.js";
+import { getRuntimeConfig } from "../lib/runtimeConfig.js";
+import {
+  JOB_STATUS_LABELS,
+  JOB_STATUS_VARIANTS,
+  isActiveJob,
+  getJobElapsedSeconds,
+  formatElapsed,
+  describeJobTarget,
+  getJobResultId,
+} from "../lib/analysisJobs.js";
+import {
+  TIME_WINDOW_PRESETS,
+  DEFAULT_WINDOW_PRESET,
+  MAINTENANCE_DURATION_OPTIONS,
+  getWindowPreset,
+  buildPresetWindows,
+  validateTimeWindows,
+  getWindowDurationMinutes,
+  formatDurationMinutes,
+  roundDownToFiveMinutes,
+  formatWindowTime,
+} from "../lib/timeWindows.js";
+import {
+  buildAnalysisRequest,
+  maskRequestParams,
+} from "../lib/analysisRequest.js";
+import {
+  createTemplate,
+  renameTemplate,
+  templateToForm,
+  describeTemplateWindow,
+} from "../lib/analysisTemplates.js";
+import {
+  buildNetworkTree,
+  deriveSelection,
+  expandSelection,
+} from "../lib/networkTree.js";
+import {
+  ANALYSIS_MODES,
+  BATCH_CONCURRENCY,
+  MAX_BATCH_CELLS,
+  VERDICT_STATUSES,
+  buildCellPairs,
+  createBatch,
+  isBatchActive,
+  summarizeBatch,
+} from "../lib/analysisBatch.js";
+import { NetworkTreePicker } from "../components/network/index.js";
+import { cn, getStatusStyle } from "../lib/utils.js";
 
-function getCurrentTimeRounded() {
-  return format(roundDownToFiveMinutes(new Date()), "yyyy-MM-dd HH:mm");
+function PeriodError({ message }) {
+  if (!message) return null;
+  return (
+    <p className="text-red-400 text-xs mt-2 flex items-center gap-1">
+      <span className="material-symbols-outlined text-sm">error</span>
+      {message}
+    </p>
+  );
 }
 
-// 기본 시간 설정
-function getDefaultTimes() {
-  return {
-    n1StartTime: getTimeOffset(60), // 현재 - 1시간
-    n1EndTime: getTimeOffset(45), // 현재 - 45분
-    nStartTime: getTimeOffset(30), // 현재 - 30분
-    nEndTime: getCurrentTimeRounded(), // 현재 (5분 단위 내림)
-  };
+// 기간 프리셋 선택 영역
+function WindowPresetBar({
+  preset,
+  maintenance,
+  onSelect,
+  onMaintenanceChange,
+  disabled,
+}) {
+  const { timeZone } = useFormatters();
+  return (
+    <div className="lg:col-span-2 flex flex-col gap-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-slate-400 text-sm mr-1">기간 프리셋</span>
+        {TIME_WINDOW_PRESETS.map((item) => (
+          <button
+            key={item.key}
+            type="button"
+            disabled={disabled}
+            onClick={() => onSelect(item.key)}
+            className={cn(
+              "px-3 py-1.5 rounded-lg text-sm border transition-colors disabled:opacity-50",
+              preset === item.key
+                ? "bg-[#2b8cee] border-[#2b8cee] text-white"
+                : "bg-[#192633] border-[#324d67] text-slate-300 hover:text-white"
+            )}
+          >
+            {item.label}
+          </button>
+        ))}
+        {!preset && (
+          <span className="text-slate-500 text-xs">직접 입력한 기간</span>
+        )}
+      </div>
+      {preset === "maintenance" && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 rounded-lg border border-slate-200/10 bg-slate-500/5 p-4">
+          <DateTimePicker
+            label="작업 시점 (Maintenance Time)"
+            value={maintenance.anchor}
+            timeZone={timeZone}
+            onChange={(anchor) => onMaintenanceChange({ anchor })}
+            disabled={disabled}
+          />
+          <div className="flex flex-col">
+            <label className="text-white text-sm font-medium mb-2">
+              전/후 비교 기간
+            </label>
+            <select
+              value={maintenance.durationMinutes}
+              onChange={(e) =>
+                onMaintenanceChange({ durationMinutes: Number(e.target.value) })
+              }
+              disabled={disabled}
+              className="h-12 rounded-lg bg-[#192633] border border-[#324d67] px-4 text-white focus:outline-none focus:border-[#2b8cee]"
+            >
+              {MAINTENANCE_DURATION_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
 }
 
-function AnalysisForm({ onSubmit, loading, emsData, emsLoading }) {
-  const [formData, setFormData] = useState(() => ({
-    ...getDefaultTimes(),
-    ems: [],
-    neId: [],
-    cellId: [],
+function AnalysisForm({
+  onSubmit,
+  onSaveTemplate,
+  onFormChange,
+  loading,
+  emsData,
+  emsLoading,
+  dbProfiles,
+  defaultDbProfileId,
+  prefill,
+  initialValues,
+  autoSubmit = false,
+  onAutoSubmitError,
+}) {
+  // 기간은 설정 시간대의 벽시계 값으로 다룸
+  const { now, timeZone, getTimeZoneLabel } = useFormatters();
+  const [windowPreset, setWindowPreset] = useState(() =>
+    initialValues ? initialValues.windowPreset : DEFAULT_WINDOW_PRESET
+  );
+  const [maintenance, setMaintenance] = useState(() => ({
+    anchor: formatWindowTime(
+      roundDownToFiveMinutes(new Date(now().getTime() - 60 * 60 * 1000))
+    ),
+    durationMinutes: 60,
   }));
+  // 템플릿을 불러와 다시 마운트해도 분석 방식/DB 프로필 선택은 유지
+  const [analysisMode, setAnalysisMode] = useState(
+    () => initialValues?.analysisMode || "combined"
+  );
+  // 셀별 분석은 배포 설정(FEATURE_PER_CELL_ANALYSIS)으로 끌 수 있음
+  const { perCellAnalysis } = getRuntimeConfig();
+  // 선택하지 않으면 기본 프로필 사용
+  const [dbProfileId, setDbProfileId] = useState(
+    () => initialValues?.dbProfileId || null
+  );
+  const selectedDbProfile =
+    findDbProfile(dbProfiles, dbProfileId) ||
+    findDbProfile(dbProfiles, defaultDbProfileId);
+  const { getStatus: getCredentialStatus } = useDbCredentials();
+  const missingPassword =
+    selectedDbProfile && !getCredentialStatus(selectedDbProfile.id).inSession;
+  const [formData, setFormData] = useState(() => {
+    if (initialValues) {
+      const {
+        windowPreset: _preset,
+        analysisMode: _mode,
+        dbProfileId: _profile,
+        ...values
+      } = initialValues;
+      return values;
+    }
+    return {
+      ...buildPresetWindows(DEFAULT_WINDOW_PRESET, undefined, now()),
+      targets: [],
+      ems: [],
+      neId: prefill?.neId || [],
+      cellId: prefill?.cellId || [],
+    };
+  });
+  const tree = useMemo(() => buildNetworkTree(emsData), [emsData]);
 
+  // 템플릿 저장/불러오기를 위해 현재 폼 값을 상위로 전달
   useEffect(() => {
+    onFormChange?.({ ...formData, windowPreset, analysisMode, dbProfileId });
+  }, [formData, windowPreset, analysisMode, dbProfileId, onFormChange]);
+
+  // 재분석 prefill처럼 셀 선택 없이 NE/Cell 값만 있는 경우 목록 로드 후 트리 선택으로 변환
+  useEffect(() => {
+    setFormData((prev) => {
+      if (prev.targets.length > 0 || prev.neId.length === 0) return prev;
+      const targets = expandSelection(tree, prev);
+      if (targets.length === 0) return prev;
+      return { ...prev, targets, ...deriveSelection(targets) };
+    });
+  }, [tree]);
+
+  // 현재 시각 기준 프리셋은 1분마다 다시 계산 (직접 입력한 기간은 유지)
+  useEffect(() => {
+    if (!getWindowPreset(windowPreset)?.live) return undefined;
     const interval = setInterval(() => {
-      setFormData((prev) => ({ ...prev, nEndTime: getCurrentTimeRounded() }));
+      setFormData((prev) => ({
+        ...prev,
+        ...buildPresetWindows(windowPreset, undefined, now()),
+      }));
     }, 60000);
     return () => clearInterval(interval);
-  }, []);
+  }, [windowPreset, now]);
 
-  // EMS 옵션 생성
-  const emsOptions = useMemo(() => {
-    if (!emsData) return [];
-    return Object.keys(emsData).map((ems) => ({
-      value: ems,
-      label: ems,
+  const applyPreset = (key, options) => {
+    setWindowPreset(key);
+    setFormData((prev) => ({
+      ...prev,
+      ...buildPresetWindows(key, options, now()),
     }));
-  }, [emsData]);
+  };
 
-  // NE ID 옵션 생성 (선택된 EMS 기준)
-  const neIdOptions = useMemo(() => {
-    if (!emsData || !formData.ems || formData.ems.length === 0) return [];
+  const handlePresetSelect = (key) => {
+    applyPreset(key, key === "maintenance" ? maintenance : undefined);
+  };
 
-    const allNeIds = new Set();
-    formData.ems.forEach((ems) => {
-      const emsEntry = emsData[ems];
-      if (emsEntry) {
-        Object.keys(emsEntry).forEach((neId) => allNeIds.add(neId));
-      }
-    });
+  const handleMaintenanceChange = (patch) => {
+    const next = { ...maintenance, ...patch };
+    setMaintenance(next);
+    applyPreset("maintenance", next);
+  };
 
-    return Array.from(allNeIds).map((neId) => ({
-      value: neId,
-      label: neId,
-    }));
-  }, [emsData, formData.ems]);
-
-  // Cell ID 옵션 생성 (선택된 EMS + NE ID 기준)
-  const cellIdOptions = useMemo(() => {
-    if (
-      !emsData ||
-      !formData.ems ||
-      formData.ems.length === 0 ||
-      !formData.neId ||
-      formData.neId.length === 0
-    )
-      return [];
-
-    const allCellIds = [];
-
-    formData.ems.forEach((ems) => {
-      const emsEntry = emsData[ems];
-      if (!emsEntry) return;
-
-      formData.neId.forEach((neId) => {
-        const neEntry = emsEntry[neId];
-        if (neEntry) {
-          Object.entries(neEntry).forEach(([tech, ids]) => {
-            if (Array.isArray(ids)) {
-              ids.forEach((id) => {
-                allCellIds.push({
-                  value: String(id),
-                  label: `${id} (${tech})`,
-                  tech: tech, // Optional: useful for sorting or coloring
-                });
-              });
-            }
-          });
-        }
-      });
-    });
+  // 기간을 직접 수정하면 프리셋 자동 갱신을 중단
+  const handleTimeChange = (field) => (value) => {
+    setWindowPreset(null);
+    setFormData((prev) => ({ ...prev, [field]: value }));
+  };
 
-    // 중복 제거 (같은 Cell ID가 여러 NE/Tech에 있을 수 있음 - 여기서는 값 기준)
-    const uniqueIds = new Map();
-    allCellIds.forEach((item) => {
-      // 키를 "ID-Tech" 조합으로 할지 그냥 ID로 할지 고민.
-      // API가 ID만 받는다면 ID로 중복제거.
-      // 하지만 사용자가 구분하려면 라벨에 정보가 있어야 함.
-      // 일단 ID 기준으로 중복 제거
-      if (!uniqueIds.has(item.value)) {
-        uniqueIds.set(item.value, item);
-      }
-    });
+  const windowValidation = useMemo(
+    () => validateTimeWindows(formData, now()),
+    [formData, now]
+  );
 
-    return Array.from(uniqueIds.values());
-  }, [emsData, formData.ems, formData.neId]);
+  const handleTargetsChange = (targets) => {
+    setFormData((prev) => ({ ...prev, targets, ...deriveSelection(targets) }));
+  };
 
-  const handleChange = (field) => (value) => {
-    setFormData((prev) => {
-      const newData = { ...prev, [field]: value };
+  const pairCount = useMemo(
+    () => buildCellPairs(formData.targets).length,
+    [formData.targets]
+  );
+  const batchTooLarge =
+    analysisMode === "per_cell" && pairCount > MAX_BATCH_CELLS;
 
-      // 상위 선택이 해제되어 하위 선택이 유효하지 않게 되는 경우 처리는 복잡하므로
-      // 일단 상위가 완전히 비워지면 하위도 비우는 식으로 처리
-      if (field === "ems" && (!value || value.length === 0)) {
-        newData.neId = [];
-        newData.cellId = [];
-      }
-      if (field === "neId" && (!value || value.length === 0)) {
-        newData.cellId = [];
-      }
-      return newData;
+  // 제출할 수 없는 이유 (없으면 null)
+  let formError = null;
+  if (!windowValidation.isValid) {
+    formError = Object.values(windowValidation.errors).join(" ");
+  } else if (
+    formData.ems.length === 0 ||
+    formData.neId.length === 0 ||
+    formData.cellId.length === 0
+  ) {
+    formError = "분석할 EMS/NE/Cell을 선택하세요.";
+  } else if (
+    analysisMode === "per_cell" &&
+    (pairCount === 0 || batchTooLarge)
+  ) {
+    formError = `셀별 분석은 1~${MAX_BATCH_CELLS}개 셀까지 실행할 수 있습니다. (현재 ${pairCount}개)`;
+  }
+  const isFormValid = !formError;
+
+  const submitForm = useCallback(() => {
+    // 화면을 오래 열어둔 경우를 대비해 제출 시점 기준으로 다시 검증
+    if (formError || !validateTimeWindows(formData, now()).isValid) return;
+    onSubmit({
+      ...formData,
+      analysisMode,
+      dbProfileId: selectedDbProfile?.id || null,
     });
-  };
+  }, [formError, formData, now, onSubmit, analysisMode, selectedDbProfile]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    submitForm();
   };
 
-  const isFormValid =
-    formData.ems.length > 0 &&
-    formData.neId.length > 0 &&
-    formData.cellId.length > 0;
+  // 템플릿 원클릭 실행: 불러온 값으로 다시 마운트된 뒤 폼 제출과 같은 검증/요청 경로로 한 번 실행
+  const autoSubmitRef = useRef(autoSubmit);
+  useEffect(() => {
+    if (!autoSubmitRef.current) return;
+    autoSubmitRef.current = false;
+    if (formError) onAutoSubmitError?.(formError);
+    else submitForm();
+  }, [formError, submitForm, onAutoSubmitError]);
+
+  const n1Duration = getWindowDurationMinutes(
+    formData.n1StartTime,
+    formData.n1EndTime
+  );
+  const nDuration = getWindowDurationMinutes(
+    formData.nStartTime,
+    formData.nEndTime
+  );
 
   return (
     <Card>
@@ -173,122 +337,237 @@ function AnalysisForm({ onSubmit, loading, emsData, emsLoading }) {
         <h2 className="text-white text-xl font-bold mb-6">
           분석 조건 설정 (Set Analysis Conditions)
         </h2>
+        {/* 작업 기록 없이 결과에서 넘어온 경우: 기간은 복원하지 못했음을 알림 */}
+        {prefill?.windowsRestored === false && (
+          <p className="mb-6 p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/20 text-yellow-400 text-sm flex items-center gap-2">
+            <span className="material-symbols-outlined text-lg">info</span>
+            결과 #{prefill.resultId}의 분석 요청 기록이 이 브라우저에 없어
+            NE/Cell만 채웠습니다. N-1/N 기간은 복원되지 않았으니 다시
+            선택하세요.
+          </p>
+        )}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <WindowPresetBar
+            preset={windowPreset}
+            maintenance={maintenance}
+            onSelect={handlePresetSelect}
+            onMaintenanceChange={handleMaintenanceChange}
+            disabled={loading}
+          />
           {/* 시간 설정 영역 */}
-          <div className="rounded-lg border border-slate-200/10 bg-slate-500/5 p-4">
+          <div
+            className={cn(
+              "rounded-lg border bg-slate-500/5 p-4",
+              windowValidation.errors.n1
+                ? "border-red-500/40"
+                : "border-slate-200/10"
+            )}
+          >
             <p className="text-slate-300 text-sm font-semibold mb-4">
               N-1 기간 (Comparison Period)
+              <span className="text-slate-500 font-normal ml-2">
+                {formatDurationMinutes(n1Duration)}
+              </span>
+              <span className="text-slate-500 font-normal ml-2">
+                {getTimeZoneLabel()}
+              </span>
             </p>
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
               <DateTimePicker
                 label="시작 시간 (Start Time)"
                 value={formData.n1StartTime}
-                onChange={handleChange("n1StartTime")}
+                onChange={handleTimeChange("n1StartTime")}
+                timeZone={timeZone}
                 disabled={loading}
               />
               <DateTimePicker
                 label="종료 시간 (End Time)"
                 value={formData.n1EndTime}
-                onChange={handleChange("n1EndTime")}
+                onChange={handleTimeChange("n1EndTime")}
+                timeZone={timeZone}
                 disabled={loading}
               />
             </div>
+            <PeriodError message={windowValidation.errors.n1} />
           </div>
-          <div className="rounded-lg border border-slate-200/10 bg-slate-500/5 p-4">
+          <div
+            className={cn(
+              "rounded-lg border bg-slate-500/5 p-4",
+              windowValidation.errors.n
+                ? "border-red-500/40"
+                : "border-slate-200/10"
+            )}
+          >
             <p className="text-slate-300 text-sm font-semibold mb-4">
               N 기간 (Current Period)
+              <span className="text-slate-500 font-normal ml-2">
+                {formatDurationMinutes(nDuration)}
+              </span>
+              <span className="text-slate-500 font-normal ml-2">
+                {getTimeZoneLabel()}
+              </span>
             </p>
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
               <DateTimePicker
                 label="시작 시간 (Start Time)"
                 value={formData.nStartTime}
-                onChange={handleChange("nStartTime")}
+                onChange={handleTimeChange("nStartTime")}
+                timeZone={timeZone}
                 disabled={loading}
               />
               <DateTimePicker
                 label="종료 시간 (End Time)"
                 value={formData.nEndTime}
-                onChange={handleChange("nEndTime")}
+                onChange={handleTimeChange("nEndTime")}
+                timeZone={timeZone}
                 disabled={loading}
               />
             </div>
-            <p className="text-slate-500 text-xs mt-2 flex items-center gap-1">
-              <span className="material-symbols-outlined text-sm">info</span>
-              종료 시간은 현재 시간 기준 5분 단위로 자동 설정됩니다.
-            </p>
+            <PeriodError message={windowValidation.errors.n} />
+            {getWindowPreset(windowPreset)?.live && (
+              <p className="text-slate-500 text-xs mt-2 flex items-center gap-1">
+                <span className="material-symbols-outlined text-sm">info</span>
+                프리셋 기간은 현재 시간 기준 5분 단위로 자동 갱신됩니다.
+              </p>
+            )}
           </div>
+          {(windowValidation.errors.order || windowValidation.warning) && (
+            <div className="lg:col-span-2 flex flex-col gap-2">
+              {windowValidation.errors.order && (
+                <p className="p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm flex items-center gap-2">
+                  <span className="material-symbols-outlined text-lg">
+                    error
+                  </span>
+                  {windowValidation.errors.order}
+                </p>
+              )}
+              {windowValidation.warning && (
+                <p className="p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/20 text-yellow-400 text-sm flex items-center gap-2">
+                  <span className="material-symbols-outlined text-lg">
+                    warning
+                  </span>
+                  {windowValidation.warning}
+                </p>
+              )}
+            </div>
+          )}
 
           {/* EMS / NE ID / Cell ID 선택 영역 */}
           <div className="lg:col-span-2 rounded-lg border border-slate-200/10 bg-slate-500/5 p-4">
             <p className="text-slate-300 text-sm font-semibold mb-4">
               네트워크 요소 선택 (Network Element Selection)
             </p>
-            {emsLoading ? (
-              <div className="flex items-center justify-center py-8">
-                <Spinner size="md" />
-                <span className="text-slate-400 ml-3">EMS 목록 로딩 중...</span>
+            <NetworkTreePicker
+              tree={tree}
+              value={formData.targets}
+              onChange={handleTargetsChange}
+              loading={emsLoading}
+              disabled={loading}
+            />
+            {formData.targets.length > 0 && (
+              <p className="text-slate-400 text-xs mt-3">
+                {`${formData.targets.length}개 셀 선택됨 · NE ${formData.neId.length}개 · EMS ${formData.ems.length}개`}
+              </p>
+            )}
+            {perCellAnalysis && (
+              <div className="mt-4 pt-4 border-t border-slate-200/10 flex flex-wrap items-center gap-3">
+                <span className="text-slate-400 text-sm">분석 방식</span>
+                {ANALYSIS_MODES.map((mode) => (
+                  <button
+                    key={mode.value}
+                    type="button"
+                    disabled={loading}
+                    title={mode.description}
+                    onClick={() => setAnalysisMode(mode.value)}
+                    className={cn(
+                      "px-3 py-1.5 rounded-lg text-sm border transition-colors",
+                      analysisMode === mode.value
+                        ? "bg-[#2b8cee] border-[#2b8cee] text-white"
+                        : "bg-[#192633] border-[#324d67] text-slate-300 hover:text-white"
+                    )}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+                {analysisMode === "per_cell" && (
+                  <span
+                    className={cn(
+                      "text-xs",
+                      batchTooLarge ? "text-red-400" : "text-slate-500"
+                    )}
+                  >
+                    {batchTooLarge
+                      ? `셀별 분석은 최대 ${MAX_BATCH_CELLS}개 셀까지 실행할 수 있습니다. (현재 ${pairCount}개)`
+                      : `${pairCount}개 (NE, Cell) 쌍을 최대 ${BATCH_CONCURRENCY}개씩 동시에 분석합니다.`}
+                  </span>
+                )}
               </div>
+            )}
+          </div>
+
+          {/* 데이터 소스 (DB 연결 프로필) 선택 영역 */}
+          <div className="lg:col-span-2 rounded-lg border border-slate-200/10 bg-slate-500/5 p-4">
+            <p className="text-slate-300 text-sm font-semibold mb-4">
+              데이터 소스 (Data Source)
+            </p>
+            {dbProfiles.length === 0 ? (
+              <p className="text-slate-400 text-sm">
+                등록된 DB 연결 프로필이 없어 백엔드 기본 DB로 분석합니다.
+              </p>
             ) : (
-              <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-                <Combobox
-                  label="EMS"
-                  icon="dns"
-                  value={formData.ems}
-                  onChange={handleChange("ems")}
-                  options={emsOptions}
-                  placeholder="EMS 선택"
-                  disabled={loading || emsOptions.length === 0}
-                  multiple={true}
-                />
-                <Combobox
-                  label="NE ID"
-                  icon="router"
-                  value={formData.neId}
-                  onChange={handleChange("neId")}
-                  options={neIdOptions}
-                  placeholder={
-                    formData.ems.length > 0
-                      ? "NE ID 선택"
-                      : "EMS를 먼저 선택하세요"
-                  }
-                  disabled={
-                    loading ||
-                    formData.ems.length === 0 ||
-                    neIdOptions.length === 0
-                  }
-                  multiple={true}
-                />
-                <Combobox
-                  label="Cell ID"
-                  icon="cell_tower"
-                  value={formData.cellId}
-                  onChange={handleChange("cellId")}
-                  options={cellIdOptions}
-                  placeholder={
-                    formData.neId.length > 0
-                      ? "Cell ID 선택"
-                      : "NE ID를 먼저 선택하세요"
-                  }
-                  disabled={
-                    loading ||
-                    formData.neId.length === 0 ||
-                    cellIdOptions.length === 0
-                  }
-                  multiple={true}
-                />
+              <div className="flex flex-wrap items-center gap-2">
+                {dbProfiles.map((profile) => (
+                  <button
+                    key={profile.id}
+                    type="button"
+                    disabled={loading}
+                    title={describeDbSettings(profile.settings)}
+                    onClick={() => setDbProfileId(profile.id)}
+                    className={cn(
+                      "px-3 py-1.5 rounded-lg text-sm border transition-colors flex items-center gap-1",
+                      selectedDbProfile?.id === profile.id
+                        ? "bg-[#2b8cee] border-[#2b8cee] text-white"
+                        : "bg-[#192633] border-[#324d67] text-slate-300 hover:text-white"
+                    )}
+                  >
+                    <span className="material-symbols-outlined text-base">
+                      database
+                    </span>
+                    {profile.name}
+                    {profile.id === defaultDbProfileId && (
+                      <span className="text-xs opacity-70">(기본)</span>
+                    )}
+                  </button>
+                ))}
+                {selectedDbProfile && (
+                  <span className="text-slate-500 text-xs ml-2">
+                    {describeDbSettings(selectedDbProfile.settings)}
+                  </span>
+                )}
               </div>
             )}
-            {!emsLoading && emsOptions.length === 0 && (
+            {missingPassword && (
               <p className="text-yellow-400 text-xs mt-3 flex items-center gap-1">
                 <span className="material-symbols-outlined text-sm">
-                  warning
+                  key_off
                 </span>
-                EMS 목록을 불러올 수 없습니다. 네트워크 연결을 확인하세요.
+                이 세션에 &apos;{selectedDbProfile.name}&apos; 프로필의
+                비밀번호가 없습니다. Preferences에서 입력하거나 보관함을 잠금
+                해제하세요.
               </p>
             )}
           </div>
         </div>
-        <div className="flex justify-end mt-6 pt-4 border-t border-slate-200/10">
+        <div className="flex justify-between mt-6 pt-4 border-t border-slate-200/10">
+          <Button
+            type="button"
+            variant="ghost"
+            icon="bookmark_add"
+            onClick={onSaveTemplate}
+            disabled={loading || formData.neId.length === 0}
+          >
+            템플릿으로 저장
+          </Button>
           <Button
             type="submit"
             icon="auto_awesome"
@@ -304,7 +583,8 @@ function AnalysisForm({ onSubmit, loading, emsData, emsLoading }) {
 }
 
 // 분석 결과 미리보기 컴포넌트
-function AnalysisResultPreview({ result, onViewDetail, onReset }) {
+function AnalysisResultPreview({ result, onViewDetail, onReset, onRerun }) {
+  const { formatPercent } = useFormatters();
   const status = result.choi_result?.status || "normal";
 
   return (
@@ -332,7 +612,7 @@ function AnalysisResultPreview({ result, onViewDetail, onReset }) {
         <div className="rounded-lg bg-slate-800/30 p-4">
           <p className="text-slate-400 text-xs mb-1">Confidence</p>
           <p className="text-white font-medium">
-            {((result.llm_analysis?.confidence || 0) * 100).toFixed(0)}%
+            {formatPercent((result.llm_analysis?.confidence || 0) * 100, 0)}
           </p>
         </div>
       </div>
@@ -375,6 +655,11 @@ function AnalysisResultPreview({ result, onViewDetail, onReset }) {
         <Button variant="ghost" onClick={onReset} icon="refresh">
           새 분석
         </Button>
+        {onRerun && (
+          <Button variant="secondary" onClick={onRerun} icon="replay">
+            같은 조건으로 재분석
+          </Button>
+        )}
         <Button onClick={onViewDetail} icon="open_in_new">
           전체 결과 보기
         </Button>
@@ -383,12 +668,505 @@ function AnalysisResultPreview({ result, onViewDetail, onReset }) {
   );
 }
 
+// 비동기 분석 진행 상태 컴포넌트
+function AnalysisJobProgress({ job, onCancel, onReset }) {
+  const [now, setNow] = useState(() => Date.now());
+  const [cancelling, setCancelling] = useState(false);
+  const active = isActiveJob(job);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [active]);
+
+  const handleCancel = async () => {
+    setCancelling(true);
+    try {
+      await onCancel(job.id);
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const progress = Math.min(100, Math.max(0, Number(job.progress) || 0));
+
+  return (
+    <div className="rounded-xl border border-slate-200/10 bg-[#111a22] p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          {active && <Spinner size="sm" />}
+          <h3 className="text-white text-lg font-semibold">
+            {active ? "LLM 분석 진행 중" : "LLM 분석 종료"}
+          </h3>
+        </div>
+        <Badge variant={JOB_STATUS_VARIANTS[job.status]} dot>
+          {JOB_STATUS_LABELS[job.status]}
+        </Badge>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mb-4">
+        <div className="rounded-lg bg-slate-800/30 p-4">
+          <p className="text-slate-400 text-xs mb-1">NE ID / Cell ID</p>
+          <p className="text-white font-medium truncate">
+            {describeJobTarget(job.params)}
+          </p>
+        </div>
+        <div className="rounded-lg bg-slate-800/30 p-4">
+          <p className="text-slate-400 text-xs mb-1">경과 시간</p>
+          <p className="text-white font-medium">
+            {formatElapsed(getJobElapsedSeconds(job, now))}
+          </p>
+        </div>
+        <div className="rounded-lg bg-slate-800/30 p-4">
+          <p className="text-slate-400 text-xs mb-1">작업 ID</p>
+          <p className="text-white font-medium truncate">{job.id}</p>
+        </div>
+      </div>
+
+      <div className="mb-2 flex items-center justify-between text-xs text-slate-400">
+        <span>진행률</span>
+        <span>{progress}%</span>
+      </div>
+      <div
+        className="h-2 w-full overflow-hidden rounded-full bg-slate-800"
+        role="progressbar"
+        aria-valuenow={progress}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div
+          className="h-full rounded-full bg-[#2b8cee] transition-all duration-500"
+          style={{ width: `${progress}%` }}
+        />
+      </div>
+
+      {job.error && <p className="mt-4 text-red-400 text-sm">{job.error}</p>}
+
+      <div className="flex gap-3 justify-end pt-4 mt-6 border-t border-slate-200/10">
+        {active ? (
+          <Button
+            variant="danger"
+            icon="stop_circle"
+            loading={cancelling}
+            onClick={handleCancel}
+          >
+            분석 취소
+          </Button>
+        ) : (
+          <Button variant="ghost" onClick={onReset} icon="refresh">
+            새 분석
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// 셀 타일 색상 (완료된 셀은 판정 기준)
+const BATCH_TILE_STYLES = {
+  queued: "border-slate-200/10 bg-slate-800/30 text-slate-400",
+  pending: "border-[#2b8cee]/30 bg-[#2b8cee]/5 text-slate-300",
+  processing: "border-[#2b8cee]/60 bg-[#2b8cee]/10 text-white",
+  failed: "border-red-500/40 bg-red-500/10 text-red-400",
+  cancelled: "border-yellow-500/30 bg-yellow-500/5 text-yellow-400",
+  normal: "border-green-500/30 bg-green-500/10 text-green-400",
+  warning: "border-yellow-500/40 bg-yellow-500/10 text-yellow-400",
+  critical: "border-red-500/50 bg-red-500/15 text-red-400",
+};
+
+const getTileStyle = (item) =>
+  item.status === "completed"
+    ? BATCH_TILE_STYLES[item.verdict?.status || "normal"]
+    : BATCH_TILE_STYLES[item.status];
+
+const describeTileStatus = (item) => {
+  if (item.status === "completed") {
+    return getStatusStyle(item.verdict?.status).label;
+  }
+  if (item.status === "queued") return "대기";
+  if (item.status === "processing") return `${item.progress ?? 0}%`;
+  return JOB_STATUS_LABELS[item.status];
+};
+
+// 셀별 분석 배치 진행 상황 및 요약
+function AnalysisBatchPanel({ batch, onCancel, onRetry, onReset }) {
+  const navigate = useNavigate();
+  const [busy, setBusy] = useState(false);
+  const active = isBatchActive(batch);
+  const summary = useMemo(() => summarizeBatch(batch), [batch]);
+  const percent =
+    summary.total > 0 ? Math.round((summary.done / summary.total) * 100) : 0;
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action(batch.id);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openResult = (item) => {
+    if (item.resultId) navigate(`/results/${item.resultId}`);
+  };
+
+  return (
+    <div className="rounded-xl border border-slate-200/10 bg-[#111a22] p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          {active && <Spinner size="sm" />}
+          <h3 className="text-white text-lg font-semibold">
+            {active ? "셀별 LLM 분석 진행 중" : "셀별 LLM 분석 종료"}
+          </h3>
+          <span className="text-slate-400 text-sm">
+            {summary.done}/{summary.total}
+          </span>
+        </div>
+        <div className="flex gap-2">
+          {active && (
+            <Button
+              size="sm"
+              variant="danger"
+              icon="stop_circle"
+              loading={busy}
+              onClick={() => run(onCancel)}
+            >
+              전체 취소
+            </Button>
+          )}
+          {!active && summary.total > summary.ranked.length && (
+            <Button
+              size="sm"
+              variant="secondary"
+              icon="replay"
+              onClick={() => onRetry(batch.id)}
+            >
+              실패/취소 셀 재시도
+            </Button>
+          )}
+          {!active && (
+            <Button size="sm" variant="ghost" icon="refresh" onClick={onReset}>
+              새 분석
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div
+        className="h-2 w-full overflow-hidden rounded-full bg-slate-800 mb-6"
+        role="progressbar"
+        aria-valuenow={percent}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div
+          className="h-full rounded-full bg-[#2b8cee] transition-all duration-500"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+        {VERDICT_STATUSES.map((status) => (
+          <div key={status} className="rounded-lg bg-slate-800/30 p-4">
+            <p className="text-slate-400 text-xs mb-1">
+              {getStatusStyle(status).label}
+            </p>
+            <p
+              className={cn("text-2xl font-bold", getStatusStyle(status).color)}
+            >
+              {summary.verdictCounts[status]}
+            </p>
+          </div>
+        ))}
+        <div className="rounded-lg bg-slate-800/30 p-4">
+          <p className="text-slate-400 text-xs mb-1">실패 / 취소</p>
+          <p className="text-2xl font-bold text-slate-300">
+            {summary.failed.length} / {summary.statusCounts.cancelled || 0}
+          </p>
+        </div>
+      </div>
+
+      <p className="text-slate-300 text-sm font-semibold mb-3">
+        셀별 진행 상황
+      </p>
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-2 max-h-72 overflow-y-auto mb-6">
+        {batch.items.map((item) => (
+          <button
+            key={item.key}
+            type="button"
+            disabled={!item.resultId}
+            onClick={() => openResult(item)}
+            title={item.error || `${item.ne} / ${item.cell}`}
+            className={cn(
+              "rounded-lg border px-3 py-2 text-left text-xs transition-colors enabled:hover:brightness-125",
+              getTileStyle(item)
+            )}
+          >
+            <p className="font-medium truncate text-white">
+              {item.ne} / {item.cell}
+            </p>
+            <p className="truncate">{describeTileStatus(item)}</p>
+          </button>
+        ))}
+      </div>
+
+      {summary.ranked.length > 0 && (
+        <div>
+          <p className="text-slate-300 text-sm font-semibold mb-3">
+            판정 결과 (심각한 셀 우선)
+          </p>
+          <div className="max-h-80 overflow-y-auto rounded-lg border border-slate-200/10">
+            <table className="w-full text-sm">
+              <tbody>
+                {summary.ranked.map((item) => (
+                  <tr
+                    key={item.key}
+                    className="border-b border-slate-200/10 last:border-0"
+                  >
+                    <td className="py-2 px-4 w-32">
+                      <Badge variant={item.verdict?.status || "normal"} dot>
+                        {getStatusStyle(item.verdict?.status).label}
+                      </Badge>
+                    </td>
+                    <td className="py-2 px-4 text-white">
+                      {item.ne} / {item.cell}
+                    </td>
+                    <td className="py-2 px-4 text-right">
+                      {item.resultId && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          icon="open_in_new"
+                          onClick={() => openResult(item)}
+                        >
+                          결과 보기
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {summary.failed.length > 0 && (
+        <div className="mt-4 flex flex-col gap-1">
+          {summary.failed.map((item) => (
+            <p
+              key={item.key}
+              className="text-red-400 text-xs flex items-center gap-1"
+            >
+              <span className="material-symbols-outlined text-sm">error</span>
+              {item.ne} / {item.cell}: {item.error || "분석이 실패했습니다."}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// 저장된 분석 템플릿 목록
+function TemplateList({
+  templates,
+  loading,
+  saving,
+  error,
+  disabled,
+  deleteTemplate,
+  onRun,
+  onLoad,
+  onEdit,
+}) {
+  if (loading || (templates.length === 0 && !error)) return null;
+
+  const handleDelete = (template) => {
+    if (!window.confirm(`템플릿 "${template.name}"을(를) 삭제할까요?`)) return;
+    deleteTemplate(template.id).catch((err) =>
+      console.error("[Dashboard] 템플릿 삭제 실패:", err)
+    );
+  };
+
+  return (
+    <Card
+      className="mt-6"
+      title="저장된 템플릿"
+      subtitle="기간은 실행 시점 기준으로 다시 계산됩니다."
+    >
+      {error && <p className="text-red-400 text-sm mb-3">{error}</p>}
+      <ul className="divide-y divide-slate-200/10">
+        {templates.map((template) => (
+          <li
+            key={template.id}
+            className="flex flex-wrap items-center justify-between gap-3 py-3"
+          >
+            <div className="min-w-0">
+              <p className="text-white text-sm font-medium">{template.name}</p>
+              <p className="text-slate-400 text-xs truncate">
+                NE {template.neId.join(", ") || "-"} · Cell{" "}
+                {template.cellId.length}개 · {describeTemplateWindow(template)}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              <Button
+                size="sm"
+                icon="play_arrow"
+                disabled={disabled || saving}
+                onClick={() => onRun(template)}
+              >
+                실행
+              </Button>
+              <Button
+                size="sm"
+                variant="secondary"
+                icon="input"
+                disabled={disabled}
+                onClick={() => onLoad(template)}
+              >
+                불러오기
+              </Button>
+              <Button
+                size="sm"
+                variant="ghost"
+                icon="edit"
+                disabled={saving}
+                onClick={() => onEdit(template)}
+                aria-label="템플릿 편집"
+              />
+              <Button
+                size="sm"
+                variant="ghost"
+                icon="delete"
+                disabled={saving}
+                onClick={() => handleDelete(template)}
+                aria-label="템플릿 삭제"
+              />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+}
+
+// 템플릿 저장/편집 모달
+function TemplateModal({ isOpen, template, saving, error, onClose, onSubmit }) {
+  const [name, setName] = useState("");
+  const [overwriteForm, setOverwriteForm] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(template?.name || "");
+    setOverwriteForm(false);
+  }, [isOpen, template]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSubmit({ name, overwriteForm }).catch((err) =>
+      console.error("[Dashboard] 템플릿 저장 실패:", err)
+    );
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={template ? "템플릿 편집" : "템플릿으로 저장"}
+      size="sm"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Input
+          icon="bookmark"
+          placeholder="템플릿 이름"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          autoFocus
+        />
+        {template ? (
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input
+              type="checkbox"
+              checked={overwriteForm}
+              onChange={(e) => setOverwriteForm(e.target.checked)}
+              className="accent-[#2b8cee]"
+            />
+            현재 폼의 조건(EMS/NE/Cell, 기간)으로 덮어쓰기
+          </label>
+        ) : (
+          <p className="text-slate-400 text-xs">
+            현재 선택한 EMS/NE/Cell과 기간 형태가 저장됩니다. 기간은 현재 시각
+            기준 상대 값으로 저장됩니다.
+          </p>
+        )}
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+        <div className="flex justify-end gap-3 pt-2">
+          <Button type="button" variant="ghost" onClick={onClose}>
+            취소
+          </Button>
+          <Button type="submit" loading={saving} disabled={!name.trim()}>
+            저장
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
 export default function Dashboard() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const prefill = location.state?.prefill;
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [analysisResult, setAnalysisResult] = useState(null);
-  const [dbConfig, setDbConfig] = useState(null);
+  // Preferences에서 저장한 DB 설정 (서버에 연결할 수 없으면 캐시 값)
+  const {
+    profiles: dbProfiles,
+    defaultId: defaultDbProfileId,
+    source: dbSource,
+    loading: dbLoading,
+  } = useDbSettings();
+  const {
+    jobs,
+    batches,
+    startJob,
+    cancelJob,
+    dismissJob,
+    rerunJob,
+    startBatch,
+    cancelBatch,
+    retryBatch,
+    dismissBatch,
+  } = useAnalysisJobs();
+  const { now } = useFormatters();
+  const templateState = useAnalysisTemplates();
+  // 템플릿을 불러오면 key를 바꿔 폼을 해당 값으로 다시 마운트
+  const [formSeed, setFormSeed] = useState({
+    key: 0,
+    values: null,
+    runTemplate: null,
+  });
+  const formValuesRef = useRef(null);
+  const [templateModal, setTemplateModal] = useState(null);
+
+  // 가장 최근 작업을 표시 (새 분석으로 닫은 작업은 제외)
+  // 페이지를 이동했다 돌아와도 진행 중인 작업이 그대로 이어서 표시됩니다.
+  const latestJob = jobs.find((job) => !job.batchId);
+  const currentJob = latestJob && !latestJob.dismissed ? latestJob : null;
+  const currentBatch = batches[0] && !batches[0].dismissed ? batches[0] : null;
+  const currentResultId =
+    currentJob?.status === "completed" ? getJobResultId(currentJob) : null;
+  // 새로고침 후에는 결과 본문이 없으므로 resultId로 다시 조회
+  const { data: fetchedResult } = useAnalysisResultDetail(
+    currentResultId && !currentJob.result ? currentResultId : null
+  );
+  const analysisResult =
+    currentJob?.status === "completed"
+      ? currentJob.result || fetchedResult
+      : null;
 
   // EMS/NE/Cell 목록 데이터
   const [emsData, setEmsData] = useState(null);
@@ -412,80 +1190,35 @@ export default function Dashboard() {
     loadEmsData();
   }, []);
 
-  // 사용자 설정에서 DB 설정 로드
-  useEffect(() => {
-    const loadPreferences = async () => {
-      try {
-        const result = await getUserPreferences("default");
-        if (result.success && result.data?.database_settings) {
-          setDbConfig(result.data.database_settings);
-          console.log("[Dashboard] DB 설정 로드 완료:", {
-            ...result.data.database_settings,
-            password: "[HIDDEN]",
-          });
-        }
-      } catch (err) {
-        console.warn("[Dashboard] 사용자 설정 로드 실패:", err);
-      }
-    };
-    loadPreferences();
-  }, []);
-
-  /**
-   * 시간 형식 변환: "YYYY-MM-DD HH:MM" → "YYYY-MM-DD_HH:MM"
-   */
-  const formatTimeForApi = (dateTimeStr) => {
-    if (!dateTimeStr) return "";
-    return dateTimeStr.replace(/[\sT]/g, "_").substring(0, 16);
-  };
-
   const handleAnalysisSubmit = async (formData) => {
     setLoading(true);
     setError(null);
-    setAnalysisResult(null);
 
     try {
-      const requestParams = {
-        n_minus_1: `${formatTimeForApi(
-          formData.n1StartTime
-        )}~${formatTimeForApi(formData.n1EndTime)}`,
-        n: `${formatTimeForApi(formData.nStartTime)}~${formatTimeForApi(
-          formData.nEndTime
-        )}`,
-        ems: Array.isArray(formData.ems)
-          ? formData.ems.join(",")
-          : formData.ems,
-        ne_id: Array.isArray(formData.neId)
-          ? formData.neId.join(",")
-          : formData.neId,
-        cell_id: Array.isArray(formData.cellId)
-          ? formData.cellId.join(",")
-          : formData.cellId,
-        db_config: dbConfig
-          ? {
-              host: dbConfig.host,
-              port: dbConfig.port || 5432,
-              user: dbConfig.user,
-              password: dbConfig.password,
-              dbname: dbConfig.dbname,
-              table: dbConfig.table || "summary",
-            }
-          : undefined,
-        user_id: "default",
-      };
-
-      console.log("[Dashboard] LLM 분석 요청:", {
-        ...requestParams,
-        db_config: requestParams.db_config
-          ? { ...requestParams.db_config, password: "[HIDDEN]" }
-          : undefined,
-      });
-
-      const response = await runAnalysisV2(requestParams);
-      console.log("[Dashboard] 분석 결과:", response);
-
-      const result = response.data || response;
-      setAnalysisResult(result);
+      // 비밀번호는 프로필에 저장하지 않으므로 이 세션의 자격 증명에서 채움
+      const dbProfile = withCredentials(
+        findDbProfile(dbProfiles, formData.dbProfileId) ||
+          findDbProfile(dbProfiles, defaultDbProfileId)
+      );
+
+      // 셀별 분석: (NE, Cell) 쌍마다 작업을 만들고 동시 실행 수를 제한해 실행
+      if (formData.analysisMode === "per_cell") {
+        const batchId = startBatch(createBatch(formData, dbProfile));
+        console.log("[Dashboard] 셀별 분석 배치 시작:", batchId);
+        if (currentJob) dismissJob(currentJob.id);
+        return;
+      }
+
+      const requestParams = buildAnalysisRequest(formData, dbProfile);
+
+      console.log(
+        "[Dashboard] LLM 분석 요청:",
+        maskRequestParams(requestParams)
+      );
+
+      const analysisId = await startJob(requestParams);
+      console.log("[Dashboard] 비동기 분석 시작:", analysisId);
+      if (currentBatch) dismissBatch(currentBatch.id);
     } catch (err) {
       console.error("[Dashboard] 분석 요청 실패:", err);
       setError(
@@ -505,8 +1238,89 @@ export default function Dashboard() {
   };
 
   const handleReset = () => {
-    setAnalysisResult(null);
+    if (currentJob) dismissJob(currentJob.id);
+    setError(null);
+  };
+
+  const handleRerun = async () => {
+    if (!currentJob) return;
+    setError(null);
+    try {
+      await rerunJob(currentJob.params);
+    } catch (err) {
+      console.error("[Dashboard] 재분석 요청 실패:", err);
+      setError(
+        err.response?.data?.detail || err.message || "분석 요청에 실패했습니다."
+      );
+    }
+  };
+
+  const handleFormChange = useCallback((values) => {
+    formValuesRef.current = values;
+  }, []);
+
+  // 템플릿 값으로 폼을 다시 마운트 (현재 분석 방식/DB 프로필 선택은 유지)
+  const loadTemplate = (template, { run = false } = {}) => {
+    const current = formValuesRef.current;
+    const values = {
+      ...templateToForm(template, now()),
+      analysisMode: current?.analysisMode,
+      dbProfileId: current?.dbProfileId,
+    };
     setError(null);
+    setFormSeed((prev) => ({
+      key: prev.key + 1,
+      values,
+      runTemplate: run ? template.name : null,
+    }));
+  };
+
+  // 템플릿 원클릭 실행: 폼에 불러온 뒤 폼 제출과 같은 경로로 분석 요청
+  const handleRunTemplate = (template) => loadTemplate(template, { run: true });
+
+  const handleTemplateRunError = useCallback(
+    (message) =>
+      setError(
+        `템플릿 "${formSeed.runTemplate}"을 실행하지 못했습니다: ${message}`
+      ),
+    [formSeed.runTemplate]
+  );
+
+  const handleTemplateSubmit = async ({ name, overwriteForm }) => {
+    const form = formValuesRef.current;
+    const existing = templateModal?.template;
+    const template =
+      existing && !overwriteForm
+        ? renameTemplate(existing, name)
+        : createTemplate(name, form, {
+            windowPreset: form.windowPreset,
+            existing,
+            windowNow: now(),
+          });
+    await templateState.saveTemplate(template);
+    setTemplateModal(null);
+  };
+
+  const handleBatchCancel = async (batchId) => {
+    try {
+      await cancelBatch(batchId);
+    } catch (err) {
+      console.error("[Dashboard] 셀별 분석 취소 실패:", err);
+      setError(
+        err.response?.data?.detail || err.message || "분석 취소에 실패했습니다."
+      );
+    }
+  };
+
+  const handleCancel = async (jobId) => {
+    try {
+      await cancelJob(jobId);
+    } catch (err) {
+      console.error("[Dashboard] 분석 취소 실패:", err);
+      setError(
+        err.response?.data?.detail || err.message || "분석 취소에 실패했습니다."
+      );
+    }
   };
 
   return (
@@ -516,11 +1330,58 @@ export default function Dashboard() {
         description="Set the conditions below to begin your analysis."
       />
 
+      {!dbLoading && (dbProfiles.length === 0 || dbSource === "cache") && (
+        <div className="mb-4 p-4 rounded-lg bg-yellow-500/10 border border-yellow-500/20 text-yellow-400 text-sm flex items-center gap-2">
+          <span className="material-symbols-outlined">
+            {dbSource === "cache" ? "cloud_off" : "warning"}
+          </span>
+          <span className="flex-1">
+            {dbSource === "cache"
+              ? "서버에 연결할 수 없어 마지막으로 저장된 DB 설정을 사용합니다."
+              : "저장된 DB 설정이 없어 백엔드 기본 DB로 분석합니다."}
+          </span>
+          <Button
+            size="sm"
+            variant="ghost"
+            icon="settings"
+            onClick={() => navigate("/preferences")}
+          >
+            DB 설정
+          </Button>
+        </div>
+      )}
+
       <AnalysisForm
+        key={formSeed.key}
+        initialValues={formSeed.values}
+        autoSubmit={Boolean(formSeed.runTemplate)}
+        onAutoSubmitError={handleTemplateRunError}
         onSubmit={handleAnalysisSubmit}
+        onSaveTemplate={() => setTemplateModal({ template: null })}
+        onFormChange={handleFormChange}
         loading={loading}
         emsData={emsData}
         emsLoading={emsLoading}
+        dbProfiles={dbProfiles}
+        defaultDbProfileId={defaultDbProfileId}
+        prefill={prefill}
+      />
+
+      <TemplateList
+        {...templateState}
+        disabled={loading}
+        onRun={handleRunTemplate}
+        onLoad={loadTemplate}
+        onEdit={(template) => setTemplateModal({ template })}
+      />
+
+      <TemplateModal
+        isOpen={Boolean(templateModal)}
+        template={templateModal?.template}
+        saving={templateState.saving}
+        error={templateState.error}
+        onClose={() => setTemplateModal(null)}
+        onSubmit={handleTemplateSubmit}
       />
 
       {error && (
@@ -533,11 +1394,25 @@ export default function Dashboard() {
       )}
 
       <div className="mt-8">
-        {analysisResult ? (
+        {currentBatch ? (
+          <AnalysisBatchPanel
+            batch={currentBatch}
+            onCancel={handleBatchCancel}
+            onRetry={retryBatch}
+            onReset={() => dismissBatch(currentBatch.id)}
+          />
+        ) : analysisResult ? (
           <AnalysisResultPreview
             result={analysisResult}
             onViewDetail={handleViewDetail}
             onReset={handleReset}
+            onRerun={handleRerun}
+          />
+        ) : currentJob ? (
+          <AnalysisJobProgress
+            job={currentJob}
+            onCancel={handleCancel}
+            onReset={handleReset}
           />
         ) : (
           <div className="flex h-96 flex-col items-center justify-center rounded-xl border-2 border-dashed border-slate-200/20 bg-[#111a22]/50">
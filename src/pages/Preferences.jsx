@@ -1,22 +1,423 @@
 /**
  * Preferences 페이지
- * 데이터베이스 연동 설정
+ * 데이터베이스 연결 프로필 관리 (사용자 설정 database_profiles 에 저장)
+ * 비밀번호는 프로필과 분리해 세션 또는 암호화 보관함에만 둡니다 (lib/dbCredentials).
+ * 날짜/숫자 표시 형식(시간대, 날짜 형식, 숫자 형식)은 사용자 설정 generalSettings 에 저장합니다.
  */
 
 import { useState, useEffect } from 'react';
 import { Header } from '../components/layout/index.js';
-import { Card, Button, Input, Spinner } from '../components/common/index.js';
-
-const DEFAULT_DB_CONFIG = {
-  host: '165.213.69.30',
-  port: '5442',
-  database: 'pvt_db',
-  user: 'testuser',
-  password: '1234qwer',
-  table_name: 'pvt_db',
-};
-
-function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing, testResult }) {
+import { Card, Button, Input, Spinner, Badge, Modal, EmptyState } from '../components/common/index.js';
+import { testDbConnection } from '../lib/api.js';
+import { describeEnvironment, CONFIG_GROUPS, CONFIG_SOURCES } from '../lib/runtimeConfig.js';
+import { useDbSettings } from '../hooks/useDbSettings.js';
+import { useDbCredentials } from '../hooks/useDbCredentials.js';
+import {
+  EMPTY_DB_SETTINGS,
+  normalizeDbSettings,
+  isDbSettingsEqual,
+  validateDbSettings,
+  describeDbSettings,
+  createDbProfile,
+  cloneDbProfile,
+  updateDbProfile,
+  updateDbProfileSettings,
+  isDuplicateProfileName,
+  findDbProfile,
+} from '../lib/dbSettings.js';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  getSessionPassword,
+  setPassword,
+  forgetPassword,
+  forgetAllCredentials,
+  createVault,
+  unlockVault,
+  deleteVault,
+} from '../lib/dbCredentials.js';
+import { usePreference } from '../contexts/PreferenceContext.jsx';
+import { useFormatters } from '../hooks/useFormatters.js';
+import {
+  DATE_FORMAT_OPTIONS,
+  NUMBER_FORMAT_OPTIONS,
+  getTimeZoneOptions,
+  formatTimeZoneLabel,
+} from '../lib/formatting.js';
+import { cn } from '../lib/utils.js';
+
+function LastTestBadge({ lastTest }) {
+  const { formatDate } = useFormatters();
+  if (!lastTest) return <span className="text-slate-500 text-xs">연결 테스트 기록 없음</span>;
+  return (
+    <span className={cn('text-xs flex items-center gap-1', lastTest.success ? 'text-green-400' : 'text-red-400')}>
+      <span className="material-symbols-outlined text-sm">{lastTest.success ? 'check_circle' : 'error'}</span>
+      {lastTest.success ? '연결 성공' : '연결 실패'} · {formatDate(lastTest.testedAt)}
+    </span>
+  );
+}
+
+// 비밀번호 저장 여부만 표시 (값은 노출하지 않음)
+function CredentialStatus({ status, onForget, disabled }) {
+  const stored = status.inSession || status.inVault;
+  let label = '저장된 비밀번호 없음';
+  if (status.inSession && status.inVault) label = '이 세션과 암호화 보관함에 저장됨';
+  else if (status.inSession) label = '이 세션에만 저장됨 (탭을 닫으면 삭제)';
+  else if (status.inVault) label = '암호화 보관함에 저장됨 (잠금 해제 필요)';
+
+  return (
+    <div className="flex items-center gap-2 mt-2 text-xs">
+      <span className={cn('material-symbols-outlined text-sm', stored ? 'text-green-400' : 'text-slate-500')}>
+        {stored ? 'key' : 'key_off'}
+      </span>
+      <span className={stored ? 'text-slate-300' : 'text-slate-500'}>{label}</span>
+      {stored && (
+        <button type="button" onClick={onForget} disabled={disabled} className="ml-auto text-red-400 hover:text-red-300 disabled:opacity-50">
+          자격 증명 지우기
+        </button>
+      )}
+    </div>
+  );
+}
+
+// 암호 문구 보관함: 비밀번호를 암호화해 다음 세션에도 사용
+function CredentialVaultCard({ vaultState, vaultCount, onMessage }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handle = (action) => async (e) => {
+    e?.preventDefault();
+    setError(null);
+    setBusy(true);
+    try {
+      const message = await action();
+      setPassphrase('');
+      setConfirmation('');
+      if (message) onMessage({ success: true, message });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = handle(async () => {
+    if (passphrase !== confirmation) throw new Error('암호 문구가 일치하지 않습니다.');
+    await createVault(passphrase);
+    return '암호화 보관함을 만들었습니다. 이 세션의 비밀번호가 보관함에 저장됩니다.';
+  });
+
+  const handleUnlock = handle(async () => {
+    const count = await unlockVault(passphrase);
+    return `보관함을 잠금 해제했습니다. 비밀번호 ${count}개를 불러왔습니다.`;
+  });
+
+  const handleDeleteVault = handle(async () => {
+    if (!window.confirm('암호화 보관함을 삭제할까요? 이 세션의 비밀번호는 유지됩니다.')) return null;
+    deleteVault();
+    return '보관함을 삭제했습니다.';
+  });
+
+  const handleForgetAll = handle(async () => {
+    if (!window.confirm('이 세션과 보관함에 저장된 모든 DB 비밀번호를 지울까요?')) return null;
+    forgetAllCredentials();
+    return '저장된 모든 자격 증명을 지웠습니다.';
+  });
+
+  return (
+    <Card
+      title="자격 증명 보관"
+      subtitle="DB 비밀번호는 서버 설정이나 브라우저 저장소에 평문으로 남기지 않습니다. 기본적으로 이 탭의 세션에만 보관되며, 탭을 닫으면 다시 입력해야 합니다."
+      actions={
+        <Button size="sm" variant="ghost" icon="delete_sweep" onClick={handleForgetAll} disabled={busy}>
+          모든 자격 증명 지우기
+        </Button>
+      }
+      className="mt-6"
+    >
+      {vaultState === 'unlocked' ? (
+        <div className="flex items-center gap-3">
+          <Badge variant="normal" dot>잠금 해제됨</Badge>
+          <p className="text-slate-400 text-sm flex-1">
+            비밀번호 {vaultCount}개가 암호화되어 저장되어 있습니다. 이 세션에서 저장하는 비밀번호도 보관함에 반영됩니다.
+          </p>
+          <Button size="sm" variant="ghost" icon="delete" onClick={handleDeleteVault} disabled={busy}>
+            보관함 삭제
+          </Button>
+        </div>
+      ) : vaultState === 'locked' ? (
+        <form onSubmit={handleUnlock} className="flex flex-col gap-3">
+          <p className="text-slate-400 text-sm">
+            암호화 보관함에 비밀번호 {vaultCount}개가 있습니다. 암호 문구를 입력하면 이 세션에서 사용할 수 있습니다.
+          </p>
+          <div className="flex gap-3 items-start">
+            <div className="flex-1">
+              <Input
+                icon="key"
+                type="password"
+                placeholder="보관함 암호 문구"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                error={error}
+              />
+            </div>
+            <Button type="submit" icon="lock_open" loading={busy} disabled={!passphrase}>
+              잠금 해제
+            </Button>
+            <Button type="button" variant="ghost" icon="delete" onClick={handleDeleteVault} disabled={busy}>
+              보관함 삭제
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={handleCreate} className="flex flex-col gap-3">
+          <p className="text-slate-400 text-sm">
+            다음 세션에도 비밀번호를 쓰려면 암호 문구로 암호화한 보관함을 만드세요. 암호 문구는 어디에도 저장되지 않으며 잊으면 복구할 수 없습니다.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Input
+              icon="key"
+              type="password"
+              placeholder={`암호 문구 (${MIN_PASSPHRASE_LENGTH}자 이상)`}
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              error={error}
+            />
+            <Input
+              icon="key"
+              type="password"
+              placeholder="암호 문구 확인"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+            />
+          </div>
+          <div className="flex justify-end">
+            <Button type="submit" icon="enhanced_encryption" loading={busy} disabled={!passphrase || !confirmation}>
+              보관함 만들기
+            </Button>
+          </div>
+        </form>
+      )}
+    </Card>
+  );
+}
+
+function ProfileList({ profiles, defaultId, selectedId, onSelect, onCreate, disabled }) {
+  return (
+    <Card
+      title="연결 프로필"
+      subtitle="분석 요청에 사용할 데이터베이스를 프로필로 관리합니다."
+      actions={
+        <Button size="sm" icon="add" onClick={onCreate} disabled={disabled}>
+          새 프로필
+        </Button>
+      }
+      className="mb-6"
+    >
+      <div className="flex flex-col gap-2">
+        {profiles.map((profile) => (
+          <button
+            key={profile.id}
+            type="button"
+            onClick={() => onSelect(profile.id)}
+            className={cn(
+              'flex items-center gap-4 rounded-lg border px-4 py-3 text-left transition-colors',
+              profile.id === selectedId
+                ? 'border-[#2b8cee] bg-[#2b8cee]/10'
+                : 'border-[#324d67] bg-[#192633] hover:border-slate-400'
+            )}
+          >
+            <span className="material-symbols-outlined text-blue-400">database</span>
+            <div className="flex-1 min-w-0">
+              <p className="text-white font-medium flex items-center gap-2">
+                {profile.name}
+                {profile.id === defaultId && <Badge variant="info">기본</Badge>}
+              </p>
+              <p className="text-slate-400 text-xs truncate">{describeDbSettings(profile.settings)}</p>
+            </div>
+            <LastTestBadge lastTest={profile.lastTest} />
+          </button>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+// 새 프로필 / 복제 / 이름 변경 공용 이름 입력 모달
+function ProfileNameModal({ dialog, profiles, saving, onClose, onSubmit }) {
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    if (dialog) setName(dialog.initialName || '');
+  }, [dialog]);
+
+  // 이름 변경일 때만 자기 자신의 이름은 중복에서 제외
+  const exceptId = dialog?.mode === 'rename' ? dialog.profile.id : null;
+  const duplicate = Boolean(name.trim()) && isDuplicateProfileName(profiles, name, exceptId);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim() || duplicate) return;
+    onSubmit(name).catch((err) => console.error('[Preferences] 프로필 저장 실패:', err));
+  };
+
+  return (
+    <Modal isOpen={Boolean(dialog)} onClose={onClose} title={dialog?.title} size="sm">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Input
+          icon="badge"
+          placeholder="프로필 이름 (예: PVT, Field Trial, Lab)"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          error={duplicate ? '같은 이름의 프로필이 이미 있습니다.' : undefined}
+          autoFocus
+        />
+        <div className="flex justify-end gap-3 pt-2">
+          <Button type="button" variant="ghost" onClick={onClose}>
+            취소
+          </Button>
+          <Button type="submit" loading={saving} disabled={!name.trim() || duplicate}>
+            저장
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+const formatConfigValue = (value) => (typeof value === 'boolean' ? (value ? '사용' : '사용 안 함') : String(value));
+
+function FormatSelect({ label, value, options, onChange }) {
+  return (
+    <div>
+      <label className="block text-slate-300 text-sm font-medium mb-2">{label}</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full h-12 rounded-lg bg-[#192633] border border-[#324d67] px-4 text-white focus:outline-none focus:border-[#2b8cee]"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// 표시 형식: 모든 화면의 날짜/시각과 숫자 표시, 분석 기간 선택기의 시간대
+function DisplayFormatCard() {
+  const { generalSettings, updateSetting } = usePreference();
+  const { formatDate, formatNumber, getTimeZoneLabel } = useFormatters();
+  const timeZoneOptions = getTimeZoneOptions(generalSettings.timezone).map((zone) => ({
+    value: zone,
+    label: formatTimeZoneLabel(zone),
+  }));
+
+  return (
+    <Card
+      title="표시 형식"
+      subtitle="결과 목록, 상세, 차트의 시각과 숫자를 이 형식으로 표시합니다. 분석 기간(N-1/N)도 선택한 시간대 기준으로 입력합니다."
+      className="mt-6"
+    >
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <FormatSelect
+          label="시간대"
+          value={generalSettings.timezone}
+          options={timeZoneOptions}
+          onChange={(value) => updateSetting('generalSettings', 'timezone', value)}
+        />
+        <FormatSelect
+          label="날짜 형식"
+          value={generalSettings.dateFormat}
+          options={DATE_FORMAT_OPTIONS}
+          onChange={(value) => updateSetting('generalSettings', 'dateFormat', value)}
+        />
+        <FormatSelect
+          label="숫자 형식"
+          value={generalSettings.numberFormat}
+          options={NUMBER_FORMAT_OPTIONS}
+          onChange={(value) => updateSetting('generalSettings', 'numberFormat', value)}
+        />
+      </div>
+      <p className="text-slate-400 text-sm mt-4">
+        미리 보기 <span className="text-white ml-2">{formatDate(new Date())}</span>
+        <span className="text-slate-500 mx-2">·</span>
+        <span className="text-white">{formatNumber(1234567.891)}</span>
+        <span className="text-slate-500 ml-2">{getTimeZoneLabel()}</span>
+      </p>
+    </Card>
+  );
+}
+
+// About / Environment: 이 배포에 적용된 런타임 설정과 각 값의 출처
+function EnvironmentPanel() {
+  const { environment, runtimeConfigLoaded, entries } = describeEnvironment();
+
+  return (
+    <Card
+      title="About / Environment"
+      subtitle="runtime-config.js → 빌드 환경변수 → 기본값 순서로 결정된 API 주소, 타임아웃, 기능 플래그입니다."
+      className="mt-6"
+    >
+      <div className="flex flex-wrap gap-6 text-sm mb-4">
+        <span className="text-slate-400">
+          환경 <span className="text-white font-medium ml-1">{environment}</span>
+        </span>
+        <span className="text-slate-400">
+          runtime-config.js{' '}
+          <span className={cn('font-medium ml-1', runtimeConfigLoaded ? 'text-green-400' : 'text-slate-500')}>
+            {runtimeConfigLoaded ? '로드됨' : '없음'}
+          </span>
+        </span>
+      </div>
+      <div className="space-y-4">
+        {CONFIG_GROUPS.map((group) => (
+          <div key={group.key}>
+            <p className="text-slate-300 text-xs font-semibold mb-2">{group.label}</p>
+            <div className="rounded-lg border border-slate-200/10 divide-y divide-slate-200/10">
+              {entries
+                .filter((entry) => entry.group === group.key)
+                .map((entry) => (
+                  <div key={entry.key} className="flex items-center gap-4 px-4 py-2 text-sm">
+                    <span className="text-slate-400 w-40 shrink-0">{entry.label}</span>
+                    <code className="text-green-400 break-all flex-1">{formatConfigValue(entry.value)}</code>
+                    <span className="text-slate-500 text-xs shrink-0" title={`런타임 키 ${entry.runtimeKey} / 환경변수 ${entry.envKey}`}>
+                      {entry.sourceKey || entry.runtimeKey}
+                    </span>
+                    <Badge variant={entry.source === 'default' ? 'default' : 'info'}>{CONFIG_SOURCES[entry.source]}</Badge>
+                  </div>
+                ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+function DatabaseConfigForm({
+  profile,
+  isDefault,
+  config,
+  errors,
+  dirty,
+  onChange,
+  onSave,
+  onReset,
+  onTest,
+  onClone,
+  onRename,
+  onMakeDefault,
+  onDelete,
+  credentialStatus,
+  onForgetPassword,
+  saving,
+  testing,
+  testResult,
+}) {
   const handleChange = (field) => (e) => {
     onChange({ ...config, [field]: e.target.value });
   };
@@ -28,8 +429,28 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
           <span className="material-symbols-outlined text-blue-400">database</span>
         </div>
         <div>
-          <h2 className="text-white text-lg font-bold">Database 연동</h2>
-          <p className="text-slate-400 text-sm">PostgreSQL 데이터베이스 연결 설정</p>
+          <h2 className="text-white text-lg font-bold flex items-center gap-2">
+            {profile.name}
+            {isDefault && <Badge variant="info">기본</Badge>}
+            {dirty && <Badge variant="warning" dot>저장되지 않은 변경 사항</Badge>}
+          </h2>
+          <LastTestBadge lastTest={profile.lastTest} />
+        </div>
+        <div className="ml-auto flex gap-1">
+          <Button size="sm" variant="ghost" icon="content_copy" onClick={onClone} disabled={saving}>
+            복제
+          </Button>
+          <Button size="sm" variant="ghost" icon="edit" onClick={onRename} disabled={saving}>
+            이름 변경
+          </Button>
+          {!isDefault && (
+            <Button size="sm" variant="ghost" icon="star" onClick={onMakeDefault} disabled={saving}>
+              기본으로 지정
+            </Button>
+          )}
+          <Button size="sm" variant="ghost" icon="delete" onClick={onDelete} disabled={saving}>
+            삭제
+          </Button>
         </div>
       </div>
 
@@ -43,6 +464,7 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
               placeholder="데이터베이스 호스트 주소"
               value={config.host}
               onChange={handleChange('host')}
+              error={errors.host}
             />
           </div>
           <div>
@@ -52,6 +474,7 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
               placeholder="포트 번호"
               value={config.port}
               onChange={handleChange('port')}
+              error={errors.port}
             />
           </div>
         </div>
@@ -63,8 +486,9 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
             <Input
               icon="storage"
               placeholder="데이터베이스 이름"
-              value={config.database}
-              onChange={handleChange('database')}
+              value={config.dbname}
+              onChange={handleChange('dbname')}
+              error={errors.dbname}
             />
           </div>
           <div>
@@ -72,8 +496,9 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
             <Input
               icon="table_chart"
               placeholder="테이블 이름"
-              value={config.table_name}
-              onChange={handleChange('table_name')}
+              value={config.table}
+              onChange={handleChange('table')}
+              error={errors.table}
             />
           </div>
         </div>
@@ -94,10 +519,14 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
             <Input
               icon="lock"
               type="password"
-              placeholder="비밀번호"
+              autoComplete="new-password"
+              placeholder={
+                credentialStatus.inSession || credentialStatus.inVault ? '저장된 비밀번호 유지 (변경하려면 입력)' : '비밀번호'
+              }
               value={config.password}
               onChange={handleChange('password')}
             />
+            <CredentialStatus status={credentialStatus} onForget={onForgetPassword} disabled={saving} />
           </div>
         </div>
 
@@ -105,7 +534,7 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
         <div className="mt-4 p-4 rounded-lg bg-slate-800/50 border border-slate-200/10">
           <p className="text-slate-400 text-xs font-medium mb-2">Connection String Preview</p>
           <code className="text-sm text-green-400 break-all">
-            postgresql://{config.user}:****@{config.host}:{config.port}/{config.database}
+            postgresql://{config.user}:****@{config.host}:{config.port}/{config.dbname}
           </code>
         </div>
 
@@ -131,6 +560,14 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
 
         {/* Actions */}
         <div className="flex justify-end gap-3 pt-4 border-t border-slate-200/10">
+          <Button
+            variant="ghost"
+            icon="undo"
+            onClick={onReset}
+            disabled={!dirty || saving}
+          >
+            되돌리기
+          </Button>
           <Button 
             variant="secondary" 
             icon="cable" 
@@ -144,7 +581,7 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
             icon="save" 
             onClick={onSave}
             loading={saving}
-            disabled={testing}
+            disabled={testing || !dirty}
           >
             설정 저장
           </Button>
@@ -155,72 +592,169 @@ function DatabaseConfigForm({ config, onChange, onSave, onTest, saving, testing,
 }
 
 export default function Preferences() {
-  const [dbConfig, setDbConfig] = useState(DEFAULT_DB_CONFIG);
-  const [saving, setSaving] = useState(false);
+  const { profiles, defaultId, source, loading, saving, error: settingsError, persist } = useDbSettings();
+  const { getStatus: getCredentialStatus, vaultState, vaultCount } = useDbCredentials();
+  const [selectedId, setSelectedId] = useState(null);
+  const [dbConfig, setDbConfig] = useState(EMPTY_DB_SETTINGS);
+  const [errors, setErrors] = useState({});
   const [testing, setTesting] = useState(false);
   const [testResult, setTestResult] = useState(null);
   const [saveMessage, setSaveMessage] = useState(null);
+  const [dialog, setDialog] = useState(null);
+
+  const selected = findDbProfile(profiles, selectedId) || findDbProfile(profiles, defaultId);
+  const savedConfig = selected?.settings || EMPTY_DB_SETTINGS;
+
+  const selectedProfileId = selected?.id;
 
-  // 저장된 설정 로드
+  // 선택한 프로필의 저장된 값으로 폼 초기화 (프로필 목록을 다시 저장할 때마다 갱신)
+  // 비밀번호 입력란은 새 비밀번호를 입력할 때만 채워지며, 비워 두면 저장된 값을 유지합니다.
   useEffect(() => {
-    const saved = localStorage.getItem('db_config');
-    if (saved) {
-      try {
-        setDbConfig({ ...DEFAULT_DB_CONFIG, ...JSON.parse(saved) });
-      } catch (e) {
-        console.error('Failed to parse saved config:', e);
-      }
-    }
-  }, []);
+    setDbConfig({ ...savedConfig, password: '' });
+    setErrors({});
+  }, [savedConfig]);
 
-  const handleSave = async () => {
-    setSaving(true);
+  useEffect(() => {
+    setTestResult(null);
+  }, [selectedProfileId]);
+
+  const dirty = Boolean(selected) && (!isDbSettingsEqual(dbConfig, savedConfig) || Boolean(dbConfig.password));
+
+  // 저장하지 않은 변경 사항이 있으면 페이지를 떠나기 전에 확인
+  useEffect(() => {
+    if (!dirty) return undefined;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+
+  const showMessage = (message) => {
+    setSaveMessage(message);
+    if (message.success) setTimeout(() => setSaveMessage(null), 3000);
+  };
+
+  const run = async (action, successMessage) => {
     setSaveMessage(null);
     try {
-      // 로컬 스토리지에 저장
-      localStorage.setItem('db_config', JSON.stringify(dbConfig));
-      
-      // TODO: 백엔드 API로 저장 (구현 시 추가)
-      // await saveUserPreferences('default', { db_config: dbConfig });
-      
-      setSaveMessage({ success: true, message: '설정이 저장되었습니다.' });
-      setTimeout(() => setSaveMessage(null), 3000);
+      await persist(action);
+      if (successMessage) showMessage({ success: true, message: successMessage });
     } catch (err) {
-      setSaveMessage({ success: false, message: '저장에 실패했습니다.' });
-    } finally {
-      setSaving(false);
+      showMessage({ success: false, message: err.response?.data?.detail || err.message || '저장에 실패했습니다.' });
+      throw err;
     }
   };
 
+  const confirmDiscard = () => !dirty || window.confirm('저장하지 않은 변경 사항이 있습니다. 버리고 이동할까요?');
+
+  const handleSelect = (id) => {
+    if (id === selected?.id || !confirmDiscard()) return;
+    setSelectedId(id);
+  };
+
+  const handleChange = (next) => {
+    setDbConfig(next);
+    setErrors({});
+  };
+
+  const handleReset = () => {
+    setDbConfig({ ...savedConfig, password: '' });
+    setErrors({});
+  };
+
+  const handleSave = async () => {
+    const validation = validateDbSettings(dbConfig);
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+    const { id, name } = selected;
+    const { password } = dbConfig;
+    try {
+      // 연결 설정은 사용자 설정에, 비밀번호는 세션(보관함이 열려 있으면 보관함에도)에 저장
+      await run(
+        (current) => ({ ...current, profiles: updateDbProfileSettings(current.profiles, id, dbConfig) }),
+        `'${name}' 프로필이 저장되었습니다. 이후 분석 요청에 적용됩니다.`
+      );
+      if (password) await setPassword(id, password);
+    } catch {
+      // run 에서 메시지 표시
+    }
+  };
+
+  const handleForgetPassword = () => {
+    if (!window.confirm(`'${selected.name}' 프로필의 저장된 비밀번호를 지울까요?`)) return;
+    forgetPassword(selected.id).then(() => showMessage({ success: true, message: '비밀번호를 지웠습니다.' }));
+  };
+
+  const handleDialogSubmit = async (name) => {
+    if (dialog.mode === 'rename') {
+      await run((current) => ({ ...current, profiles: updateDbProfile(current.profiles, dialog.profile.id, { name: name.trim() }) }));
+    } else {
+      const profile = dialog.mode === 'clone' ? cloneDbProfile(dialog.profile, name) : createDbProfile(name);
+      await run((current) => ({ ...current, profiles: [...current.profiles, profile] }));
+      // 복제한 프로필은 이 세션의 비밀번호도 이어받음
+      const password = dialog.mode === 'clone' ? getSessionPassword(dialog.profile.id) : null;
+      if (password !== null) await setPassword(profile.id, password);
+      setSelectedId(profile.id);
+    }
+    setDialog(null);
+  };
+
+  const openDialog = (mode) => {
+    if (!confirmDiscard()) return;
+    const titles = { create: '새 연결 프로필', clone: '프로필 복제', rename: '프로필 이름 변경' };
+    const initialNames = { create: '', clone: `${selected?.name} 복사본`, rename: selected?.name };
+    setDialog({ mode, profile: selected, title: titles[mode], initialName: initialNames[mode] });
+  };
+
+  const handleMakeDefault = () => {
+    if (!confirmDiscard()) return;
+    run((current) => ({ ...current, defaultId: selected.id }), `'${selected.name}' 프로필을 기본으로 지정했습니다.`).catch(() => {});
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`'${selected.name}' 프로필을 삭제할까요?`)) return;
+    const id = selected.id;
+    run((current) => ({ ...current, profiles: current.profiles.filter((profile) => profile.id !== id) }), '프로필을 삭제했습니다.')
+      .then(() => {
+        setSelectedId(null);
+        return forgetPassword(id);
+      })
+      .catch(() => {});
+  };
+
   const handleTest = async () => {
+    const profile = selected;
+    const testedConfig = dbConfig;
+    const password = testedConfig.password || getSessionPassword(profile.id) || '';
     setTesting(true);
     setTestResult(null);
+    let result;
     try {
       // 백엔드 연결 테스트 API 호출
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL || 'http://165.213.69.30:8000/api'}/db/test-connection`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(dbConfig),
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.detail || `HTTP ${response.status}`);
-      }
-      
-      const data = await response.json();
-      setTestResult({ 
-        success: data.connected ?? true, 
-        message: data.message || `${dbConfig.host}:${dbConfig.port}/${dbConfig.database} 연결 성공!` 
-      });
+      const data = await testDbConnection({ ...normalizeDbSettings(testedConfig), password });
+      result = {
+        success: data.connected ?? true,
+        message: data.message || `${testedConfig.host}:${testedConfig.port}/${testedConfig.dbname} 연결 성공!`,
+      };
     } catch (err) {
-      setTestResult({ 
-        success: false, 
-        message: err.message || '연결 테스트에 실패했습니다. 백엔드 API를 확인하세요.' 
-      });
+      result = {
+        success: false,
+        message: err.response?.data?.detail || err.message || '연결 테스트에 실패했습니다. 백엔드 API를 확인하세요.',
+      };
     } finally {
       setTesting(false);
     }
+    setTestResult(result);
+
+    // 저장된 값 그대로 테스트한 경우에만 프로필에 마지막 테스트 결과로 기록
+    if (profile && !testedConfig.password && isDbSettingsEqual(testedConfig, profile.settings)) {
+      const lastTest = { ...result, testedAt: new Date().toISOString() };
+      persist((current) => ({ ...current, profiles: updateDbProfile(current.profiles, profile.id, { lastTest }) })).catch((err) =>
+        console.warn('[Preferences] 연결 테스트 결과 저장 실패:', err)
+      );
+    }
   };
 
   return (
@@ -246,23 +780,81 @@ export default function Preferences() {
         </div>
       )}
 
-      <DatabaseConfigForm
-        config={dbConfig}
-        onChange={setDbConfig}
-        onSave={handleSave}
-        onTest={handleTest}
+      {settingsError && !saveMessage && (
+        <div className="mb-6 p-4 rounded-lg border bg-yellow-500/10 border-yellow-500/20 text-yellow-400">
+          <div className="flex items-center gap-2">
+            <span className="material-symbols-outlined">{source === 'cache' ? 'cloud_off' : 'warning'}</span>
+            {settingsError}
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <Card>
+          <div className="flex items-center justify-center py-12">
+            <Spinner size="md" />
+            <span className="text-slate-400 ml-3">설정 로딩 중...</span>
+          </div>
+        </Card>
+      ) : profiles.length === 0 ? (
+        <Card>
+          <EmptyState
+            icon="database"
+            title="등록된 연결 프로필이 없습니다"
+            description="분석에 사용할 데이터베이스 연결 프로필을 추가하세요. 프로필이 없으면 백엔드 기본 DB로 분석합니다."
+            action={
+              <Button icon="add" onClick={() => openDialog('create')}>
+                새 프로필
+              </Button>
+            }
+          />
+        </Card>
+      ) : (
+        <>
+          <ProfileList
+            profiles={profiles}
+            defaultId={defaultId}
+            selectedId={selected?.id}
+            onSelect={handleSelect}
+            onCreate={() => openDialog('create')}
+            disabled={saving}
+          />
+          <DatabaseConfigForm
+            profile={selected}
+            isDefault={selected?.id === defaultId}
+            config={dbConfig}
+            errors={errors}
+            dirty={dirty}
+            onChange={handleChange}
+            onSave={handleSave}
+            onReset={handleReset}
+            onTest={handleTest}
+            onClone={() => openDialog('clone')}
+            onRename={() => openDialog('rename')}
+            onMakeDefault={handleMakeDefault}
+            onDelete={handleDelete}
+            credentialStatus={getCredentialStatus(selected.id)}
+            onForgetPassword={handleForgetPassword}
+            saving={saving}
+            testing={testing}
+            testResult={testResult}
+          />
+        </>
+      )}
+
+      <CredentialVaultCard vaultState={vaultState} vaultCount={vaultCount} onMessage={showMessage} />
+
+      <DisplayFormatCard />
+
+      <ProfileNameModal
+        dialog={dialog}
+        profiles={profiles}
         saving={saving}
-        testing={testing}
-        testResult={testResult}
+        onClose={() => setDialog(null)}
+        onSubmit={handleDialogSubmit}
       />
 
-      {/* 추가 설정 섹션 (나중에 확장 가능) */}
-      <div className="mt-6 p-6 rounded-xl border-2 border-dashed border-slate-200/20 bg-[#111a22]/50">
-        <div className="flex flex-col items-center justify-center text-center py-8">
-          <span className="material-symbols-outlined text-4xl text-slate-500 mb-3">settings</span>
-          <p className="text-slate-400 text-sm">추가 설정 옵션이 여기에 표시됩니다.</p>
-        </div>
-      </div>
+      <EnvironmentPanel />
     </div>
   );
 }
@@ -0,0 +1,349 @@
+/**
+ * 분석 결과 비교 페이지
+ * /results/compare?ids=a,b,c
+ */
+
+import { useMemo, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Header } from "../components/layout/index.js";
+import {
+  Button,
+  Card,
+  Badge,
+  EmptyState,
+  Spinner,
+} from "../components/common/index.js";
+import { useAnalysisResultDetails } from "../hooks/useAnalysisResults.js";
+import {
+  orderByCreatedAt,
+  alignPegComparisons,
+  diffLists,
+  getStatusTransitions,
+} from "../lib/compareUtils.js";
+import { getStatusStyle, getTrendStyle, cn } from "../lib/utils.js";
+import { useFormatters } from "../hooks/useFormatters.js";
+
+function resultLabel(index) {
+  return `R${index + 1}`;
+}
+
+function ResultSummaryCard({ result, index }) {
+  const { formatDate, formatNumber, formatPercent } = useFormatters();
+  const status = result.choi_result?.status || "normal";
+  return (
+    <div className="rounded-lg border border-slate-200/10 bg-slate-800/30 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <span className="text-[#2b8cee] text-sm font-bold">
+          {resultLabel(index)}
+        </span>
+        <Badge variant={status} dot>
+          {getStatusStyle(status).label}
+        </Badge>
+      </div>
+      <p className="text-white text-sm font-medium">
+        {result.ne_id} / {result.cell_id}
+      </p>
+      <p className="text-slate-400 text-xs mt-1">
+        {result.swname || "-"}
+        {result.rel_ver ? ` (${result.rel_ver})` : ""}
+      </p>
+      <div className="grid grid-cols-2 gap-2 mt-3 text-xs">
+        <div>
+          <p className="text-slate-500">Confidence</p>
+          <p className="text-slate-300">
+            {formatPercent((result.llm_analysis?.confidence || 0) * 100, 0)}
+          </p>
+        </div>
+        <div>
+          <p className="text-slate-500">Choi Score</p>
+          <p className="text-slate-300">
+            {result.choi_result?.score != null
+              ? formatNumber(result.choi_result.score)
+              : "-"}
+          </p>
+        </div>
+      </div>
+      <p className="text-slate-500 text-xs mt-3">
+        {formatDate(result.created_at)}
+      </p>
+    </div>
+  );
+}
+
+function StatusTransitions({ transitions, results }) {
+  if (transitions.length === 0) {
+    return (
+      <p className="text-slate-400 text-sm">
+        비교 대상 간 Choi 상태 변화가 없습니다.
+      </p>
+    );
+  }
+  return (
+    <ul className="space-y-2">
+      {transitions.map((t) => (
+        <li
+          key={`${t.fromIndex}-${t.toIndex}`}
+          className={cn(
+            "flex items-center gap-3 text-sm p-3 rounded-lg border",
+            t.direction === "worsened"
+              ? "bg-red-500/10 border-red-500/20"
+              : "bg-green-500/10 border-green-500/20"
+          )}
+        >
+          <span
+            className={cn(
+              "material-symbols-outlined",
+              t.direction === "worsened" ? "text-red-400" : "text-green-400"
+            )}
+          >
+            {t.direction === "worsened" ? "trending_down" : "trending_up"}
+          </span>
+          <span className="text-slate-300">
+            {resultLabel(t.fromIndex)} → {resultLabel(t.toIndex)}
+          </span>
+          <Badge variant={t.from}>{getStatusStyle(t.from).label}</Badge>
+          <span className="material-symbols-outlined text-slate-500 text-base">
+            arrow_forward
+          </span>
+          <Badge variant={t.to}>{getStatusStyle(t.to).label}</Badge>
+          <span className="text-slate-500 text-xs ml-auto">
+            {results[t.toIndex].swname || ""}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function PegCompareTable({ rows, results }) {
+  const { formatNumber, formatChange } = useFormatters();
+  const [search, setSearch] = useState("");
+  const [changedOnly, setChangedOnly] = useState(false);
+
+  const visibleRows = useMemo(() => {
+    const keyword = search.trim().toLowerCase();
+    return rows
+      .filter((row) => !keyword || row.pegName.toLowerCase().includes(keyword))
+      .filter((row) => !changedOnly || row.maxAbsChange > 0)
+      .sort((a, b) => b.maxAbsChange - a.maxAbsChange);
+  }, [rows, search, changedOnly]);
+
+  return (
+    <Card
+      title="PEG Comparison"
+      subtitle={`N 기간 평균 기준, ${resultLabel(0)} 대비 변화율 (변화 큰 순)`}
+      actions={
+        <>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="PEG 검색"
+            className="h-9 rounded-lg bg-[#192633] border border-[#324d67] px-3 text-sm text-white placeholder:text-slate-400 focus:outline-none focus:border-[#2b8cee]"
+          />
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            <input
+              type="checkbox"
+              checked={changedOnly}
+              onChange={(e) => setChangedOnly(e.target.checked)}
+              className="accent-[#2b8cee]"
+            />
+            변화 있는 PEG만
+          </label>
+        </>
+      }
+    >
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200/10">
+              <th className="text-left py-2 pr-4 text-slate-400">PEG Name</th>
+              {results.map((result, i) => (
+                <th
+                  key={result.id}
+                  className="text-right py-2 px-3 text-slate-400"
+                >
+                  {resultLabel(i)} N Avg
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map((row) => (
+              <tr key={row.pegName} className="border-b border-slate-200/10">
+                <td className="py-2 pr-4 text-white">{row.pegName}</td>
+                {row.cells.map((cell, i) => {
+                  const delta = row.deltas[i].fromBasePercent;
+                  const trendStyle = getTrendStyle(delta ?? 0);
+                  return (
+                    <td key={i} className="py-2 px-3 text-right">
+                      {cell ? (
+                        <div className="flex flex-col items-end">
+                          <span className="text-slate-300">
+                            {formatNumber(cell.n?.avg)}
+                          </span>
+                          {i > 0 && delta !== null && (
+                            <span className={cn("text-xs", trendStyle.color)}>
+                              {formatChange(delta)}
+                            </span>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-slate-600">-</span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {visibleRows.length === 0 && (
+          <p className="text-slate-400 text-sm text-center py-6">
+            표시할 PEG가 없습니다.
+          </p>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+function ListDiffCard({ title, items, results, icon, color }) {
+  if (items.length === 0) return null;
+  return (
+    <Card title={title}>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-200/10">
+              <th className="text-left py-2 pr-4 text-slate-400">항목</th>
+              {results.map((result, i) => (
+                <th
+                  key={result.id}
+                  className="py-2 px-3 text-center text-slate-400 w-14"
+                >
+                  {resultLabel(i)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item) => (
+              <tr key={item.text} className="border-b border-slate-200/10">
+                <td className="py-2 pr-4">
+                  <span className={cn("flex items-start gap-2", color)}>
+                    <span className="material-symbols-outlined text-lg">
+                      {icon}
+                    </span>
+                    <span>
+                      {item.text}
+                      {item.common && <Badge className="ml-2">공통</Badge>}
+                    </span>
+                  </span>
+                </td>
+                {item.presence.map((present, i) => (
+                  <td key={i} className="py-2 px-3 text-center">
+                    {present ? (
+                      <span className="material-symbols-outlined text-base text-[#2b8cee]">
+                        check
+                      </span>
+                    ) : (
+                      <span className="text-slate-600">-</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+}
+
+export default function ResultCompare() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const ids = useMemo(
+    () =>
+      (searchParams.get("ids") || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean),
+    [searchParams]
+  );
+  const { items, failures, loading } = useAnalysisResultDetails(ids);
+
+  const results = useMemo(() => orderByCreatedAt(items), [items]);
+  const pegRows = useMemo(() => alignPegComparisons(results), [results]);
+  const issueDiff = useMemo(
+    () => diffLists(results, (r) => r.llm_analysis?.issues),
+    [results]
+  );
+  const recommendationDiff = useMemo(
+    () => diffLists(results, (r) => r.llm_analysis?.recommendations),
+    [results]
+  );
+  const transitions = useMemo(() => getStatusTransitions(results), [results]);
+
+  return (
+    <div>
+      <Header
+        title="Compare Analysis Results"
+        description="선택한 분석 결과의 PEG 변화와 LLM 분석 차이를 비교합니다."
+        actions={
+          <Button
+            variant="secondary"
+            icon="arrow_back"
+            onClick={() => navigate("/results")}
+          >
+            결과 목록
+          </Button>
+        }
+      />
+      {failures.length > 0 && (
+        <div className="mb-4 p-4 rounded-lg bg-yellow-500/10 border border-yellow-500/20 text-yellow-400 text-sm">
+          일부 결과를 불러오지 못했습니다:{" "}
+          {failures.map((f) => `${f.id} (${f.error})`).join(", ")}
+        </div>
+      )}
+      {loading ? (
+        <div className="flex items-center justify-center py-16">
+          <Spinner size="lg" />
+        </div>
+      ) : results.length < 2 ? (
+        <EmptyState
+          icon="compare_arrows"
+          title="비교할 결과가 부족합니다"
+          description="분석 결과 목록에서 두 개 이상의 결과를 선택한 후 비교를 실행하세요."
+        />
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-4">
+            {results.map((result, i) => (
+              <ResultSummaryCard key={result.id} result={result} index={i} />
+            ))}
+          </div>
+          <Card title="Choi Status Transitions">
+            <StatusTransitions transitions={transitions} results={results} />
+          </Card>
+          <PegCompareTable rows={pegRows} results={results} />
+          <ListDiffCard
+            title="Issues"
+            items={issueDiff}
+            results={results}
+            icon="warning"
+            color="text-red-400"
+          />
+          <ListDiffCard
+            title="Recommendations"
+            items={recommendationDiff}
+            results={results}
+            icon="lightbulb"
+            color="text-green-400"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,619 @@
+/**
+ * 분석 결과 상세 페이지
+ * /results/:id
+ */
+
+import { Fragment, useMemo, useState } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { Header } from "../components/layout/index.js";
+import {
+  Button,
+  Card,
+  Badge,
+  EmptyState,
+  Spinner,
+} from "../components/common/index.js";
+import {
+  PegDistributionChart,
+  TopMoversChart,
+} from "../components/charts/index.js";
+import { useAnalysisResultDetail } from "../hooks/useAnalysisResults.js";
+import { useAnalysisJobs } from "../hooks/useAnalysisJobs.js";
+import { findJobForResult } from "../lib/analysisJobs.js";
+import { useFormatters } from "../hooks/useFormatters.js";
+import { getStatusStyle, getTrendStyle, cn } from "../lib/utils.js";
+
+// PegStatistics 필드 (표시 순서)
+const STAT_FIELDS = [
+  { key: "avg", label: "Avg" },
+  { key: "pct_95", label: "P95" },
+  { key: "pct_99", label: "P99" },
+  { key: "min", label: "Min" },
+  { key: "max", label: "Max" },
+  { key: "std", label: "Std" },
+  { key: "count", label: "Count", decimals: 0 },
+];
+
+const PERIODS = [
+  { key: "n_minus_1", label: "N-1" },
+  { key: "n", label: "N" },
+];
+
+function getSortValue(peg, sortKey) {
+  if (sortKey === "peg_name") return peg.peg_name;
+  if (sortKey === "change_absolute") return peg.change_absolute;
+  if (sortKey === "change_percentage") return peg.change_percentage;
+  const [period, field] = sortKey.split(".");
+  return peg[period]?.[field];
+}
+
+function sortPegs(pegs, { key, order }) {
+  const direction = order === "desc" ? -1 : 1;
+  return [...pegs].sort((a, b) => {
+    const aValue = getSortValue(a, key);
+    const bValue = getSortValue(b, key);
+    if (aValue == null || bValue == null)
+      return (aValue == null) - (bValue == null);
+    if (typeof aValue === "number" && typeof bValue === "number")
+      return (aValue - bValue) * direction;
+    return String(aValue).localeCompare(String(bValue)) * direction;
+  });
+}
+
+function InfoCard({ label, value }) {
+  return (
+    <div className="rounded-lg bg-slate-800/30 p-4">
+      <p className="text-slate-400 text-xs mb-1">{label}</p>
+      <div className="text-white text-lg font-medium break-all">{value}</div>
+    </div>
+  );
+}
+
+function SortButton({ label, sortKey, sort, onSort, align = "right" }) {
+  const isSorted = sort.key === sortKey;
+  return (
+    <button
+      type="button"
+      className={cn(
+        "inline-flex items-center gap-0.5 hover:text-white",
+        align === "right" && "flex-row-reverse",
+        isSorted && "text-white"
+      )}
+      onClick={() =>
+        onSort({
+          key: sortKey,
+          order: isSorted && sort.order === "desc" ? "asc" : "desc",
+        })
+      }
+    >
+      {label}
+      {isSorted && (
+        <span className="material-symbols-outlined text-sm">
+          {sort.order === "desc" ? "arrow_downward" : "arrow_upward"}
+        </span>
+      )}
+    </button>
+  );
+}
+
+function PegStatisticsTable({ pegs, pegInsights, selectedPeg, onSelectPeg }) {
+  const { formatNumber, formatChange } = useFormatters();
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState({ key: "change_percentage", order: "desc" });
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  const visiblePegs = useMemo(() => {
+    const keyword = search.trim().toLowerCase();
+    const filtered = keyword
+      ? pegs.filter((peg) => peg.peg_name.toLowerCase().includes(keyword))
+      : pegs;
+    return sortPegs(filtered, sort);
+  }, [pegs, search, sort]);
+
+  const toggleExpanded = (pegName) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(pegName)) next.delete(pegName);
+      else next.add(pegName);
+      return next;
+    });
+  };
+
+  const columnCount = 1 + PERIODS.length * STAT_FIELDS.length + 2;
+
+  return (
+    <Card
+      title="PEG Comparisons"
+      subtitle={`${visiblePegs.length} / ${pegs.length} PEGs`}
+      actions={
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="PEG 검색"
+          className="h-9 rounded-lg bg-[#192633] border border-[#324d67] px-3 text-sm text-white placeholder:text-slate-400 focus:outline-none focus:border-[#2b8cee]"
+        />
+      }
+    >
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm whitespace-nowrap">
+          <thead>
+            <tr className="text-slate-400 text-xs">
+              <th rowSpan={2} className="text-left py-2 pr-4 align-bottom">
+                <SortButton
+                  label="PEG Name"
+                  sortKey="peg_name"
+                  sort={sort}
+                  onSort={setSort}
+                  align="left"
+                />
+              </th>
+              {PERIODS.map((period) => (
+                <th
+                  key={period.key}
+                  colSpan={STAT_FIELDS.length}
+                  className="text-center py-1 border-l border-slate-200/10"
+                >
+                  {period.label}
+                </th>
+              ))}
+              <th
+                colSpan={2}
+                className="text-center py-1 border-l border-slate-200/10"
+              >
+                Change
+              </th>
+            </tr>
+            <tr className="border-b border-slate-200/10 text-slate-400 text-xs">
+              {PERIODS.map((period) =>
+                STAT_FIELDS.map((field, i) => (
+                  <th
+                    key={`${period.key}.${field.key}`}
+                    className={cn(
+                      "text-right py-2 px-2",
+                      i === 0 && "border-l border-slate-200/10"
+                    )}
+                  >
+                    <SortButton
+                      label={field.label}
+                      sortKey={`${period.key}.${field.key}`}
+                      sort={sort}
+                      onSort={setSort}
+                    />
+                  </th>
+                ))
+              )}
+              <th className="text-right py-2 px-2 border-l border-slate-200/10">
+                <SortButton
+                  label="Abs"
+                  sortKey="change_absolute"
+                  sort={sort}
+                  onSort={setSort}
+                />
+              </th>
+              <th className="text-right py-2 px-2">
+                <SortButton
+                  label="%"
+                  sortKey="change_percentage"
+                  sort={sort}
+                  onSort={setSort}
+                />
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {visiblePegs.map((peg) => {
+              const insights = [
+                peg.llm_insight,
+                pegInsights?.[peg.peg_name],
+              ].filter(Boolean);
+              const isExpanded = expanded.has(peg.peg_name);
+              const trendStyle = getTrendStyle(peg.change_percentage);
+              return (
+                <Fragment key={peg.peg_name}>
+                  <tr
+                    className={cn(
+                      "border-b border-slate-200/10",
+                      selectedPeg === peg.peg_name && "bg-[#2b8cee]/10"
+                    )}
+                  >
+                    <td className="py-2 pr-4 text-white">
+                      <button
+                        type="button"
+                        title="분포 차트 보기"
+                        className="mr-2 align-middle text-slate-500 hover:text-[#2b8cee]"
+                        onClick={() => onSelectPeg(peg.peg_name)}
+                      >
+                        <span className="material-symbols-outlined text-base">
+                          candlestick_chart
+                        </span>
+                      </button>
+                      {insights.length > 0 ? (
+                        <button
+                          type="button"
+                          className="inline-flex items-center gap-1 hover:text-[#2b8cee]"
+                          onClick={() => toggleExpanded(peg.peg_name)}
+                        >
+                          <span className="material-symbols-outlined text-base">
+                            {isExpanded ? "expand_more" : "chevron_right"}
+                          </span>
+                          {peg.peg_name}
+                          <span className="material-symbols-outlined text-sm text-[#2b8cee]">
+                            auto_awesome
+                          </span>
+                        </button>
+                      ) : (
+                        <span className="pl-5">{peg.peg_name}</span>
+                      )}
+                    </td>
+                    {PERIODS.map((period) =>
+                      STAT_FIELDS.map((field, i) => (
+                        <td
+                          key={`${period.key}.${field.key}`}
+                          className={cn(
+                            "py-2 px-2 text-right text-slate-300",
+                            i === 0 && "border-l border-slate-200/10"
+                          )}
+                        >
+                          {formatNumber(
+                            peg[period.key]?.[field.key],
+                            field.decimals ?? 2
+                          )}
+                        </td>
+                      ))
+                    )}
+                    <td className="py-2 px-2 text-right text-slate-300 border-l border-slate-200/10">
+                      {formatNumber(peg.change_absolute)}
+                    </td>
+                    <td
+                      className={cn("py-2 px-2 text-right", trendStyle.color)}
+                    >
+                      <span className="inline-flex items-center gap-1">
+                        <span className="material-symbols-outlined text-sm">
+                          {trendStyle.icon}
+                        </span>
+                        {formatChange(peg.change_percentage)}
+                      </span>
+                    </td>
+                  </tr>
+                  {isExpanded && (
+                    <tr className="border-b border-slate-200/10 bg-slate-800/20">
+                      <td
+                        colSpan={columnCount}
+                        className="px-6 py-3 whitespace-normal"
+                      >
+                        {insights.map((insight, i) => (
+                          <p
+                            key={i}
+                            className="text-slate-300 text-sm flex items-start gap-2"
+                          >
+                            <span className="material-symbols-outlined text-lg text-[#2b8cee]">
+                              lightbulb
+                            </span>
+                            {insight}
+                          </p>
+                        ))}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+        {visiblePegs.length === 0 && (
+          <p className="text-slate-400 text-sm text-center py-6">
+            검색 조건에 맞는 PEG가 없습니다.
+          </p>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+function PegChartsSection({ pegs, selectedPeg, onSelectPeg }) {
+  // 선택 전에는 변화율이 가장 큰 PEG를 표시
+  const peg =
+    pegs.find((item) => item.peg_name === selectedPeg) ||
+    pegs.reduce(
+      (top, item) =>
+        Math.abs(item.change_percentage || 0) >
+        Math.abs(top?.change_percentage || 0)
+          ? item
+          : top,
+      pegs[0]
+    );
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+      <Card
+        title="Top Movers"
+        subtitle="변화율(|change %|) 상위 PEG · 막대를 클릭하면 분포를 표시합니다."
+      >
+        <TopMoversChart
+          pegs={pegs}
+          selectedPeg={peg?.peg_name}
+          onSelect={onSelectPeg}
+        />
+      </Card>
+      <Card
+        title="N-1 vs N Distribution"
+        subtitle="수염: min~max · 박스: avg±std · 마커: avg / P95 / P99"
+        actions={
+          <select
+            value={peg?.peg_name || ""}
+            onChange={(e) => onSelectPeg(e.target.value)}
+            className="h-9 max-w-56 rounded-lg border border-[#324d67] bg-[#192633] px-2 text-sm text-white focus:outline-none focus:border-[#2b8cee]"
+          >
+            {pegs.map((item) => (
+              <option key={item.peg_name} value={item.peg_name}>
+                {item.peg_name}
+              </option>
+            ))}
+          </select>
+        }
+      >
+        {peg && <PegDistributionChart peg={peg} />}
+      </Card>
+    </div>
+  );
+}
+
+function ChoiResultCard({ choiResult }) {
+  const { formatNumber } = useFormatters();
+  if (!choiResult) return null;
+  const status = choiResult.status || "normal";
+  return (
+    <Card title="Choi Algorithm">
+      {choiResult.enabled === false ? (
+        <p className="text-slate-400 text-sm">
+          Choi 알고리즘이 비활성화된 결과입니다.
+        </p>
+      ) : (
+        <div className="flex flex-wrap items-start gap-6">
+          <div>
+            <p className="text-slate-400 text-xs mb-1">Status</p>
+            <Badge variant={status} dot>
+              {getStatusStyle(status).label}
+            </Badge>
+          </div>
+          <div>
+            <p className="text-slate-400 text-xs mb-1">Score</p>
+            <p
+              className={cn("text-2xl font-bold", getStatusStyle(status).color)}
+            >
+              {choiResult.score != null ? formatNumber(choiResult.score) : "-"}
+            </p>
+          </div>
+          {choiResult.message && (
+            <div className="flex-1 min-w-64">
+              <p className="text-slate-400 text-xs mb-1">Message</p>
+              <p className="text-white text-sm">{choiResult.message}</p>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+function LlmAnalysisCard({ analysis }) {
+  if (!analysis) return null;
+  return (
+    <Card
+      title="LLM Analysis"
+      subtitle={analysis.model_name ? `Model: ${analysis.model_name}` : null}
+    >
+      <div className="space-y-4">
+        <div>
+          <h4 className="text-slate-400 text-sm mb-2">Summary</h4>
+          <p className="text-white text-sm whitespace-pre-line">
+            {analysis.summary}
+          </p>
+        </div>
+        {analysis.issues?.length > 0 && (
+          <div>
+            <h4 className="text-slate-400 text-sm mb-2">
+              Issues ({analysis.issues.length})
+            </h4>
+            <ul className="space-y-1">
+              {analysis.issues.map((issue, i) => (
+                <li
+                  key={i}
+                  className="text-red-400 text-sm flex items-start gap-2"
+                >
+                  <span className="material-symbols-outlined text-lg">
+                    warning
+                  </span>
+                  {issue}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {analysis.recommendations?.length > 0 && (
+          <div>
+            <h4 className="text-slate-400 text-sm mb-2">
+              Recommendations ({analysis.recommendations.length})
+            </h4>
+            <ul className="space-y-1">
+              {analysis.recommendations.map((rec, i) => (
+                <li
+                  key={i}
+                  className="text-green-400 text-sm flex items-start gap-2"
+                >
+                  <span className="material-symbols-outlined text-lg">
+                    lightbulb
+                  </span>
+                  {rec}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+export default function ResultDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { data, loading, error, refetch } = useAnalysisResultDetail(id);
+  const [selectedPeg, setSelectedPeg] = useState(null);
+  const { jobs, rerunJob } = useAnalysisJobs();
+  const { formatDate, formatPercent } = useFormatters();
+  const [rerunning, setRerunning] = useState(false);
+  const [rerunError, setRerunError] = useState(null);
+
+  // 목록에서 들어온 경우 필터/페이지가 유지되도록 히스토리로 복귀
+  const handleBack = () => {
+    if (location.key !== "default") navigate(-1);
+    else navigate("/results");
+  };
+
+  // 이 결과를 만든 작업의 요청 파라미터로 재분석하고, 진행 상황은 대시보드에서 확인
+  // 작업 기록이 없으면(다른 브라우저, 보관 개수 초과 등) 같은 NE/Cell로 분석 폼만 미리 채움
+  const sourceJob = findJobForResult(jobs, id);
+  const handleRerun = async () => {
+    if (!sourceJob) {
+      navigate("/", {
+        state: {
+          prefill: {
+            neId: [data.ne_id],
+            cellId: [data.cell_id],
+            resultId: id,
+            windowsRestored: false,
+          },
+        },
+      });
+      return;
+    }
+    setRerunning(true);
+    setRerunError(null);
+    try {
+      await rerunJob(sourceJob.params);
+      navigate("/");
+    } catch (err) {
+      setRerunError(
+        err.response?.data?.detail ||
+          err.message ||
+          "재분석 요청에 실패했습니다."
+      );
+    } finally {
+      setRerunning(false);
+    }
+  };
+
+  const status = data?.choi_result?.status || "normal";
+
+  return (
+    <div>
+      <Header
+        title="Analysis Details"
+        description={data ? `${data.ne_id} / ${data.cell_id}` : id}
+        actions={
+          <>
+            <Button variant="secondary" icon="arrow_back" onClick={handleBack}>
+              결과 목록
+            </Button>
+            <Button variant="secondary" icon="refresh" onClick={refetch}>
+              새로고침
+            </Button>
+            <Button
+              variant="secondary"
+              icon="trending_up"
+              disabled={!data}
+              onClick={() =>
+                navigate(
+                  `/trends?${new URLSearchParams({ ne_id: data.ne_id, cell_id: data.cell_id })}`
+                )
+              }
+            >
+              추이 보기
+            </Button>
+            <Button
+              icon={sourceJob ? "replay" : "edit_note"}
+              loading={rerunning}
+              disabled={!data}
+              onClick={handleRerun}
+              title={
+                sourceJob
+                  ? undefined
+                  : "이 결과의 분석 요청 기록이 없어 NE/Cell만 채운 분석 폼을 엽니다. 기간은 복원되지 않습니다."
+              }
+            >
+              {sourceJob ? "같은 조건으로 재분석" : "NE/Cell로 분석 폼 채우기"}
+            </Button>
+          </>
+        }
+      />
+      {rerunError && (
+        <div className="mb-4 p-4 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400 text-sm">
+          {rerunError}
+        </div>
+      )}
+      {loading ? (
+        <div className="flex items-center justify-center py-16">
+          <Spinner size="lg" />
+        </div>
+      ) : error ? (
+        <div className="p-4 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400">
+          {error}
+        </div>
+      ) : data ? (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <InfoCard
+              label="Status"
+              value={
+                <Badge variant={status} dot>
+                  {getStatusStyle(status).label}
+                </Badge>
+              }
+            />
+            <InfoCard label="NE ID" value={data.ne_id} />
+            <InfoCard label="Cell ID" value={data.cell_id} />
+            <InfoCard
+              label="Confidence"
+              value={formatPercent(
+                (data.llm_analysis?.confidence || 0) * 100,
+                0
+              )}
+            />
+            <InfoCard label="SW Name" value={data.swname || "-"} />
+            <InfoCard label="Release" value={data.rel_ver || "-"} />
+            <InfoCard
+              label="LLM Model"
+              value={data.llm_analysis?.model_name || "-"}
+            />
+            <InfoCard label="Created At" value={formatDate(data.created_at)} />
+          </div>
+          <ChoiResultCard choiResult={data.choi_result} />
+          <LlmAnalysisCard analysis={data.llm_analysis} />
+          {data.peg_comparisons?.length > 0 && (
+            <>
+              <PegChartsSection
+                pegs={data.peg_comparisons}
+                selectedPeg={selectedPeg}
+                onSelectPeg={setSelectedPeg}
+              />
+              <PegStatisticsTable
+                pegs={data.peg_comparisons}
+                pegInsights={data.llm_analysis?.peg_insights}
+                selectedPeg={selectedPeg}
+                onSelectPeg={setSelectedPeg}
+              />
+            </>
+          )}
+        </div>
+      ) : (
+        <EmptyState
+          icon="search_off"
+          title="Result Not Found"
+          description="요청한 분석 결과를 찾을 수 없습니다."
+        />
+      )}
+    </div>
+  );
+}
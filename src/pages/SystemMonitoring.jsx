@@ -0,0 +1,354 @@
+/**
+ * 시스템 모니터링 페이지
+ * 분석 서비스 / DB / EMS 엔드포인트 응답 시간, LLM 분석 큐, 분석 성공률, 임계값 알림
+ */
+
+import { Header } from "../components/layout/index.js";
+import {
+  Button,
+  Card,
+  Badge,
+  Spinner,
+  EmptyState,
+} from "../components/common/index.js";
+import { useDbSettings } from "../hooks/useDbSettings.js";
+import { useSystemMonitor } from "../hooks/useSystemMonitor.js";
+import { useFormatters } from "../hooks/useFormatters.js";
+import {
+  MONITOR_INTERVAL_MS,
+  MONITOR_PROBES,
+  MONITOR_THRESHOLDS,
+} from "../lib/systemMonitor.js";
+import { cn, getStatusStyle } from "../lib/utils.js";
+
+const PROBE_STATUS = {
+  up: { label: "정상", variant: "normal" },
+  degraded: { label: "지연", variant: "warning" },
+  down: { label: "장애", variant: "critical" },
+  unknown: { label: "측정 전", variant: "default" },
+};
+
+// 측정/알림 시각은 설정 시간대 기준으로 표시
+const TIME_PATTERN = "HH:mm:ss";
+
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 48;
+
+// 응답 시간 추이 (실패한 측정은 아래쪽 빨간 점으로 표시)
+function LatencySparkline({ samples = [] }) {
+  if (samples.length < 2) {
+    return (
+      <div
+        className="flex items-center text-xs text-slate-500"
+        style={{ height: SPARKLINE_HEIGHT }}
+      >
+        측정 데이터 수집 중...
+      </div>
+    );
+  }
+
+  const max = Math.max(
+    MONITOR_THRESHOLDS.latencyWarningMs,
+    ...samples.map((sample) => (sample.ok ? sample.latency : 0))
+  );
+  const step = SPARKLINE_WIDTH / (samples.length - 1);
+  const toY = (latency) =>
+    SPARKLINE_HEIGHT - 2 - (latency / max) * (SPARKLINE_HEIGHT - 4);
+  const points = samples
+    .map((sample, index) =>
+      sample.ok ? `${index * step},${toY(sample.latency)}` : null
+    )
+    .filter(Boolean)
+    .join(" ");
+  const warningY = toY(MONITOR_THRESHOLDS.latencyWarningMs);
+
+  return (
+    <svg
+      viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+      className="w-full"
+      style={{ height: SPARKLINE_HEIGHT }}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label="응답 시간 추이"
+    >
+      <line
+        x1="0"
+        x2={SPARKLINE_WIDTH}
+        y1={warningY}
+        y2={warningY}
+        stroke="#eab308"
+        strokeOpacity="0.4"
+        strokeDasharray="4 4"
+      />
+      <polyline
+        points={points}
+        fill="none"
+        stroke="#2b8cee"
+        strokeWidth="2"
+        vectorEffect="non-scaling-stroke"
+      />
+      {samples.map((sample, index) =>
+        sample.ok ? null : (
+          <circle
+            key={sample.time}
+            cx={index * step}
+            cy={SPARKLINE_HEIGHT - 3}
+            r="3"
+            fill="#ef4444"
+          />
+        )
+      )}
+    </svg>
+  );
+}
+
+function ProbeCard({ probe, summary, samples, note }) {
+  const status = PROBE_STATUS[summary.status];
+  return (
+    <Card>
+      <div className="flex items-start justify-between gap-3 mb-3">
+        <div>
+          <p className="text-white font-semibold">{probe.label}</p>
+          <p className="text-slate-500 text-xs">{probe.description}</p>
+        </div>
+        <Badge variant={status.variant} dot>
+          {status.label}
+        </Badge>
+      </div>
+      {note ? (
+        <p className="text-slate-400 text-sm py-4">{note}</p>
+      ) : (
+        <>
+          <LatencySparkline samples={samples} />
+          <div className="grid grid-cols-3 gap-2 mt-3 text-xs">
+            <div>
+              <p className="text-slate-500">현재</p>
+              <p className="text-white font-medium">
+                {summary.latency !== null ? `${summary.latency}ms` : "-"}
+              </p>
+            </div>
+            <div>
+              <p className="text-slate-500">평균</p>
+              <p className="text-white font-medium">
+                {summary.avgLatency !== null ? `${summary.avgLatency}ms` : "-"}
+              </p>
+            </div>
+            <div>
+              <p className="text-slate-500">가용률</p>
+              <p className="text-white font-medium">
+                {summary.availability !== null
+                  ? `${summary.availability}%`
+                  : "-"}
+              </p>
+            </div>
+          </div>
+          {summary.error && (
+            <p className="text-red-400 text-xs mt-2 break-all">
+              {summary.error}
+            </p>
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
+
+function StatTile({ label, value, hint, tone = "text-white" }) {
+  return (
+    <div className="rounded-lg border border-slate-200/10 bg-slate-800/30 p-4">
+      <p className="text-slate-400 text-xs">{label}</p>
+      <p className={cn("text-2xl font-bold mt-1", tone)}>{value}</p>
+      {hint && <p className="text-slate-500 text-xs mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+function AlertList({ alerts }) {
+  const { formatDate } = useFormatters();
+
+  if (alerts.length === 0) {
+    return (
+      <p className="flex items-center gap-2 text-green-400 text-sm">
+        <span className="material-symbols-outlined">check_circle</span>
+        모든 지표가 임계값 이내입니다.
+      </p>
+    );
+  }
+  return (
+    <ul className="flex flex-col gap-2">
+      {alerts.map((alert) => (
+        <li
+          key={alert.id}
+          className={cn(
+            "flex items-center gap-3 rounded-lg border px-4 py-3 text-sm",
+            alert.level === "critical"
+              ? "border-red-500/20 bg-red-500/10 text-red-400"
+              : "border-yellow-500/20 bg-yellow-500/10 text-yellow-400"
+          )}
+        >
+          <span className="material-symbols-outlined">
+            {alert.level === "critical" ? "error" : "warning"}
+          </span>
+          <span className="flex-1">{alert.message}</span>
+          <span className="text-xs opacity-70">
+            {formatDate(alert.since, TIME_PATTERN)}부터
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function SystemMonitoring() {
+  const { defaultProfile, loading: dbLoading } = useDbSettings();
+  const {
+    history,
+    probes,
+    queue,
+    successRate,
+    stats,
+    emsSummary,
+    alerts,
+    lastUpdated,
+    refreshing,
+    autoRefresh,
+    setAutoRefresh,
+    refresh,
+  } = useSystemMonitor(defaultProfile, { enabled: !dbLoading });
+  const { formatDate } = useFormatters();
+
+  const rateTone =
+    successRate?.rate === null || successRate?.rate === undefined
+      ? "text-white"
+      : successRate.rate < MONITOR_THRESHOLDS.successRateCritical
+        ? "text-red-400"
+        : successRate.rate < MONITOR_THRESHOLDS.successRateWarning
+          ? "text-yellow-400"
+          : "text-green-400";
+  const choiCounts = stats?.by_choi_status;
+
+  return (
+    <div>
+      <Header
+        title="System Monitoring"
+        description="백엔드 엔드포인트 상태와 분석 처리 현황을 주기적으로 확인합니다."
+        actions={
+          <div className="flex items-center gap-3">
+            <span className="text-slate-400 text-xs">
+              {lastUpdated
+                ? `마지막 측정 ${formatDate(lastUpdated, TIME_PATTERN)}`
+                : "측정 중..."}
+            </span>
+            <Button
+              size="sm"
+              variant={autoRefresh ? "secondary" : "ghost"}
+              icon={autoRefresh ? "pause" : "play_arrow"}
+              onClick={() => setAutoRefresh((value) => !value)}
+            >
+              {autoRefresh
+                ? `자동 새로고침 (${MONITOR_INTERVAL_MS / 1000}초)`
+                : "자동 새로고침 꺼짐"}
+            </Button>
+            <Button
+              size="sm"
+              icon="refresh"
+              loading={refreshing}
+              onClick={refresh}
+            >
+              새로고침
+            </Button>
+          </div>
+        }
+      />
+
+      <Card title="알림" className="mb-6">
+        {lastUpdated ? (
+          <AlertList alerts={alerts} />
+        ) : (
+          <div className="flex items-center gap-3 text-slate-400 text-sm">
+            <Spinner size="sm" />첫 측정 결과를 기다리는 중입니다.
+          </div>
+        )}
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+        {MONITOR_PROBES.map((probe) => (
+          <ProbeCard
+            key={probe.key}
+            probe={probe}
+            summary={probes[probe.key]}
+            samples={history[probe.key]}
+            note={
+              probe.key === "db" && !dbLoading && !defaultProfile
+                ? "등록된 DB 연결 프로필이 없어 연결 테스트를 건너뜁니다."
+                : null
+            }
+          />
+        ))}
+      </div>
+
+      <Card title="분석 처리 현황">
+        {!lastUpdated ? (
+          <EmptyState
+            icon="monitoring"
+            title="측정 중"
+            description="분석 서비스 상태를 불러오는 중입니다."
+          />
+        ) : (
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <StatTile
+              label="LLM 분석 실행 중"
+              value={queue.running}
+              hint="현재 처리 중인 작업"
+            />
+            <StatTile
+              label="LLM 분석 대기열"
+              value={queue.queued}
+              hint={`경고 ${MONITOR_THRESHOLDS.queueWarning}건 / 위험 ${MONITOR_THRESHOLDS.queueCritical}건`}
+              tone={
+                queue.queued >= MONITOR_THRESHOLDS.queueCritical
+                  ? "text-red-400"
+                  : queue.queued >= MONITOR_THRESHOLDS.queueWarning
+                    ? "text-yellow-400"
+                    : "text-white"
+              }
+            />
+            <StatTile
+              label="분석 성공률"
+              value={
+                successRate?.rate !== null && successRate?.rate !== undefined
+                  ? `${successRate.rate}%`
+                  : "-"
+              }
+              hint={
+                successRate
+                  ? `저장된 결과 ${successRate.success}건 · 실패 ${successRate.failed}건`
+                  : "결과 통계를 불러오지 못했습니다."
+              }
+              tone={rateTone}
+            />
+            <StatTile
+              label="EMS 목록"
+              value={emsSummary ? `${emsSummary.cells}` : "-"}
+              hint={
+                emsSummary
+                  ? `EMS ${emsSummary.ems}개 · NE ${emsSummary.ne}개의 셀`
+                  : "EMS 목록을 불러오지 못했습니다."
+              }
+            />
+          </div>
+        )}
+        {choiCounts && (
+          <div className="flex flex-wrap items-center gap-2 mt-4 text-sm">
+            <span className="text-slate-400">Choi 판정 분포</span>
+            {["normal", "warning", "critical"].map((status) => (
+              <Badge key={status} variant={status}>
+                {getStatusStyle(status).label} {choiCounts[status] ?? 0}
+              </Badge>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
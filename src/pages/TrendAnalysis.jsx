@@ -0,0 +1,465 @@
+/**
+ * 추이 분석 페이지
+ * /trends?ne_id=&cell_id=&date_from=&date_to=
+ *
+ * 저장된 분석 결과로 PEG 별 N 기간 평균 추이, Choi 상태 변화, 지속 추세 PEG 를 표시합니다.
+ */
+
+import { useState, useMemo } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Header } from "../components/layout/index.js";
+import {
+  Button,
+  Card,
+  Badge,
+  EmptyState,
+  Spinner,
+  Combobox,
+  DateTimePicker,
+} from "../components/common/index.js";
+import { PegTrendChart } from "../components/charts/index.js";
+import { useTrendAnalysis } from "../hooks/useTrendAnalysis.js";
+import { useResultFilterOptions } from "../hooks/useResultFilterOptions.js";
+import { DRIFT_THRESHOLDS, sortByDrift } from "../lib/trendUtils.js";
+import { formatWindowTime } from "../lib/timeWindows.js";
+import { useFormatters } from "../hooks/useFormatters.js";
+import { getStatusStyle, cn } from "../lib/utils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANGE_PRESETS = [7, 30, 90];
+const DEFAULT_RANGE_DAYS = 30;
+// 처음 표시할 PEG 차트 수 (지속 추세 PEG 우선)
+const DEFAULT_SELECTED_PEGS = 4;
+
+// DateTimePicker 값 형식 (yyyy-MM-dd HH:mm), now 는 설정 시간대의 현재 시각
+function rangeFromDays(days, now) {
+  return {
+    date_from: formatWindowTime(new Date(now.getTime() - days * DAY_MS)),
+    date_to: formatWindowTime(now),
+  };
+}
+
+function DriftLabel({ drift }) {
+  const { formatChange } = useFormatters();
+  if (!drift?.direction) return null;
+  const up = drift.direction === "up";
+  return (
+    <span className="inline-flex items-center gap-1 text-orange-400">
+      <span className="material-symbols-outlined text-base">
+        {up ? "trending_up" : "trending_down"}
+      </span>
+      {up ? "지속 상승" : "지속 하락"} {formatChange(drift.changePercent, 1)}
+    </span>
+  );
+}
+
+function SummaryTile({ label, value, hint }) {
+  return (
+    <div className="rounded-lg border border-slate-200/10 bg-slate-800/30 p-4">
+      <p className="text-slate-400 text-xs">{label}</p>
+      <p className="text-white text-2xl font-bold mt-1">{value}</p>
+      {hint && <p className="text-slate-500 text-xs mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+function StatusTimeline({ results, transitions, onOpenResult }) {
+  const { formatDate } = useFormatters();
+  const current = results[results.length - 1]?.choi_result?.status || "normal";
+  if (transitions.length === 0) {
+    return (
+      <p className="text-slate-400 text-sm">
+        기간 내 Choi 상태 변화가 없습니다. (계속{" "}
+        <span className={getStatusStyle(current).color}>
+          {getStatusStyle(current).label}
+        </span>
+        )
+      </p>
+    );
+  }
+  return (
+    <ul className="flex flex-col gap-2">
+      {transitions.map((transition) => (
+        <li
+          key={`${transition.resultId}-${transition.to}`}
+          className="flex flex-wrap items-center gap-3 rounded-lg border border-slate-200/10 bg-slate-800/30 px-4 py-2 text-sm"
+        >
+          <span className="text-slate-400 w-36">
+            {formatDate(transition.time)}
+          </span>
+          <Badge variant={transition.from}>
+            {getStatusStyle(transition.from).label}
+          </Badge>
+          <span className="material-symbols-outlined text-slate-500 text-base">
+            arrow_forward
+          </span>
+          <Badge variant={transition.to} dot>
+            {getStatusStyle(transition.to).label}
+          </Badge>
+          <span
+            className={cn(
+              "text-xs",
+              transition.direction === "worsened"
+                ? "text-red-400"
+                : "text-green-400"
+            )}
+          >
+            {transition.direction === "worsened" ? "악화" : "개선"}
+          </span>
+          <Button
+            size="sm"
+            variant="ghost"
+            icon="open_in_new"
+            className="ml-auto"
+            onClick={() => onOpenResult(transition.resultId)}
+          >
+            결과 보기
+          </Button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function DriftTable({ series, selected, onToggle }) {
+  const { formatNumber } = useFormatters();
+  const drifting = series.filter((entry) => entry.drift?.direction);
+  if (drifting.length === 0) {
+    return (
+      <p className="text-slate-400 text-sm">
+        지속 추세로 판정된 PEG 가 없습니다. (결과 {DRIFT_THRESHOLDS.minPoints}건
+        이상, R² ≥ {DRIFT_THRESHOLDS.minR2}, 기간 변화율 ±
+        {DRIFT_THRESHOLDS.minChangePercent}% 이상)
+      </p>
+    );
+  }
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-400 border-b border-slate-200/10">
+            <th className="py-2 pr-4 font-medium">PEG</th>
+            <th className="py-2 pr-4 font-medium">추세</th>
+            <th className="py-2 pr-4 font-medium text-right">일 기울기</th>
+            <th className="py-2 pr-4 font-medium text-right">R²</th>
+            <th className="py-2 font-medium text-right">결과 수</th>
+          </tr>
+        </thead>
+        <tbody>
+          {drifting.map((entry) => (
+            <tr
+              key={entry.pegName}
+              className={cn(
+                "border-b border-slate-200/5 cursor-pointer hover:bg-slate-800/50",
+                selected.includes(entry.pegName) && "bg-[#2b8cee]/10"
+              )}
+              onClick={() => onToggle(entry.pegName)}
+            >
+              <td className="py-2 pr-4 text-white font-medium">
+                {entry.pegName}
+              </td>
+              <td className="py-2 pr-4">
+                <DriftLabel drift={entry.drift} />
+              </td>
+              <td className="py-2 pr-4 text-right text-slate-300">
+                {formatNumber(entry.drift.slopePerDay, 3)}
+              </td>
+              <td className="py-2 pr-4 text-right text-slate-300">
+                {formatNumber(entry.drift.r2)}
+              </td>
+              <td className="py-2 text-right text-slate-300">
+                {entry.points.length}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function TrendView({ results, series, transitions, onOpenResult }) {
+  const { formatDate } = useFormatters();
+  const ordered = useMemo(() => sortByDrift(series), [series]);
+  const [selected, setSelected] = useState(() =>
+    ordered.slice(0, DEFAULT_SELECTED_PEGS).map((entry) => entry.pegName)
+  );
+  const driftCount = ordered.filter((entry) => entry.drift?.direction).length;
+  const first = results[0];
+  const last = results[results.length - 1];
+
+  const togglePeg = (pegName) =>
+    setSelected((prev) =>
+      prev.includes(pegName)
+        ? prev.filter((name) => name !== pegName)
+        : [...prev, pegName]
+    );
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <SummaryTile label="분석 결과" value={results.length} />
+        <SummaryTile
+          label="기간"
+          value={`${Math.max(1, Math.round((new Date(last.created_at) - new Date(first.created_at)) / DAY_MS))}일`}
+          hint={`${formatDate(first.created_at)} ~ ${formatDate(last.created_at)}`}
+        />
+        <SummaryTile
+          label="Choi 상태 변화"
+          value={transitions.length}
+          hint={`현재 ${getStatusStyle(last.choi_result?.status || "normal").label}`}
+        />
+        <SummaryTile
+          label="지속 추세 PEG"
+          value={driftCount}
+          hint={`전체 PEG ${series.length}개`}
+        />
+      </div>
+
+      <Card
+        title="Choi 상태 변화"
+        subtitle="차트의 세로 점선은 상태가 바뀐 시점입니다."
+      >
+        <StatusTimeline
+          results={results}
+          transitions={transitions}
+          onOpenResult={onOpenResult}
+        />
+      </Card>
+
+      <Card
+        title="지속 추세 PEG"
+        subtitle="N 기간 평균에 대한 선형 회귀 기준 · 행을 클릭하면 차트에 추가/제거합니다."
+      >
+        <DriftTable series={ordered} selected={selected} onToggle={togglePeg} />
+      </Card>
+
+      <Card
+        title="PEG 추이"
+        subtitle="N 기간 평균 · 점 색상은 해당 결과의 Choi 상태 · 점을 클릭하면 결과 상세로 이동합니다."
+      >
+        <div className="flex flex-wrap gap-2 mb-4">
+          {ordered.map((entry) => (
+            <button
+              key={entry.pegName}
+              type="button"
+              onClick={() => togglePeg(entry.pegName)}
+              className={cn(
+                "inline-flex items-center gap-1 px-3 py-1 rounded-full border text-xs font-medium transition-colors",
+                selected.includes(entry.pegName)
+                  ? "bg-[#2b8cee] border-[#2b8cee] text-white"
+                  : "bg-[#192633] border-[#324d67] text-slate-300 hover:text-white"
+              )}
+            >
+              {entry.drift?.direction && (
+                <span className="material-symbols-outlined text-sm">
+                  {entry.drift.direction === "up"
+                    ? "trending_up"
+                    : "trending_down"}
+                </span>
+              )}
+              {entry.pegName}
+            </button>
+          ))}
+        </div>
+        {selected.length === 0 ? (
+          <p className="text-slate-400 text-sm">표시할 PEG 를 선택하세요.</p>
+        ) : (
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+            {ordered
+              .filter((entry) => selected.includes(entry.pegName))
+              .map((entry) => (
+                <div
+                  key={entry.pegName}
+                  className="rounded-lg border border-slate-200/10 bg-slate-800/30 p-4"
+                >
+                  <div className="flex items-center justify-between gap-3 mb-2 text-sm">
+                    <span className="text-white font-medium">
+                      {entry.pegName}
+                    </span>
+                    <DriftLabel drift={entry.drift} />
+                  </div>
+                  <PegTrendChart
+                    points={entry.points}
+                    drift={entry.drift}
+                    transitions={transitions}
+                    onSelectPoint={(point) => onOpenResult(point.resultId)}
+                  />
+                </div>
+              ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+export default function TrendAnalysis() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { now, timeZone, getTimeZoneLabel } = useFormatters();
+  const [defaultRange] = useState(() =>
+    rangeFromDays(DEFAULT_RANGE_DAYS, now())
+  );
+
+  const neId = searchParams.get("ne_id") || "";
+  const cellId = searchParams.get("cell_id") || "";
+  // URL 에 기간이 없으면 최근 30일
+  const hasRange = searchParams.has("date_from") || searchParams.has("date_to");
+  const dateFrom = hasRange
+    ? searchParams.get("date_from") || ""
+    : defaultRange.date_from;
+  const dateTo = hasRange
+    ? searchParams.get("date_to") || ""
+    : defaultRange.date_to;
+
+  const { results, series, transitions, loading, error, refetch } =
+    useTrendAnalysis({ neId, cellId, dateFrom, dateTo });
+  const { neOptions, cellOptions } = useResultFilterOptions({ neId });
+
+  const updateQuery = (updates) => {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        Object.entries(updates).forEach(([key, value]) => {
+          if (value) next.set(key, value);
+          else next.delete(key);
+        });
+        return next;
+      },
+      { replace: true }
+    );
+  };
+  // 기간 한쪽만 바꿔도 나머지 값이 기본값으로 돌아가지 않도록 함께 기록
+  const updateRange = (updates) =>
+    updateQuery({ date_from: dateFrom, date_to: dateTo, ...updates });
+
+  const openResult = (resultId) => navigate(`/results/${resultId}`);
+  const queryKey = [neId, cellId, dateFrom, dateTo].join("|");
+
+  let content;
+  if (!neId || !cellId) {
+    content = (
+      <EmptyState
+        icon="trending_up"
+        title="NE와 Cell을 선택하세요"
+        description="선택한 셀의 저장된 분석 결과로 PEG 추이와 Choi 상태 변화를 표시합니다."
+      />
+    );
+  } else if (loading) {
+    content = (
+      <div className="flex items-center justify-center py-16">
+        <Spinner size="lg" />
+      </div>
+    );
+  } else if (error) {
+    content = (
+      <div className="flex items-center justify-between gap-4 p-4 rounded-lg bg-red-500/10 border border-red-500/20 text-red-400">
+        <span>{error}</span>
+        <Button size="sm" variant="secondary" icon="refresh" onClick={refetch}>
+          다시 시도
+        </Button>
+      </div>
+    );
+  } else if (results.length === 0) {
+    content = (
+      <EmptyState
+        icon="search_off"
+        title="분석 결과가 없습니다"
+        description="선택한 기간에 이 셀의 저장된 분석 결과가 없습니다. 기간을 넓혀 보세요."
+      />
+    );
+  } else {
+    content = (
+      <TrendView
+        key={queryKey}
+        results={results}
+        series={series}
+        transitions={transitions}
+        onOpenResult={openResult}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <Header
+        title="Trend Analysis"
+        description="저장된 분석 결과로 셀별 PEG 추이와 Choi 상태 변화를 확인합니다."
+        actions={
+          <Button
+            variant="secondary"
+            icon="refresh"
+            disabled={!neId || !cellId}
+            loading={loading}
+            onClick={refetch}
+          >
+            새로고침
+          </Button>
+        }
+      />
+
+      <div className="flex flex-col gap-4 mb-6">
+        <div className="flex flex-wrap items-end gap-4">
+          <Combobox
+            label="NE ID"
+            icon="router"
+            value={neId}
+            options={neOptions}
+            placeholder="NE ID 선택"
+            className="w-64"
+            onChange={(value) => updateQuery({ ne_id: value, cell_id: "" })}
+          />
+          <Combobox
+            label="Cell ID"
+            icon="cell_tower"
+            value={cellId}
+            options={cellOptions}
+            placeholder="Cell ID 선택"
+            className="w-48"
+            onChange={(value) => updateQuery({ cell_id: value })}
+          />
+          <DateTimePicker
+            label="From"
+            value={dateFrom}
+            onChange={(value) => updateRange({ date_from: value })}
+            placeholder="시작 일시"
+            timeZone={timeZone}
+            className="w-64"
+          />
+          <DateTimePicker
+            label="To"
+            value={dateTo}
+            onChange={(value) => updateRange({ date_to: value })}
+            placeholder="종료 일시"
+            timeZone={timeZone}
+            className="w-64"
+          />
+          <div className="flex items-center gap-2 h-12">
+            {RANGE_PRESETS.map((days) => (
+              <Button
+                key={days}
+                size="sm"
+                variant="ghost"
+                onClick={() => updateRange(rangeFromDays(days, now()))}
+              >
+                최근 {days}일
+              </Button>
+            ))}
+          </div>
+        </div>
+        <p className="text-slate-500 text-xs">
+          기간은 {getTimeZoneLabel()} 기준입니다.
+        </p>
+        {dateFrom && dateTo && dateFrom > dateTo && (
+          <p className="text-yellow-400 text-xs flex items-center gap-1">
+            <span className="material-symbols-outlined text-sm">warning</span>
+            시작 일시가 종료 일시보다 늦습니다.
+          </p>
+        )}
+      </div>
+
+      {content}
+    </div>
+  );
+}
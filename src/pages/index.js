@@ -4,3 +4,8 @@
 export { default as Dashboard } from "./Dashboard.jsx";
 export { default as AnalysisResults } from "./AnalysisResults.jsx";
 export { default as Preferences } from "./Preferences.jsx";
+export { default as ResultCompare } from "./ResultCompare.jsx";
+export { default as ResultDetail } from "./ResultDetail.jsx";
+export { default as AnalysisJobs } from "./AnalysisJobs.jsx";
+export { default as SystemMonitoring } from "./SystemMonitoring.jsx";
+export { default as TrendAnalysis } from "./TrendAnalysis.jsx";
@@ -45,8 +45,15 @@ export class BackgroundSyncManager {
     this.changeDetector = null
     this.stateChangeCallback = null
 
-    // 이벤트 리스너 바인딩
-    this._setupEventListeners()
+    // 이벤트 핸들러 (start 에서 등록하고 stop 에서 해제)
+    this.handlers = {
+      online: this._handleOnline.bind(this),
+      offline: this._handleOffline.bind(this),
+      visibilitychange: this._handleVisibilityChange.bind(this),
+      focus: this._handleWindowFocus.bind(this),
+      blur: this._handleWindowBlur.bind(this),
+      beforeunload: this._cleanup.bind(this)
+    }
 
     logInfo('백그라운드 동기화 매니저 초기화', {
       strategy: this.options.strategy,
@@ -58,23 +65,25 @@ export class BackgroundSyncManager {
    * 이벤트 리스너 설정
    */
   _setupEventListeners() {
-    // 온라인/오프라인 상태 감지
-    window.addEventListener('online', this._handleOnline.bind(this))
-    window.addEventListener('offline', this._handleOffline.bind(this))
-
-    // 페이지 가시성 변경 감지
-    document.addEventListener('visibilitychange', this._handleVisibilityChange.bind(this))
-
-    // 포커스 이벤트
-    window.addEventListener('focus', this._handleWindowFocus.bind(this))
-    window.addEventListener('blur', this._handleWindowBlur.bind(this))
-
-    // 페이지 언로드 시 정리
-    window.addEventListener('beforeunload', this._cleanup.bind(this))
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      // 페이지 가시성 변경은 document, 나머지(온라인/오프라인, 포커스, 언로드)는 window 이벤트
+      const target = type === 'visibilitychange' ? document : window
+      target.addEventListener(type, handler)
+    })
 
     logDebug('백그라운드 동기화 이벤트 리스너 설정 완료')
   }
 
+  /**
+   * 이벤트 리스너 해제
+   */
+  _removeEventListeners() {
+    Object.entries(this.handlers).forEach(([type, handler]) => {
+      const target = type === 'visibilitychange' ? document : window
+      target.removeEventListener(type, handler)
+    })
+  }
+
   /**
    * 동기화 시작
    * @param {Function} syncCallback - 동기화 실행 함수
@@ -91,6 +100,8 @@ export class BackgroundSyncManager {
     this.changeDetector = changeDetector
     this.stateChangeCallback = stateChangeCallback
 
+    this.isOnline = navigator.onLine
+    this._setupEventListeners()
     this._setState(SYNC_STATES.POLLING)
 
     // 전략별 시작
@@ -131,6 +142,7 @@ export class BackgroundSyncManager {
   stop() {
     this._setState(SYNC_STATES.IDLE)
     this._cleanup()
+    this._removeEventListeners()
     logInfo('백그라운드 동기화 중지')
   }
 
@@ -203,7 +215,7 @@ export class BackgroundSyncManager {
     // 주기적으로 변경 사항 확인
     const checkChanges = async () => {
       try {
-        if (this.isOnline && this.changeDetector) {
+        if (this.isOnline && this.changeDetector && this.state === SYNC_STATES.POLLING) {
           const hasChanges = await this.changeDetector()
           if (hasChanges) {
             logDebug('변경 사항 감지됨 - 동기화 실행')
@@ -214,8 +226,8 @@ export class BackgroundSyncManager {
         logError('변경 감지 중 오류', error)
       }
 
-      // 다음 체크 스케줄링
-      if (this.state === SYNC_STATES.POLLING) {
+      // 다음 체크 스케줄링 (재시도 대기/오류 상태에서도 멈추지 않고 POLLING 복귀 후 이어서 확인)
+      if (this.state !== SYNC_STATES.IDLE) {
         this.changeTimer = setTimeout(checkChanges, this.options.changeDebounceTime)
       }
     }
@@ -271,6 +283,11 @@ export class BackgroundSyncManager {
       return false
     }
 
+    if (this.state === SYNC_STATES.IDLE) {
+      logDebug('중지된 상태이므로 동기화를 건너뜁니다')
+      return false
+    }
+
     if (!this.isOnline) {
       logDebug('오프라인 상태로 동기화 건너뜀')
       return false
@@ -281,13 +298,12 @@ export class BackgroundSyncManager {
       return false
     }
 
-    const prevState = this.state
     this._setState(SYNC_STATES.SYNCING)
 
     try {
       logDebug('백그라운드 동기화 실행 시작', { isManual })
 
-      const result = await this.syncCallback()
+      await this.syncCallback()
       
       this.lastSyncTime = new Date().toISOString()
       this.retryCount = 0 // 성공 시 재시도 카운트 리셋
@@ -297,12 +313,19 @@ export class BackgroundSyncManager {
         lastSyncTime: this.lastSyncTime
       })
 
-      this._setState(prevState) // 이전 상태로 복원
+      // 재시도(WAITING) 중 성공해도 폴링 상태로 복귀, 그 사이 중지됐으면 그대로 둠
+      if (this.state !== SYNC_STATES.IDLE) {
+        this._setState(SYNC_STATES.POLLING)
+      }
       return true
 
     } catch (error) {
       logError('백그라운드 동기화 실패', error)
 
+      if (this.state === SYNC_STATES.IDLE) {
+        return false
+      }
+
       this.retryCount++
 
       if (this.retryCount >= this.options.maxRetries) {
@@ -114,7 +114,7 @@ export const createDefaultSettings = () => {
       host: runtimeConfig.DB_HOST || 'postgres', // Docker 서비스명 사용
       port: parseInt(runtimeConfig.DB_PORT, 10) || 5432,
       user: runtimeConfig.DB_USER || 'postgres',
-      password: runtimeConfig.DB_PASSWORD || 'postgres', // Docker Compose의 기본 비밀번호
+      password: '', // 비밀번호는 기본값에 두지 않음 (Preferences에서 입력, 세션에만 보관)
       dbname: runtimeConfig.DB_NAME || 'netperf', // 실제 DB명 사용
       table: 'summary'
     },